@@ -0,0 +1,1210 @@
+import express from 'express';
+import cors from 'cors';
+import multer from 'multer';
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import { parseUploadedFile, parseTextDirect } from './lib/parser.js';
+import { VectorStore, SEARCH_MODES } from './lib/vectorStore.js';
+import { ConversationStore } from './lib/conversations.js';
+import { ConversationSummarizer } from './lib/summarizer.js';
+import { runAgentLoop, resumeAgentLoop, formatCitation } from './lib/agent.js';
+import { getProvider, resolveLLM, LLMError } from './lib/providers/index.js';
+import { createCrossEncoderReranker, rerankingEnabledByDefault } from './lib/reranker.js';
+import { JobQueue } from './lib/jobQueue.js';
+import { sha256 } from './lib/hash.js';
+import { IndexSync } from './lib/indexSync.js';
+import { EditJournal } from './lib/journal.js';
+import { createLatexCompiler } from './lib/latex.js';
+import { TransientStore, TRANSIENT_ID_PREFIX } from './lib/transientStore.js';
+import { UsageLog } from './lib/usage.js';
+import { resolveCitations, CITATION_INSTRUCTIONS } from './lib/citations.js';
+import { checkGrounding } from './lib/grounding.js';
+import { INTENTS, createDefaultIntentRouter } from './lib/intent.js';
+import { unifiedDiff } from './lib/diff.js';
+import { previewInsertText } from './lib/tools/insertText.js';
+import { previewReplaceText } from './lib/tools/replaceText.js';
+import { previewApplyPatch } from './lib/tools/applyPatch.js';
+import { previewDeleteRange } from './lib/tools/deleteRange.js';
+import htmlDocx from 'html-docx-js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Helpers
+function getSessionId(req) {
+  return (
+    req.headers['x-session-id'] ||
+    (typeof req.body?.sessionId === 'string' ? req.body.sessionId : null) ||
+    null
+  );
+}
+
+function buildPrompt(question, retrieved, history) {
+  const sourcesSection = retrieved
+    .map((r, i) => `SOURCE ${i + 1} [${formatCitation(r)}]:\n${r.text}`)
+    .join('\n\n');
+
+  // The conversation summary, if any, comes first as a system message
+  const historyLines = history
+    .map((h) => (h.role === 'system' ? h.content : `${h.role === 'user' ? 'User' : 'Assistant'}: ${h.content}`))
+    .join('\n');
+
+  return `You are a precise AI assistant. Use ONLY the provided sources to answer.
+If the answer is not contained in the sources, say you don't know.
+${CITATION_INSTRUCTIONS}
+
+Question:\n${question}\n\nChat History:\n${historyLines}\n\nSources:\n${sourcesSection}`;
+}
+
+function buildGeneralMessages(question, history) {
+  const historyMsgs = history.slice(-6).map(h => ({ role: h.role, content: h.content }));
+  return [
+    { role: 'system', content: 'You are a helpful AI assistant. Answer normally unless asked to cite documents.' },
+    ...historyMsgs,
+    { role: 'user', content: question }
+  ];
+}
+
+/**
+ * Send an error response, using the provider-mapped status for LLM failures
+ */
+function sendLLMError(res, err, fallbackMessage) {
+  if (err instanceof LLMError) {
+    return res.status(err.httpStatus).json({ error: `${fallbackMessage}: ${err.message}`, code: err.code, provider: err.provider });
+  }
+  return res.status(500).json({ error: fallbackMessage });
+}
+
+// Candidates handed to the reranker before keeping the best few
+const RERANK_CANDIDATES = Number(process.env.RERANK_CANDIDATES) || 20;
+// Share of a question's (IDF-weighted) terms a chunk must contain to count as relevant without being
+// semantically close; a single common word in common is not enough, a rare identifier usually is
+const MIN_LEXICAL_COVERAGE = 0.5;
+// How long a change waiting for approval is kept
+const PENDING_ACTION_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Shape a retrieved chunk for the `sources` array of a chat response
+ */
+function toSource(r) {
+  return {
+    filename: r.filename,
+    docId: r.docId,
+    score: r.score,
+    rerankScore: r.rerankScore ?? null,
+    text_preview: r.text.slice(0, 320) + (r.text.length > 320 ? '…' : ''),
+    page: r.page || null,
+    pageEnd: r.pageEnd || null,
+    sheet: r.sheet || null,
+    section: r.section || null,
+    lineStart: r.lineStart,
+    lineEnd: r.lineEnd
+  };
+}
+
+function isMeaningfulDocument(doc) {
+  if (!doc || typeof doc.content !== 'string') return false;
+  const t = doc.content.trim();
+  if (t.length < 30) return false;
+  if (t.startsWith('[Uploaded file:')) return false; // placeholder, not actual content
+  return true;
+}
+
+/**
+ * Open a Server-Sent Events response and return a writer for named events.
+ * Writes after the client has disconnected are dropped.
+ */
+function openEventStream(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders?.();
+
+  let closed = false;
+  res.on('close', () => { closed = true; });
+
+  return (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
+
+/**
+ * Build the Express app. Everything that touches disk or the network can be
+ * overridden, so tests can run against temp directories and a fake LLM.
+ * @param {object} [options]
+ * @param {string} [options.dataDir] - Defaults to server/data
+ * @param {string} [options.uploadDir] - Defaults to <dataDir>/uploads
+ * @param {string} [options.indexPath] - Defaults to <dataDir>/index.json
+ * @param {VectorStore} [options.vectorStore]
+ * @param {ConversationStore} [options.conversationStore] - Defaults to <dataDir>/conversations.jsonl
+ * @param {ConversationSummarizer} [options.summarizer] - Folds older turns of long conversations into a summary
+ * @param {UsageLog} [options.usageLog] - Token usage per request; defaults to <dataDir>/usage.jsonl
+ * @param {EditJournal} [options.journal] - History of server-side file edits; defaults to <dataDir>/history
+ * @param {JobQueue} [options.jobQueue] - Runs upload ingestion in the background
+ * @param {TransientStore} [options.transientStore] - Session-scoped store for documents attached inline to a chat
+ * @param {object} [options.latexCompiler] - Compiles LaTeX to PDF (see lib/latex.js); defaults to the TeX engine on PATH
+ * @param {object} [options.intentRouter] - Classifies agent chat messages (see lib/intent.js); defaults to INTENT_ROUTER
+ * @param {boolean} [options.watchUploads] - Re-index uploaded files edited outside the server (off by default)
+ * @param {object} [options.provider] - Fixed LLM provider, bypassing per-request provider selection
+ * @param {object} [options.reranker] - Reranker used when reranking is on (defaults to the local cross-encoder);
+ *   injecting one also turns reranking on unless a request sends `rerank: false`
+ * @returns {import('express').Express}
+ */
+export function createApp(options = {}) {
+  const app = express();
+
+  app.use(cors());
+  app.use(express.json({ limit: '10mb' }));
+
+  // Storage directories
+  const DATA_DIR = options.dataDir || path.join(__dirname, 'data');
+  const UPLOAD_DIR = options.uploadDir || path.join(DATA_DIR, 'uploads');
+  fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+  // Serve uploaded files
+  app.use('/uploads', express.static(UPLOAD_DIR));
+
+  // Init services
+  const vectorStore = options.vectorStore || new VectorStore(options.indexPath || path.join(DATA_DIR, 'index.json'));
+  const conversationStore = options.conversationStore || new ConversationStore(path.join(DATA_DIR, 'conversations.jsonl'));
+  const jobQueue = options.jobQueue || new JobQueue({ concurrency: Number(process.env.INGEST_CONCURRENCY) || 1 });
+  const usageLog = options.usageLog || new UsageLog(path.join(DATA_DIR, 'usage.jsonl'));
+  const summarizer = options.summarizer || new ConversationSummarizer({ conversationStore, usageLog });
+  app.locals.vectorStore = vectorStore;
+  app.locals.conversationStore = conversationStore;
+  app.locals.usageLog = usageLog;
+  // Every server-side write to an uploaded file goes through indexSync so its chunks stay current
+  // and the change is journaled
+  const journal = options.journal || new EditJournal(path.join(DATA_DIR, 'history'));
+  const indexSync = new IndexSync({ uploadDir: UPLOAD_DIR, vectorStore, journal });
+  if (options.watchUploads) indexSync.watch();
+  const transientStore = options.transientStore || new TransientStore({ embed: (text) => vectorStore._embed(text) });
+  const intentRouter = options.intentRouter || createDefaultIntentRouter({ embed: (text) => vectorStore._embed(text) });
+  const latexCompiler = options.latexCompiler || createLatexCompiler();
+  app.locals.jobQueue = jobQueue;
+  app.locals.transientStore = transientStore;
+
+  // Older versions wrote inline attachments to the main index and never removed them
+  const staleTransient = Object.keys(vectorStore.index.documents).filter(id => id.startsWith(TRANSIENT_ID_PREFIX));
+  if (staleTransient.length > 0) {
+    Promise.all(staleTransient.map(id => vectorStore.deleteDocument(id)))
+      .then(() => console.log(`🧹 Removed ${staleTransient.length} transient documents from the index`))
+      .catch(err => console.warn('⚠️  Failed to remove transient documents:', err.message));
+  }
+  app.locals.indexSync = indexSync;
+  app.locals.journal = journal;
+  app.locals.uploadDir = UPLOAD_DIR;
+
+  // File upload setup
+  const storage = multer.diskStorage({
+    destination: (_req, _file, cb) => cb(null, UPLOAD_DIR),
+    filename: (_req, file, cb) => cb(null, `${Date.now()}-${file.originalname}`)
+  });
+  const upload = multer({ 
+    storage,
+    limits: { fileSize: 50 * 1024 * 1024 }, // 50MB limit
+    fileFilter: (_req, file, cb) => {
+      // Accept all file types for now
+      cb(null, true);
+    }
+  });
+
+  // An injected provider wins over per-request selection
+  const pickLLM = (req) => {
+    if (!options.provider) return resolveLLM(req);
+    return { provider: options.provider, model: req.body?.model || options.provider.defaultModel };
+  };
+
+  // Approval of file changes is opt-in (AGENT_APPROVAL env var) and can be toggled per request with `approval`
+  const approvalRequested = (req) => {
+    const requested = req.body?.approval;
+    return typeof requested === 'boolean' ? requested : /^(1|true|yes|on)$/i.test(process.env.AGENT_APPROVAL || '');
+  };
+  // Agent loops paused until the user approves or rejects a file change, by action id
+  const pendingActions = new Map();
+
+  // Changes nobody decided on within the TTL are dropped; their turn is still saved to the conversation
+  const expirePendingActions = () => {
+    for (const [id, pending] of pendingActions) {
+      if (Date.now() - pending.createdAt <= PENDING_ACTION_TTL_MS) continue;
+      pendingActions.delete(id);
+      const { sessionId, message } = pending.turn;
+      const { tool, filename } = pending.state.pendingAction;
+      console.log(`⌛ Approval of ${tool} on ${filename} expired undecided`);
+      if (sessionId) {
+        const note = `(The proposed ${tool} change to ${filename} was not decided on and expired; it was not applied.)`;
+        conversationStore.append(sessionId, { role: 'user', content: message }, {
+          role: 'assistant',
+          content: pending.response ? `${pending.response}\n\n${note}` : note,
+          sources: pending.sources
+        });
+      }
+    }
+  };
+
+  // Reranking is opt-in (RERANK env var or an injected reranker) and can be toggled per request with `rerank`
+  let reranker = options.reranker || null;
+  const pickReranker = (req) => {
+    const requested = req.body?.rerank;
+    const enabled = typeof requested === 'boolean' ? requested : Boolean(options.reranker) || rerankingEnabledByDefault();
+    if (!enabled) return null;
+    if (!reranker) reranker = createCrossEncoderReranker();
+    return reranker;
+  };
+
+  // Inline attachments live in the transient store and are only searched when a request is restricted to them.
+  // A restriction naming both attachments and indexed documents searches each store for its own ids and
+  // merges the hits by similarity (`score` is the cosine similarity in both).
+  const search = async (query, topK, restrictDocIds) => {
+    const attachmentIds = restrictDocIds?.filter(id => transientStore.has(id)) || [];
+    if (attachmentIds.length === 0) return vectorStore.search(query, topK, restrictDocIds);
+    const indexedIds = restrictDocIds.filter(id => !attachmentIds.includes(id));
+    const [attached, indexed] = await Promise.all([
+      transientStore.search(query, topK, attachmentIds),
+      indexedIds.length > 0 ? vectorStore.search(query, topK, indexedIds) : []
+    ]);
+    return [...attached, ...indexed].sort((a, b) => b.score - a.score).slice(0, topK);
+  };
+
+  /**
+   * Chat history for a session; once it outgrows its token budget, older turns are first folded
+   * into the conversation summary. A failed summarization falls back to the full history.
+   */
+  const loadHistory = async (req, sessionId, signal) => {
+    if (!sessionId) return [];
+    if (summarizer.needsSummary(sessionId)) {
+      try {
+        const { provider, model } = pickLLM(req);
+        await summarizer.summarize(sessionId, { provider, model, signal });
+      } catch (err) {
+        console.warn(`⚠️  Failed to summarize conversation ${sessionId}:`, err.message);
+      }
+    }
+    return conversationStore.getHistory(sessionId);
+  };
+
+  // Sent with each answer so clients can show the summary without fetching the whole conversation
+  const conversationSummary = (sessionId) => (sessionId && conversationStore.get(sessionId)?.summary) || null;
+
+  /**
+   * Search for a request's passages, then rerank a wider candidate set when reranking is on.
+   * A reranker that fails (say, its model cannot be downloaded) leaves the retrieval order; the
+   * failure is logged once until reranking works again rather than on every request.
+   */
+  let rerankFailing = false;
+  const retrieve = async (req, query, topK, restrictDocIds) => {
+    const activeReranker = pickReranker(req);
+    if (!activeReranker) return search(query, topK, restrictDocIds);
+    const candidates = await search(query, Math.max(topK, RERANK_CANDIDATES), restrictDocIds);
+    try {
+      const reranked = await activeReranker.rerank(query, candidates, { topK });
+      rerankFailing = false;
+      return reranked;
+    } catch (err) {
+      if (!rerankFailing) console.warn('⚠️  Reranking failed, keeping retrieval order:', err.message);
+      rerankFailing = true;
+      return candidates.slice(0, topK);
+    }
+  };
+
+  /**
+   * Resolve an answer's citation markers against the chunks retrieved for it (free-text labels for
+   * passages the agent read with tools are looked up in the index), then check each cited claim
+   * against the passages it cites
+   */
+  const cite = (answer, retrieved) => {
+    const { chunks } = vectorStore.index;
+    const { text, citations } = resolveCitations(answer, retrieved, { chunks });
+    return { text, citations, grounding: checkGrounding(text, citations, { sources: retrieved, chunks }) };
+  };
+
+  // Routes
+  app.get('/api/health', (_req, res) => {
+    let llm = null;
+    try {
+      const provider = options.provider || getProvider();
+      llm = { provider: provider.name, model: provider.defaultModel, configured: provider.configured };
+    } catch (err) {
+      llm = { error: err.message };
+    }
+    res.json({
+      status: 'ok',
+      rag_enabled: true,
+      document_count: vectorStore.countDocuments(),
+      groqConfigured: Boolean(process.env.GROQ_API_KEY),
+      llm
+    });
+  });
+
+  app.post('/api/session/reset', (req, res) => {
+    try {
+      const sessionId = getSessionId(req);
+      if (sessionId) {
+        conversationStore.delete(sessionId);
+        transientStore.clearSession(sessionId);
+      }
+      res.json({ status: 'cleared' });
+    } catch (err) {
+      console.error('Session reset error:', err);
+      res.status(500).json({ error: 'Failed to reset session' });
+    }
+  });
+
+  // Token usage and estimated cost of model requests, per session and per day
+  app.get('/api/usage', (req, res) => {
+    const { sessionId, from, to, limit } = req.query;
+    const isDay = (value) => value === undefined || /^\d{4}-\d{2}-\d{2}$/.test(value);
+    if (!isDay(from) || !isDay(to)) return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+    res.json(usageLog.summary({
+      sessionId: typeof sessionId === 'string' ? sessionId : undefined,
+      from,
+      to,
+      limit: Math.min(Number(limit) || 20, 500)
+    }));
+  });
+
+  // Conversations are keyed by the session id the client sends with each chat request
+  app.get('/api/conversations', (_req, res) => {
+    res.json({ conversations: conversationStore.list() });
+  });
+
+  app.get('/api/conversations/:id', (req, res) => {
+    const conversation = conversationStore.get(req.params.id);
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+    res.json(conversation);
+  });
+
+  app.patch('/api/conversations/:id', (req, res) => {
+    try {
+      const title = typeof req.body?.title === 'string' ? req.body.title.trim() : '';
+      if (!title) return res.status(400).json({ error: 'title required' });
+      const conversation = conversationStore.rename(req.params.id, title);
+      if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+      res.json(conversation);
+    } catch (err) {
+      console.error('Conversation rename error:', err);
+      res.status(500).json({ error: 'Failed to rename conversation' });
+    }
+  });
+
+  // The running summary the model sees in place of older turns; users can correct it
+  app.put('/api/conversations/:id/summary', (req, res) => {
+    try {
+      const content = typeof req.body?.content === 'string' ? req.body.content.trim() : '';
+      if (!content) return res.status(400).json({ error: 'content required' });
+      const summary = conversationStore.setSummary(req.params.id, content, { edited: true });
+      if (!summary) return res.status(404).json({ error: 'Conversation not found' });
+      res.json(summary);
+    } catch (err) {
+      console.error('Conversation summary error:', err);
+      res.status(500).json({ error: 'Failed to save summary' });
+    }
+  });
+
+  app.delete('/api/conversations/:id', (req, res) => {
+    try {
+      if (!conversationStore.delete(req.params.id)) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+      transientStore.clearSession(req.params.id);
+      res.json({ status: 'deleted', id: req.params.id });
+    } catch (err) {
+      console.error('Conversation delete error:', err);
+      res.status(500).json({ error: 'Failed to delete conversation' });
+    }
+  });
+
+  const removeUpload = (savedFilename) => {
+    const filePath = path.join(UPLOAD_DIR, savedFilename);
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+  };
+
+  // Uploads are ingested (parsed, chunked, embedded, persisted) by a background job;
+  // clients poll GET /api/jobs/:id for progress. Contents already indexed are not indexed
+  // again, and a file uploaded under the name of an indexed document becomes its new version.
+  app.post('/api/documents/upload', upload.single('file'), (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+      }
+
+      // Use the actual saved filename (with timestamp) for indexing
+      const savedFilename = req.file.filename;
+      const { path: filePath, originalname: originalName } = req.file;
+      const contentHash = sha256(fs.readFileSync(filePath));
+
+      const duplicate = vectorStore.findDocument(doc => doc.contentHash === contentHash)
+        || jobQueue.active(job => job.contentHash === contentHash)[0];
+      if (duplicate) {
+        removeUpload(savedFilename);
+        const existing = duplicate.docId
+          ? { id: duplicate.docId, filename: duplicate.filename, jobId: duplicate.id }
+          : { id: duplicate.id, filename: duplicate.filename };
+        console.log(`♻️  ${originalName} is identical to ${existing.filename}, not indexing it again`);
+        return res.json({ ...existing, status: 'duplicate' });
+      }
+
+      const previousVersion = vectorStore.findDocument(doc => doc.originalName === originalName)
+        || jobQueue.active(job => job.originalName === originalName).at(-1);
+      const docId = previousVersion ? previousVersion.docId || previousVersion.id : uuidv4();
+
+      console.log(`📄 Queued upload: ${originalName}${previousVersion ? ' (new version)' : ''}`);
+      console.log(`   MIME type: ${req.file.mimetype}`);
+      console.log(`   Saved as: ${savedFilename}`);
+      console.log(`   Size: ${req.file.size} bytes`);
+
+      const job = jobQueue.enqueue(
+        { type: 'ingest', docId, filename: savedFilename, originalName, contentHash },
+        async ({ signal, report }) => {
+          report('parsing');
+          const parsed = await parseUploadedFile(filePath, originalName, { signal });
+          console.log(`   Extracted ${parsed.segments.length} segments from ${originalName}`);
+
+          report('embedding', 0, parsed.segments.length);
+          const previous = vectorStore.index.documents[docId];
+          const version = (previous?.version || 0) + 1;
+          const stats = await vectorStore.indexDocument({
+            id: docId,
+            filename: savedFilename,
+            segments: parsed.segments.map(seg => ({ ...seg, filename: savedFilename })),
+            metadata: { originalName, contentHash, version, ...(parsed.ocr && { ocr: parsed.ocr }) }
+          }, {
+            signal,
+            onProgress: (done, total) => report('embedding', done, total)
+          });
+          // The document now points at the new file; the old one goes with its edit history
+          if (previous && previous.filename !== savedFilename) {
+            removeUpload(previous.filename);
+            journal.forget(previous.filename);
+          }
+
+          console.log(`✅ Indexed document: ${savedFilename} (${docId}, version ${version}, ${stats.embedded} chunks embedded, ${stats.reused} reused)`);
+          return { id: docId, filename: savedFilename, version, ...stats, ...(parsed.ocr && { ocr: parsed.ocr }) };
+        },
+        {
+          // A cancelled upload leaves nothing behind; indexing is all-or-nothing, so only the file remains
+          onCancel: () => {
+            removeUpload(savedFilename);
+            console.log(`🛑 Cancelled ingestion of ${savedFilename}`);
+          }
+        }
+      );
+
+      res.status(202).json({ jobId: job.id, id: docId, status: 'queued', filename: savedFilename });
+    } catch (err) {
+      console.error('Upload error:', err);
+      res.status(500).json({ error: 'Failed to queue file', details: err.message });
+    }
+  });
+
+  app.get('/api/jobs', (_req, res) => {
+    res.json({ jobs: jobQueue.list() });
+  });
+
+  app.get('/api/jobs/:id', (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json(job);
+  });
+
+  app.post('/api/jobs/:id/cancel', (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (!jobQueue.cancel(job.id)) {
+      return res.status(409).json({ error: `Job already ${job.status}`, job });
+    }
+    res.json(job);
+  });
+
+  app.post('/api/documents/index', async (req, res) => {
+    try {
+      const { filename, content } = req.body || {};
+      if (!filename || !content) return res.status(400).json({ error: 'filename and content required' });
+      const parsed = await parseTextDirect(content, filename);
+      const docId = uuidv4();
+      await vectorStore.indexDocument({ id: docId, filename, segments: parsed.segments });
+      res.json({ id: docId, status: 'indexed' });
+    } catch (err) {
+      console.error('Index error:', err);
+      res.status(500).json({ error: 'Failed to index document' });
+    }
+  });
+
+  app.post('/api/documents/index-batch', async (req, res) => {
+    try {
+      const documents = Array.isArray(req.body) ? req.body : [];
+      let count = 0;
+      for (const doc of documents) {
+        if (!doc.filename || !doc.content) continue;
+        const parsed = await parseTextDirect(doc.content, doc.filename);
+        const docId = uuidv4();
+        await vectorStore.indexDocument({ id: docId, filename: doc.filename, segments: parsed.segments });
+        count += 1;
+      }
+      res.json({ count });
+    } catch (err) {
+      console.error('Batch index error:', err);
+      res.status(500).json({ error: 'Failed to batch index documents' });
+    }
+  });
+
+  app.post('/api/documents/clear-all', async (req, res) => {
+    try {
+      for (const job of jobQueue.active()) jobQueue.cancel(job.id);
+
+      // Clear vector store
+      vectorStore.clear();
+
+      // Delete all files in uploads directory
+      const files = fs.readdirSync(UPLOAD_DIR);
+      let deletedCount = 0;
+      for (const file of files) {
+        try {
+          const filePath = path.join(UPLOAD_DIR, file);
+          const stats = fs.statSync(filePath);
+          if (stats.isFile()) {
+            fs.unlinkSync(filePath);
+            journal.forget(file);
+            deletedCount++;
+          }
+        } catch (err) {
+          console.warn(`Failed to delete ${file}:`, err.message);
+        }
+      }
+
+      console.log(`🗑️  Cleared all documents: ${deletedCount} files deleted, vector store cleared`);
+      res.json({ success: true, deletedFiles: deletedCount, message: 'All documents and index cleared successfully' });
+    } catch (err) {
+      console.error('Clear all error:', err);
+      res.status(500).json({ error: 'Failed to clear documents' });
+    }
+  });
+
+  app.delete('/api/documents/:docIdOrFilename', async (req, res) => {
+    try {
+      const { docIdOrFilename } = req.params;
+      const filename = vectorStore.index.documents[docIdOrFilename]?.filename || path.basename(docIdOrFilename);
+
+      // Stop ingestion of a document that is still queued or being indexed
+      const ingesting = jobQueue.active(job => job.docId === docIdOrFilename || job.filename === docIdOrFilename);
+      for (const job of ingesting) jobQueue.cancel(job.id);
+
+      // Delete from vector store
+      const deleted = await vectorStore.deleteDocument(docIdOrFilename);
+
+      if (!deleted && ingesting.length === 0) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+
+      // Try to delete the physical file
+      const filePath = path.join(UPLOAD_DIR, filename);
+      try {
+        if (fs.existsSync(filePath)) {
+          fs.unlinkSync(filePath);
+          console.log(`🗑️  Deleted file: ${filePath}`);
+        }
+      } catch (fileErr) {
+        console.warn(`⚠️  Could not delete physical file: ${filePath}`, fileErr.message);
+      }
+      journal.forget(filename);
+
+      res.json({ success: true, docId: docIdOrFilename });
+    } catch (err) {
+      console.error('Delete error:', err);
+      res.status(500).json({ error: 'Failed to delete document' });
+    }
+  });
+
+  app.post('/api/documents/export-docx', (req, res) => {
+    try {
+      const { html, fileName } = req.body || {};
+      if (typeof html !== 'string' || !html.trim()) {
+        return res.status(400).json({ error: 'html content is required' });
+      }
+
+      const requestedName = typeof fileName === 'string' && fileName.trim().length > 0
+        ? fileName.trim()
+        : 'document.docx';
+      const ensuredName = requestedName.toLowerCase().endsWith('.docx') ? requestedName : `${requestedName}.docx`;
+      const safeFileName = ensuredName.replace(/[^a-zA-Z0-9_.-]/g, '_');
+
+      const base64Doc = htmlDocx.asBase64(html);
+      const buffer = Buffer.from(base64Doc, 'base64');
+
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+      res.setHeader('Content-Disposition', `attachment; filename="${safeFileName}"`);
+      res.send(buffer);
+    } catch (err) {
+      console.error('DOCX export error:', err);
+      res.status(500).json({ error: 'Failed to export DOCX' });
+    }
+  });
+
+  app.get('/api/documents/search', async (req, res) => {
+    try {
+      const query = String(req.query.query || '');
+      const topK = Number(req.query.top_k || 5);
+      const mode = String(req.query.mode || 'hybrid');
+      if (!query) return res.status(400).json({ error: 'query required' });
+      if (!SEARCH_MODES.includes(mode)) {
+        return res.status(400).json({ error: `mode must be one of ${SEARCH_MODES.join(', ')}` });
+      }
+      const results = await vectorStore.search(query, topK, undefined, { mode });
+      res.json({ mode, results: results.map(r => ({
+        filename: r.filename,
+        score: r.score,
+        lexicalScore: r.lexicalScore ?? null,
+        fusedScore: r.fusedScore ?? null,
+        docId: r.docId,
+        text: r.text,
+        page: r.page || null,
+        pageEnd: r.pageEnd || null,
+        sheet: r.sheet || null,
+        section: r.section || null,
+        lineStart: r.lineStart,
+        lineEnd: r.lineEnd
+      })) });
+    } catch (err) {
+      console.error('Search error:', err);
+      res.status(500).json({ error: 'Failed to search' });
+    }
+  });
+
+  app.post('/api/rag/query', async (req, res) => {
+    try {
+      const startedAt = Date.now();
+      const { query, documentIds } = req.body || {};
+      if (!query) return res.status(400).json({ error: 'query required' });
+      const sessionId = getSessionId(req);
+      const retrieved = await retrieve(req, query, 5, documentIds);
+      const history = await loadHistory(req, sessionId);
+      const prompt = buildPrompt(query, retrieved, history);
+      const { provider, model } = pickLLM(req);
+
+      const completion = await provider.complete({
+        model,
+        temperature: 0.2,
+        maxTokens: 800,
+        messages: [
+          { role: 'system', content: 'Follow instructions precisely and include citations.' },
+          { role: 'user', content: prompt }
+        ]
+      });
+
+      usageLog.record({ sessionId, route: 'rag', provider: provider.name, model, usage: completion.usage, latencyMs: Date.now() - startedAt });
+      const { text: answer, citations, grounding } = cite(completion.message?.content || '', retrieved);
+      const sources = retrieved.map(toSource);
+      if (sessionId) conversationStore.append(sessionId, { role: 'user', content: query }, { role: 'assistant', content: answer, sources, citations, grounding });
+
+      res.json({
+        response: answer,
+        timestamp: new Date().toISOString(),
+        sources,
+        citations,
+        grounding
+      });
+    } catch (err) {
+      console.error('RAG query error:', err);
+      sendLLMError(res, err, 'RAG query failed');
+    }
+  });
+
+  app.post('/api/chat', async (req, res) => {
+    try {
+      const startedAt = Date.now();
+      const { message, use_rag = false, top_k = 5 } = req.body || {};
+      if (!message) return res.status(400).json({ error: 'message required' });
+      const sessionId = getSessionId(req);
+      const history = await loadHistory(req, sessionId);
+
+      let retrieved = [];
+      if (use_rag) {
+        retrieved = await vectorStore.search(message, Number(top_k) || 5);
+      }
+      const prompt = buildPrompt(message, retrieved, history);
+      const { provider, model } = pickLLM(req);
+
+      const completion = await provider.complete({
+        model,
+        temperature: 0.3,
+        maxTokens: 800,
+        messages: [
+          { role: 'system', content: 'Be helpful and cite sources when available.' },
+          { role: 'user', content: prompt }
+        ]
+      });
+
+      usageLog.record({ sessionId, route: 'chat', provider: provider.name, model, usage: completion.usage, latencyMs: Date.now() - startedAt });
+      const { text: answer, citations, grounding } = cite(completion.message?.content || '', retrieved);
+      if (sessionId) conversationStore.append(sessionId, { role: 'user', content: message }, { role: 'assistant', content: answer, citations, grounding });
+
+      res.json({ response: answer, timestamp: new Date().toISOString(), citations, grounding });
+    } catch (err) {
+      console.error('Chat error:', err);
+      sendLLMError(res, err, 'Chat failed');
+    }
+  });
+
+
+  /**
+   * Answer an agent request that failed, as an SSE `error` frame once streaming has started
+   */
+  function failAgentRequest(res, sendEvent, err) {
+    console.error('Agent chat error:', err);
+    console.error('Error stack:', err.stack);
+    const errorMessage = err instanceof Error ? err.message : String(err);
+    const code = err instanceof LLMError ? err.code : undefined;
+    // Set when a document did not fit the model's context window
+    const document = err instanceof LLMError ? err.document || undefined : undefined;
+    if (sendEvent) {
+      sendEvent('error', { error: `Agent chat failed: ${errorMessage}`, code, document });
+      res.end();
+    } else {
+      const status = err instanceof LLMError ? err.httpStatus : 500;
+      res.status(status).json({ error: `Agent chat failed: ${errorMessage}`, code, document });
+    }
+  }
+
+  /**
+   * Response for one run of the agent loop. A run that paused for approval is kept until the user
+   * decides (see /api/agent/actions/:id); the exchange is saved to the conversation once the agent answers.
+   * @param {object} turn - What the request decided before the loop ran (sessionId, message, retrieved, ...)
+   * @param {object} result - From runAgentLoop or resumeAgentLoop
+   */
+  function agentTurnPayload(turn, { response: rawAnswer, toolCalls, createdFiles, usage, pendingAction, state }) {
+    const { sessionId, message, retrieved, hasRelevantDocs, isWorkspaceListing, provider, model } = turn;
+    usageLog.record({
+      sessionId,
+      route: 'agent',
+      provider: provider.name,
+      model: model || provider.defaultModel,
+      usage,
+      latencyMs: Date.now() - turn.startedAt,
+      // The log of a resumed loop starts with the calls of the runs before it
+      toolCalls: (toolCalls?.length || 0) - (turn.loggedToolCalls || 0)
+    });
+
+    // For meta-questions (workspace listing), don't include sources and don't mark as general knowledge
+    const shouldIncludeSources = !isWorkspaceListing;
+    const shouldMarkAsGeneralKnowledge = !hasRelevantDocs && !isWorkspaceListing;
+    const sources = shouldIncludeSources ? retrieved.map(toSource) : [];
+
+    if (pendingAction) {
+      expirePendingActions();
+      pendingActions.set(pendingAction.id, {
+        turn: { ...turn, loggedToolCalls: toolCalls?.length || 0 },
+        state,
+        response: rawAnswer,
+        sources,
+        createdAt: Date.now()
+      });
+      console.log(`⏸️  Waiting for approval of ${pendingAction.tool} on ${pendingAction.filename} (+${pendingAction.additions} -${pendingAction.deletions})`);
+      return {
+        response: rawAnswer,
+        timestamp: new Date().toISOString(),
+        sources,
+        citations: [],
+        grounding: null,
+        toolCalls: toolCalls || [],
+        createdFiles: createdFiles || [],
+        pendingAction,
+        usedGeneralKnowledge: shouldMarkAsGeneralKnowledge,
+        summary: conversationSummary(sessionId),
+        usage
+      };
+    }
+
+    const { text: answer, citations, grounding } = shouldIncludeSources
+      ? cite(rawAnswer, retrieved)
+      : { text: rawAnswer, citations: [], grounding: null };
+    if (sessionId) conversationStore.append(sessionId, { role: 'user', content: message }, { role: 'assistant', content: answer, sources, citations, grounding });
+
+    return {
+      response: answer,
+      timestamp: new Date().toISOString(),
+      sources,
+      citations,
+      grounding,
+      toolCalls: toolCalls || [],
+      createdFiles: createdFiles || [],
+      usedGeneralKnowledge: shouldMarkAsGeneralKnowledge,
+      summary: conversationSummary(sessionId),
+      usage
+    };
+  }
+
+  /**
+   * Shared handler for /api/agent/chat (single JSON response) and
+   * /api/agent/chat/stream (SSE: token, tool_start, tool_end, created_file, done).
+   * With `approval` on, a file change the agent wants to make comes back as `pendingAction` instead.
+   */
+  async function handleAgentChat(req, res, { stream = false } = {}) {
+    const startedAt = Date.now();
+    let sendEvent = null;
+    // Transient-store key for an inline attachment sent without a session
+    let requestScopedKey = null;
+    const abortController = new AbortController();
+    res.on('close', () => abortController.abort());
+
+    // In streaming mode the final payload is the `done` frame; otherwise a plain JSON body
+    const finish = (payload) => {
+      if (sendEvent) {
+        sendEvent('done', payload);
+        res.end();
+      } else {
+        res.json(payload);
+      }
+    };
+
+    try {
+      const { message, document, documentIds } = req.body || {};
+      if (!message) return res.status(400).json({ error: 'message required' });
+      const sessionId = getSessionId(req);
+      if (stream) {
+        sendEvent = openEventStream(req, res);
+      }
+      const emit = sendEvent ? (event) => sendEvent(event.type, event) : undefined;
+      const history = await loadHistory(req, sessionId, abortController.signal);
+
+      // One routing decision drives retrieval here and tools, length and temperature in the agent loop
+      const { provider, model } = pickLLM(req);
+      const workspaceFiles = fs.readdirSync(UPLOAD_DIR, { withFileTypes: true }).filter(e => e.isFile()).map(e => e.name);
+      const intent = await intentRouter.route(message, {
+        workspaceFiles,
+        provider,
+        model,
+        onCompletion: (completion, latencyMs) => usageLog.record({
+          sessionId, route: 'intent', provider: provider.name, model: model || provider.defaultModel, usage: completion.usage, latencyMs
+        })
+      });
+      console.log(`🧭 Intent: ${intent.type} (${intent.router}, ${intent.confidence.toFixed(2)})${intent.documents.length ? ` naming ${intent.documents.join(', ')}` : ''}`);
+      const isWorkspaceListing = intent.type === INTENTS.WORKSPACE_LISTING;
+
+      // Workspace listings are answered from list_dir directly, without the model
+      if (isWorkspaceListing) {
+        try {
+          const { listDir } = await import('./lib/tools/listDir.js');
+          emit?.({ type: 'tool_start', id: 'list_dir', name: 'list_dir', args: { target_directory: '.' } });
+          const fileList = await listDir({ target_directory: '.', recursive: false }, { uploadsDir: UPLOAD_DIR });
+
+          // Format the file list nicely
+          const files = fileList.split('\n').filter(f => f.trim());
+          const formattedFiles = files.map(file => {
+            // Remove timestamp prefix if present (format: timestamp-filename)
+            const match = file.match(/^\d+-(.+)$/);
+            return match ? match[1] : file;
+          });
+
+          const formattedList = formattedFiles.length > 0
+            ? `Here are the documents in your workspace:\n\n${formattedFiles.map(f => `• ${f}`).join('\n')}`
+            : 'Your workspace is empty. Upload some documents to get started!';
+          emit?.({ type: 'tool_end', id: 'list_dir', name: 'list_dir', output: fileList, error: false });
+
+          if (sessionId) conversationStore.append(sessionId, { role: 'user', content: message }, { role: 'assistant', content: formattedList });
+
+          return finish({
+            response: formattedList,
+            timestamp: new Date().toISOString(),
+            sources: [],
+            toolCalls: [{ name: 'list_dir', args: { target_directory: '.' } }],
+            usedGeneralKnowledge: false,
+            summary: conversationSummary(sessionId)
+          });
+        } catch (toolErr) {
+          console.error('Error calling list_dir:', toolErr);
+          // Fall through to normal agent flow if tool fails
+        }
+      }
+
+      // Documents the message names are searched instead of the open one; a synthesis across documents
+      // searches the whole workspace
+      let restrictDocIds = Array.isArray(documentIds) && documentIds.length > 0 ? documentIds : undefined;
+      if (intent.documents.length > 0) {
+        const named = intent.documents.map(name => vectorStore.findDocument(d => d.filename === name)?.id).filter(Boolean);
+        restrictDocIds = named.length > 0 ? named : undefined;
+      } else if (intent.type === INTENTS.CROSS_DOCUMENT) {
+        restrictDocIds = undefined;
+      }
+      let useRag = Boolean(restrictDocIds);
+
+      // A document attached inline is embedded into the session's transient store, not the main index;
+      // without a session it only lives for this request
+      if (!useRag && document?.filename && isMeaningfulDocument(document)) {
+        const parsed = await parseTextDirect(document.content, document.filename);
+        if (!sessionId) requestScopedKey = `request-${uuidv4()}`;
+        const docId = await transientStore.add(sessionId || requestScopedKey, {
+          filename: document.filename,
+          segments: parsed.segments,
+          contentHash: sha256(document.content)
+        });
+        restrictDocIds = [docId];
+        useRag = true;
+      }
+
+      // If no specific document context, search all documents for relevant content
+      let retrieved = [];
+      let hasRelevantDocs = true;
+
+      // Skip RAG for meta-questions - let tools handle workspace exploration
+      if (!useRag && !isWorkspaceListing) {
+        // Search across all documents in the vector store (semantic + BM25, fused)
+        // With reranking on, candidates come back ordered by rerank score
+        const allDocsSearch = await retrieve(req, message, 10); // Get more results
+
+        console.log(`🔍 Search results for "${message}":`, allDocsSearch.map(r => ({
+          filename: r.filename,
+          score: r.score.toFixed(3),
+          lexical: r.lexicalScore.toFixed(3),
+          coverage: r.lexicalCoverage.toFixed(2),
+          rerank: r.rerankScore?.toFixed(3),
+          preview: r.text.slice(0, 100)
+        })));
+
+        // A chunk is relevant if it is semantically close or contains enough of the question's terms
+        // (cell references, equation labels and names rarely embed well)
+        const relevantDocs = allDocsSearch.filter(r => r.score > 0.3 || r.lexicalCoverage >= MIN_LEXICAL_COVERAGE);
+
+        if (relevantDocs.length > 0) {
+          retrieved = relevantDocs.slice(0, 5); // Take top 5
+          useRag = true;
+          console.log(`📚 Found ${relevantDocs.length} relevant documents (using top ${retrieved.length})`);
+        } else if (allDocsSearch.length > 0) {
+          // Even if scores are low, use the best matches we have
+          retrieved = allDocsSearch.slice(0, 3);
+          useRag = true;
+          console.log(`📚 Using ${retrieved.length} best matches (low scores but available)`);
+        } else {
+          // No documents found at all
+          hasRelevantDocs = false;
+          console.log(`💭 No documents found in vector store. Total documents: ${vectorStore.countDocuments()}`);
+        }
+      } else {
+        // Retrieve RAG sources with document restriction
+        retrieved = await retrieve(req, message, 5, restrictDocIds);
+        console.log(`📚 Retrieved ${retrieved.length} documents from restricted set`);
+      }
+
+      // Determine active document filename from retrieved sources or inline document
+      let activeDocumentName = null;
+      if (retrieved.length > 0) {
+        // Use the filename from the first retrieved chunk
+        activeDocumentName = retrieved[0].filename;
+      } else if (document?.filename) {
+        activeDocumentName = document.filename;
+      } else if (restrictDocIds && restrictDocIds.length > 0) {
+        // Try to get filename from vector store document
+        const docMeta = vectorStore.index.documents[restrictDocIds[0]];
+        if (docMeta) activeDocumentName = docMeta.filename;
+      }
+
+      // Run agent loop with tools + RAG
+      // Pass information about mentioned documents to help agent find them
+      const result = await runAgentLoop({
+        message,
+        history,
+        retrieved,
+        provider,
+        model,
+        uploadsDir: UPLOAD_DIR,
+        activeDocument: activeDocumentName,
+        hasRelevantDocs,
+        intent,
+        vectorStore: vectorStore,
+        indexSync,
+        approval: approvalRequested(req),
+        sessionId,
+        onEvent: emit,
+        signal: abortController.signal
+      });
+
+      finish(agentTurnPayload({ sessionId, message, retrieved, hasRelevantDocs, isWorkspaceListing, provider, model, startedAt }, result));
+    } catch (err) {
+      failAgentRequest(res, sendEvent, err);
+    } finally {
+      if (requestScopedKey) transientStore.clearSession(requestScopedKey);
+    }
+  }
+
+  app.post('/api/agent/chat', (req, res) => handleAgentChat(req, res));
+
+  app.post('/api/agent/chat/stream', (req, res) => handleAgentChat(req, res, { stream: true }));
+
+  /**
+   * Approve or reject the file change an agent loop paused for ({ approved: boolean, reason?: string }),
+   * then let the agent carry on. Only the session the loop ran in can decide. Answers like
+   * /api/agent/chat, or its stream variant.
+   */
+  async function handleAgentAction(req, res, { stream = false } = {}) {
+    const startedAt = Date.now();
+    const { approved, reason } = req.body || {};
+    if (typeof approved !== 'boolean') return res.status(400).json({ error: 'approved must be true or false' });
+    expirePendingActions();
+    const pending = pendingActions.get(req.params.id);
+    // Another session's change is reported like a missing one
+    if (!pending || (pending.turn.sessionId || null) !== getSessionId(req)) {
+      return res.status(404).json({ error: 'No change is waiting for approval with this id' });
+    }
+    pendingActions.delete(req.params.id);
+
+    let sendEvent = null;
+    const abortController = new AbortController();
+    res.on('close', () => abortController.abort());
+    try {
+      if (stream) {
+        sendEvent = openEventStream(req, res);
+      }
+      const { tool, filename } = pending.state.pendingAction;
+      console.log(`${approved ? '✅ Approved' : '🚫 Rejected'} ${tool} on ${filename}`);
+      const result = await resumeAgentLoop(pending.state, { approved, reason }, {
+        onEvent: sendEvent ? (event) => sendEvent(event.type, event) : undefined,
+        signal: abortController.signal
+      });
+      const payload = agentTurnPayload({ ...pending.turn, startedAt }, result);
+      if (sendEvent) {
+        sendEvent('done', payload);
+        res.end();
+      } else {
+        res.json(payload);
+      }
+    } catch (err) {
+      failAgentRequest(res, sendEvent, err);
+    }
+  }
+
+  app.post('/api/agent/actions/:id', (req, res) => handleAgentAction(req, res));
+
+  app.post('/api/agent/actions/:id/stream', (req, res) => handleAgentAction(req, res, { stream: true }));
+
+  /**
+   * REST counterpart of an edit tool (body: the tool's arguments, plus an optional `reason` for the
+   * history). The tool's dry run validates the edit, which is then written; an indexed file is
+   * re-indexed, re-embedding only the chunks the edit touched.
+   */
+  const fileEditRoute = (route, operation, preview, { defaultReason } = {}) => app.post(route, async (req, res) => {
+    const { filename } = req.body || {};
+    if (!filename) {
+      return res.status(400).json({ error: 'filename is required' });
+    }
+    const safeName = path.basename(filename);
+    if (!fs.existsSync(path.join(UPLOAD_DIR, safeName))) {
+      return res.status(404).json({ error: `File not found: ${safeName}` });
+    }
+
+    let edit;
+    try {
+      edit = await preview(req.body, { uploadsDir: UPLOAD_DIR });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    try {
+      const { reason } = req.body;
+      const reindexed = await indexSync.writeFile(edit.filename, edit.after, {
+        change: { actor: 'user', operation, reason: typeof reason === 'string' && reason ? reason : defaultReason }
+      });
+      const { additions, deletions } = unifiedDiff(edit.before, edit.after);
+      res.json({
+        success: true,
+        message: `Updated ${edit.filename} (+${additions} -${deletions} lines)`,
+        filename: edit.filename,
+        additions,
+        deletions,
+        version: journal.currentVersion(edit.filename),
+        reindexed
+      });
+    } catch (err) {
+      console.error(`Edit error (${route}):`, err);
+      res.status(500).json({ error: `Failed to edit ${safeName}: ${err.message}` });
+    }
+  });
+
+  fileEditRoute('/api/documents/insert-text', 'insert_text', previewInsertText, { defaultReason: 'Insertion' });
+  fileEditRoute('/api/documents/replace-text', 'replace_text', previewReplaceText);
+  fileEditRoute('/api/documents/apply-patch', 'apply_patch', previewApplyPatch);
+  fileEditRoute('/api/documents/delete-range', 'delete_range', previewDeleteRange);
+
+  // Saved filename of a document given by docId or filename
+  const documentFilename = (docIdOrFilename) => (
+    vectorStore.index.documents[docIdOrFilename]?.filename || path.basename(docIdOrFilename)
+  );
+
+  app.get('/api/documents/:docIdOrFilename/history', (req, res) => {
+    const filename = documentFilename(req.params.docIdOrFilename);
+    const versions = journal.history(filename);
+    if (versions.length === 0 && !fs.existsSync(path.join(UPLOAD_DIR, filename))) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    res.json({
+      filename,
+      docId: indexSync.findDocument(filename)?.id || null,
+      currentVersion: journal.currentVersion(filename),
+      versions
+    });
+  });
+
+  app.get('/api/documents/:docIdOrFilename/history/:version', (req, res) => {
+    const filename = documentFilename(req.params.docIdOrFilename);
+    const version = Number(req.params.version);
+    const content = Number.isInteger(version) ? journal.content(filename, version) : null;
+    if (content === null) {
+      return res.status(404).json({ error: `Version ${req.params.version} of ${filename} not found` });
+    }
+    res.json({ filename, version, content });
+  });
+
+  // Restoring a version is itself a journaled change, so a revert can be undone like any other edit
+  app.post('/api/documents/:docIdOrFilename/revert/:version', async (req, res) => {
+    const filename = documentFilename(req.params.docIdOrFilename);
+    if (!fs.existsSync(path.join(UPLOAD_DIR, filename))) {
+      return res.status(404).json({ error: `File not found: ${filename}` });
+    }
+    const version = Number(req.params.version);
+    const content = Number.isInteger(version) ? journal.content(filename, version) : null;
+    if (content === null) {
+      return res.status(404).json({ error: `Version ${req.params.version} of ${filename} not found` });
+    }
+    try {
+      const reindexed = await indexSync.writeFile(filename, content, {
+        change: { actor: 'user', operation: 'revert', reason: `Reverted to version ${version}`, revertedTo: version }
+      });
+      res.json({
+        success: true,
+        message: `Reverted ${filename} to version ${version}`,
+        filename,
+        version: journal.currentVersion(filename),
+        content,
+        reindexed
+      });
+    } catch (err) {
+      console.error('Revert error:', err);
+      res.status(500).json({ error: `Failed to revert ${filename}: ${err.message}` });
+    }
+  });
+
+  // Body: { source }. Answers with the PDF (base64) when one was produced, the TeX log and its diagnostics
+  app.post('/api/latex/compile', async (req, res) => {
+    const { source } = req.body || {};
+    if (typeof source !== 'string' || !source.trim()) {
+      return res.status(400).json({ error: 'source is required' });
+    }
+    if (!latexCompiler.engine) {
+      return res.status(503).json({ error: 'No TeX engine found on the server: install pdflatex or tectonic, or set LATEX_ENGINE' });
+    }
+    try {
+      const { pdf, ...result } = await latexCompiler.compile(source);
+      const errors = result.diagnostics.filter(d => d.severity === 'error').length;
+      console.log(`📄 Compiled LaTeX with ${result.engine} in ${result.durationMs}ms (${errors} errors)`);
+      res.json({ ...result, pdf: pdf ? pdf.toString('base64') : null });
+    } catch (err) {
+      console.error('LaTeX compile error:', err);
+      res.status(500).json({ error: `Failed to compile: ${err.message}` });
+    }
+  });
+
+  return app;
+}
@@ -1,170 +1,392 @@
-import Groq from 'groq-sdk';
-import { toolSpecs, executeTool } from './tools/index.js';
+import { v4 as uuidv4 } from 'uuid';
+import { toolSpecs, toolPreviews, executeTool, previewTool } from './tools/index.js';
+import { LLMError } from './providers/index.js';
+import { IndexSync } from './indexSync.js';
+import { countTokens, countMessageTokens, modelProfile, truncateToTokens } from './tokens.js';
+import { CITATION_INSTRUCTIONS } from './citations.js';
+import { INTENTS, classifyByRules } from './intent.js';
+
+const TOOL_OUTPUT_PREVIEW_CHARS = 500;
+// Most a single tool output may take of the prompt (further capped at a quarter of the context window)
+const TOOL_OUTPUT_TOKEN_LIMIT = Number(process.env.TOOL_OUTPUT_TOKEN_LIMIT) || 6000;
+// Tokens all model calls of one request may spend together before the agent has to answer
+const REQUEST_TOKEN_BUDGET = Number(process.env.REQUEST_TOKEN_BUDGET) || 100000;
+// Headroom for token estimates that come out low
+const CONTEXT_MARGIN_TOKENS = 256;
+// Tool outputs are never shrunk below this to make room in the context window
+const MIN_TOOL_OUTPUT_TOKENS = 200;
 
 /**
- * Run an agent loop with Groq function calling
+ * Run an agent loop with LLM function calling
  * @param {object} options
  * @param {string} options.message - User message
- * @param {Array} options.history - Chat history [{role,content}]
+ * @param {Array} options.history - Chat history [{role,content}], led by the conversation summary when there is one
  * @param {Array} options.retrieved - RAG retrieved chunks
- * @param {string} options.apiKey - Groq API key
- * @param {string} options.model - Groq model
+ * @param {object} options.provider - LLM provider from lib/providers (groq, openai, local, ...)
+ * @param {string} options.model - Model name for that provider
  * @param {string} options.uploadsDir - Workspace directory path
  * @param {string} options.activeDocument - Currently selected/attached document filename
  * @param {boolean} options.hasRelevantDocs - Whether relevant docs were found
- * @param {Array<string>} options.mentionedDocuments - Documents mentioned by user (for cross-doc queries)
- * @returns {Promise<{response: string, toolCalls: Array}>}
+ * @param {import('./intent.js').Intent} [options.intent] - Routed intent; classified with the rules when omitted
+ * @param {IndexSync} [options.indexSync] - Re-indexes files the tools write (created from vectorStore when omitted)
+ * @param {boolean} [options.approval] - Pause before each tool call that changes files (see resumeAgentLoop)
+ * @param {string} [options.sessionId] - Chat session, recorded in the edit journal with the files the tools change
+ * @param {(event: object) => void} [options.onEvent] - When set, completions are streamed and progress events
+ *   (token, tool_start, tool_end, created_file) are reported as they happen
+ * @param {AbortSignal} [options.signal] - Aborts the loop (e.g. when a streaming client disconnects)
+ * @param {number} [options.tokenBudget] - Tokens the request may spend over all model calls (REQUEST_TOKEN_BUDGET)
+ * @returns {Promise<AgentResult>}
+ * @throws {LLMError} with code `context_length`, naming the document, when the prompt cannot be made to fit the model
+ */
+export async function runAgentLoop({ message, history = [], retrieved = [], provider, model, uploadsDir, activeDocument, hasRelevantDocs = true, intent = classifyByRules(message), vectorStore, indexSync, approval = false, sessionId, onEvent, signal, tokenBudget = REQUEST_TOKEN_BUDGET }) {
+  if (!provider) {
+    throw new Error('runAgentLoop requires an LLM provider');
+  }
+  const modelName = model || provider.defaultModel;
+  const { contextTokens } = modelProfile(modelName);
+  // Articles get room for long, more creative output
+  const isAuthoring = intent.type === INTENTS.AUTHORING;
+
+  const systemPrompt = buildSystemPrompt(intent, retrieved, activeDocument, hasRelevantDocs, approval);
+  const state = {
+    provider,
+    modelName,
+    contextTokens,
+    uploadsDir,
+    vectorStore,
+    // Tools that write files re-index them through indexSync
+    sync: indexSync || (vectorStore && uploadsDir ? new IndexSync({ uploadDir: uploadsDir, vectorStore }) : undefined),
+    approval,
+    sessionId,
+    tokenBudget,
+    // Listing the workspace, writing articles and editing files need tools even when retrieval found passages
+    enableTools: retrieved.length === 0 || [INTENTS.WORKSPACE_LISTING, INTENTS.AUTHORING, INTENTS.EDITING].includes(intent.type),
+    maxTokens: isAuthoring ? 4000 : 1200,
+    temperature: isAuthoring ? 0.7 : (hasRelevantDocs ? 0.2 : 0.5),
+    toolOutputLimit: Math.min(TOOL_OUTPUT_TOKEN_LIMIT, Math.floor(contextTokens / 4)),
+    messages: [
+      { role: 'system', content: systemPrompt },
+      ...history,
+      { role: 'user', content: message }
+    ],
+    // Tool calls of the last assistant turn that have not run yet
+    queuedCalls: [],
+    toolCallLog: [],
+    // What each tool output was read from and its size before any truncation, for error messages
+    toolInputs: new Map(), // tool_call_id -> { label, tokens }
+    usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+    iteration: 0,
+    budgetSpent: false,
+    pendingAction: null
+  };
+  return driveLoop(state, { onEvent, signal });
+}
+
+/**
+ * @typedef {object} PendingAction
+ * @property {string} id
+ * @property {string} tool - Tool name, e.g. insert_text
+ * @property {object} args - The tool call's arguments
+ * @property {string} filename - File the call would change
+ * @property {boolean} create - The file does not exist yet
+ * @property {string} diff - Unified diff of the change
+ * @property {number} additions
+ * @property {number} deletions
+ */
+
+/**
+ * @typedef {object} AgentResult
+ * @property {string} response - Final answer, or the text the model wrote before a paused tool call
+ * @property {Array} toolCalls
+ * @property {Array} [createdFiles]
+ * @property {object} usage - Tokens spent by this run (up to the pause, or since resuming)
+ * @property {PendingAction} [pendingAction] - Set when the loop paused for approval
+ * @property {object} [state] - Loop state to hand to resumeAgentLoop with the user's decision
+ */
+
+/**
+ * Continue a loop that paused for approval. An approved call runs; a rejected one is reported to
+ * the model as the tool result, with the user's reason when given.
+ * @param {object} state - `state` of the paused AgentResult
+ * @param {{approved: boolean, reason?: string}} decision
+ * @param {object} [options]
+ * @param {(event: object) => void} [options.onEvent]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<AgentResult>}
  */
-export async function runAgentLoop({ message, history = [], retrieved = [], apiKey, model, uploadsDir, activeDocument, hasRelevantDocs = true, mentionedDocuments, vectorStore }) {
-  const groq = new Groq({ apiKey });
-
-  const systemPrompt = buildSystemPrompt(message, retrieved, activeDocument, hasRelevantDocs, mentionedDocuments);
-  const messages = [
-    { role: 'system', content: systemPrompt },
-    ...history.slice(-6),
-    { role: 'user', content: message }
-  ];
-
-  const toolCallLog = [];
-  let currentMessages = [...messages];
+export async function resumeAgentLoop(state, decision, { onEvent, signal } = {}) {
+  if (!state?.pendingAction) {
+    throw new Error('resumeAgentLoop requires a paused agent loop');
+  }
+  state.decision = { approved: Boolean(decision?.approved), reason: decision?.reason ? String(decision.reason) : '' };
+  return driveLoop(state, { onEvent, signal });
+}
+
+async function driveLoop(state, { onEvent, signal }) {
+  const emit = typeof onEvent === 'function' ? onEvent : () => {};
+  const { provider, modelName, contextTokens, maxTokens, tokenBudget, usage } = state;
+  const usageAtStart = { ...usage };
   const maxIterations = 10;
-  
-  // Detect meta-questions that need tools even if RAG found results
-  const metaQuestionPatterns = [
-    /what (files|documents|files and folders) (do I have|are in|are there)/i,
-    /list (all )?(my )?(files|documents|files and folders)/i,
-    /show me (all )?(my )?(files|documents|files and folders)/i,
-    /what's in (my )?(workspace|folder|directory)/i,
-    /(list|show|what) (all )?files/i
-  ];
-  const isMetaQuestion = metaQuestionPatterns.some(pattern => pattern.test(message));
-  
-  // Detect article creation requests
-  const articleCreationPatterns = [
-    /create (an? )?(article|paper|document|latex|tex) (about|on|for)/i,
-    /(I want|I need|can you) (to )?create (an? )?(article|paper|document|latex|tex)/i,
-    /write (an? )?(article|paper|document) (about|on)/i,
-    /generate (an? )?(article|paper|document|latex|tex) (about|on)/i,
-    /make (an? )?(article|paper|document|latex|tex) (about|on)/i
-  ];
-  const isArticleCreation = articleCreationPatterns.some(pattern => pattern.test(message));
-  
-  // Enable tools if no RAG results OR if it's a meta-question (workspace listing) OR article creation
-  const enableTools = retrieved.length === 0 || isMetaQuestion || isArticleCreation;
 
-  for (let iteration = 0; iteration < maxIterations; iteration++) {
+  const result = (response, extra = {}) => {
+    const createdFiles = state.toolCallLog.filter(tc => tc.createdFile).map(tc => tc.createdFile);
+    return {
+      response,
+      toolCalls: state.toolCallLog,
+      createdFiles: createdFiles.length > 0 ? createdFiles : undefined,
+      usage: {
+        prompt_tokens: usage.prompt_tokens - usageAtStart.prompt_tokens,
+        completion_tokens: usage.completion_tokens - usageAtStart.completion_tokens,
+        total_tokens: usage.total_tokens - usageAtStart.total_tokens
+      },
+      ...extra
+    };
+  };
+
+  while (true) {
+    while (state.queuedCalls.length > 0) {
+      const toolCall = state.queuedCalls[0];
+      let toolArgs;
+      try {
+        toolArgs = JSON.parse(toolCall.function.arguments || '{}');
+      } catch {
+        toolArgs = {};
+      }
+
+      // In approval mode a call that changes files waits for the user, with a preview of the change.
+      // A call that could not be applied anyway runs right away and reports its error to the model.
+      if (state.approval && toolPreviews[toolCall.function.name] && !state.decision) {
+        const preview = await previewTool(toolCall.function.name, toolArgs, { uploadsDir: state.uploadsDir }).catch(() => null);
+        if (preview) {
+          state.pendingAction = { id: uuidv4(), tool: toolCall.function.name, args: toolArgs, ...preview };
+          const turn = state.messages.findLast(m => m.role === 'assistant');
+          return result(turn?.content || '', { pendingAction: state.pendingAction, state });
+        }
+      }
+
+      state.queuedCalls.shift();
+      const decision = state.decision;
+      state.decision = null;
+      state.pendingAction = null;
+      await runToolCall(state, toolCall, toolArgs, decision, emit);
+    }
+
+    if (state.iteration >= maxIterations) break;
+    state.iteration++;
+    if (signal?.aborted) {
+      throw new Error('Agent loop aborted');
+    }
+
+    // Once the request has spent its budget, the model has to answer with what it has
+    if (!state.budgetSpent && usage.total_tokens >= tokenBudget) {
+      state.budgetSpent = true;
+      console.warn(`⚠️  Request token budget spent (${usage.total_tokens}/${tokenBudget}), asking for a final answer`);
+      state.messages.push({ role: 'system', content: 'The token budget for this request is used up. Answer now from the information you already have, without calling tools.' });
+    }
+    const useTools = state.enableTools && !state.budgetSpent && toolSpecs.length > 0;
+
+    const promptLimit = contextTokens - maxTokens - CONTEXT_MARGIN_TOKENS - (useTools ? countTokens(JSON.stringify(toolSpecs), modelName) : 0);
+    if (!shrinkToolOutputs(state.messages, promptLimit, modelName)) {
+      throw contextLengthError({ provider, model: modelName, contextTokens, culprit: largestInput(state.messages, state.toolInputs, modelName) });
+    }
+
     let completion;
     try {
-      // Increase max_tokens and temperature for article creation to allow generating longer, more creative content
-      const isArticleCreationRequest = articleCreationPatterns.some(pattern => pattern.test(message));
-      const maxTokens = isArticleCreationRequest ? 4000 : 1200;
-      const temperature = isArticleCreationRequest ? 0.7 : (hasRelevantDocs ? 0.2 : 0.5); // Higher temperature for creative article writing
-      
-      completion = await groq.chat.completions.create({
-        model,
-        temperature: temperature,
-        max_tokens: maxTokens,
-        messages: currentMessages,
-        tools: enableTools && toolSpecs.length > 0 ? toolSpecs : undefined,
-        tool_choice: enableTools && toolSpecs.length > 0 ? 'auto' : undefined,
-      });
+      const params = {
+        model: modelName,
+        temperature: state.temperature,
+        maxTokens,
+        messages: state.messages,
+        tools: useTools ? toolSpecs : undefined,
+        toolChoice: useTools ? 'auto' : undefined,
+      };
+      completion = onEvent
+        ? await provider.stream(params, (delta) => emit({ type: 'token', delta }), { signal })
+        : await provider.complete(params, { signal });
     } catch (err) {
-      console.error('Groq API error:', err.message);
-      throw new Error(`Groq API call failed: ${err.message}`);
+      console.error(`LLM API error (${provider.name}):`, err.message);
+      // Our estimate was too low: still tell the user what did not fit
+      if (err instanceof LLMError && err.code === 'context_length') {
+        throw contextLengthError({ provider, model: modelName, contextTokens, culprit: largestInput(state.messages, state.toolInputs, modelName), cause: err });
+      }
+      if (err instanceof LLMError) throw err;
+      throw new LLMError(`${provider.name} request failed: ${err.message}`, { provider: provider.name, cause: err });
     }
 
-    const choice = completion.choices?.[0];
-    if (!choice) break;
+    if (completion.usage) {
+      usage.prompt_tokens += completion.usage.prompt_tokens || 0;
+      usage.completion_tokens += completion.usage.completion_tokens || 0;
+      usage.total_tokens += completion.usage.total_tokens || 0;
+    }
+
+    const assistantMessage = completion.message;
+    if (!assistantMessage) break;
 
-    const assistantMessage = choice.message;
-    currentMessages.push(assistantMessage);
+    state.messages.push(assistantMessage);
 
     // If no tool calls, we're done
     if (!assistantMessage.tool_calls || assistantMessage.tool_calls.length === 0) {
-      // Extract created files from tool call log
-      const createdFiles = toolCallLog
-        .filter(tc => tc.createdFile)
-        .map(tc => tc.createdFile);
-      
-      return {
-        response: assistantMessage.content || '',
-        toolCalls: toolCallLog,
-        createdFiles: createdFiles.length > 0 ? createdFiles : undefined
-      };
+      return result(assistantMessage.content || '');
     }
+    state.queuedCalls = [...assistantMessage.tool_calls];
+  }
 
-    // Execute tool calls
-    for (const toolCall of assistantMessage.tool_calls) {
-      const toolName = toolCall.function.name;
-      const toolArgs = JSON.parse(toolCall.function.arguments || '{}');
-      
-      let toolOutput;
-      try {
-        toolOutput = await executeTool(toolName, toolArgs, { uploadsDir, vectorStore });
-      } catch (err) {
-        toolOutput = `Error: ${err.message}`;
-      }
-      
-      // Extract file creation metadata if create_latex_file was called
-      let createdFile = null;
-      if (toolName === 'create_latex_file') {
-        try {
-          const parsed = JSON.parse(toolOutput);
-          if (parsed.success && parsed.filename && parsed.docId) {
-            createdFile = {
-              filename: parsed.filename,
-              docId: parsed.docId,
-              topic: parsed.topic,
-              title: parsed.title
-            };
-          }
-        } catch (e) {
-          // Not JSON, continue normally
-        }
-      }
-      
-      toolCallLog.push({ 
-        name: toolName, 
-        args: toolArgs,
-        ...(createdFile && { createdFile })
-      });
+  // Max iterations reached
+  return result('Agent reached maximum iterations without completing the task.');
+}
 
-      // For create_latex_file, extract the message from JSON if it's structured
-      let toolContent = toolOutput;
-      if (toolName === 'create_latex_file') {
-        try {
-          const parsed = JSON.parse(toolOutput);
-          if (parsed.message) {
-            toolContent = parsed.message; // Use the human-readable message for the agent
-          }
-        } catch (e) {
-          // Not JSON, use as-is
-        }
-      }
-      
-      currentMessages.push({
-        role: 'tool',
-        tool_call_id: toolCall.id,
-        name: toolName,
-        content: toolContent
+/**
+ * Run one tool call (or report the user's rejection of it) and append its result to the messages
+ */
+async function runToolCall(state, toolCall, toolArgs, decision, emit) {
+  const { uploadsDir, vectorStore, sync, sessionId, modelName, toolOutputLimit } = state;
+  const toolName = toolCall.function.name;
+
+  emit({ type: 'tool_start', id: toolCall.id, name: toolName, args: toolArgs });
+
+  let toolOutput;
+  if (decision && !decision.approved) {
+    toolOutput = `The user rejected this change, so it was not applied.${decision.reason ? ` Their reason: ${decision.reason}` : ''} Do not retry it unchanged.`;
+  } else {
+    try {
+      toolOutput = await executeTool(toolName, toolArgs, {
+        uploadsDir,
+        vectorStore,
+        indexSync: sync,
+        change: { actor: 'agent', sessionId }
       });
+    } catch (err) {
+      toolOutput = `Error: ${err.message}`;
     }
   }
+  
+  // Extract file creation metadata if create_latex_file was called
+  let createdFile = null;
+  if (toolName === 'create_latex_file') {
+    try {
+      const parsed = JSON.parse(toolOutput);
+      if (parsed.success && parsed.filename && parsed.docId) {
+        createdFile = {
+          filename: parsed.filename,
+          docId: parsed.docId,
+          topic: parsed.topic,
+          title: parsed.title
+        };
+      }
+    } catch (e) {
+      // Not JSON, continue normally
+    }
+  }
+  
+  // Oversized outputs (a whole thesis from extract_document) keep their beginning and end
+  const label = toolArgs.filename || toolArgs.file_path || toolName;
+  const limited = truncateToTokens(
+    typeof toolOutput === 'string' ? toolOutput : JSON.stringify(toolOutput),
+    toolOutputLimit,
+    modelName,
+    `[Truncated: "${label}" is about ${countTokens(toolOutput, modelName)} tokens, more than fits in one tool result. Only its beginning and end are shown; use read_file with offset and limit, or grep_files, to read other parts.]`
+  );
+  state.toolInputs.set(toolCall.id, { label, tokens: limited.tokens });
+  if (limited.truncated) {
+    console.warn(`✂️  ${toolName} output for ${label} truncated from ${limited.tokens} to ${toolOutputLimit} tokens`);
+    toolOutput = limited.text;
+  }
 
-  // Max iterations reached
-  // Extract created files from tool call log
-  const createdFiles = toolCallLog
-    .filter(tc => tc.createdFile)
-    .map(tc => tc.createdFile);
+  state.toolCallLog.push({ 
+    name: toolName, 
+    args: toolArgs,
+    ...(decision && { approved: decision.approved }),
+    ...(limited.truncated && { truncated: true }),
+    ...(createdFile && { createdFile })
+  });
+
+  emit({
+    type: 'tool_end',
+    id: toolCall.id,
+    name: toolName,
+    output: truncateForPreview(toolOutput),
+    error: typeof toolOutput === 'string' && toolOutput.startsWith('Error:'),
+    truncated: limited.truncated
+  });
+  if (createdFile) {
+    emit({ type: 'created_file', file: createdFile });
+  }
+
+  // For create_latex_file, extract the message from JSON if it's structured
+  let toolContent = toolOutput;
+  if (toolName === 'create_latex_file') {
+    try {
+      const parsed = JSON.parse(toolOutput);
+      if (parsed.message) {
+        toolContent = parsed.message; // Use the human-readable message for the agent
+      }
+    } catch (e) {
+      // Not JSON, use as-is
+    }
+  }
   
-  return {
-    response: 'Agent reached maximum iterations without completing the task.',
-    toolCalls: toolCallLog,
-    createdFiles: createdFiles.length > 0 ? createdFiles : undefined
-  };
+  state.messages.push({
+    role: 'tool',
+    tool_call_id: toolCall.id,
+    name: toolName,
+    content: toolContent
+  });
+}
+
+/**
+ * Citation label for a retrieved chunk, e.g. "paper.tex §Methods > Data lines 40-58"
+ */
+export function formatCitation(r) {
+  const pages = r.page ? ` p${r.page}${r.pageEnd && r.pageEnd !== r.page ? `-${r.pageEnd}` : ''}` : '';
+  return `${r.filename}${pages}${r.sheet ? ` sheet:${r.sheet}` : ''}${r.section ? ` §${r.section}` : ''} lines ${r.lineStart}-${r.lineEnd}`;
 }
 
-function buildSystemPrompt(message, retrieved, activeDocument, hasRelevantDocs, mentionedDocuments) {
+/**
+ * Shorten tool outputs, largest first, until the messages fit in `limit` tokens
+ * @returns {boolean} false when they cannot be made to fit
+ */
+function shrinkToolOutputs(messages, limit, model) {
+  let total = countMessageTokens(messages, model);
+  while (total > limit) {
+    const largest = messages
+      .filter(m => m.role === 'tool')
+      .reduce((best, m) => (!best || countTokens(m.content, model) > countTokens(best.content, model) ? m : best), null);
+    const size = largest ? countTokens(largest.content, model) : 0;
+    if (size <= MIN_TOOL_OUTPUT_TOKENS) return false;
+    const target = Math.max(MIN_TOOL_OUTPUT_TOKENS, size - (total - limit));
+    largest.content = truncateToTokens(largest.content, target, model, '[… shortened to fit the context window …]').text;
+    total = countMessageTokens(messages, model);
+  }
+  return true;
+}
+
+/**
+ * The biggest thing in the prompt: a tool output (by its size before truncation) or the user's message
+ */
+function largestInput(messages, toolInputs, model) {
+  const lastUser = [...messages].reverse().find(m => m.role === 'user');
+  const candidates = [...toolInputs.values()];
+  if (lastUser) candidates.push({ label: null, tokens: countTokens(lastUser.content, model) });
+  return candidates.reduce((best, c) => (!best || c.tokens > best.tokens ? c : best), null);
+}
+
+function contextLengthError({ provider, model, contextTokens, culprit, cause }) {
+  const subject = culprit?.label ? `The document "${culprit.label}" is` : 'Your message is';
+  const size = culprit ? ` (about ${culprit.tokens.toLocaleString('en-US')} tokens)` : '';
+  return new LLMError(
+    `${subject} too large for ${model}${size}, whose context window is ${contextTokens.toLocaleString('en-US')} tokens. Ask about a specific section or page range instead.`,
+    { provider: provider.name, code: 'context_length', document: culprit?.label || null, cause }
+  );
+}
+
+function truncateForPreview(output) {
+  const text = typeof output === 'string' ? output : JSON.stringify(output);
+  if (!text || text.length <= TOOL_OUTPUT_PREVIEW_CHARS) return text || '';
+  return `${text.slice(0, TOOL_OUTPUT_PREVIEW_CHARS)}…`;
+}
+
+function buildSystemPrompt(intent, retrieved, activeDocument, hasRelevantDocs, approval) {
+  const mentionedDocuments = intent.documents;
   let baseInstructions = `You are a helpful AI assistant with access to a document workspace.
 
 **Workspace**: All user documents are in a dedicated uploads directory. Use relative paths (e.g., "document.pdf", "folder/file.txt") when calling tools.
@@ -175,6 +397,9 @@ function buildSystemPrompt(message, retrieved, activeDocument, hasRelevantDocs,
 - read_file: Read specific lines from a text file
 - grep_files: Search for content across files
 - insert_text: Insert text into a file at a specific line/column position (use when user approves a suggestion)
+- replace_text: Replace text in a file, by an exact excerpt that occurs once or by line range (fix typos, rewrite passages)
+- apply_patch: Apply a unified diff to a file, for several changes at once
+- delete_range: Delete a range of lines from a file
 - create_latex_file: Create a new LaTeX (.tex) file with article content about a specified topic`;
 
   if (activeDocument) {
@@ -184,17 +409,23 @@ However, if the user mentions OTHER documents by name (e.g., "document X", "the
 DO NOT restrict yourself to only the active document when other documents are mentioned.`;
   }
 
+  // One marker format per prompt: numbered markers for retrieved sources, file labels for passages read with tools
+  const citationRule = retrieved.length > 0
+    ? 'Cite the retrieved sources by their number, as described below'
+    : 'Always cite sources with filename and line/page references like [filename lines X-Y]';
+
   baseInstructions += `\n\n**Workflow for questions**:
 1. If the user asks about what documents/files they have, use the list_dir tool to get the file listing
 2. If a specific document is mentioned or active, use extract_document with that filename
 3. If no document is specified and it's not a workspace listing question, use grep_files to search across all documents
 4. For content questions, analyze and provide detailed answers with source citations
-5. Always cite sources with filename and line/page references like [filename lines X-Y] (but NOT for workspace listing questions)
+5. ${citationRule} (but NOT for workspace listing questions)
 
 **LaTeX File Support**:
 - When working with .tex files, understand LaTeX syntax, commands, environments, and structure
 - For review requests (e.g., "Review my abstract"), read the relevant section and provide feedback on clarity, structure, grammar, and LaTeX formatting
 - When proposing edits, provide corrected LaTeX code blocks that maintain proper syntax
+- To change existing text, use replace_text (or apply_patch for several changes, delete_range to remove lines) after reading the file; insert_text only adds text, so using it for a correction leaves the old text in place
 - Use insert_text tool when the user explicitly approves a suggestion OR when automatically populating a newly created LaTeX file with content
 - **Creating LaTeX Articles**: When the user asks to create an article, paper, or document about a topic (e.g., "create an article about machine learning", "I want to write a paper on quantum computing"), you MUST:
   1. First, call create_latex_file with the topic to create the file structure
@@ -210,7 +441,7 @@ DO NOT restrict yourself to only the active document when other documents are me
      - Find "\\section{Conclusion}" and insert conclusion content after it
   5. Generate comprehensive, well-written content (2-4 paragraphs per section) that is informative and relevant to the topic
   6. Use proper LaTeX formatting (\\paragraph{}, \\textbf{}, \\textit{}, \\emph{}, etc.) where appropriate
-  7. DO NOT ask for permission - automatically insert all the content after creating the file
+  7. ${approval ? 'DO NOT ask for permission in your reply - the user approves or rejects each file change in the interface, and the tool result tells you which. After a rejection, continue with the remaining sections unless the reason says otherwise' : 'DO NOT ask for permission - automatically insert all the content after creating the file'}
   8. The user expects a complete article with actual content, not just a template with placeholders
   9. After inserting all content, read the file again to verify everything was inserted correctly
 
@@ -218,25 +449,15 @@ DO NOT restrict yourself to only the active document when other documents are me
 - When asked to synthesize information from multiple documents (e.g., "Based on document X and Y, what is the best conclusion?"), use extract_document or grep_files to read all referenced documents
 - CRITICAL: Even if a LaTeX file is currently open, if the user mentions OTHER documents (by name, like "document X", "the PDF", "file Y"), you MUST search across ALL documents in the workspace to find and read those documents
 - Use grep_files or extract_document to find documents mentioned by the user, even if they're not the currently active document
-${mentionedDocuments && mentionedDocuments.length > 0 ? `- **IMPORTANT**: The user mentioned these documents: ${mentionedDocuments.join(', ')}. You MUST find and read these documents using list_dir to find the exact filename, then extract_document to read their content.` : ''}
+${mentionedDocuments && mentionedDocuments.length > 0 ? `- **IMPORTANT**: The user mentioned these documents: ${mentionedDocuments.join(', ')}. You MUST read these documents with extract_document (use list_dir first if a name does not match a file exactly).` : ''}
 - Analyze and synthesize information from multiple sources before providing answers
 - When proposing text for insertion (like conclusions or summaries), clearly indicate which documents were used as sources
-- Ask for confirmation before inserting synthesized text: "Would you like me to insert this text into your article?"
+- ${approval ? 'To insert synthesized text, call insert_text: the user sees the change and approves or rejects it before it is applied' : 'Ask for confirmation before inserting synthesized text: "Would you like me to insert this text into your article?"'}
 - Example: If user says "take the abstract from document X and put it in my LaTeX file", you must: 1) Use list_dir to see all files, 2) Find document X (may have timestamp prefix), 3) Read document X using extract_document with the exact filename, 4) Extract the abstract section, 5) Propose inserting it into the LaTeX file using proper LaTeX formatting
 
 **Important**: If the user asks a question and no relevant information is found in the documents after searching, provide a helpful general answer based on your knowledge and clearly state that this information is not from the documents.`;
 
-  // Detect meta-questions that need list_dir
-  const metaQuestionPatterns = [
-    /what (files|documents|files and folders) (do I have|are in|are there)/i,
-    /list (all )?(my )?(files|documents|files and folders)/i,
-    /show me (all )?(my )?(files|documents|files and folders)/i,
-    /what's in (my )?(workspace|folder|directory)/i,
-    /(list|show|what) (all )?files/i
-  ];
-  const isMetaQuestion = metaQuestionPatterns.some(pattern => pattern.test(message));
-  
-  if (isMetaQuestion && retrieved.length === 0) {
+  if (intent.type === INTENTS.WORKSPACE_LISTING && retrieved.length === 0) {
     return baseInstructions + `\n\n**CRITICAL INSTRUCTIONS FOR WORKSPACE LISTING**:
 The user is asking "what documents do I have?" or similar. This is a request to LIST FILES, not to search document content.
 
@@ -273,10 +494,7 @@ DO NOT:
   }
 
   const sourcesSection = retrieved
-    .map((r, i) => {
-      const cite = `${r.filename}${r.page ? ` p${r.page}` : ''}${r.sheet ? ` sheet:${r.sheet}` : ''} lines ${r.lineStart}-${r.lineEnd}`;
-      return `SOURCE ${i + 1} [${cite}]:\n${r.text}`;
-    })
+    .map((r, i) => `SOURCE ${i + 1} (${formatCitation(r)}):\n${r.text}`)
     .join('\n\n');
 
   const documentName = retrieved[0]?.filename || activeDocument || 'the document';
@@ -293,7 +511,7 @@ ${sourcesSection}
 
 **Instructions**: 
 - If the user's question can be answered using the sources above, provide a detailed answer with citations
-- Cite sources using format: [filename${retrieved[0]?.sheet ? ' sheet:SheetName' : ''} lines X-Y]
+- ${CITATION_INSTRUCTIONS}
 - If the answer is NOT in the provided sources, clearly state: "Based on the documents in your workspace, I could not find information about [topic]. [Provide general knowledge answer if helpful]."`;
 }
 
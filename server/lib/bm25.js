@@ -0,0 +1,113 @@
+/**
+ * In-memory BM25 inverted index (Okapi BM25, k1 = 1.2, b = 0.75).
+ * Entries are keyed by the caller (the vector store uses chunk slots).
+ */
+
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'do', 'does', 'for', 'from', 'has', 'have', 'how',
+  'i', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was',
+  'what', 'when', 'where', 'which', 'who', 'why', 'with', 'you', 'your'
+]);
+
+// Words, numbers and joined identifiers such as B12, eq:energy, fig-3 or Smith_2020
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:[:_.\-][\p{L}\p{N}]+)*/gu;
+
+/**
+ * Lowercase tokens; joined identifiers are kept whole and also split into their parts
+ * so that both "eq:energy" and "energy" match
+ */
+export function tokenize(text) {
+  const tokens = [];
+  for (const [match] of String(text || '').toLowerCase().matchAll(TOKEN_PATTERN)) {
+    const parts = match.split(/[:_.\-]/);
+    if (parts.length > 1) tokens.push(match);
+    for (const part of parts) {
+      if (part && !STOPWORDS.has(part)) tokens.push(part);
+    }
+  }
+  return tokens;
+}
+
+export class Bm25Index {
+  constructor() {
+    this.docs = new Map(); // key -> { length, terms }
+    this.postings = new Map(); // term -> Map(key -> term frequency)
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+
+  add(key, text) {
+    if (this.docs.has(key)) this.remove(key);
+    const tokens = tokenize(text);
+    const counts = new Map();
+    for (const token of tokens) counts.set(token, (counts.get(token) || 0) + 1);
+
+    for (const [term, tf] of counts) {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(key, tf);
+    }
+    this.docs.set(key, { length: tokens.length, terms: [...counts.keys()] });
+    this.totalLength += tokens.length;
+  }
+
+  remove(key) {
+    const doc = this.docs.get(key);
+    if (!doc) return;
+    for (const term of doc.terms) {
+      const posting = this.postings.get(term);
+      posting.delete(key);
+      if (posting.size === 0) this.postings.delete(term);
+    }
+    this.docs.delete(key);
+    this.totalLength -= doc.length;
+  }
+
+  clear() {
+    this.docs.clear();
+    this.postings.clear();
+    this.totalLength = 0;
+  }
+
+  /**
+   * @param {string} query
+   * @param {number} topK
+   * @param {(key: any) => boolean} [filter] - Only keys passing the filter are scored
+   * @returns {Array<{key: any, score: number, coverage: number}>} best first; entries sharing no term with
+   *   the query are omitted. `coverage` is the IDF-weighted share of the query's terms an entry contains
+   *   (terms found nowhere count as the rarest), so one rare identifier outweighs several common words.
+   */
+  search(query, topK, filter) {
+    const n = this.docs.size;
+    if (n === 0 || topK <= 0) return [];
+    const avgLength = this.totalLength / n || 1;
+    const scores = new Map();
+    const matched = new Map();
+    let queryWeight = 0;
+
+    for (const term of new Set(tokenize(query))) {
+      const posting = this.postings.get(term);
+      const df = posting?.size || 0;
+      const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+      queryWeight += idf;
+      if (!posting) continue;
+      for (const [key, tf] of posting) {
+        if (filter && !filter(key)) continue;
+        const length = this.docs.get(key).length;
+        const weight = (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * (length / avgLength)));
+        scores.set(key, (scores.get(key) || 0) + idf * weight);
+        matched.set(key, (matched.get(key) || 0) + idf);
+      }
+    }
+
+    return [...scores]
+      .map(([key, score]) => ({ key, score, coverage: matched.get(key) / queryWeight }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+}
@@ -0,0 +1,347 @@
+/**
+ * Splitting document text into retrieval chunks.
+ *
+ * `chunkLines` packs lines into a character budget. The structure-aware chunkers never
+ * let a chunk cross a heading, keep environments / code blocks / display math in one
+ * piece when they fit, and label every chunk with its section path ("Methods > Data").
+ */
+
+const SECTION_SEPARATOR = ' > ';
+
+export function splitIntoLines(text) {
+  return text.replace(/\r\n?/g, '\n').split('\n');
+}
+
+/**
+ * Pack consecutive lines into chunks of at most `maxChars` (a single longer line becomes its own chunk)
+ * @param {string[]} lines
+ * @param {number} [maxChars]
+ * @param {number} [overlapLines]
+ * @param {number} [offset] - Index of lines[0] in the whole document, for line numbers
+ * @returns {Array<{text: string, lineStart: number, lineEnd: number}>}
+ */
+export function chunkLines(lines, maxChars = 800, overlapLines = 2, offset = 0) {
+  const chunks = [];
+  let start = 0;
+  while (start < lines.length) {
+    let end = start;
+    let len = 0;
+    while (end < lines.length && (len + lines[end].length + 1) <= maxChars) {
+      len += lines[end].length + 1;
+      end += 1;
+    }
+    if (end === start) {
+      end += 1; // ensure progress even if a single line is long
+    }
+    const text = lines.slice(start, end).join('\n').trim();
+    if (text) {
+      chunks.push({ text, lineStart: offset + start + 1, lineEnd: offset + end });
+    }
+    start = Math.max(end - overlapLines, end);
+  }
+  return chunks;
+}
+
+// ---------------------------------------------------------------------------
+// Structure detection. Each returns { headings: Map(lineIndex -> {level, title}), blocks: [[start, end)] }
+// where blocks are line ranges that should stay in one chunk.
+// ---------------------------------------------------------------------------
+
+const LATEX_SECTION_LEVELS = {
+  part: 0,
+  chapter: 1,
+  section: 2,
+  subsection: 3,
+  subsubsection: 4,
+  paragraph: 5
+};
+const LATEX_HEADING = /^\s*\\(part|chapter|section|subsection|subsubsection|paragraph)\*?\s*(?:\[[^\]]*\])?\s*\{/;
+// Environments that span the whole document are structure, not blocks
+const LATEX_CONTAINER_ENVIRONMENTS = new Set(['document']);
+
+/**
+ * Read a brace group starting at `openIndex` (the index of "{"); returns its content or null if unbalanced
+ */
+function readBraceGroup(text, openIndex) {
+  let depth = 0;
+  for (let i = openIndex; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i += 1;
+      continue;
+    }
+    if (text[i] === '{') depth += 1;
+    if (text[i] === '}') {
+      depth -= 1;
+      if (depth === 0) return text.slice(openIndex + 1, i);
+    }
+  }
+  return null;
+}
+
+function cleanLatexTitle(title) {
+  return title
+    .replace(/\\label\{[^}]*\}/g, '')
+    .replace(/\\[a-zA-Z]+\*?\{([^}]*)\}/g, '$1')
+    .replace(/\\[a-zA-Z]+\*?/g, '')
+    .replace(/[{}$~]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function stripLatexComment(line) {
+  return line.replace(/(^|[^\\])%.*$/, '$1');
+}
+
+export function detectLatexStructure(lines) {
+  const headings = new Map();
+  const blocks = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = stripLatexComment(lines[i]);
+
+    const heading = line.match(LATEX_HEADING);
+    if (heading) {
+      const title = readBraceGroup(line, heading[0].length - 1);
+      if (title !== null) {
+        headings.set(i, { level: LATEX_SECTION_LEVELS[heading[1]], title: cleanLatexTitle(title) });
+        continue;
+      }
+    }
+
+    // Display math: \[ ... \] and $$ ... $$ spanning several lines
+    const displayOpen = line.trim() === '\\[' ? '\\]' : line.trim() === '$$' ? '$$' : null;
+    if (displayOpen) {
+      const end = lines.findIndex((l, j) => j > i && l.trim() === displayOpen);
+      if (end !== -1) {
+        blocks.push([i, end + 1]);
+        i = end;
+      }
+      continue;
+    }
+
+    const begin = line.match(/\\begin\{([^}]+)\}/);
+    if (begin && !LATEX_CONTAINER_ENVIRONMENTS.has(begin[1])) {
+      const name = begin[1];
+      let depth = 0;
+      for (let j = i; j < lines.length; j++) {
+        const current = stripLatexComment(lines[j]);
+        depth += (current.split(`\\begin{${name}}`).length - 1) - (current.split(`\\end{${name}}`).length - 1);
+        if (depth <= 0) {
+          if (j > i) blocks.push([i, j + 1]);
+          i = j;
+          break;
+        }
+      }
+    }
+  }
+
+  return { headings, blocks };
+}
+
+const MARKDOWN_ATX_HEADING = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const MARKDOWN_FENCE = /^ {0,3}(```|~~~)/;
+
+export function detectMarkdownStructure(lines) {
+  const headings = new Map();
+  const blocks = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const fence = lines[i].match(MARKDOWN_FENCE);
+    if (fence) {
+      const end = lines.findIndex((l, j) => j > i && l.trim().startsWith(fence[1]));
+      const last = end === -1 ? lines.length - 1 : end;
+      blocks.push([i, last + 1]);
+      i = last;
+      continue;
+    }
+
+    const atx = lines[i].match(MARKDOWN_ATX_HEADING);
+    if (atx && atx[2]) {
+      headings.set(i, { level: atx[1].length, title: atx[2] });
+      continue;
+    }
+
+    // Setext headings: a text line underlined with === (level 1) or --- (level 2)
+    const next = lines[i + 1];
+    if (lines[i].trim() && next !== undefined && /^ {0,3}(=+|-+)\s*$/.test(next) && !/^\s*([-*+]|\d+\.)\s/.test(lines[i])) {
+      headings.set(i, { level: next.trim()[0] === '=' ? 1 : 2, title: lines[i].trim() });
+      i += 1;
+    }
+  }
+
+  return { headings, blocks };
+}
+
+// ---------------------------------------------------------------------------
+// Chunk assembly
+// ---------------------------------------------------------------------------
+
+/**
+ * Chunk lines so that no chunk crosses a heading and blocks stay whole when they fit
+ * @param {string[]} lines
+ * @param {object} structure
+ * @param {Map<number, {level: number, title: string}>} structure.headings
+ * @param {Array<[number, number]>} [structure.blocks]
+ * @param {object} [options]
+ * @param {number} [options.maxChars]
+ * @returns {Array<{text: string, lineStart: number, lineEnd: number, section: string|null}>}
+ */
+export function chunkByStructure(lines, { headings, blocks = [] }, { maxChars = 800 } = {}) {
+  const blockEnds = new Map(blocks.map(([start, end]) => [start, end]));
+  const chunks = [];
+  const path = []; // [{level, title}]
+  let current = null; // { start, end, length, headingOnly }
+
+  const sectionPath = () => (path.length > 0 ? path.map(h => h.title).join(SECTION_SEPARATOR) : null);
+  const measure = (start, end) => lines.slice(start, end).reduce((sum, l) => sum + l.length + 1, 0);
+
+  const flush = () => {
+    if (!current) return;
+    let end = current.end;
+    while (end > current.start && !lines[end - 1].trim()) end -= 1;
+    const text = lines.slice(current.start, end).join('\n').trim();
+    if (text) chunks.push({ text, lineStart: current.start + 1, lineEnd: end, section: sectionPath() });
+    current = null;
+  };
+
+  const append = (start, end) => {
+    const blank = !lines.slice(start, end).some(l => l.trim());
+    if (!current && blank) return; // chunks never start on a blank line
+    const length = measure(start, end);
+    if (current && current.length + length > maxChars) flush();
+
+    if (!current && length > maxChars) {
+      // Too large for one chunk even on its own: fall back to line packing
+      for (const piece of chunkLines(lines.slice(start, end), maxChars, 0, start)) {
+        chunks.push({ ...piece, section: sectionPath() });
+      }
+      return;
+    }
+    if (!current) current = { start, end, length: 0, headingOnly: false };
+    current.end = end;
+    current.length += length;
+    if (!blank) current.headingOnly = false;
+  };
+
+  for (let i = 0; i < lines.length;) {
+    const heading = headings.get(i);
+    if (heading) {
+      // A section with nothing but its heading (e.g. \section directly followed by \subsection)
+      // is carried into the next chunk instead of becoming a chunk of its own
+      const carryStart = current?.headingOnly ? current.start : null;
+      if (carryStart === null) flush();
+
+      while (path.length > 0 && path.at(-1).level >= heading.level) path.pop();
+      path.push(heading);
+
+      const start = carryStart ?? i;
+      current = { start, end: i + 1, length: measure(start, i + 1), headingOnly: true };
+      i += 1;
+      continue;
+    }
+
+    const end = blockEnds.get(i) || i + 1;
+    append(i, end);
+    i = end;
+  }
+  flush();
+
+  return chunks;
+}
+
+/**
+ * Chunk plain text according to its format
+ * @param {string} text
+ * @param {object} [options]
+ * @param {'latex'|'markdown'|'text'} [options.format]
+ * @param {number} [options.maxChars]
+ */
+export function chunkText(text, { format = 'text', maxChars } = {}) {
+  const lines = splitIntoLines(text || '');
+  if (format === 'latex') return chunkByStructure(lines, detectLatexStructure(lines), { maxChars: maxChars || 1000 });
+  if (format === 'markdown') return chunkByStructure(lines, detectMarkdownStructure(lines), { maxChars: maxChars || 800 });
+  return chunkLines(lines, maxChars || 800, 2);
+}
+
+/**
+ * Chunk format for a filename: .tex is LaTeX, .md/.markdown is Markdown, anything else plain text
+ */
+export function formatForFilename(filename = '') {
+  const lower = filename.toLowerCase();
+  if (lower.endsWith('.tex')) return 'latex';
+  if (lower.endsWith('.md') || lower.endsWith('.markdown')) return 'markdown';
+  return 'text';
+}
+
+/**
+ * Chunk a paged document (PDF). Pages are joined with a blank line; chunks may run over a
+ * page break and carry the page they start on (`page`) and end on (`pageEnd`), 1-based.
+ * @param {string[]} pages - Text of each page
+ * @param {object} [options]
+ * @param {number} [options.maxChars]
+ * @returns {{text: string, segments: Array<{text: string, lineStart: number, lineEnd: number, page: number, pageEnd: number}>}}
+ */
+export function chunkPages(pages, { maxChars = 800 } = {}) {
+  const lines = [];
+  const linePages = [];
+  pages.forEach((pageText, index) => {
+    if (index > 0) {
+      lines.push('');
+      linePages.push(index);
+    }
+    for (const line of splitIntoLines(pageText.trim())) {
+      lines.push(line);
+      linePages.push(index + 1);
+    }
+  });
+
+  const segments = chunkLines(lines, maxChars, 2).map(seg => ({
+    ...seg,
+    page: linePages[seg.lineStart - 1],
+    pageEnd: linePages[seg.lineEnd - 1]
+  }));
+  return { text: lines.join('\n'), segments };
+}
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function htmlToText(html) {
+  return html
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+      }
+      return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Chunk the HTML mammoth produces for a .docx. Paragraph styles mapped to <h1>-<h6>
+ * (Word's Heading 1-6) become the section path; each block is one line, separated by
+ * blank lines like mammoth's raw text output.
+ * @param {string} html
+ * @param {object} [options]
+ * @param {number} [options.maxChars]
+ * @returns {{text: string, segments: Array<{text: string, lineStart: number, lineEnd: number, section: string|null}>}}
+ */
+export function chunkDocxHtml(html, { maxChars = 800 } = {}) {
+  const lines = [];
+  const headings = new Map();
+  const blockPattern = /<(h[1-6]|p|li|td|th|pre|caption)\b[^>]*>([\s\S]*?)<\/\1>/gi;
+  for (const [, tag, inner] of html.matchAll(blockPattern)) {
+    const text = htmlToText(inner);
+    if (!text) continue;
+    if (lines.length > 0) lines.push('');
+    if (/^h[1-6]$/i.test(tag)) headings.set(lines.length, { level: Number(tag[1]), title: text });
+    lines.push(text);
+  }
+  return {
+    text: lines.join('\n'),
+    segments: chunkByStructure(lines, { headings }, { maxChars })
+  };
+}
@@ -0,0 +1,158 @@
+/**
+ * Inline citations. The model cites retrieved sources by number ("[2]", "[1, 3]"); after the answer is
+ * complete the markers are renumbered in order of first use and resolved to citation entries that
+ * carry the document, location and the sentence of the passage that best supports the claim.
+ * Free-text labels such as "[report.pdf p3 lines 10-24]", which the agent writes for passages it read
+ * with tools, are resolved against the same sources or the indexed chunks of the named file.
+ */
+
+export const CITATION_INSTRUCTIONS = `Cite the sources you use with their number in square brackets right after the claim they support, e.g. "Revenue grew 12% [2]." or "[1][3]" for several. Only cite numbers of the sources listed.`;
+
+// Longest quoted span returned for a citation
+const MAX_QUOTE_CHARS = 300;
+
+// Fenced code blocks and inline code are never scanned for markers
+const CODE_PATTERN = /(```[\s\S]*?```|`[^`\n]*`)/;
+// "[2]" or "[1, 3]" (groups: numbers), or "[file.ext … lines A-B]" (groups: filename, rest of the label);
+// not followed by "(" so markdown links are left alone
+const MARKER = /\[(?:(\d{1,3}(?:\s*[,;]\s*\d{1,3})*)|([^\[\]\n]*?\.[a-z0-9]{2,5})((?:\s[^\[\]\n]*?)?\blines?\s+\d+[^\[\]\n]*?))\](?!\()/gi;
+
+// Uploads are stored as "<timestamp>-<name>"; the model often drops the prefix
+function sameFile(a, b) {
+  const strip = name => String(name || '').replace(/^\d{10,}-/, '').toLowerCase();
+  return strip(a) === strip(b);
+}
+
+function parseLabel(filename, rest) {
+  const lines = rest.match(/\blines?\s+(\d+)(?:\s*[-–]\s*(\d+))?/i);
+  const page = rest.match(/\bp(?:age)?\.?\s*(\d+)/i);
+  const sheet = rest.match(/\bsheet:\s*([^§\]]+?)(?=\s+§|\s+lines?\b|$)/i);
+  const lineStart = Number(lines[1]);
+  return {
+    filename: filename.trim(),
+    lineStart,
+    lineEnd: lines[2] ? Number(lines[2]) : lineStart,
+    page: page ? Number(page[1]) : null,
+    sheet: sheet ? sheet[1].trim() : null
+  };
+}
+
+function overlaps(chunk, label) {
+  if (label.sheet && chunk.sheet && chunk.sheet !== label.sheet) return false;
+  return chunk.lineStart <= label.lineEnd && chunk.lineEnd >= label.lineStart;
+}
+
+function words(text) {
+  return new Set(String(text).toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []);
+}
+
+/**
+ * The sentence of a passage sharing the most words with the claim citing it
+ * @param {string} claim
+ * @param {string} passage
+ */
+export function quoteFor(claim, passage) {
+  const sentences = String(passage || '').split(/(?<=[.!?])\s+|\n+/).map(s => s.trim()).filter(Boolean);
+  if (sentences.length === 0) return '';
+  const claimWords = words(claim);
+  let best = sentences[0];
+  let bestScore = 0;
+  for (const sentence of sentences) {
+    let score = 0;
+    for (const word of words(sentence)) if (claimWords.has(word)) score++;
+    if (score > bestScore) {
+      best = sentence;
+      bestScore = score;
+    }
+  }
+  return best.length > MAX_QUOTE_CHARS ? `${best.slice(0, MAX_QUOTE_CHARS - 1)}…` : best;
+}
+
+// The sentence a marker closes, skipping the markers directly before it ("claim [1][2]")
+function claimBefore(text, index) {
+  const before = text.slice(Math.max(0, index - 400), index).replace(/(?:\[[^\[\]\n]*\]\s*)+$/, '');
+  const parts = before.split(/(?<=[.!?])\s+|\n+|\]/);
+  return parts[parts.length - 1] || before;
+}
+
+/**
+ * Full text of the passage a citation refers to
+ * @param {object} citation - As returned by resolveCitations
+ * @param {Array<object>} sources - The sources the answer was resolved against
+ * @param {Array<object>} [chunks] - Indexed chunks, for passages that were not retrieved
+ */
+export function passageText(citation, sources, chunks = []) {
+  if (citation.sourceIndex !== null) return sources[citation.sourceIndex]?.text || '';
+  return chunks
+    .filter(ch => sameFile(ch.filename, citation.filename) && overlaps(ch, citation))
+    .map(ch => ch.text)
+    .join('\n');
+}
+
+/**
+ * Resolve the citation markers of an answer
+ * @param {string} text - The model's answer
+ * @param {Array<object>} sources - Retrieved chunks in the order they were numbered in the prompt (1-based)
+ * @param {object} [options]
+ * @param {Array<object>} [options.chunks] - Indexed chunks, for free-text labels that do not match a
+ *   retrieved source
+ * @returns {{text: string, citations: Array<object>}} `text` with markers rewritten to "[n]", n being
+ *   the citation's 1-based position in `citations`
+ */
+export function resolveCitations(text, sources = [], { chunks = [] } = {}) {
+  const citations = [];
+  const bySource = new Map(); // source index, or "docId:lines" for other passages -> citation
+
+  const cite = (key, chunk, sourceIndex, claim) => {
+    if (!bySource.has(key)) {
+      const citation = {
+        n: citations.length + 1,
+        sourceIndex,
+        docId: chunk.docId || null,
+        filename: chunk.filename,
+        page: chunk.page || null,
+        pageEnd: chunk.pageEnd || null,
+        sheet: chunk.sheet || null,
+        section: chunk.section || null,
+        lineStart: chunk.lineStart ?? null,
+        lineEnd: chunk.lineEnd ?? null,
+        quote: quoteFor(claim, chunk.text)
+      };
+      citations.push(citation);
+      bySource.set(key, citation);
+    }
+    return `[${bySource.get(key).n}]`;
+  };
+
+  const resolveLabel = (label, claim) => {
+    const sourceIndex = sources.findIndex(s => sameFile(s.filename, label.filename) && overlaps(s, label));
+    if (sourceIndex >= 0) return cite(sourceIndex, sources[sourceIndex], sourceIndex, claim);
+    const matching = chunks.filter(ch => sameFile(ch.filename, label.filename) && overlaps(ch, label));
+    if (matching.length === 0) return null;
+    // A label may span several chunks: cite the lines it names and quote from any of them
+    const first = matching[0];
+    const chunk = {
+      ...first,
+      text: matching.map(ch => ch.text).join('\n'),
+      lineStart: label.lineStart,
+      lineEnd: label.lineEnd,
+      page: label.page || first.page
+    };
+    return cite(`${first.docId}:${label.lineStart}-${label.lineEnd}`, chunk, null, claim);
+  };
+
+  const resolved = String(text || '').split(CODE_PATTERN).map((part, i) => {
+    if (i % 2 === 1) return part; // code
+    return part.replace(MARKER, (marker, numbers, filename, rest, offset, whole) => {
+      const claim = claimBefore(whole, offset);
+      if (filename) return resolveLabel(parseLabel(filename, rest), claim) ?? marker;
+      // Numbers of sources that do not exist are dropped from a group; a bracket with none that exist
+      // is not a citation ("x[0]", a reference in prose) and stays as written
+      const valid = numbers.split(/\s*[,;]\s*/).map(Number).filter(n => n >= 1 && n <= sources.length);
+      if (valid.length === 0) return marker;
+      return valid.map(n => cite(n - 1, sources[n - 1], n - 1, claim)).join('');
+    });
+  }).join('');
+
+  return { text: resolved, citations };
+}
@@ -0,0 +1,236 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Durable chat conversations, one per session id, kept in an append-only JSON-lines file
+ * and replayed into memory at startup. Every message is stored; the model is given the
+ * conversation's running summary (see summarizer.js) plus the messages it does not cover.
+ *
+ * Records:
+ *   { type: 'messages', id, messages: [{ role, content, createdAt, sources?, citations?, grounding? }] }
+ *   { type: 'title', id, title }
+ *   { type: 'summary', id, content, through, edited, updatedAt }
+ *   { type: 'delete', id }
+ */
+
+const TITLE_LENGTH = 60;
+
+function titleFrom(content) {
+  const line = String(content || '').replace(/\s+/g, ' ').trim();
+  if (!line) return 'New chat';
+  return line.length > TITLE_LENGTH ? `${line.slice(0, TITLE_LENGTH - 1)}…` : line;
+}
+
+// What the conversation list shows: everything but the messages and bookkeeping
+function listing(conversation) {
+  const { id, title, createdAt, updatedAt, messages } = conversation;
+  return { id, title, createdAt, updatedAt, messageCount: messages.length };
+}
+
+export class ConversationStore {
+  /**
+   * @param {string} filePath - JSON-lines file holding every conversation
+   * @param {object} [options]
+   * @param {() => number} [options.now] - Clock, for tests
+   */
+  constructor(filePath, { now = Date.now } = {}) {
+    this.filePath = filePath;
+    this.now = now;
+    this.conversations = new Map(); // id -> { id, title, customTitle, createdAt, updatedAt, messages, summary, records }
+    this._load();
+  }
+
+  _load() {
+    if (!fs.existsSync(this.filePath)) return;
+    // Records that no longer describe a live conversation; the file is rewritten without them
+    let garbage = 0;
+    for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        garbage += this._apply(JSON.parse(line));
+      } catch {
+        // A write cut short by a crash leaves a partial last line
+        garbage += 1;
+      }
+    }
+    if (garbage > 0) {
+      this._compact();
+      console.log(`🧹 Compacted conversation log (${garbage} stale records)`);
+    }
+    console.log(`💬 Loaded ${this.conversations.size} conversations`);
+  }
+
+  /**
+   * Apply one record to the in-memory state
+   * @returns {number} records made stale by this one
+   */
+  _apply(record) {
+    const existing = this.conversations.get(record.id);
+    switch (record.type) {
+      case 'messages': {
+        const messages = record.messages || [];
+        if (messages.length === 0) return 1;
+        const conversation = existing || {
+          id: record.id,
+          title: titleFrom(messages.find(m => m.role === 'user')?.content),
+          customTitle: false,
+          createdAt: messages[0].createdAt,
+          updatedAt: messages[0].createdAt,
+          messages: [],
+          summary: null,
+          records: 0
+        };
+        conversation.messages.push(...messages);
+        conversation.updatedAt = messages[messages.length - 1].createdAt;
+        conversation.records += 1;
+        this.conversations.set(record.id, conversation);
+        return 0;
+      }
+      case 'title': {
+        if (!existing) return 1;
+        const stale = existing.customTitle ? 1 : 0;
+        existing.title = record.title;
+        existing.customTitle = true;
+        existing.records += 1 - stale;
+        return stale;
+      }
+      case 'summary': {
+        if (!existing) return 1;
+        const stale = existing.summary ? 1 : 0;
+        const { content, through, edited, updatedAt } = record;
+        existing.summary = { content, through, edited: Boolean(edited), updatedAt };
+        existing.records += 1 - stale;
+        return stale;
+      }
+      case 'delete': {
+        if (!existing) return 1;
+        this.conversations.delete(record.id);
+        return existing.records + 1;
+      }
+      default:
+        return 1;
+    }
+  }
+
+  _write(record) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, `${JSON.stringify(record)}\n`, 'utf8');
+    this._apply(record);
+  }
+
+  _compact() {
+    const lines = [];
+    for (const conversation of this.conversations.values()) {
+      lines.push(JSON.stringify({ type: 'messages', id: conversation.id, messages: conversation.messages }));
+      if (conversation.customTitle) lines.push(JSON.stringify({ type: 'title', id: conversation.id, title: conversation.title }));
+      if (conversation.summary) lines.push(JSON.stringify({ type: 'summary', id: conversation.id, ...conversation.summary }));
+      conversation.records = 1 + Number(conversation.customTitle) + Number(Boolean(conversation.summary));
+    }
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, lines.length > 0 ? `${lines.join('\n')}\n` : '', 'utf8');
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * Chat history for the model: the running summary, as a system message, followed by the
+   * messages it does not cover yet
+   * @param {string} id
+   * @returns {Array<{role: string, content: string}>}
+   */
+  getHistory(id) {
+    const conversation = this.conversations.get(id);
+    if (!conversation) return [];
+    const { summary, messages } = conversation;
+    const recent = messages.slice(summary?.through || 0).map(({ role, content }) => ({ role, content }));
+    if (!summary) return recent;
+    return [{ role: 'system', content: `Summary of the earlier conversation:\n${summary.content}` }, ...recent];
+  }
+
+  /**
+   * Messages not yet covered by the conversation's summary
+   */
+  unsummarized(id) {
+    const conversation = this.conversations.get(id);
+    return conversation ? conversation.messages.slice(conversation.summary?.through || 0) : [];
+  }
+
+  /**
+   * Replace a conversation's summary
+   * @param {string} id
+   * @param {string} content
+   * @param {object} [options]
+   * @param {number} [options.through] - Messages the summary covers (defaults to the current summary's)
+   * @param {boolean} [options.edited] - Written by the user rather than the summarizer
+   * @returns {object|null} the summary, or null when the conversation does not exist
+   */
+  setSummary(id, content, { through, edited = false } = {}) {
+    const conversation = this.conversations.get(id);
+    if (!conversation) return null;
+    this._write({
+      type: 'summary',
+      id,
+      content,
+      through: through ?? conversation.summary?.through ?? 0,
+      edited,
+      updatedAt: new Date(this.now()).toISOString()
+    });
+    return conversation.summary;
+  }
+
+  /**
+   * Record a turn, creating the conversation on its first message
+   * @param {string} id
+   * @param {{content: string}} userMsg
+   * @param {{content: string, sources?: Array<object>, citations?: Array<object>, grounding?: object}} assistantMsg
+   */
+  append(id, userMsg, assistantMsg) {
+    const createdAt = new Date(this.now()).toISOString();
+    const assistant = { role: 'assistant', content: assistantMsg.content, createdAt };
+    if (assistantMsg.sources?.length) assistant.sources = assistantMsg.sources;
+    if (assistantMsg.citations?.length) assistant.citations = assistantMsg.citations;
+    if (assistantMsg.grounding?.claims.length) assistant.grounding = assistantMsg.grounding;
+    this._write({
+      type: 'messages',
+      id,
+      messages: [{ role: 'user', content: userMsg.content, createdAt }, assistant]
+    });
+  }
+
+  /**
+   * Conversations, most recently active first
+   * @returns {Array<{id: string, title: string, createdAt: string, updatedAt: string, messageCount: number}>}
+   */
+  list() {
+    return [...this.conversations.values()]
+      .map(listing)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * A conversation with all of its messages, or null
+   */
+  get(id) {
+    const conversation = this.conversations.get(id);
+    if (!conversation) return null;
+    return { ...listing(conversation), summary: conversation.summary, messages: conversation.messages };
+  }
+
+  /**
+   * Set the title of a conversation
+   * @returns {object|null} its list entry with the new title, or null when the conversation does not exist
+   */
+  rename(id, title) {
+    if (!this.conversations.has(id)) return null;
+    this._write({ type: 'title', id, title });
+    return listing(this.conversations.get(id));
+  }
+
+  /**
+   * @returns {boolean} false when the conversation does not exist
+   */
+  delete(id) {
+    if (!this.conversations.has(id)) return false;
+    this._write({ type: 'delete', id });
+    return true;
+  }
+}
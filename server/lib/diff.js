@@ -0,0 +1,204 @@
+/**
+ * Line diffs for previewing file changes before they are written. Edits are local, so the common
+ * beginning and end of the two texts are skipped and only the changed middle is compared (longest
+ * common subsequence), which keeps previews of large files cheap.
+ */
+
+// Changed middles larger than this (old lines × new lines) are shown as one replacement instead
+const MAX_LCS_CELLS = 4_000_000;
+
+const splitLines = (text) => (text === '' ? [] : String(text).split(/\r?\n/));
+
+/**
+ * Line operations turning `before` into `after`
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{type: 'equal'|'delete'|'insert', line: string}>}
+ */
+export function diffLines(before, after) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = a.slice(0, start).map(line => ({ type: 'equal', line }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  if (midA.length * midB.length > MAX_LCS_CELLS) {
+    ops.push(...midA.map(line => ({ type: 'delete', line })), ...midB.map(line => ({ type: 'insert', line })));
+  } else {
+    ops.push(...lcsOps(midA, midB));
+  }
+  ops.push(...a.slice(endA).map(line => ({ type: 'equal', line })));
+  return ops;
+}
+
+function lcsOps(a, b) {
+  const width = b.length + 1;
+  // lengths[i * width + j]: LCS length of a[i..] and b[j..]
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: 'equal', line: a[i] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      ops.push({ type: 'delete', line: a[i++] });
+    } else {
+      ops.push({ type: 'insert', line: b[j++] });
+    }
+  }
+  while (i < a.length) ops.push({ type: 'delete', line: a[i++] });
+  while (j < b.length) ops.push({ type: 'insert', line: b[j++] });
+  return ops;
+}
+
+/**
+ * Unified diff of two versions of a file
+ * @param {string} before - Current content ('' for a file that does not exist yet)
+ * @param {string} after - Content after the change
+ * @param {object} [options]
+ * @param {string} [options.filename] - For the ---/+++ header
+ * @param {boolean} [options.create] - The file is new: the old side is /dev/null
+ * @param {number} [options.context] - Unchanged lines shown around each change (default 3)
+ * @returns {{diff: string, additions: number, deletions: number}} `diff` is '' when nothing changes
+ */
+export function unifiedDiff(before, after, { filename = 'file', create = false, context = 3 } = {}) {
+  const ops = diffLines(before, after);
+  const additions = ops.filter(op => op.type === 'insert').length;
+  const deletions = ops.filter(op => op.type === 'delete').length;
+  if (additions === 0 && deletions === 0) return { diff: '', additions, deletions };
+
+  const lines = [create ? '--- /dev/null' : `--- a/${filename}`, `+++ b/${filename}`];
+  for (const hunk of hunksOf(ops, context)) {
+    const oldRange = `${hunk.oldCount ? hunk.oldStart : hunk.oldStart - 1},${hunk.oldCount}`;
+    const newRange = `${hunk.newCount ? hunk.newStart : hunk.newStart - 1},${hunk.newCount}`;
+    lines.push(`@@ -${oldRange} +${newRange} @@`);
+    for (const op of hunk.ops) {
+      lines.push(`${op.type === 'insert' ? '+' : op.type === 'delete' ? '-' : ' '}${op.line}`);
+    }
+  }
+  return { diff: lines.join('\n'), additions, deletions };
+}
+
+// Group changes at most 2 × context unchanged lines apart into hunks, with 1-based line numbers
+function hunksOf(ops, context) {
+  // Line numbers each op starts at in the old and new file
+  const positions = [];
+  let oldLine = 1;
+  let newLine = 1;
+  for (const op of ops) {
+    positions.push({ oldLine, newLine });
+    if (op.type !== 'insert') oldLine++;
+    if (op.type !== 'delete') newLine++;
+  }
+
+  const changed = ops.flatMap((op, index) => (op.type === 'equal' ? [] : [index]));
+  const groups = [];
+  for (const index of changed) {
+    const last = groups.at(-1);
+    if (last && index - last.end - 1 <= 2 * context) last.end = index;
+    else groups.push({ start: index, end: index });
+  }
+
+  return groups.map(({ start, end }) => {
+    const from = Math.max(0, start - context);
+    const to = Math.min(ops.length - 1, end + context);
+    const hunkOps = ops.slice(from, to + 1);
+    return {
+      oldStart: positions[from].oldLine,
+      newStart: positions[from].newLine,
+      oldCount: hunkOps.filter(op => op.type !== 'insert').length,
+      newCount: hunkOps.filter(op => op.type !== 'delete').length,
+      ops: hunkOps
+    };
+  });
+}
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+// Hunks of a unified diff; file headers and "\ No newline at end of file" lines are skipped
+function parseHunks(patch) {
+  const hunks = [];
+  let current = null;
+  const patchLines = String(patch).replace(/\s+$/, '').split(/\r?\n/);
+  patchLines.forEach((line, i) => {
+    const header = line.match(HUNK_HEADER);
+    // A "---" line is a file header only when "+++" follows; otherwise it removes a line starting with "--"
+    const fileHeader = /^(diff |index )/.test(line) || (line.startsWith('--- ') && patchLines[i + 1]?.startsWith('+++ '));
+    if (header) {
+      current = { header: header[0], oldStart: Number(header[1]), lines: [] };
+      hunks.push(current);
+    } else if (fileHeader) {
+      current = null;
+    } else if (current && !line.startsWith('\\')) {
+      // Models often drop the leading space of empty context lines
+      const type = line[0] === '+' ? 'insert' : line[0] === '-' ? 'delete' : 'equal';
+      current.lines.push({ type, text: type === 'equal' && line[0] !== ' ' ? line : line.slice(1) });
+    }
+  });
+  return hunks;
+}
+
+const matchesAt = (lines, expected, at) => expected.every((line, i) => lines[at + i] === line);
+
+/**
+ * Apply a unified diff to a text. The context and removed lines of each hunk must match the text,
+ * at the line its header names or else at exactly one other place after the previous hunk (line
+ * numbers written by hand or by a model are often off).
+ * @param {string} content
+ * @param {string} patch - Unified diff of this one file
+ * @returns {string}
+ * @throws when the patch has no hunks, or a hunk matches nowhere or in several places
+ */
+export function applyUnifiedDiff(content, patch) {
+  const hunks = parseHunks(patch);
+  if (hunks.length === 0) {
+    throw new Error('The patch has no hunks (expected "@@ -start,count +start,count @@" headers)');
+  }
+  const lines = splitLines(content);
+  let offset = 0; // lines added minus lines removed by the hunks before
+  let searchFrom = 0;
+
+  hunks.forEach((hunk, index) => {
+    const expected = hunk.lines.filter(l => l.type !== 'insert').map(l => l.text);
+    const replacement = hunk.lines.filter(l => l.type !== 'delete').map(l => l.text);
+    const stated = Math.max(0, hunk.oldStart - 1) + offset;
+
+    let at = stated >= searchFrom && stated + expected.length <= lines.length && matchesAt(lines, expected, stated) ? stated : -1;
+    if (at === -1) {
+      const candidates = [];
+      for (let i = searchFrom; i + expected.length <= lines.length; i++) {
+        if (matchesAt(lines, expected, i)) candidates.push(i);
+      }
+      if (candidates.length === 0 || expected.length === 0) {
+        throw new Error(`Hunk ${index + 1} (${hunk.header}) does not match the file: its context and removed lines were not found${expected.length ? `, starting with "${expected[0]}"` : ''}`);
+      }
+      if (candidates.length > 1) {
+        throw new Error(`Hunk ${index + 1} (${hunk.header}) matches ${candidates.length} places (lines ${candidates.map(c => c + 1).join(', ')}); add context lines to make it unique`);
+      }
+      at = candidates[0];
+    }
+
+    lines.splice(at, expected.length, ...replacement);
+    offset += replacement.length - expected.length;
+    searchFrom = at + replacement.length;
+  });
+  return lines.join('\n');
+}
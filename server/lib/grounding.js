@@ -0,0 +1,146 @@
+import { passageText } from './citations.js';
+
+/**
+ * Post-generation grounding check. Every sentence of an answer that carries citation markers is a
+ * claim; a claim is supported when most of its content words (and every number in it) occur in the
+ * passages it cites. Unsupported claims that another retrieved source does support are reported as
+ * mis-cited. The answer's score is the share of its claims that are supported.
+ *
+ * Matching is lexical, so paraphrases with different vocabulary can be flagged; the score is a
+ * hint for the reader, not a verdict.
+ */
+
+// Share of a claim's content words that must occur in the cited passages
+const SUPPORT_THRESHOLD = 0.5;
+
+const CODE_PATTERN = /(```[\s\S]*?```|`[^`\n]*`)/;
+const MARKER = /\[(\d+)\](?!\()/g;
+const SENTENCE_BREAK = /(?<=[.!?])\s+|\n+/;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'were', 'has', 'have', 'had', 'this', 'that', 'these', 'those', 'with',
+  'from', 'into', 'onto', 'its', 'their', 'they', 'them', 'there', 'which', 'who', 'whom', 'what', 'when',
+  'where', 'while', 'also', 'than', 'then', 'but', 'not', 'can', 'could', 'may', 'might', 'will', 'would',
+  'should', 'been', 'being', 'such', 'each', 'other', 'more', 'most', 'some', 'any', 'all', 'both', 'about',
+  'over', 'under', 'between', 'through', 'during', 'after', 'before', 'because', 'according', 'document',
+  'source', 'states', 'shows', 'mentions', 'describes', 'notes', 'reports'
+]);
+
+// Crude suffix stripping so "disables" matches "disable" and "trained" matches "training"
+function stem(word) {
+  return word.length > 4 ? word.replace(/(?:ing|ed|es|s)$/, '') : word;
+}
+
+function terms(text) {
+  const words = String(text).toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}.,%-]*[\p{L}\p{N}%]|[\p{L}\p{N}]/gu) || [];
+  const result = { words: new Set(), numbers: new Set() };
+  for (const raw of words) {
+    if (/\d/.test(raw)) {
+      result.numbers.add(raw.replace(/,/g, '').replace(/%$/, ''));
+    } else if (raw.length >= 3 && !STOPWORDS.has(raw)) {
+      result.words.add(stem(raw));
+    }
+  }
+  return result;
+}
+
+/**
+ * How well a passage supports a claim, from 0 to 1. Numbers in the claim must all appear in the passage.
+ * @param {string} claim
+ * @param {string} passage
+ */
+export function supportScore(claim, passage) {
+  const claimTerms = terms(claim);
+  const passageTerms = terms(passage);
+  for (const number of claimTerms.numbers) {
+    if (!passageTerms.numbers.has(number)) return 0;
+  }
+  if (claimTerms.words.size === 0) return claimTerms.numbers.size > 0 ? 1 : 0;
+  let found = 0;
+  for (const word of claimTerms.words) if (passageTerms.words.has(word)) found++;
+  return found / claimTerms.words.size;
+}
+
+/**
+ * Split an answer into cited claims. `markers` are the positions of the claim's markers among all
+ * "[n]" markers of the answer outside code, so a renderer can flag exactly those.
+ */
+function claimsOf(text) {
+  const claims = [];
+  let uncitedSentences = 0;
+  let markerIndex = 0;
+  String(text || '').split(CODE_PATTERN).forEach((part, i) => {
+    if (i % 2 === 1) return; // code
+    let previous = null;
+    for (const piece of part.split(SENTENCE_BREAK)) {
+      const markers = [...piece.matchAll(MARKER)].map(m => ({ n: Number(m[1]), index: markerIndex++ }));
+      const sentence = piece.replace(MARKER, '').replace(/\s+([.,;:!?])/g, '$1').trim().replace(/^(?:[-*+]|\d+[.)])\s+/, '');
+      const isClaim = /[\p{L}\p{N}]{3,}/u.test(sentence) && !/^#/.test(sentence);
+      if (isClaim) {
+        previous = { sentence, markers };
+        if (markers.length) claims.push(previous);
+        else uncitedSentences++;
+      } else if (markers.length && previous) {
+        // Markers standing after the full stop belong to the sentence before
+        if (previous.markers.length === 0) {
+          claims.push(previous);
+          uncitedSentences--;
+        }
+        previous.markers.push(...markers);
+      }
+    }
+  });
+  return { claims, uncitedSentences };
+}
+
+/**
+ * Check an answer's cited claims against the passages they cite
+ * @param {string} text - Answer with resolved "[n]" markers
+ * @param {Array<object>} citations - From resolveCitations
+ * @param {object} [options]
+ * @param {Array<object>} [options.sources] - Retrieved chunks the answer was resolved against
+ * @param {Array<object>} [options.chunks] - Indexed chunks, for passages read with tools
+ * @returns {{score: number|null, claims: Array<object>, uncitedSentences: number}} `score` is null
+ *   when the answer cites nothing
+ */
+export function checkGrounding(text, citations, { sources = [], chunks = [] } = {}) {
+  const { claims, uncitedSentences } = claimsOf(text);
+  const byNumber = new Map(citations.map(c => [c.n, c]));
+
+  const checked = claims.map(({ sentence, markers }) => {
+    const cited = [...new Set(markers.map(m => m.n))].filter(n => byNumber.has(n));
+    const passage = cited.map(n => passageText(byNumber.get(n), sources, chunks)).join('\n');
+    const support = supportScore(sentence, passage);
+    const claim = {
+      sentence,
+      citations: cited,
+      markers: markers.map(m => m.index),
+      status: 'supported',
+      support: Math.round(support * 100) / 100
+    };
+    if (support >= SUPPORT_THRESHOLD) return claim;
+
+    const citedSources = new Set(cited.map(n => byNumber.get(n).sourceIndex));
+    const better = sources
+      .map((source, index) => ({ index, support: citedSources.has(index) ? 0 : supportScore(sentence, source.text) }))
+      .filter(s => s.support >= SUPPORT_THRESHOLD)
+      .sort((a, b) => b.support - a.support)[0];
+    if (!better) return { ...claim, status: 'unsupported' };
+    return {
+      ...claim,
+      status: 'miscited',
+      supportedBy: {
+        sourceIndex: better.index,
+        filename: sources[better.index].filename,
+        n: citations.find(c => c.sourceIndex === better.index)?.n ?? null
+      }
+    };
+  });
+
+  const supported = checked.filter(c => c.status === 'supported').length;
+  return {
+    score: checked.length ? Math.round((supported / checked.length) * 100) / 100 : null,
+    claims: checked,
+    uncitedSentences
+  };
+}
@@ -0,0 +1,9 @@
+import { createHash } from 'crypto';
+
+/**
+ * Hex SHA-256 of a string or buffer; identifies file contents and chunk texts
+ * @param {string|Buffer|Uint8Array} data
+ */
+export function sha256(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
@@ -0,0 +1,284 @@
+/**
+ * Hierarchical Navigable Small World graph for approximate nearest-neighbour search
+ * (Malkov & Yashunin, 2016). Nodes are identified by their slot in the vector store;
+ * vectors are not copied, they are read through `getVector(slot)` and must be
+ * L2-normalized so that similarity is a plain dot product.
+ */
+
+const GRAPH_FORMAT_VERSION = 1;
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+// Small seeded PRNG (mulberry32) so level assignment is reproducible
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Binary heap over {slot, sim}; `higherFirst` decides whether the most or least similar is on top
+ */
+class Heap {
+  constructor(higherFirst) {
+    this.items = [];
+    this.before = higherFirst ? (a, b) => a.sim > b.sim : (a, b) => a.sim < b.sim;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!this.before(items[i], items[parent])) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      while (true) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let best = i;
+        if (left < items.length && this.before(items[left], items[best])) best = left;
+        if (right < items.length && this.before(items[right], items[best])) best = right;
+        if (best === i) break;
+        [items[i], items[best]] = [items[best], items[i]];
+        i = best;
+      }
+    }
+    return top;
+  }
+}
+
+export class HnswIndex {
+  /**
+   * @param {object} options
+   * @param {(slot: number) => Float32Array} options.getVector
+   * @param {number} [options.M] - Links per node on upper layers (layer 0 keeps 2*M)
+   * @param {number} [options.efConstruction] - Candidate list size while inserting
+   * @param {number} [options.efSearch] - Default candidate list size while searching
+   * @param {number} [options.seed]
+   */
+  constructor({ getVector, M = 16, efConstruction = 200, efSearch = 64, seed = 42 }) {
+    this.getVector = getVector;
+    this.M = M;
+    this.maxLinks0 = M * 2;
+    this.efConstruction = efConstruction;
+    this.efSearch = efSearch;
+    this.levelMultiplier = 1 / Math.log(M);
+    this.random = createRandom(seed);
+
+    this.links = []; // links[slot][level] -> neighbour slots
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+  }
+
+  get size() {
+    return this.links.reduce((count, l) => count + (l ? 1 : 0), 0);
+  }
+
+  has(slot) {
+    return Boolean(this.links[slot]);
+  }
+
+  _randomLevel() {
+    return Math.floor(-Math.log(1 - this.random()) * this.levelMultiplier);
+  }
+
+  /**
+   * Greedy best-first search restricted to one layer
+   * @returns {Array<{slot: number, sim: number}>} up to `ef` nearest, most similar first
+   */
+  _searchLayer(query, entrySlots, ef, level) {
+    const visited = new Set(entrySlots);
+    const candidates = new Heap(true);
+    const results = new Heap(false);
+
+    for (const slot of entrySlots) {
+      const item = { slot, sim: dot(query, this.getVector(slot)) };
+      candidates.push(item);
+      results.push(item);
+    }
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.sim < results.peek().sim) break;
+
+      for (const neighbour of this.links[current.slot][level] || []) {
+        if (visited.has(neighbour)) continue;
+        visited.add(neighbour);
+        const sim = dot(query, this.getVector(neighbour));
+        if (results.size < ef || sim > results.peek().sim) {
+          const item = { slot: neighbour, sim };
+          candidates.push(item);
+          results.push(item);
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+
+    return results.items.sort((a, b) => b.sim - a.sim);
+  }
+
+  /**
+   * Neighbour selection heuristic: keep a candidate only if it is closer to the base
+   * node than to any neighbour already kept, which preserves links across clusters
+   */
+  _selectNeighbours(candidates, max) {
+    const selected = [];
+    for (const candidate of candidates) {
+      if (selected.length >= max) break;
+      const vector = this.getVector(candidate.slot);
+      const dominated = selected.some(s => dot(vector, this.getVector(s.slot)) > candidate.sim);
+      if (!dominated) selected.push(candidate);
+    }
+    // Top up with the closest leftovers so sparse regions still get enough links
+    for (const candidate of candidates) {
+      if (selected.length >= max) break;
+      if (!selected.includes(candidate)) selected.push(candidate);
+    }
+    return selected.map(c => c.slot);
+  }
+
+  _shrink(slot, level) {
+    const max = level === 0 ? this.maxLinks0 : this.M;
+    const neighbours = this.links[slot][level];
+    if (neighbours.length <= max) return;
+    const base = this.getVector(slot);
+    const scored = neighbours
+      .map(n => ({ slot: n, sim: dot(base, this.getVector(n)) }))
+      .sort((a, b) => b.sim - a.sim);
+    this.links[slot][level] = this._selectNeighbours(scored, max);
+  }
+
+  add(slot) {
+    if (this.links[slot]) return;
+    const query = this.getVector(slot);
+    const level = this._randomLevel();
+    this.links[slot] = Array.from({ length: level + 1 }, () => []);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = slot;
+      this.maxLevel = level;
+      return;
+    }
+
+    let entry = [this.entryPoint];
+    for (let l = this.maxLevel; l > level; l--) {
+      entry = [this._searchLayer(query, entry, 1, l)[0].slot];
+    }
+
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const candidates = this._searchLayer(query, entry, this.efConstruction, l);
+      const neighbours = this._selectNeighbours(candidates, this.M);
+      this.links[slot][l] = neighbours;
+      for (const neighbour of neighbours) {
+        this.links[neighbour][l].push(slot);
+        this._shrink(neighbour, l);
+      }
+      entry = candidates.map(c => c.slot);
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = slot;
+    }
+  }
+
+  /**
+   * @param {Float32Array|number[]} query - L2-normalized query vector
+   * @param {number} k
+   * @param {object} [options]
+   * @param {number} [options.ef] - Candidate list size (raised to at least k)
+   * @param {(slot: number) => boolean} [options.filter] - Only slots passing the filter are returned
+   *   (filtered-out nodes are still traversed, so deleted chunks keep the graph connected)
+   * @returns {Array<{slot: number, score: number}>}
+   */
+  search(query, k, { ef = this.efSearch, filter } = {}) {
+    if (this.entryPoint === -1 || k <= 0) return [];
+
+    let entry = [this.entryPoint];
+    for (let l = this.maxLevel; l > 0; l--) {
+      entry = [this._searchLayer(query, entry, 1, l)[0].slot];
+    }
+
+    const found = this._searchLayer(query, entry, Math.max(ef, k), 0);
+    const results = [];
+    for (const { slot, sim } of found) {
+      if (filter && !filter(slot)) continue;
+      results.push({ slot, score: sim });
+      if (results.length >= k) break;
+    }
+    return results;
+  }
+
+  /**
+   * Serialize the graph to a compact Int32Array:
+   * [version, slotCount, M, entryPoint, maxLevel, then per slot: level (-1 if absent), per layer: n, ...neighbours]
+   */
+  serialize() {
+    const out = [GRAPH_FORMAT_VERSION, this.links.length, this.M, this.entryPoint, this.maxLevel];
+    for (const layers of this.links) {
+      if (!layers) {
+        out.push(-1);
+        continue;
+      }
+      out.push(layers.length - 1);
+      for (const neighbours of layers) {
+        out.push(neighbours.length, ...neighbours);
+      }
+    }
+    return Int32Array.from(out);
+  }
+
+  /**
+   * Restore a graph written by serialize(); returns false if the data is unusable
+   */
+  load(data) {
+    if (!data || data.length < 5 || data[0] !== GRAPH_FORMAT_VERSION || data[2] !== this.M) return false;
+    const slotCount = data[1];
+    let offset = 5;
+    const links = new Array(slotCount);
+    for (let slot = 0; slot < slotCount; slot++) {
+      const level = data[offset++];
+      if (level === -1) continue;
+      const layers = [];
+      for (let l = 0; l <= level; l++) {
+        const n = data[offset++];
+        layers.push(Array.from(data.subarray(offset, offset + n)));
+        offset += n;
+      }
+      links[slot] = layers;
+    }
+    this.links = links;
+    this.entryPoint = data[3];
+    this.maxLevel = data[4];
+    return offset === data.length;
+  }
+}
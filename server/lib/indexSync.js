@@ -0,0 +1,140 @@
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { parseUploadedFile } from './parser.js';
+import { sha256 } from './hash.js';
+import { TRANSIENT_ID_PREFIX } from './transientStore.js';
+
+// fs.watch reports a single save as several events; wait for the file to settle
+const WATCH_DEBOUNCE_MS = 200;
+
+/**
+ * Keeps the vector index in step with files in the uploads directory. Everything the server
+ * writes there goes through `writeFile`, which re-parses and re-indexes the file so chunk
+ * line numbers stay accurate (and records the change in the edit journal when there is one);
+ * `watch` re-indexes edits made by other programs.
+ */
+export class IndexSync {
+  /**
+   * @param {object} options
+   * @param {string} options.uploadDir
+   * @param {import('./vectorStore.js').VectorStore} options.vectorStore
+   * @param {import('./journal.js').EditJournal} [options.journal] - Records who changed each file and keeps its versions
+   */
+  constructor({ uploadDir, vectorStore, journal = null }) {
+    this.uploadDir = uploadDir;
+    this.vectorStore = vectorStore;
+    this.journal = journal;
+    this.pending = new Map(); // filename -> promise of the latest re-index, so runs per file never overlap
+    this.timers = new Map();
+    this.watcher = null;
+  }
+
+  /**
+   * Resolve a bare filename inside the uploads directory (no path traversal)
+   */
+  resolve(filename) {
+    const safeName = path.basename(filename);
+    return { safeName, filePath: path.join(this.uploadDir, safeName) };
+  }
+
+  /**
+   * The indexed document stored under a saved filename; transient chat attachments are ignored
+   */
+  findDocument(filename) {
+    return this.vectorStore.findDocument(doc => doc.filename === filename && !doc.id.startsWith(TRANSIENT_ID_PREFIX));
+  }
+
+  /**
+   * Write a file in the uploads directory and re-index it
+   * @param {string} filename
+   * @param {string} content
+   * @param {object} [options]
+   * @param {boolean} [options.create] - Index the file as a new document if it is not indexed yet
+   * @param {object} [options.change] - Journal metadata: { actor, operation, reason, sessionId?, revertedTo? }
+   * @returns {Promise<{docId: string, chunks: number, embedded: number, reused: number}|null>} null when the file is not indexed
+   */
+  async writeFile(filename, content, { create = false, change } = {}) {
+    const { safeName, filePath } = this.resolve(filename);
+    const before = this.journal && fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : '';
+    fs.writeFileSync(filePath, content, 'utf8');
+    if (this.journal) {
+      try {
+        this.journal.record(safeName, before, content, change);
+      } catch (err) {
+        console.warn(`⚠️  Failed to journal the change to ${safeName}:`, err.message);
+      }
+    }
+    return this.reindex(safeName, { create });
+  }
+
+  /**
+   * Re-parse and re-index a file if it is indexed and its contents changed
+   * @param {string} filename
+   * @param {object} [options]
+   * @param {boolean} [options.create] - Index the file as a new document if it is not indexed yet
+   */
+  reindex(filename, options = {}) {
+    const previous = this.pending.get(filename) || Promise.resolve();
+    const run = previous.catch(() => {}).then(() => this._reindex(filename, options));
+    this.pending.set(filename, run);
+    const forget = () => {
+      if (this.pending.get(filename) === run) this.pending.delete(filename);
+    };
+    run.then(forget, forget);
+    return run;
+  }
+
+  async _reindex(filename, { create = false } = {}) {
+    const { filePath } = this.resolve(filename);
+    const doc = this.findDocument(filename);
+    if (!doc && !create) return null;
+
+    if (!fs.existsSync(filePath)) {
+      // Removed behind our back: drop it from the index as well
+      if (doc) await this.vectorStore.deleteDocument(doc.id);
+      return null;
+    }
+
+    const contentHash = sha256(fs.readFileSync(filePath));
+    if (doc && doc.contentHash === contentHash) {
+      const chunks = this.vectorStore.index.chunks.filter(ch => ch.docId === doc.id).length;
+      return { docId: doc.id, chunks, embedded: 0, reused: chunks };
+    }
+
+    const docId = doc?.id || uuidv4();
+    const parsed = await parseUploadedFile(filePath, doc?.originalName || filename);
+    const stats = await this.vectorStore.indexDocument({
+      id: docId,
+      filename,
+      segments: parsed.segments.map(seg => ({ ...seg, filename })),
+      metadata: doc ? { ...doc, contentHash } : { originalName: filename, contentHash, version: 1 }
+    });
+    console.log(`🔁 Re-indexed ${filename}: ${stats.embedded} chunks embedded, ${stats.reused} reused`);
+    return { docId, ...stats };
+  }
+
+  /**
+   * Watch the uploads directory and re-index indexed files edited by other programs.
+   * New files are left alone: uploads are indexed by their ingestion job.
+   */
+  watch() {
+    if (this.watcher) return;
+    this.watcher = fs.watch(this.uploadDir, (_event, filename) => {
+      if (!filename) return;
+      clearTimeout(this.timers.get(filename));
+      this.timers.set(filename, setTimeout(() => {
+        this.timers.delete(filename);
+        this.reindex(filename).catch(err => console.warn(`⚠️  Failed to re-index ${filename}:`, err.message));
+      }, WATCH_DEBOUNCE_MS));
+    });
+    this.watcher.on('error', err => console.warn('⚠️  Upload watcher error:', err.message));
+  }
+
+  close() {
+    this.watcher?.close();
+    this.watcher = null;
+    for (const timer of this.timers.values()) clearTimeout(timer);
+    this.timers.clear();
+  }
+}
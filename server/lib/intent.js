@@ -0,0 +1,243 @@
+/**
+ * Intent routing for agent chat: decides, once per request, what the user wants so the route
+ * (retrieval scope, the direct workspace listing) and the agent loop (tools, output length,
+ * temperature) act on the same answer. Routers share one interface and are interchangeable:
+ * a rules engine, an embedding classifier and an LLM classifier; the classifiers fall back to the
+ * rules when they are unsure or fail. Documents the message names are resolved against the
+ * workspace, so a phrase like "file format" no longer counts as a document.
+ */
+
+export const INTENTS = Object.freeze({
+  WORKSPACE_LISTING: 'workspace_listing',
+  DOCUMENT_QA: 'document_qa',
+  CROSS_DOCUMENT: 'cross_document',
+  AUTHORING: 'authoring',
+  EDITING: 'editing'
+});
+
+/**
+ * @typedef {object} Intent
+ * @property {string} type - One of INTENTS
+ * @property {Array<string>} documents - Workspace files the message names, as stored
+ * @property {number} confidence - 0-1
+ * @property {string} router - Name of the router that decided
+ */
+
+// Checked in order; the first intent with a matching pattern wins
+const RULES = [
+  {
+    type: INTENTS.WORKSPACE_LISTING,
+    patterns: [
+      /what (files|documents|files and folders) (do I have|are in|are there)/i,
+      /list (all )?(my )?(files|documents|files and folders)/i,
+      /show me (all )?(my )?(files|documents|files and folders)/i,
+      /what's in (my )?(workspace|folder|directory)/i,
+      /(list|show|what) (all )?files/i
+    ]
+  },
+  {
+    type: INTENTS.AUTHORING,
+    patterns: [
+      /create (an? )?(article|paper|document|latex|tex) (about|on|for)/i,
+      /(I want|I need|can you) (to )?create (an? )?(article|paper|document|latex|tex)/i,
+      /(write|draft) (an? )?(article|paper|document|report|essay) (about|on)/i,
+      /generate (an? )?(article|paper|document|latex|tex) (about|on)/i,
+      /make (an? )?(article|paper|document|latex|tex) (about|on)/i
+    ]
+  },
+  {
+    type: INTENTS.EDITING,
+    patterns: [
+      /^\s*(please\s+)?(insert|append|apply|replace|rewrite|rephrase|edit|fix|correct|delete|remove|add|put|change|update)\b/i,
+      /\b(insert|add|put|append|paste|move)\b[^.?!]*\b(into|to|in)\s+(my|the|this)\s+(file|document|article|paper|draft|section|abstract|introduction|conclusion|latex|tex)\b/i,
+      /\b(yes|ok|okay|sure|go ahead)\b[^.?!]*\b(insert|apply|add) (it|this|that)\b/i
+    ]
+  },
+  {
+    type: INTENTS.CROSS_DOCUMENT,
+    patterns: [
+      /\b(compare|contrast|combine|synthesi[sz]e|reconcile)\b/i,
+      /\b(across|between) (all |both |the )?(my )?(documents|files|papers|sources)\b/i,
+      /\b(both|all (of )?(my|the)) (documents|files|papers|pdfs)\b/i,
+      /\bbased on (document|file|pdf)s?\b[^.?!]*\band\b/i
+    ]
+  }
+];
+
+// Candidate document names: explicit filenames, or the word after "document"/"file"/"pdf"
+const FILENAME_PATTERN = /([\p{L}\p{N}_\-.]+\.(?:pdf|docx|txt|tex|md|xlsx))\b/giu;
+const HAS_EXTENSION = /\.(?:pdf|docx|txt|tex|md|xlsx)$/i;
+const NAMED_PATTERN = /\b(?:document|file|pdf|docx|paper)\s+["“']?([\p{L}\p{N}_\-.]+)/giu;
+
+const stripPrefix = (name) => String(name).replace(/^\d{10,}-/, '').toLowerCase();
+const stripExtension = (name) => name.replace(/\.[a-z0-9]{2,5}$/i, '');
+
+/**
+ * Workspace files a message names
+ * @param {string} message
+ * @param {Array<string>} [workspaceFiles] - Stored filenames; without them only names with an extension count
+ * @returns {Array<string>}
+ */
+export function findMentionedDocuments(message, workspaceFiles) {
+  const candidates = new Set();
+  for (const match of message.matchAll(FILENAME_PATTERN)) candidates.add(match[1].toLowerCase());
+  for (const match of message.matchAll(NAMED_PATTERN)) candidates.add(match[1].toLowerCase().replace(/[.,;:]+$/, ''));
+
+  if (!workspaceFiles) return [...candidates].filter(name => HAS_EXTENSION.test(name));
+  const found = new Set();
+  for (const candidate of candidates) {
+    const file = workspaceFiles.find(f => stripPrefix(f) === candidate)
+      || workspaceFiles.find(f => stripExtension(stripPrefix(f)) === stripExtension(candidate));
+    if (file) found.add(file);
+  }
+  return [...found];
+}
+
+/**
+ * Classify a message with the rules alone. Synchronous, so the agent loop can use it when it is
+ * called without a routed intent.
+ * @param {string} message
+ * @param {object} [context]
+ * @param {Array<string>} [context.workspaceFiles]
+ * @returns {Intent}
+ */
+export function classifyByRules(message, { workspaceFiles } = {}) {
+  const documents = findMentionedDocuments(String(message || ''), workspaceFiles);
+  const rule = RULES.find(r => r.patterns.some(p => p.test(message)));
+  if (rule) return { type: rule.type, documents, confidence: 0.9, router: 'rules' };
+  // Naming several documents is a synthesis across them
+  if (documents.length > 1) return { type: INTENTS.CROSS_DOCUMENT, documents, confidence: 0.7, router: 'rules' };
+  return { type: INTENTS.DOCUMENT_QA, documents, confidence: 0.5, router: 'rules' };
+}
+
+/**
+ * Wrap a classification function as a router. A classifier answers with an intent type and a
+ * confidence; below `minConfidence`, or when it throws, the rules decide instead. Documents
+ * always come from findMentionedDocuments.
+ * @param {object} options
+ * @param {string} options.name
+ * @param {(message: string, context: object) => Promise<{type: string, confidence: number}|null>} [options.classify]
+ *   `context` is what route() was given: workspaceFiles, and provider/model/onCompletion for the LLM router
+ * @param {number} [options.minConfidence]
+ * @returns {{name: string, route: (message: string, context?: object) => Promise<Intent>}}
+ */
+export function createIntentRouter({ name, classify, minConfidence = 0.5 }) {
+  return {
+    name,
+    async route(message, context = {}) {
+      const byRules = classifyByRules(message, context);
+      if (!classify) return byRules;
+      try {
+        const result = await classify(message, context);
+        if (!result || !Object.values(INTENTS).includes(result.type) || result.confidence < minConfidence) return byRules;
+        return { type: result.type, documents: byRules.documents, confidence: result.confidence, router: name };
+      } catch (err) {
+        console.warn(`⚠️  Intent router ${name} failed, using rules:`, err.message);
+        return byRules;
+      }
+    }
+  };
+}
+
+export function createRulesRouter() {
+  return createIntentRouter({ name: 'rules' });
+}
+
+// A few phrasings per intent; the embedding router picks the intent of the closest one
+const EXAMPLES = {
+  [INTENTS.WORKSPACE_LISTING]: ['What files do I have?', 'List my documents', 'Which documents are in my workspace?'],
+  [INTENTS.DOCUMENT_QA]: ['What does the paper say about dropout?', 'Summarize this document', 'What is the sample size in the methods section?'],
+  [INTENTS.CROSS_DOCUMENT]: ['Compare the results of both papers', 'What do my documents agree on?', 'Combine the findings of the report and the thesis'],
+  [INTENTS.AUTHORING]: ['Write an article about climate change', 'Create a LaTeX paper on quantum computing', 'Draft a report about renewable energy'],
+  [INTENTS.EDITING]: ['Insert this paragraph into my article', 'Rewrite the abstract of my paper', 'Fix the typo on line 12 of main.tex']
+};
+
+const cosine = (a, b) => {
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+};
+
+/**
+ * Nearest-example classifier over sentence embeddings; cheap once the examples are embedded
+ * @param {object} options
+ * @param {(text: string) => Promise<number[]>} options.embed - Same embedder as the index
+ * @param {number} [options.minSimilarity] - Below this the rules decide
+ */
+export function createEmbeddingRouter({ embed, minSimilarity = Number(process.env.INTENT_MIN_SIMILARITY) || 0.6 }) {
+  let examples = null;
+  const load = () => {
+    if (!examples) {
+      examples = Promise.all(Object.entries(EXAMPLES).flatMap(([type, texts]) =>
+        texts.map(async text => ({ type, vector: await embed(text) }))));
+      // Allow a retry after a failed load
+      examples.catch(() => { examples = null; });
+    }
+    return examples;
+  };
+
+  return createIntentRouter({
+    name: 'embedding',
+    minConfidence: minSimilarity,
+    async classify(message) {
+      const vector = await embed(message);
+      return (await load())
+        .map(example => ({ type: example.type, confidence: cosine(vector, example.vector) }))
+        .reduce((a, b) => (b.confidence > a.confidence ? b : a));
+    }
+  });
+}
+
+const LLM_PROMPT = `Classify the user's message for a research assistant working on the user's document workspace.
+Intents:
+- workspace_listing: asks which files or documents exist
+- document_qa: asks about the content of documents
+- cross_document: compares, combines or synthesizes several documents
+- authoring: asks to write a new article, paper or file
+- editing: asks to change, insert into or fix an existing file
+Answer with JSON only: {"intent": "<intent>", "confidence": <0-1>}`;
+
+/**
+ * Classifier that asks the request's chat model (`context.provider`, `context.model`); one short
+ * completion per request, reported to `context.onCompletion` for usage accounting
+ */
+export function createLLMRouter() {
+  return createIntentRouter({
+    name: 'llm',
+    async classify(message, { provider, model, onCompletion }) {
+      if (!provider) return null;
+      const startedAt = Date.now();
+      const completion = await provider.complete({
+        model: model || provider.defaultModel,
+        temperature: 0,
+        maxTokens: 30,
+        messages: [
+          { role: 'system', content: LLM_PROMPT },
+          { role: 'user', content: message }
+        ]
+      });
+      onCompletion?.(completion, Date.now() - startedAt);
+      const json = completion.message?.content?.match(/\{[\s\S]*\}/)?.[0];
+      if (!json) return null;
+      const { intent, confidence } = JSON.parse(json);
+      return { type: intent, confidence: Number(confidence) || 0 };
+    }
+  });
+}
+
+/**
+ * Router named by INTENT_ROUTER (rules, embedding or llm; default rules)
+ * @param {object} [deps]
+ * @param {(text: string) => Promise<number[]>} [deps.embed] - For the embedding router
+ */
+export function createDefaultIntentRouter({ embed } = {}) {
+  const name = (process.env.INTENT_ROUTER || 'rules').toLowerCase();
+  if (name === 'embedding' && embed) return createEmbeddingRouter({ embed });
+  if (name === 'llm') return createLLMRouter();
+  if (name !== 'rules') console.warn(`⚠️  INTENT_ROUTER "${name}" is not available, using rules`);
+  return createRulesRouter();
+}
@@ -0,0 +1,177 @@
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * In-memory queue for background jobs (document ingestion). Jobs run in FIFO order with
+ * bounded concurrency; their state is polled through `get` and they can be cancelled while
+ * queued or running. Jobs do not survive a restart.
+ */
+
+export const JOB_STATES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const FINISHED = new Set(['completed', 'failed', 'cancelled']);
+
+// Finished jobs kept for status queries before the oldest are forgotten
+const MAX_FINISHED_JOBS = 200;
+
+export class JobCancelledError extends Error {
+  constructor() {
+    super('Job cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+function runCleanup(job, onCancel) {
+  return Promise.resolve()
+    .then(() => onCancel?.())
+    .catch(err => console.warn(`⚠️  Cleanup after cancelling job ${job.id} failed:`, err.message));
+}
+
+export class JobQueue {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.concurrency] - Jobs run at the same time (default 1: embedding is CPU bound)
+   */
+  constructor({ concurrency = 1 } = {}) {
+    this.concurrency = Math.max(1, concurrency);
+    this.jobs = new Map(); // id -> job (insertion order = submission order)
+    this.pending = [];
+    this.runningEntries = new Map(); // id -> entry of jobs currently running
+    this.running = 0;
+    this.idleWaiters = [];
+  }
+
+  /**
+   * Queue a job
+   * @param {object} meta - Public fields copied onto the job (type, filename, docId...)
+   * @param {(ctx: {signal: AbortSignal, report: (stage: string, done?: number, total?: number) => void}) => Promise<object>} run
+   *   Does the work; reports progress through `report` and should stop when `signal` aborts.
+   *   Its return value becomes `job.result`.
+   * @param {object} [hooks]
+   * @param {() => void} [hooks.onCancel] - Cleanup after the job was cancelled (queued or running)
+   * @returns {object} the job
+   */
+  enqueue(meta, run, { onCancel } = {}) {
+    const job = {
+      ...meta,
+      id: uuidv4(),
+      status: 'queued',
+      stage: null,
+      progress: { done: 0, total: 0 },
+      error: null,
+      result: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null
+    };
+    this.jobs.set(job.id, job);
+    this.pending.push({ job, run, onCancel, controller: new AbortController() });
+    this._drain();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  list() {
+    return [...this.jobs.values()];
+  }
+
+  /**
+   * Jobs that have not finished yet, optionally filtered
+   * @param {(job: object) => boolean} [predicate]
+   */
+  active(predicate = () => true) {
+    return this.list().filter(job => !FINISHED.has(job.status) && predicate(job));
+  }
+
+  /**
+   * Cancel a queued or running job. A running job stops at its next cancellation check;
+   * if it finishes first it stays completed.
+   * @returns {boolean} false when the job is unknown or already finished
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || FINISHED.has(job.status)) return false;
+
+    const index = this.pending.findIndex(entry => entry.job === job);
+    if (index !== -1) {
+      const [entry] = this.pending.splice(index, 1);
+      this._finish(job, 'cancelled');
+      runCleanup(job, entry.onCancel);
+      return true;
+    }
+    this.runningEntries.get(job.id)?.controller.abort();
+    return true;
+  }
+
+  /**
+   * Resolve once nothing is queued or running
+   */
+  onIdle() {
+    if (this.pending.length === 0 && this.running === 0) return Promise.resolve();
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  _drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      this._start(this.pending.shift());
+    }
+    if (this.pending.length === 0 && this.running === 0) {
+      for (const resolve of this.idleWaiters.splice(0)) resolve();
+    }
+  }
+
+  async _start(entry) {
+    const { job, run, onCancel, controller } = entry;
+    this.running += 1;
+    this.runningEntries.set(job.id, entry);
+    job.status = 'running';
+    job.startedAt = Date.now();
+
+    const report = (stage, done = 0, total = 0) => {
+      job.stage = stage;
+      job.progress = { done, total };
+    };
+
+    try {
+      // A job that finishes despite a late cancellation counts as completed
+      const result = await run({ signal: controller.signal, report });
+      job.result = result ?? null;
+      this._finish(job, 'completed');
+    } catch (err) {
+      if (controller.signal.aborted || err instanceof JobCancelledError) {
+        // Only report the cancellation once the job's traces are gone
+        await runCleanup(job, onCancel);
+        this._finish(job, 'cancelled');
+      } else {
+        job.error = err.message;
+        this._finish(job, 'failed');
+      }
+    } finally {
+      this.runningEntries.delete(job.id);
+      this.running -= 1;
+      this._drain();
+    }
+  }
+
+  _finish(job, status) {
+    job.status = status;
+    job.finishedAt = Date.now();
+    this._prune();
+  }
+
+  _prune() {
+    const finished = this.list().filter(job => FINISHED.has(job.status));
+    for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+      this.jobs.delete(job.id);
+    }
+  }
+}
+
+/**
+ * Throw JobCancelledError if the signal has been aborted; long-running steps call this between units of work
+ * @param {AbortSignal} [signal]
+ */
+export function throwIfCancelled(signal) {
+  if (signal?.aborted) throw new JobCancelledError();
+}
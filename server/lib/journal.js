@@ -0,0 +1,173 @@
+import fs from 'fs';
+import path from 'path';
+import { sha256 } from './hash.js';
+import { diffLines } from './diff.js';
+
+// Versions kept per file; older ones are dropped with the contents only they referred to
+const DEFAULT_MAX_VERSIONS = 100;
+
+/**
+ * Operation journal of the files the server writes in the uploads directory: who changed a file,
+ * with which operation and why, and the hashes of its contents before and after. Every content is
+ * kept once, by hash, so any version can be restored. Versions are numbered per file: version 0 is
+ * the file before its first journaled change, version n the file after the n-th. Only the latest
+ * `maxVersions` changes of a file are kept; the oldest version left is then the one before the
+ * first kept change. Dropping changes or a file's history rewrites the journal and removes the
+ * contents nothing refers to any more.
+ *
+ * Layout under the journal directory:
+ *   journal.jsonl - { type: 'edit', filename, version, timestamp, actor, operation, reason, sessionId?,
+ *                     beforeHash, afterHash, additions, deletions, revertedTo? }
+ *   blobs/<sha256> - file contents
+ */
+export class EditJournal {
+  /**
+   * @param {string} dir - Directory holding the journal and its content blobs
+   * @param {object} [options]
+   * @param {() => number} [options.now] - Clock, for tests
+   * @param {number} [options.maxVersions] - Changes kept per file (HISTORY_MAX_VERSIONS, default 100)
+   */
+  constructor(dir, { now = Date.now, maxVersions = Number(process.env.HISTORY_MAX_VERSIONS) || DEFAULT_MAX_VERSIONS } = {}) {
+    this.dir = dir;
+    this.filePath = path.join(dir, 'journal.jsonl');
+    this.blobDir = path.join(dir, 'blobs');
+    this.now = now;
+    this.maxVersions = maxVersions;
+    this.entries = new Map(); // filename -> edit records, oldest first
+    fs.mkdirSync(this.blobDir, { recursive: true });
+    this._load();
+  }
+
+  _load() {
+    if (!fs.existsSync(this.filePath)) return;
+    for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        this._apply(JSON.parse(line));
+      } catch {
+        // A write cut short by a crash leaves a partial last line
+      }
+    }
+    // Contents left behind by a crash between writing a blob and the journal
+    this._removeUnreferencedBlobs();
+    console.log(`📜 Loaded edit history of ${this.entries.size} files`);
+  }
+
+  _apply(record) {
+    if (record.type === 'edit') {
+      const entries = this.entries.get(record.filename) || [];
+      entries.push(record);
+      this.entries.set(record.filename, entries);
+    }
+  }
+
+  _append(record) {
+    fs.appendFileSync(this.filePath, `${JSON.stringify(record)}\n`, 'utf8');
+    this._apply(record);
+  }
+
+  // Write the journal anew with the records still in use
+  _rewrite() {
+    const records = [...this.entries.values()].flat().sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, records.map(record => `${JSON.stringify(record)}\n`).join(''), 'utf8');
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  _removeUnreferencedBlobs() {
+    const referenced = new Set();
+    for (const entries of this.entries.values()) {
+      for (const entry of entries) referenced.add(entry.beforeHash).add(entry.afterHash);
+    }
+    for (const hash of fs.readdirSync(this.blobDir)) {
+      if (!referenced.has(hash)) fs.rmSync(path.join(this.blobDir, hash), { force: true });
+    }
+  }
+
+  _storeBlob(content) {
+    const hash = sha256(content);
+    const blobPath = path.join(this.blobDir, hash);
+    if (!fs.existsSync(blobPath)) fs.writeFileSync(blobPath, content, 'utf8');
+    return hash;
+  }
+
+  /**
+   * Record a change of a file; nothing is recorded when the content did not change
+   * @param {string} filename
+   * @param {string} before - Content before the change ('' for a new file)
+   * @param {string} after
+   * @param {object} [change]
+   * @param {string} [change.actor] - 'user' or 'agent'
+   * @param {string} [change.operation] - Tool or endpoint that made the change (insert_text, revert, ...)
+   * @param {string} [change.reason] - Shown in the history, e.g. "AI insertion"
+   * @param {string} [change.sessionId] - Chat session of an agent change
+   * @param {number} [change.revertedTo] - Version restored by a revert
+   * @returns {object|null} The journal entry
+   */
+  record(filename, before, after, { actor = 'user', operation = 'edit', reason, sessionId, revertedTo } = {}) {
+    if (before === after) return null;
+    const ops = diffLines(before, after);
+    const entry = {
+      type: 'edit',
+      filename,
+      version: this.currentVersion(filename) + 1,
+      timestamp: new Date(this.now()).toISOString(),
+      actor,
+      operation,
+      reason: reason || null,
+      ...(sessionId && { sessionId }),
+      beforeHash: this._storeBlob(before),
+      afterHash: this._storeBlob(after),
+      additions: ops.filter(op => op.type === 'insert').length,
+      deletions: ops.filter(op => op.type === 'delete').length,
+      ...(revertedTo !== undefined && { revertedTo })
+    };
+    this._append(entry);
+
+    const entries = this.entries.get(filename);
+    if (entries.length > this.maxVersions) {
+      entries.splice(0, entries.length - this.maxVersions);
+      this._rewrite();
+      this._removeUnreferencedBlobs();
+    }
+    return entry;
+  }
+
+  /**
+   * Journal entries of a file, oldest first, without the record bookkeeping
+   * @param {string} filename
+   */
+  history(filename) {
+    return (this.entries.get(filename) || []).map(({ type: _type, ...entry }) => entry);
+  }
+
+  /**
+   * Latest version number of a file (0 when nothing was journaled)
+   */
+  currentVersion(filename) {
+    return this.entries.get(filename)?.at(-1)?.version ?? 0;
+  }
+
+  /**
+   * Content of a file at a version
+   * @param {string} filename
+   * @param {number} version - 0 (or the version before the oldest kept change) for the content before it
+   * @returns {string|null} null for an unknown or dropped version, or a missing blob
+   */
+  content(filename, version) {
+    const entries = this.entries.get(filename) || [];
+    const hash = version === entries[0]?.version - 1 ? entries[0].beforeHash : entries.find(e => e.version === version)?.afterHash;
+    if (!hash) return null;
+    const blobPath = path.join(this.blobDir, hash);
+    return fs.existsSync(blobPath) ? fs.readFileSync(blobPath, 'utf8') : null;
+  }
+
+  /**
+   * Drop the history of a deleted file, with the contents no other file's history refers to
+   */
+  forget(filename) {
+    if (!this.entries.delete(filename)) return;
+    this._rewrite();
+    this._removeUnreferencedBlobs();
+  }
+}
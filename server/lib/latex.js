@@ -0,0 +1,203 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * LaTeX compilation with a local TeX engine (pdflatex, xelatex, lualatex or tectonic). Each
+ * compile runs in a fresh temp directory that is removed afterwards, with shell escape off, TeX
+ * file access limited to that directory, a time limit, and one compile at a time. The TeX log is
+ * parsed into diagnostics with the source line they refer to, for editor markers.
+ */
+
+const DEFAULT_TIMEOUT_MS = 30000;
+// Engines looked for on PATH when LATEX_ENGINE is not set, in order of preference
+const ENGINE_CANDIDATES = ['pdflatex', 'tectonic', 'xelatex', 'lualatex'];
+const MAIN_FILE = 'main.tex';
+// stderr kept for the response when an engine writes no log
+const MAX_STDERR_CHARS = 20000;
+
+/**
+ * @typedef {object} LatexDiagnostic
+ * @property {'error'|'warning'|'info'} severity - Overfull and underfull boxes are 'info'
+ * @property {string} message
+ * @property {number|null} line - 1-based line of the compiled source; null when unknown or in another file
+ * @property {string|null} file - Set when the log names a file other than the source (a package, say)
+ */
+
+function isExecutable(filePath) {
+  try {
+    fs.accessSync(filePath, fs.constants.X_OK);
+    return fs.statSync(filePath).isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Find the TeX engine to compile with: LATEX_ENGINE (a command name or path) or the first
+ * candidate found on PATH
+ * @param {string} [requested]
+ * @returns {{command: string, kind: 'tectonic'|'latex'}|null}
+ */
+export function findLatexEngine(requested = process.env.LATEX_ENGINE) {
+  const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+  const locate = (name) => (name.includes(path.sep)
+    ? (isExecutable(name) ? name : null)
+    : dirs.map(dir => path.join(dir, name)).find(isExecutable) || null);
+
+  const command = requested ? locate(requested) : ENGINE_CANDIDATES.map(locate).find(Boolean);
+  if (!command) return null;
+  return { command, kind: /tectonic/i.test(path.basename(command)) ? 'tectonic' : 'latex' };
+}
+
+// Continuation lines of a package warning start with the package name in parentheses
+const continuesWarning = (line) => /^\([\w@.-]+\)\s/.test(line);
+
+const sourceLine = (file, line) => {
+  const name = file ? file.replace(/^\.\//, '') : null;
+  return !name || name === MAIN_FILE ? { file: null, line } : { file: name, line: null };
+};
+
+/**
+ * Diagnostics from a TeX log (or tectonic's stderr). Errors are read in both the classic
+ * "! message ... l.N" form and the "file:line: message" form of -file-line-error.
+ * @param {string} log
+ * @returns {Array<LatexDiagnostic>}
+ */
+export function parseLatexLog(log) {
+  const lines = String(log || '').split(/\r?\n/);
+  const diagnostics = [];
+  const seen = new Set();
+  const add = (diagnostic) => {
+    const key = `${diagnostic.severity}|${diagnostic.file}|${diagnostic.line}|${diagnostic.message}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    diagnostics.push(diagnostic);
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    let match;
+
+    if ((match = line.match(/^(?:(error|warning): )?((?:\.\/)?[^\s:]+\.\w+):(\d+): (.+)$/))) {
+      add({ severity: match[1] === 'warning' ? 'warning' : 'error', message: match[4].trim(), ...sourceLine(match[2], Number(match[3])) });
+    } else if (line.startsWith('! ')) {
+      // The "l.N" line showing where TeX stopped follows within a few lines
+      const location = lines.slice(i + 1, i + 12).map(l => l.match(/^l\.(\d+)/)).find(Boolean);
+      add({ severity: 'error', message: line.slice(2).trim(), line: location ? Number(location[1]) : null, file: null });
+    } else if ((match = line.match(/^((?:LaTeX|Package [\w@.-]+|Class [\w@.-]+|LaTeX Font|pdfTeX) [Ww]arning): (.*)$/))) {
+      let text = match[2];
+      while (i + 1 < lines.length && continuesWarning(lines[i + 1])) {
+        text += ` ${lines[++i].replace(/^\([\w@.-]+\)\s+/, '')}`;
+      }
+      const inputLine = text.match(/ on input line (\d+)\.?/);
+      add({
+        severity: 'warning',
+        message: `${match[1]}: ${text.replace(/ on input line \d+\.?/, '').trim()}`,
+        line: inputLine ? Number(inputLine[1]) : null,
+        file: null
+      });
+    } else if ((match = line.match(/^((?:Overfull|Underfull) \\[hv]box .*?)(?: in paragraph at lines (\d+)--\d+| detected at line (\d+)|$)/))) {
+      const at = match[2] || match[3];
+      add({ severity: 'info', message: match[1].trim(), line: at ? Number(at) : null, file: null });
+    }
+  }
+  return diagnostics;
+}
+
+function needsRerun(log) {
+  return /Rerun to get (cross-references|outlines)|Label\(s\) may have changed/.test(log);
+}
+
+function runEngine(engine, dir, timeoutMs) {
+  const args = engine.kind === 'tectonic'
+    ? ['--untrusted', '--keep-logs', '--outdir', dir, MAIN_FILE]
+    : ['-interaction=nonstopmode', '-file-line-error', '-no-shell-escape', `-output-directory=${dir}`, MAIN_FILE];
+  const env = {
+    PATH: process.env.PATH,
+    // tectonic keeps its downloaded support files under HOME; TeX engines get the temp dir
+    HOME: engine.kind === 'tectonic' ? process.env.HOME : dir,
+    TMPDIR: dir,
+    TEXMFOUTPUT: dir,
+    // kpathsea: no reading or writing outside the working directory, no \write18
+    openin_any: 'p',
+    openout_any: 'p',
+    shell_escape: 'f'
+  };
+
+  return new Promise((resolve, reject) => {
+    const proc = spawn(engine.command, args, { cwd: dir, env, timeout: timeoutMs, killSignal: 'SIGKILL', stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+    proc.stderr.on('data', (data) => {
+      if (stderr.length < MAX_STDERR_CHARS) stderr += data;
+    });
+    proc.on('close', (code, signal) => resolve({ code, timedOut: signal === 'SIGKILL', stderr }));
+    proc.on('error', (err) => reject(new Error(`Failed to launch ${engine.command}: ${err.message}`)));
+  });
+}
+
+/**
+ * Create a compiler bound to a TeX engine
+ * @param {object} [options]
+ * @param {{command: string, kind: 'tectonic'|'latex'}|null} [options.engine] - Defaults to findLatexEngine()
+ * @param {number} [options.timeoutMs] - Per engine run (LATEX_TIMEOUT_MS, default 30s)
+ * @returns {{engine: object|null, compile: (source: string) => Promise<object>}}
+ */
+export function createLatexCompiler({ engine = findLatexEngine(), timeoutMs = Number(process.env.LATEX_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS } = {}) {
+  // Compiles are CPU heavy: run them one after the other
+  let queue = Promise.resolve();
+
+  async function compileNow(source) {
+    const startedAt = Date.now();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'latex-'));
+    try {
+      fs.writeFileSync(path.join(dir, MAIN_FILE), source, 'utf8');
+      const logPath = path.join(dir, 'main.log');
+      const readLog = () => (fs.existsSync(logPath) ? fs.readFileSync(logPath, 'utf8') : '');
+
+      let run = await runEngine(engine, dir, timeoutMs);
+      // tectonic reruns by itself; TeX engines need a second pass to resolve references
+      if (engine.kind !== 'tectonic' && !run.timedOut && needsRerun(readLog())) {
+        run = await runEngine(engine, dir, timeoutMs);
+      }
+
+      const log = readLog() || run.stderr;
+      const diagnostics = parseLatexLog(log);
+      if (run.timedOut) {
+        diagnostics.unshift({ severity: 'error', message: `Compilation timed out after ${Math.round(timeoutMs / 1000)}s`, line: null, file: null });
+      }
+      const pdfPath = path.join(dir, 'main.pdf');
+      const pdf = !run.timedOut && fs.existsSync(pdfPath) ? fs.readFileSync(pdfPath) : null;
+
+      return {
+        success: run.code === 0 && pdf !== null,
+        pdf,
+        log,
+        diagnostics,
+        engine: path.basename(engine.command),
+        durationMs: Date.now() - startedAt
+      };
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  return {
+    engine,
+    /**
+     * Compile a LaTeX document
+     * @param {string} source - Complete document (\documentclass ... \end{document})
+     * @returns {Promise<{success: boolean, pdf: Buffer|null, log: string, diagnostics: Array<LatexDiagnostic>, engine: string, durationMs: number}>}
+     * @throws when no engine is available or it cannot be started
+     */
+    compile(source) {
+      if (!engine) {
+        return Promise.reject(new Error('No TeX engine found: install pdflatex or tectonic, or set LATEX_ENGINE'));
+      }
+      const run = queue.then(() => compileNow(source));
+      queue = run.catch(() => {});
+      return run;
+    }
+  };
+}
@@ -0,0 +1,120 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+
+/**
+ * Local OCR: tesseract.js with the English model shipped in @tesseract.js-data/eng, so no
+ * language data is downloaded at runtime. PDF pages are rasterized with pdf.js; TIFFs are
+ * decoded with UTIF because tesseract.js cannot read them.
+ */
+
+const require = createRequire(import.meta.url);
+
+export const OCR_IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.tif', '.tiff'];
+
+// Render scale for PDF pages; 2 (144 dpi) is a good trade-off between accuracy and time
+const PDF_RENDER_SCALE = 2;
+const OCR_MAX_PAGES = Number(process.env.OCR_MAX_PAGES) || 100;
+
+/**
+ * Run `fn` with a fresh tesseract worker and always terminate it afterwards.
+ * OCR is rare and slow enough that keeping a worker alive between uploads is not worth it.
+ */
+async function withWorker(fn) {
+  const { createWorker } = await import('tesseract.js');
+  const eng = require('@tesseract.js-data/eng');
+  const worker = await createWorker('eng', 1, { langPath: eng.langPath, gzip: eng.gzip, cacheMethod: 'none' });
+  try {
+    return await fn(worker);
+  } finally {
+    await worker.terminate();
+  }
+}
+
+async function recognize(worker, image) {
+  const { data } = await worker.recognize(image);
+  return { text: (data.text || '').trim(), confidence: Math.round(data.confidence ?? 0) };
+}
+
+/**
+ * Mean confidence over pages that produced text, weighted by text length
+ */
+export function summarizeConfidence(pages) {
+  const withText = pages.filter(p => p.text);
+  const chars = withText.reduce((sum, p) => sum + p.text.length, 0);
+  if (chars === 0) return 0;
+  return Math.round(withText.reduce((sum, p) => sum + p.confidence * p.text.length, 0) / chars);
+}
+
+/**
+ * OCR pages of a PDF
+ * @param {Uint8Array} data - PDF bytes
+ * @param {object} [options]
+ * @param {number[]} [options.pages] - 1-based page numbers to OCR (default: all, up to OCR_MAX_PAGES)
+ * @param {AbortSignal} [options.signal] - Checked before each page
+ * @returns {Promise<Array<{page: number, text: string, confidence: number}>>}
+ */
+export async function ocrPdf(data, { pages, signal } = {}) {
+  const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  // pdf.js takes ownership of (and detaches) the buffer it is given
+  const doc = await getDocument({ data: new Uint8Array(data), verbosity: 0 }).promise;
+  try {
+    const pageNumbers = (pages || Array.from({ length: doc.numPages }, (_, i) => i + 1)).slice(0, OCR_MAX_PAGES);
+    return await withWorker(async (worker) => {
+      const results = [];
+      for (const pageNumber of pageNumbers) {
+        signal?.throwIfAborted();
+        const page = await doc.getPage(pageNumber);
+        const viewport = page.getViewport({ scale: PDF_RENDER_SCALE });
+        const { canvas, context } = doc.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+        await page.render({ canvasContext: context, viewport, background: 'white' }).promise;
+        const result = await recognize(worker, canvas.toBuffer('image/png'));
+        page.cleanup();
+        results.push({ page: pageNumber, ...result });
+      }
+      return results;
+    });
+  } finally {
+    await doc.destroy();
+  }
+}
+
+/**
+ * Decode every page of a TIFF into PNG buffers
+ */
+async function tiffToPngs(buffer) {
+  const UTIF = require('utif');
+  const { createCanvas } = await import('@napi-rs/canvas');
+  const ifds = UTIF.decode(buffer);
+  return ifds.map((ifd) => {
+    UTIF.decodeImage(buffer, ifd);
+    const rgba = UTIF.toRGBA8(ifd);
+    const canvas = createCanvas(ifd.width, ifd.height);
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(ifd.width, ifd.height);
+    image.data.set(rgba);
+    context.putImageData(image, 0, 0);
+    return canvas.toBuffer('image/png');
+  });
+}
+
+/**
+ * OCR an image file; multi-page TIFFs yield one entry per page
+ * @param {string} filePath
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Checked before each page
+ * @returns {Promise<Array<{page: number, text: string, confidence: number}>>}
+ */
+export async function ocrImageFile(filePath, { signal } = {}) {
+  const buffer = fs.readFileSync(filePath);
+  const ext = path.extname(filePath).toLowerCase();
+  const images = ext === '.tif' || ext === '.tiff' ? await tiffToPngs(buffer) : [buffer];
+  return withWorker(async (worker) => {
+    const results = [];
+    for (const [index, image] of images.slice(0, OCR_MAX_PAGES).entries()) {
+      signal?.throwIfAborted();
+      results.push({ page: index + 1, ...(await recognize(worker, image)) });
+    }
+    return results;
+  });
+}
@@ -4,41 +4,72 @@ import pdf from 'pdf-parse';
 import mammoth from 'mammoth';
 import mime from 'mime-types';
 import XLSX from 'xlsx';
-
-function splitIntoLines(text) {
-  return text.replace(/\r\n?/g, '\n').split('\n');
+import { chunkLines, chunkText, chunkDocxHtml, chunkPages, formatForFilename } from './chunker.js';
+import { ocrPdf, ocrImageFile, summarizeConfidence, OCR_IMAGE_EXTENSIONS } from './ocr.js';
+
+// A PDF page with less text than this is treated as a scanned image and OCR'd
+const MIN_PAGE_TEXT_CHARS = 20;
+
+/**
+ * OCR metadata stored with the document: overall and per-page confidence (0-100)
+ */
+function describeOcr(results) {
+  return {
+    engine: 'tesseract',
+    confidence: summarizeConfidence(results),
+    pages: results.map(({ page, confidence, text }) => ({ page, confidence, chars: text.length }))
+  };
 }
 
-function chunkLines(lines, maxChars = 800, overlapLines = 2) {
-  const chunks = [];
-  let start = 0;
-  while (start < lines.length) {
-    let end = start;
-    let len = 0;
-    while (end < lines.length && (len + lines[end].length + 1) <= maxChars) {
-      len += lines[end].length + 1;
-      end += 1;
-    }
-    const text = lines.slice(start, end).join('\n').trim();
-    if (text) {
-      chunks.push({ text, lineStart: start + 1, lineEnd: end });
-    }
-    if (end === start) {
-      end += 1; // ensure progress even if a single line is long
-    }
-    start = Math.max(end - overlapLines, end);
+/**
+ * Text of one PDF page, with a line break wherever the baseline moves (same as pdf-parse's default renderer)
+ */
+async function renderPageText(pageData) {
+  const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    text += lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+    lastY = item.transform[5];
   }
-  return chunks;
+  return text;
 }
 
-async function parsePdf(filePath, originalName) {
+async function parsePdf(filePath, originalName, { signal } = {}) {
   try {
-    const dataBuffer = fs.readFileSync(filePath);
-    const parsed = await pdf(dataBuffer);
-    const text = (parsed.text || '').trim();
-    
-    console.log(`PDF parsed: ${originalName}, pages: ${parsed.numpages}, text length: ${text.length}`);
-    
+    // Small files come back as slices of Node's shared buffer pool, which pdf.js misreads; hand it its own copy
+    const dataBuffer = new Uint8Array(fs.readFileSync(filePath));
+    // Render page by page so every chunk knows which page(s) it came from
+    const pages = [];
+    const parsed = await pdf(dataBuffer, {
+      pagerender: async (pageData) => {
+        const pageText = await renderPageText(pageData);
+        pages[pageData.pageIndex] = pageText;
+        return pageText;
+      }
+    });
+    const pageTexts = Array.from({ length: parsed.numpages }, (_, i) => (pages[i] || '').trim());
+    console.log(`PDF parsed: ${originalName}, pages: ${parsed.numpages}, text length: ${(parsed.text || '').trim().length}`);
+
+    // Pages without a usable text layer are scanned images: run OCR on just those
+    let ocr = null;
+    const scannedPages = pageTexts.flatMap((t, i) => (t.length < MIN_PAGE_TEXT_CHARS ? [i + 1] : []));
+    if (scannedPages.length > 0) {
+      try {
+        console.log(`🔎 Running OCR on ${scannedPages.length} page(s) of ${originalName}`);
+        const results = await ocrPdf(dataBuffer, { pages: scannedPages, signal });
+        for (const result of results) {
+          if (result.text) pageTexts[result.page - 1] = result.text;
+        }
+        ocr = describeOcr(results);
+        console.log(`✅ OCR finished for ${originalName} (confidence ${ocr.confidence}%)`);
+      } catch (ocrErr) {
+        if (signal?.aborted) throw ocrErr;
+        console.warn(`OCR failed for ${originalName}:`, ocrErr.message);
+      }
+    }
+    const text = pageTexts.join('\n\n').trim();
+
     if (!text || text.length === 0) {
       console.warn(`PDF ${originalName} has no extractable text (might be scanned/image PDF)`);
       return { 
@@ -49,41 +80,51 @@ async function parsePdf(filePath, originalName) {
           lineEnd: 1,
           page: null,
           filename: originalName
-        }]
+        }],
+        ocr
       };
     }
-    
-    const lines = splitIntoLines(text);
-    const segments = chunkLines(lines).map(seg => ({ ...seg, page: null, filename: originalName }));
-    return { text, segments };
+
+    const chunked = chunkPages(pageTexts);
+    const segments = chunked.segments.map(seg => ({ ...seg, filename: originalName }));
+    return { text: chunked.text, segments, ocr };
   } catch (err) {
     console.error(`PDF parsing error for ${originalName}:`, err.message);
     throw new Error(`Failed to parse PDF: ${err.message}`);
   }
 }
 
+async function parseImage(filePath, originalName, { signal } = {}) {
+  const results = await ocrImageFile(filePath, { signal });
+  const ocr = describeOcr(results);
+  console.log(`Image OCR: ${originalName}, pages: ${results.length}, confidence: ${ocr.confidence}%`);
+  if (!results.some(r => r.text)) {
+    throw new Error('No text recognized in image');
+  }
+  const chunked = chunkPages(results.map(r => r.text));
+  const segments = chunked.segments.map(seg => ({ ...seg, filename: originalName }));
+  return { text: chunked.text, segments, ocr };
+}
+
 async function parseDocx(filePath, originalName) {
-  const result = await mammoth.extractRawText({ path: filePath });
-  const text = (result.value || '').trim();
-  const lines = splitIntoLines(text);
-  const segments = chunkLines(lines).map(seg => ({ ...seg, page: null, filename: originalName }));
-  return { text, segments };
+  // HTML rather than raw text so Word heading styles survive as <h1>-<h6>
+  const result = await mammoth.convertToHtml({ path: filePath });
+  const { text, segments } = chunkDocxHtml(result.value || '');
+  return { text, segments: segments.map(seg => ({ ...seg, page: null, filename: originalName })) };
 }
 
 async function parseTxt(filePath, originalName) {
   const text = fs.readFileSync(filePath, 'utf8');
-  const lines = splitIntoLines(text);
-  const segments = chunkLines(lines).map(seg => ({ ...seg, page: null, filename: originalName }));
+  // Markdown files are chunked along their headings
+  const segments = chunkText(text, { format: formatForFilename(originalName) })
+    .map(seg => ({ ...seg, page: null, filename: originalName }));
   return { text, segments };
 }
 
 async function parseTex(filePath, originalName) {
-  // LaTeX files are text files, but we preserve the structure better
+  // Chunks follow \section/\subsection boundaries and keep environments and display math whole
   const text = fs.readFileSync(filePath, 'utf8');
-  const lines = splitIntoLines(text);
-  // For LaTeX, we want to preserve sections, environments, etc.
-  // Use slightly larger chunks to keep LaTeX structures together
-  const segments = chunkLines(lines, 1000, 3).map(seg => ({ ...seg, page: null, filename: originalName }));
+  const segments = chunkText(text, { format: 'latex' }).map(seg => ({ ...seg, page: null, filename: originalName }));
   return { text, segments };
 }
 
@@ -186,23 +227,28 @@ async function parseXlsx(filePath, originalName) {
   }
 }
 
-export async function parseUploadedFile(filePath, originalName) {
+/**
+ * Parse an uploaded file into text and chunk segments
+ * @param {string} filePath
+ * @param {string} originalName - Used to pick the parser
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Stops OCR between pages
+ */
+export async function parseUploadedFile(filePath, originalName, { signal } = {}) {
   const ext = path.extname(originalName).toLowerCase();
   const mimeType = mime.lookup(originalName) || '';
-  if (ext === '.pdf' || mimeType === 'application/pdf') return parsePdf(filePath, originalName);
+  if (ext === '.pdf' || mimeType === 'application/pdf') return parsePdf(filePath, originalName, { signal });
   if (ext === '.docx' || mimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') return parseDocx(filePath, originalName);
   if (ext === '.xlsx' || ext === '.xls' || mimeType === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' || mimeType === 'application/vnd.ms-excel') return parseXlsx(filePath, originalName);
   if (ext === '.tex' || mimeType === 'application/x-tex' || mimeType === 'text/x-tex') return parseTex(filePath, originalName);
+  if (OCR_IMAGE_EXTENSIONS.includes(ext)) return parseImage(filePath, originalName, { signal });
   return parseTxt(filePath, originalName);
 }
 
 export async function parseTextDirect(content, originalName = 'inline.txt') {
-  const lines = splitIntoLines(content || '');
-  // Detect LaTeX files and use larger chunks
-  const isLaTeX = originalName.toLowerCase().endsWith('.tex');
-  const chunkSize = isLaTeX ? 1000 : 800;
-  const overlap = isLaTeX ? 3 : 2;
-  const segments = chunkLines(lines, chunkSize, overlap).map(seg => ({ ...seg, page: null, filename: originalName }));
+  // LaTeX and Markdown are chunked along their sections
+  const segments = chunkText(content || '', { format: formatForFilename(originalName) })
+    .map(seg => ({ ...seg, page: null, filename: originalName }));
   return { text: content, segments };
 }
 
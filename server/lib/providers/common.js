@@ -0,0 +1,197 @@
+/**
+ * Shared pieces of the LLM provider layer: the error type every provider maps
+ * its failures to, retry handling, and reassembly of streamed completions.
+ */
+
+const RETRYABLE_CODES = new Set(['rate_limit', 'unavailable']);
+
+const HTTP_STATUS_BY_CODE = {
+  auth: 502,
+  rate_limit: 429,
+  context_length: 413,
+  bad_request: 502,
+  model_not_found: 502,
+  unavailable: 503,
+  aborted: 499,
+  unknown: 502
+};
+
+export class LLMError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} details
+   * @param {string} details.provider - Provider name (groq, openai, local, ...)
+   * @param {string} [details.code] - auth | rate_limit | context_length | bad_request | model_not_found | unavailable | aborted | unknown
+   * @param {number} [details.status] - Upstream HTTP status, when there was one
+   * @param {string} [details.document] - For context_length: the document that did not fit
+   * @param {Error} [details.cause]
+   */
+  constructor(message, { provider, code = 'unknown', status = null, document = null, cause } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.provider = provider;
+    this.code = code;
+    this.status = status;
+    this.document = document;
+    if (cause) this.cause = cause;
+  }
+
+  get retryable() {
+    return RETRYABLE_CODES.has(this.code);
+  }
+
+  /** HTTP status our own API should answer with for this failure */
+  get httpStatus() {
+    return HTTP_STATUS_BY_CODE[this.code] || 502;
+  }
+}
+
+/**
+ * Map an upstream failure (SDK error, HTTP response or network error) to an LLMError
+ */
+export function toLLMError(err, provider) {
+  if (err instanceof LLMError) return err;
+
+  const status = err?.status ?? err?.response?.status ?? null;
+  const message = err?.error?.error?.message || err?.error?.message || err?.message || String(err);
+  let code = 'unknown';
+
+  if (err?.name === 'AbortError' || err?.name === 'APIUserAbortError') {
+    code = 'aborted';
+  } else if (status === 401 || status === 403) {
+    code = 'auth';
+  } else if (status === 429) {
+    code = 'rate_limit';
+  } else if (status === 404) {
+    code = 'model_not_found';
+  } else if (status === 413 || /context length|context window|maximum context|too many tokens|reduce the length|request too large/i.test(message)) {
+    code = 'context_length';
+  } else if (status === 400 || status === 422) {
+    code = 'bad_request';
+  } else if ((status && status >= 500) || /ECONNREFUSED|ECONNRESET|ETIMEDOUT|ENOTFOUND|fetch failed|socket hang up|Connection error/i.test(message)) {
+    code = 'unavailable';
+  }
+
+  return new LLMError(`${provider} request failed: ${message}`, { provider, code, status, cause: err });
+}
+
+/**
+ * Run `fn`, retrying retryable LLM errors with exponential backoff
+ * @param {() => Promise<any>} fn
+ * @param {object} options
+ * @param {string} options.provider - Used for error mapping
+ * @param {number} [options.retries] - Extra attempts after the first one
+ * @param {number} [options.baseDelayMs]
+ * @param {() => boolean} [options.canRetry] - Extra guard (e.g. nothing streamed to the client yet)
+ * @param {AbortSignal} [options.signal]
+ */
+export async function withRetries(fn, { provider, retries = Number(process.env.LLM_MAX_RETRIES ?? 2), baseDelayMs = 500, canRetry = () => true, signal } = {}) {
+  let attempt = 0;
+  while (true) {
+    try {
+      return await fn();
+    } catch (rawErr) {
+      const err = toLLMError(rawErr, provider);
+      if (!err.retryable || attempt >= retries || !canRetry() || signal?.aborted) {
+        throw err;
+      }
+      const delay = baseDelayMs * 2 ** attempt;
+      console.warn(`⚠️  ${provider}: ${err.code} (attempt ${attempt + 1}/${retries + 1}), retrying in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      attempt += 1;
+    }
+  }
+}
+
+/**
+ * Give every tool call an id and string arguments; local servers are not always consistent about either
+ */
+export function normalizeToolCalls(toolCalls) {
+  if (!Array.isArray(toolCalls) || toolCalls.length === 0) return undefined;
+  return toolCalls.filter(Boolean).map((tc, i) => ({
+    id: tc.id || `call_${i}`,
+    type: 'function',
+    function: {
+      name: tc.function?.name || '',
+      arguments: typeof tc.function?.arguments === 'string'
+        ? tc.function.arguments
+        : JSON.stringify(tc.function?.arguments || {})
+    }
+  }));
+}
+
+/**
+ * Normalize a non-streamed OpenAI-style completion
+ * @returns {{message: object, finishReason: string|null, usage: object|null}}
+ */
+export function normalizeCompletion(completion) {
+  const choice = completion?.choices?.[0];
+  const message = {
+    role: 'assistant',
+    content: choice?.message?.content ?? null
+  };
+  const toolCalls = normalizeToolCalls(choice?.message?.tool_calls);
+  if (toolCalls) message.tool_calls = toolCalls;
+  if (!toolCalls && message.content === null) message.content = '';
+  return { message, finishReason: choice?.finish_reason ?? null, usage: completion?.usage ?? null };
+}
+
+/**
+ * Consume an async iterable of OpenAI-style stream chunks, forwarding content
+ * deltas and reassembling the final assistant message (including fragmented tool calls).
+ * @returns {Promise<{message: object, finishReason: string|null, usage: object|null}>}
+ */
+export async function collectStream(chunks, onToken) {
+  let content = '';
+  let finishReason = null;
+  let usage = null;
+  const toolCalls = [];
+
+  for await (const chunk of chunks) {
+    const choice = chunk.choices?.[0];
+    const delta = choice?.delta;
+    if (delta?.content) {
+      content += delta.content;
+      onToken(delta.content);
+    }
+    for (const part of delta?.tool_calls || []) {
+      const index = typeof part.index === 'number' ? part.index : toolCalls.length;
+      if (!toolCalls[index]) {
+        toolCalls[index] = { id: part.id, type: 'function', function: { name: '', arguments: '' } };
+      }
+      const target = toolCalls[index];
+      if (part.id) target.id = part.id;
+      if (part.function?.name) target.function.name += part.function.name;
+      if (part.function?.arguments) {
+        target.function.arguments += typeof part.function.arguments === 'string'
+          ? part.function.arguments
+          : JSON.stringify(part.function.arguments);
+      }
+    }
+    if (choice?.finish_reason) finishReason = choice.finish_reason;
+    // Groq reports usage on the last chunk under x_groq; OpenAI-style APIs use chunk.usage
+    usage = chunk.x_groq?.usage || chunk.usage || usage;
+  }
+
+  const message = { role: 'assistant', content };
+  const normalized = normalizeToolCalls(toolCalls);
+  if (normalized) {
+    message.tool_calls = normalized;
+    if (!content) message.content = null;
+  }
+  return { message, finishReason, usage };
+}
+
+/**
+ * Translate our provider-neutral request params to the OpenAI wire format
+ */
+export function toWireParams({ model, messages, tools, toolChoice, temperature, maxTokens }) {
+  const body = { model, messages };
+  if (typeof temperature === 'number') body.temperature = temperature;
+  if (typeof maxTokens === 'number') body.max_tokens = maxTokens;
+  if (Array.isArray(tools) && tools.length > 0) {
+    body.tools = tools;
+    body.tool_choice = toolChoice || 'auto';
+  }
+  return body;
+}
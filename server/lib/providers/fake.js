@@ -0,0 +1,86 @@
+import fs from 'fs';
+
+/**
+ * Deterministic provider that replays a script of canned turns instead of calling a model.
+ * Used by the test suite and for offline demos (LLM_PROVIDER=fake, FAKE_LLM_SCRIPT=path/to/script.json).
+ *
+ * Each script entry is one assistant turn:
+ * - a string: plain text answer
+ * - { content?, toolCalls?: [{ name, args, id? }], usage? }
+ * - a function (params, callIndex) => one of the above, for turns that depend on the request
+ *
+ * Without a script the provider echoes the last user message.
+ * Every request is recorded in `provider.calls` for assertions.
+ * @param {object} [options]
+ * @param {Array} [options.script]
+ * @param {string} [options.model]
+ */
+export function createFakeProvider({ script, model = 'fake-model' } = {}) {
+  const turns = Array.isArray(script) ? [...script] : null;
+  const calls = [];
+
+  function nextTurn(params) {
+    const callIndex = calls.length;
+    calls.push(structuredClone(params));
+
+    if (!turns) {
+      const lastUser = [...params.messages].reverse().find(m => m.role === 'user');
+      return { content: `Echo: ${lastUser?.content ?? ''}` };
+    }
+    if (turns.length === 0) {
+      throw new Error(`Fake provider script exhausted after ${callIndex} call(s)`);
+    }
+    const turn = turns.shift();
+    const resolved = typeof turn === 'function' ? turn(params, callIndex) : turn;
+    return typeof resolved === 'string' ? { content: resolved } : resolved;
+  }
+
+  function toCompletion(turn, callIndex) {
+    const message = { role: 'assistant', content: turn.content ?? '' };
+    if (Array.isArray(turn.toolCalls) && turn.toolCalls.length > 0) {
+      message.tool_calls = turn.toolCalls.map((tc, i) => ({
+        id: tc.id || `call_${callIndex}_${i}`,
+        type: 'function',
+        function: { name: tc.name, arguments: JSON.stringify(tc.args || {}) }
+      }));
+      if (!turn.content) message.content = null;
+    }
+    const completionTokens = Math.ceil((message.content || '').length / 4);
+    return {
+      message,
+      finishReason: message.tool_calls ? 'tool_calls' : 'stop',
+      usage: turn.usage || { prompt_tokens: 10, completion_tokens: completionTokens, total_tokens: 10 + completionTokens }
+    };
+  }
+
+  return {
+    name: 'fake',
+    defaultModel: model,
+    configured: true,
+    calls,
+
+    async complete(params) {
+      const callIndex = calls.length;
+      return toCompletion(nextTurn(params), callIndex);
+    },
+
+    async stream(params, onToken) {
+      const callIndex = calls.length;
+      const completion = toCompletion(nextTurn(params), callIndex);
+      // Emit word-sized deltas so consumers see several token events
+      for (const piece of (completion.message.content || '').match(/\S+\s*|\s+/g) || []) {
+        onToken(piece);
+      }
+      return completion;
+    }
+  };
+}
+
+/**
+ * Build a fake provider from FAKE_LLM_SCRIPT (a JSON array of turns), if set
+ */
+export function createFakeProviderFromEnv() {
+  const scriptPath = process.env.FAKE_LLM_SCRIPT;
+  const script = scriptPath ? JSON.parse(fs.readFileSync(scriptPath, 'utf8')) : undefined;
+  return createFakeProvider({ script });
+}
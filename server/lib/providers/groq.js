@@ -0,0 +1,47 @@
+import Groq from 'groq-sdk';
+import { collectStream, normalizeCompletion, toWireParams, withRetries } from './common.js';
+
+/**
+ * Groq provider backed by groq-sdk
+ * @param {object} options
+ * @param {string} [options.apiKey] - Defaults to GROQ_API_KEY
+ * @param {string} [options.model] - Defaults to GROQ_MODEL
+ */
+export function createGroqProvider({ apiKey = process.env.GROQ_API_KEY, model = process.env.GROQ_MODEL } = {}) {
+  const name = 'groq';
+  // groq-sdk throws on construction without a key; defer so a missing key surfaces as an auth error per request
+  let client = null;
+  const getClient = () => {
+    if (!client) client = new Groq({ apiKey: apiKey || 'missing-api-key', maxRetries: 0 });
+    return client;
+  };
+
+  return {
+    name,
+    defaultModel: model || 'llama-3.1-70b-versatile',
+    configured: Boolean(apiKey),
+
+    async complete(params, { signal } = {}) {
+      const completion = await withRetries(
+        () => getClient().chat.completions.create(toWireParams(params), { signal }),
+        { provider: name, signal }
+      );
+      return normalizeCompletion(completion);
+    },
+
+    async stream(params, onToken, { signal } = {}) {
+      let started = false;
+      return withRetries(
+        async () => {
+          const stream = await getClient().chat.completions.create({ ...toWireParams(params), stream: true }, { signal });
+          return collectStream(stream, (delta) => {
+            started = true;
+            onToken(delta);
+          });
+        },
+        // Once tokens reached the client a retry would duplicate them
+        { provider: name, signal, canRetry: () => !started }
+      );
+    }
+  };
+}
@@ -0,0 +1,78 @@
+import { createGroqProvider } from './groq.js';
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+import { createFakeProviderFromEnv } from './fake.js';
+
+export { LLMError } from './common.js';
+export { createFakeProvider } from './fake.js';
+
+/**
+ * Provider factories keyed by name. Each returns an object with
+ * { name, defaultModel, configured, complete(params, opts), stream(params, onToken, opts) }
+ * where params are { model, messages, tools?, toolChoice?, temperature?, maxTokens? }
+ * and both calls resolve to { message, finishReason, usage }.
+ */
+const providerFactories = {
+  groq: () => createGroqProvider(),
+  openai: () => createOpenAICompatibleProvider({
+    name: 'openai',
+    baseURL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+  }),
+  // Ollama (http://localhost:11434/v1) or llama.cpp's server (http://localhost:8080/v1)
+  local: () => createOpenAICompatibleProvider({
+    name: 'local',
+    baseURL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: process.env.LOCAL_LLM_API_KEY,
+    model: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    requiresApiKey: false
+  })
+};
+
+// The scripted, network-free provider (see fake.js) is a test double: it is only selectable under
+// NODE_ENV=test or when FAKE_LLM_SCRIPT is set for an offline demo, never per request in production
+if (process.env.NODE_ENV === 'test' || process.env.FAKE_LLM_SCRIPT) {
+  providerFactories.fake = () => createFakeProviderFromEnv();
+}
+
+const providerAliases = { ollama: 'local', llamacpp: 'local', 'openai-compatible': 'openai' };
+
+const instances = new Map();
+
+/**
+ * Register (or replace) a provider. Accepts a provider object or a factory returning one;
+ * tests use this to inject a fake provider.
+ */
+export function registerProvider(name, providerOrFactory) {
+  providerFactories[name] = typeof providerOrFactory === 'function' ? providerOrFactory : () => providerOrFactory;
+  instances.delete(name);
+}
+
+export function listProviders() {
+  return Object.keys(providerFactories);
+}
+
+/**
+ * Get a provider instance by name (defaults to LLM_PROVIDER, then groq)
+ */
+export function getProvider(name = process.env.LLM_PROVIDER || 'groq') {
+  const key = providerAliases[name] || name;
+  if (!providerFactories[key]) {
+    throw new Error(`Unsupported LLM provider: ${name}. Available: ${listProviders().join(', ')}`);
+  }
+  if (!instances.has(key)) {
+    instances.set(key, providerFactories[key]());
+  }
+  return instances.get(key);
+}
+
+/**
+ * Pick the provider and model for a request: body.provider/body.model, then the
+ * X-LLM-Provider/X-LLM-Model headers, then environment defaults
+ */
+export function resolveLLM(req) {
+  const requestedProvider = req.body?.provider || req.headers?.['x-llm-provider'] || undefined;
+  const provider = getProvider(requestedProvider);
+  const model = req.body?.model || req.headers?.['x-llm-model'] || provider.defaultModel;
+  return { provider, model };
+}
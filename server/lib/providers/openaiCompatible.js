@@ -0,0 +1,90 @@
+import { collectStream, LLMError, normalizeCompletion, toWireParams, withRetries } from './common.js';
+
+/**
+ * Provider for any server speaking the OpenAI chat completions API
+ * (OpenAI itself, vLLM, LM Studio, Ollama's /v1, llama.cpp's server, ...).
+ * Uses fetch directly so no extra SDK is needed and it works fully offline.
+ * @param {object} options
+ * @param {string} options.name - Provider name reported in errors and /api/health
+ * @param {string} options.baseURL - e.g. "https://api.openai.com/v1" or "http://localhost:11434/v1"
+ * @param {string} [options.apiKey] - Optional for local servers
+ * @param {string} options.model - Default model
+ * @param {boolean} [options.requiresApiKey]
+ */
+export function createOpenAICompatibleProvider({ name, baseURL, apiKey, model, requiresApiKey = true }) {
+  const endpoint = `${baseURL.replace(/\/+$/, '')}/chat/completions`;
+
+  async function post(body, signal) {
+    if (requiresApiKey && !apiKey) {
+      throw new LLMError(`${name} request failed: no API key configured`, { provider: name, code: 'auth' });
+    }
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const response = await fetch(endpoint, { method: 'POST', headers, body: JSON.stringify(body), signal });
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      let message = text || response.statusText;
+      try {
+        const parsed = JSON.parse(text);
+        message = parsed.error?.message || parsed.error || message;
+      } catch {
+        // Not JSON, keep the raw body
+      }
+      const err = new Error(typeof message === 'string' ? message : JSON.stringify(message));
+      err.status = response.status;
+      throw err;
+    }
+    return response;
+  }
+
+  return {
+    name,
+    defaultModel: model,
+    configured: Boolean(apiKey) || !requiresApiKey,
+
+    async complete(params, { signal } = {}) {
+      const completion = await withRetries(
+        async () => (await post(toWireParams(params), signal)).json(),
+        { provider: name, signal }
+      );
+      return normalizeCompletion(completion);
+    },
+
+    async stream(params, onToken, { signal } = {}) {
+      let started = false;
+      return withRetries(
+        async () => {
+          const body = { ...toWireParams(params), stream: true, stream_options: { include_usage: true } };
+          const response = await post(body, signal);
+          return collectStream(readEventStream(response.body), (delta) => {
+            started = true;
+            onToken(delta);
+          });
+        },
+        { provider: name, signal, canRetry: () => !started }
+      );
+    }
+  };
+}
+
+/**
+ * Parse an SSE response body into JSON chunks, stopping at "data: [DONE]"
+ */
+async function* readEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const part of body) {
+    buffer += decoder.decode(part, { stream: true });
+    let newline = buffer.indexOf('\n');
+    while (newline !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      newline = buffer.indexOf('\n');
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return;
+      yield JSON.parse(data);
+    }
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * Second-stage rerankers: rescore retrieved chunks against the query with a model that
+ * reads both together, which is slower than the bi-encoder but much more precise.
+ */
+
+export const DEFAULT_RERANKER_MODEL = 'Xenova/ms-marco-MiniLM-L-6-v2';
+
+/**
+ * Wrap a pair-scoring function as a reranker
+ * @param {object} options
+ * @param {string} options.name
+ * @param {(query: string, texts: string[]) => Promise<number[]>} options.scorePairs - One score per text, higher is better
+ * @returns {{name: string, rerank: (query: string, chunks: object[], options?: {topK?: number}) => Promise<object[]>}}
+ */
+export function createReranker({ name, scorePairs }) {
+  return {
+    name,
+    async rerank(query, chunks, { topK = chunks.length } = {}) {
+      if (chunks.length === 0) return [];
+      const scores = await scorePairs(query, chunks.map(ch => ch.text));
+      return chunks
+        .map((ch, i) => ({ ...ch, rerankScore: scores[i] }))
+        .sort((a, b) => b.rerankScore - a.rerankScore)
+        .slice(0, topK);
+    }
+  };
+}
+
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+/**
+ * Local cross-encoder run through @xenova/transformers (same runtime as the embedder).
+ * The model is downloaded and loaded on first use; scores are sigmoid(logit) in [0, 1].
+ * @param {object} [options]
+ * @param {string} [options.model] - Defaults to RERANKER_MODEL or Xenova/ms-marco-MiniLM-L-6-v2
+ * @param {number} [options.batchSize] - Query/passage pairs per forward pass
+ */
+export function createCrossEncoderReranker({ model = process.env.RERANKER_MODEL || DEFAULT_RERANKER_MODEL, batchSize = 8 } = {}) {
+  let loading = null;
+
+  const load = () => {
+    if (!loading) {
+      loading = (async () => {
+        const { AutoTokenizer, AutoModelForSequenceClassification } = await import('@xenova/transformers');
+        const [tokenizer, classifier] = await Promise.all([
+          AutoTokenizer.from_pretrained(model),
+          AutoModelForSequenceClassification.from_pretrained(model)
+        ]);
+        console.log(`✅ Loaded reranker model ${model}`);
+        return { tokenizer, classifier };
+      })();
+      // Allow a retry after a failed download
+      loading.catch(() => { loading = null; });
+    }
+    return loading;
+  };
+
+  const reranker = createReranker({
+    name: 'cross-encoder',
+    async scorePairs(query, texts) {
+      const { tokenizer, classifier } = await load();
+      const scores = [];
+      for (let i = 0; i < texts.length; i += batchSize) {
+        const batch = texts.slice(i, i + batchSize);
+        const inputs = tokenizer(new Array(batch.length).fill(query), {
+          text_pair: batch,
+          padding: true,
+          truncation: true
+        });
+        const { logits } = await classifier(inputs);
+        for (const logit of logits.data) scores.push(sigmoid(logit));
+      }
+      return scores;
+    }
+  });
+  return { ...reranker, model };
+}
+
+/**
+ * Whether reranking is on by default (RERANK=true|1|cross-encoder)
+ */
+export function rerankingEnabledByDefault() {
+  return /^(1|true|yes|on|cross-encoder)$/i.test(process.env.RERANK || '');
+}
@@ -0,0 +1,107 @@
+import { countTokens } from './tokens.js';
+
+/**
+ * Rolling conversation summaries. Once the messages a conversation's summary does not cover
+ * outgrow the history budget, the oldest of them are condensed, together with the previous
+ * summary, into a new summary; the latest turns are always passed to the model verbatim.
+ */
+
+// Tokens of unsummarized history allowed before older turns are folded into the summary
+const HISTORY_TOKEN_BUDGET = Number(process.env.HISTORY_TOKEN_BUDGET) || 3000;
+// Messages (the last two turns) never folded into the summary
+const KEEP_RECENT_MESSAGES = 4;
+
+const SUMMARY_PROMPT = `You maintain the running summary of a conversation between a user and an AI research assistant.
+Merge the current summary with the new messages into one updated summary.
+Keep decisions, conclusions, open questions, the user's preferences and any documents, sections or files referred to.
+Drop pleasantries and repetition. Write at most 250 words of plain prose or bullet points, without preamble.`;
+
+function formatMessages(messages) {
+  return messages.map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`).join('\n\n');
+}
+
+export class ConversationSummarizer {
+  /**
+   * @param {object} options
+   * @param {import('./conversations.js').ConversationStore} options.conversationStore
+   * @param {number} [options.tokenBudget] - HISTORY_TOKEN_BUDGET, default 3000
+   * @param {number} [options.keepRecent] - Latest messages always kept verbatim
+   * @param {import('./usage.js').UsageLog} [options.usageLog] - Records the tokens summaries cost
+   */
+  constructor({ conversationStore, tokenBudget = HISTORY_TOKEN_BUDGET, keepRecent = KEEP_RECENT_MESSAGES, usageLog = null }) {
+    this.conversationStore = conversationStore;
+    this.usageLog = usageLog;
+    this.tokenBudget = tokenBudget;
+    this.keepRecent = keepRecent;
+    this.pending = new Map(); // conversation id -> running summarization
+  }
+
+  /**
+   * Whether the history the summary does not cover is over budget
+   * @param {string} id
+   */
+  needsSummary(id) {
+    const messages = this.conversationStore.unsummarized(id);
+    if (messages.length <= this.keepRecent) return false;
+    const tokens = messages.reduce((sum, m) => sum + countTokens(m.content), 0);
+    return tokens > this.tokenBudget;
+  }
+
+  /**
+   * Fold all but the latest messages into the conversation's summary. Concurrent calls for the
+   * same conversation share one run.
+   * @param {string} id
+   * @param {object} llm
+   * @param {object} llm.provider
+   * @param {string} [llm.model]
+   * @param {AbortSignal} [llm.signal]
+   * @returns {Promise<object|null>} the new summary, or null when there was nothing to fold
+   */
+  summarize(id, llm) {
+    if (!this.pending.has(id)) {
+      const run = this._summarize(id, llm).finally(() => this.pending.delete(id));
+      this.pending.set(id, run);
+    }
+    return this.pending.get(id);
+  }
+
+  async _summarize(id, { provider, model, signal }) {
+    const conversation = this.conversationStore.get(id);
+    if (!conversation) return null;
+    const previous = conversation.summary;
+    const from = previous?.through || 0;
+    const through = conversation.messages.length - this.keepRecent;
+    if (through <= from) return null;
+
+    const startedAt = Date.now();
+    const completion = await provider.complete({
+      model: model || provider.defaultModel,
+      temperature: 0.2,
+      maxTokens: 500,
+      messages: [
+        { role: 'system', content: SUMMARY_PROMPT },
+        {
+          role: 'user',
+          content: `Current summary:\n${previous?.content || '(none yet)'}\n\nNew messages:\n${formatMessages(conversation.messages.slice(from, through))}`
+        }
+      ]
+    }, { signal });
+    this.usageLog?.record({
+      sessionId: id,
+      route: 'summary',
+      provider: provider.name,
+      model: model || provider.defaultModel,
+      usage: completion.usage,
+      latencyMs: Date.now() - startedAt
+    });
+
+    const content = completion.message?.content?.trim();
+    if (!content) throw new Error('The model returned an empty summary');
+    // The user edited the summary meanwhile: keep their version, the next request folds again
+    if (this.conversationStore.get(id)?.summary?.updatedAt !== previous?.updatedAt) return null;
+
+    const summary = this.conversationStore.setSummary(id, content, { through });
+    console.log(`📝 Summarized ${through - from} messages of conversation ${id}`);
+    return summary;
+  }
+}
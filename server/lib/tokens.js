@@ -0,0 +1,70 @@
+/**
+ * Token counts and context-window limits per model. No tokenizer ships with the server, so counts
+ * are estimated from each model family's average characters per token; they only need to be close
+ * enough to keep requests inside the context window with some margin.
+ */
+
+const MODEL_PROFILES = [
+  { match: /llama-?3\.[1-3]/i, contextTokens: 131072, charsPerToken: 3.8 },
+  { match: /llama-?3/i, contextTokens: 8192, charsPerToken: 3.8 },
+  { match: /mixtral/i, contextTokens: 32768, charsPerToken: 3.3 },
+  { match: /gemma/i, contextTokens: 8192, charsPerToken: 3.6 },
+  { match: /gpt-4o|gpt-4\.1/i, contextTokens: 128000, charsPerToken: 4 },
+  { match: /gpt-3\.5/i, contextTokens: 16385, charsPerToken: 4 }
+];
+const DEFAULT_PROFILE = { contextTokens: 8192, charsPerToken: 4 };
+
+// Role markers and separators each chat message adds on top of its content
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Context window and characters per token for a model. LLM_CONTEXT_TOKENS overrides the
+ * window, e.g. for a local server started with a smaller context than the model supports.
+ * @param {string} [model]
+ * @returns {{contextTokens: number, charsPerToken: number}}
+ */
+export function modelProfile(model) {
+  const { contextTokens, charsPerToken } = MODEL_PROFILES.find(p => p.match.test(model || '')) || DEFAULT_PROFILE;
+  return { contextTokens: Number(process.env.LLM_CONTEXT_TOKENS) || contextTokens, charsPerToken };
+}
+
+/**
+ * @param {string} text
+ * @param {string} [model]
+ */
+export function countTokens(text, model) {
+  if (!text) return 0;
+  return Math.ceil(String(text).length / modelProfile(model).charsPerToken);
+}
+
+/**
+ * Tokens a list of chat messages (with any tool calls) takes in a request
+ * @param {Array<object>} messages
+ * @param {string} [model]
+ */
+export function countMessageTokens(messages, model) {
+  return messages.reduce((sum, m) => {
+    const toolCalls = m.tool_calls ? JSON.stringify(m.tool_calls) : '';
+    return sum + MESSAGE_OVERHEAD_TOKENS + countTokens(m.content, model) + countTokens(toolCalls, model);
+  }, 0);
+}
+
+/**
+ * Cut text down to about `maxTokens`, keeping its beginning and end around a marker
+ * @param {string} text
+ * @param {number} maxTokens
+ * @param {string} [model]
+ * @param {string} [marker] - Put where text was removed
+ * @returns {{text: string, tokens: number, truncated: boolean}} `tokens` is the size before truncation
+ */
+export function truncateToTokens(text, maxTokens, model, marker = '[…]') {
+  const tokens = countTokens(text, model);
+  if (tokens <= maxTokens) return { text, tokens, truncated: false };
+  const keepChars = Math.max(0, Math.floor(maxTokens * modelProfile(model).charsPerToken) - marker.length - 2);
+  const head = Math.ceil(keepChars * 2 / 3);
+  return {
+    text: `${text.slice(0, head)}\n${marker}\n${text.slice(text.length - (keepChars - head))}`,
+    tokens,
+    truncated: true
+  };
+}
@@ -0,0 +1,50 @@
+import { readWorkspaceFile, writeWorkspaceFile } from './workspaceFile.js';
+import { applyUnifiedDiff } from '../diff.js';
+
+/**
+ * The file apply_patch would change, with its content before and after, without writing it
+ * @param {object} args - { filename: string, patch: string }
+ * @param {object} context - { uploadsDir: string }
+ * @returns {Promise<{filename: string, before: string, after: string}>}
+ */
+export async function previewApplyPatch({ filename, patch }, { uploadsDir }) {
+  if (!patch) {
+    throw new Error('patch is required');
+  }
+  const file = readWorkspaceFile(filename, uploadsDir);
+  return { filename: file.filename, before: file.content, after: applyUnifiedDiff(file.content.replace(/\r\n/g, '\n'), patch) };
+}
+
+/**
+ * Apply a unified diff to a file after checking its context lines against the file
+ * @param {object} args - { filename: string, patch: string }
+ * @param {object} context - { uploadsDir: string, indexSync?: IndexSync, change?: object }
+ * @returns {Promise<string>}
+ */
+export async function applyPatch(args, context) {
+  const { filename, after } = await previewApplyPatch(args, context);
+  await writeWorkspaceFile(filename, after, context, { operation: 'apply_patch', reason: 'AI patch' });
+  return `Successfully applied the patch to ${filename}.`;
+}
+
+export const applyPatchToolSpec = {
+  type: 'function',
+  function: {
+    name: 'apply_patch',
+    description: 'Apply a unified diff to one file, for several changes at once. Each hunk starts with "@@ -start,count +start,count @@" and lists unchanged context lines (prefixed with a space), removed lines ("-") and added lines ("+"). Context and removed lines must match the file exactly, so read the file first; the patch is rejected if they do not.',
+    parameters: {
+      type: 'object',
+      properties: {
+        filename: {
+          type: 'string',
+          description: 'The filename in the uploads directory (e.g., "document.tex")',
+        },
+        patch: {
+          type: 'string',
+          description: 'Unified diff of this file (the ---/+++ header lines are optional)',
+        },
+      },
+      required: ['filename', 'patch'],
+    },
+  },
+};
@@ -1,15 +1,13 @@
 import fs from 'fs';
 import path from 'path';
-import { v4 as uuidv4 } from 'uuid';
-import { parseTextDirect } from '../parser.js';
 
 /**
- * Create a new LaTeX file with article content
+ * The LaTeX file create_latex_file would write, without writing it
  * @param {object} args - { filename: string, topic: string, title?: string, author?: string }
- * @param {object} context - { uploadsDir: string, vectorStore?: VectorStore }
- * @returns {Promise<string>}
+ * @param {object} context - { uploadsDir: string }
+ * @returns {Promise<{filename: string, before: string, after: string, create: true, title: string}>}
  */
-export async function createLatexFile({ filename, topic, title, author }, { uploadsDir, vectorStore }) {
+export async function previewCreateLatexFile({ filename, topic, title, author }, { uploadsDir }) {
   if (!filename) {
     throw new Error('filename is required');
   }
@@ -98,27 +96,39 @@ Example reference. \\textit{Journal Name}, Volume, Pages, Year.
 \\end{document}
 `;
 
+  return { filename: texFilename, before: '', after: latexContent, create: true, title: articleTitle };
+}
+
+/**
+ * Create a new LaTeX file with article content
+ * @param {object} args - { filename: string, topic: string, title?: string, author?: string }
+ * @param {object} context - { uploadsDir: string, indexSync?: IndexSync, change?: object }
+ * @returns {Promise<string>}
+ */
+export async function createLatexFile(args, { uploadsDir, indexSync, change }) {
+  const { filename: texFilename, after: latexContent, title: articleTitle } = await previewCreateLatexFile(args, { uploadsDir });
+  const { topic, author } = args;
+  const articleAuthor = author || 'Author';
+  const filePath = path.join(uploadsDir, texFilename);
+
   try {
-    // Write the LaTeX file
-    fs.writeFileSync(filePath, latexContent, 'utf8');
-    
-    // Index the file in vector store if available
+    // Write the LaTeX file and index it if an index is available
     let docId = null;
-    if (vectorStore) {
+    if (indexSync) {
       try {
-        const parsed = await parseTextDirect(latexContent, texFilename);
-        docId = uuidv4();
-        await vectorStore.indexDocument({
-          id: docId,
-          filename: texFilename,
-          segments: parsed.segments.map(seg => ({ ...seg, filename: texFilename }))
-        });
+        ({ docId } = await indexSync.writeFile(texFilename, latexContent, {
+          create: true,
+          change: { actor: 'agent', ...change, operation: 'create_latex_file', reason: 'AI-created file' }
+        }));
         console.log(`✅ Indexed created LaTeX file: ${texFilename} (${docId})`);
       } catch (indexErr) {
         console.error('Failed to index created file:', indexErr);
         // Continue even if indexing fails
       }
     }
+    if (!fs.existsSync(filePath)) {
+      fs.writeFileSync(filePath, latexContent, 'utf8');
+    }
     
     // Return structured response with metadata
     const response = {
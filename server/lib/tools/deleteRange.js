@@ -0,0 +1,54 @@
+import { readWorkspaceFile, writeWorkspaceFile, checkLineRange } from './workspaceFile.js';
+
+/**
+ * The file delete_range would change, with its content before and after, without writing it
+ * @param {object} args - { filename: string, start_line: number, end_line?: number }
+ * @param {object} context - { uploadsDir: string }
+ * @returns {Promise<{filename: string, before: string, after: string}>}
+ */
+export async function previewDeleteRange({ filename, start_line, end_line }, { uploadsDir }) {
+  const file = readWorkspaceFile(filename, uploadsDir);
+  const lines = file.content.split(/\r?\n/);
+  const { start, end } = checkLineRange(lines, start_line, end_line ?? start_line);
+  lines.splice(start - 1, end - start + 1);
+  return { filename: file.filename, before: file.content, after: lines.join('\n') };
+}
+
+/**
+ * Delete a range of lines from a file
+ * @param {object} args - { filename: string, start_line: number, end_line?: number }
+ * @param {object} context - { uploadsDir: string, indexSync?: IndexSync, change?: object }
+ * @returns {Promise<string>}
+ */
+export async function deleteRange(args, context) {
+  const { filename, after } = await previewDeleteRange(args, context);
+  await writeWorkspaceFile(filename, after, context, { operation: 'delete_range', reason: 'AI deletion' });
+  const { start_line, end_line = start_line } = args;
+  return `Successfully deleted lines ${start_line}-${end_line} of ${filename}.`;
+}
+
+export const deleteRangeToolSpec = {
+  type: 'function',
+  function: {
+    name: 'delete_range',
+    description: 'Delete whole lines from a file, e.g. a duplicated or unwanted paragraph. Read the file first to get the exact line numbers.',
+    parameters: {
+      type: 'object',
+      properties: {
+        filename: {
+          type: 'string',
+          description: 'The filename in the uploads directory (e.g., "document.tex")',
+        },
+        start_line: {
+          type: 'number',
+          description: 'First line to delete (1-based)',
+        },
+        end_line: {
+          type: 'number',
+          description: 'Last line to delete (1-based, inclusive; defaults to start_line)',
+        },
+      },
+      required: ['filename', 'start_line'],
+    },
+  },
+};
@@ -2,8 +2,12 @@ import { readFile, readFileToolSpec } from './readFile.js';
 import { listDir, listDirToolSpec } from './listDir.js';
 import { grepFiles, grepFilesToolSpec } from './grepFiles.js';
 import { extractDocument, extractDocumentToolSpec } from './extractDocument.js';
-import { insertText, insertTextToolSpec } from './insertText.js';
-import { createLatexFile, createLatexFileToolSpec } from './createLatexFile.js';
+import { insertText, insertTextToolSpec, previewInsertText } from './insertText.js';
+import { createLatexFile, createLatexFileToolSpec, previewCreateLatexFile } from './createLatexFile.js';
+import { replaceText, replaceTextToolSpec, previewReplaceText } from './replaceText.js';
+import { applyPatch, applyPatchToolSpec, previewApplyPatch } from './applyPatch.js';
+import { deleteRange, deleteRangeToolSpec, previewDeleteRange } from './deleteRange.js';
+import { unifiedDiff } from '../diff.js';
 
 export const toolHandlers = {
   read_file: readFile,
@@ -11,6 +15,9 @@ export const toolHandlers = {
   grep_files: grepFiles,
   extract_document: extractDocument,
   insert_text: insertText,
+  replace_text: replaceText,
+  apply_patch: applyPatch,
+  delete_range: deleteRange,
   create_latex_file: createLatexFile,
 };
 
@@ -20,9 +27,38 @@ export const toolSpecs = [
   grepFilesToolSpec,
   extractDocumentToolSpec,
   insertTextToolSpec,
+  replaceTextToolSpec,
+  applyPatchToolSpec,
+  deleteRangeToolSpec,
   createLatexFileToolSpec,
 ];
 
+// Tools that change files, with a dry run returning { filename, before, after, create? } for each
+export const toolPreviews = {
+  insert_text: previewInsertText,
+  replace_text: previewReplaceText,
+  apply_patch: previewApplyPatch,
+  delete_range: previewDeleteRange,
+  create_latex_file: previewCreateLatexFile,
+};
+
+/**
+ * Dry run of a file-changing tool call: what it would write, as a unified diff
+ * @param {string} name - Tool name (a key of toolPreviews)
+ * @param {object} args - Tool arguments (parsed JSON)
+ * @param {object} context - Tool context (uploadsDir)
+ * @returns {Promise<{filename: string, create: boolean, diff: string, additions: number, deletions: number}>}
+ * @throws when the call could not be applied (invalid arguments, missing file, ...)
+ */
+export async function previewTool(name, args, context) {
+  const preview = toolPreviews[name];
+  if (!preview) {
+    throw new Error(`Tool ${name} does not change files`);
+  }
+  const { filename, before, after, create = false } = await preview(args, context);
+  return { filename, create, ...unifiedDiff(before, after, { filename, create }) };
+}
+
 /**
  * Execute a tool call with workspace context
  * @param {string} name - Tool name
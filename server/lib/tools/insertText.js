@@ -2,12 +2,46 @@ import fs from 'fs';
 import path from 'path';
 
 /**
- * Insert text into a file at a specific line position
+ * Content of a file after inserting text at a line and column
+ * @param {string} content
+ * @param {object} args - { text: string, line: number, column?: number }
+ * @returns {string}
+ */
+export function insertIntoContent(content, { text, line, column = 1 }) {
+  const lines = content.split(/\r?\n/);
+
+  // Validate line number
+  if (line > lines.length + 1) {
+    throw new Error(`Line ${line} is beyond the end of the file (file has ${lines.length} lines)`);
+  }
+
+  // Insert text
+  const insertLine = line - 1; // Convert to 0-based index
+  const insertColumn = Math.max(0, column - 1); // Convert to 0-based index
+
+  if (insertLine === lines.length) {
+    // Append at end of file
+    lines.push(text);
+  } else if (insertColumn === 0) {
+    // Insert as new line before the specified line
+    lines.splice(insertLine, 0, text);
+  } else {
+    // Insert at specific column in existing line
+    const currentLine = lines[insertLine];
+    const before = currentLine.slice(0, insertColumn);
+    const after = currentLine.slice(insertColumn);
+    lines[insertLine] = before + text + after;
+  }
+  return lines.join('\n');
+}
+
+/**
+ * The file insert_text would change, with its content before and after, without writing it
  * @param {object} args - { filename: string, text: string, line: number, column?: number }
  * @param {object} context - { uploadsDir: string }
- * @returns {Promise<string>}
+ * @returns {Promise<{filename: string, before: string, after: string}>}
  */
-export async function insertText({ filename, text, line, column = 1 }, { uploadsDir }) {
+export async function previewInsertText({ filename, text, line, column = 1 }, { uploadsDir }) {
   if (!filename) {
     throw new Error('filename is required');
   }
@@ -27,38 +61,32 @@ export async function insertText({ filename, text, line, column = 1 }, { uploads
   }
 
   try {
-    // Read current content
     const content = fs.readFileSync(filePath, 'utf8');
-    const lines = content.split(/\r?\n/);
-
-    // Validate line number
-    if (line > lines.length + 1) {
-      throw new Error(`Line ${line} is beyond the end of the file (file has ${lines.length} lines)`);
-    }
+    return { filename: safeName, before: content, after: insertIntoContent(content, { text, line, column }) };
+  } catch (err) {
+    throw new Error(`Failed to insert text: ${err.message}`);
+  }
+}
 
-    // Insert text
-    const insertLine = line - 1; // Convert to 0-based index
-    const insertColumn = Math.max(0, column - 1); // Convert to 0-based index
+/**
+ * Insert text into a file at a specific line position
+ * @param {object} args - { filename: string, text: string, line: number, column?: number }
+ * @param {object} context - { uploadsDir: string, indexSync?: IndexSync, change?: object }
+ * @returns {Promise<string>}
+ */
+export async function insertText(args, { uploadsDir, indexSync, change }) {
+  const { filename, after } = await previewInsertText(args, { uploadsDir });
+  const { line, column = 1 } = args;
 
-    if (insertLine === lines.length) {
-      // Append at end of file
-      lines.push(text);
-    } else if (insertColumn === 0) {
-      // Insert as new line before the specified line
-      lines.splice(insertLine, 0, text);
+  try {
+    // Write back, re-indexing the file so its chunks keep accurate line numbers
+    if (indexSync) {
+      await indexSync.writeFile(filename, after, { change: { actor: 'agent', ...change, operation: 'insert_text', reason: 'AI insertion' } });
     } else {
-      // Insert at specific column in existing line
-      const currentLine = lines[insertLine];
-      const before = currentLine.slice(0, insertColumn);
-      const after = currentLine.slice(insertColumn);
-      lines[insertLine] = before + text + after;
+      fs.writeFileSync(path.join(uploadsDir, filename), after, 'utf8');
     }
 
-    // Write back
-    const newContent = lines.join('\n');
-    fs.writeFileSync(filePath, newContent, 'utf8');
-
-    return `Successfully inserted text into ${safeName} at line ${line}, column ${column}.`;
+    return `Successfully inserted text into ${filename} at line ${line}, column ${column}.`;
   } catch (err) {
     throw new Error(`Failed to insert text: ${err.message}`);
   }
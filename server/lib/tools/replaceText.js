@@ -0,0 +1,94 @@
+import { readWorkspaceFile, writeWorkspaceFile, checkLineRange } from './workspaceFile.js';
+
+/**
+ * The file replace_text would change, with its content before and after, without writing it
+ * @param {object} args - { filename: string, new_text: string, old_text?: string, start_line?: number, end_line?: number }
+ * @param {object} context - { uploadsDir: string }
+ * @returns {Promise<{filename: string, before: string, after: string, replaced: string}>} `replaced` describes what was replaced
+ */
+export async function previewReplaceText({ filename, new_text, old_text, start_line, end_line }, { uploadsDir }) {
+  if (new_text === undefined || new_text === null) {
+    throw new Error('new_text is required (use an empty string to remove text)');
+  }
+  const hasMatch = old_text !== undefined && old_text !== null && old_text !== '';
+  const hasRange = start_line !== undefined && start_line !== null;
+  if (!hasMatch && !hasRange) {
+    throw new Error('Say what to replace: old_text (text that occurs once in the file) or start_line (with end_line)');
+  }
+  if (hasMatch && hasRange) {
+    throw new Error('Give either old_text or start_line (with end_line), not both');
+  }
+  const file = readWorkspaceFile(filename, uploadsDir);
+  const content = file.content.replace(/\r\n/g, '\n');
+
+  if (hasMatch) {
+    const target = String(old_text).replace(/\r\n/g, '\n');
+    const positions = [];
+    for (let at = content.indexOf(target); at !== -1; at = content.indexOf(target, at + 1)) positions.push(at);
+    if (positions.length === 0) {
+      throw new Error(`old_text was not found in ${file.filename}; read the file again and copy the text exactly, including whitespace`);
+    }
+    if (positions.length > 1) {
+      const lines = positions.map(at => content.slice(0, at).split('\n').length);
+      throw new Error(`old_text occurs ${positions.length} times in ${file.filename} (lines ${lines.join(', ')}); include more surrounding text or use start_line and end_line`);
+    }
+    const line = content.slice(0, positions[0]).split('\n').length;
+    return {
+      filename: file.filename,
+      before: file.content,
+      after: content.slice(0, positions[0]) + new_text + content.slice(positions[0] + target.length),
+      replaced: `the text at line ${line}`
+    };
+  }
+
+  const lines = content.split('\n');
+  const { start, end } = checkLineRange(lines, start_line, end_line ?? start_line);
+  lines.splice(start - 1, end - start + 1, ...String(new_text).split(/\r?\n/));
+  return { filename: file.filename, before: file.content, after: lines.join('\n'), replaced: `lines ${start}-${end}` };
+}
+
+/**
+ * Replace text in a file, found by exact match (which must be unique) or by line range
+ * @param {object} args - { filename: string, new_text: string, old_text?: string, start_line?: number, end_line?: number }
+ * @param {object} context - { uploadsDir: string, indexSync?: IndexSync, change?: object }
+ * @returns {Promise<string>}
+ */
+export async function replaceText(args, context) {
+  const { filename, after, replaced } = await previewReplaceText(args, context);
+  await writeWorkspaceFile(filename, after, context, { operation: 'replace_text', reason: 'AI replacement' });
+  return `Successfully replaced ${replaced} of ${filename}.`;
+}
+
+export const replaceTextToolSpec = {
+  type: 'function',
+  function: {
+    name: 'replace_text',
+    description: 'Replace text in a file: fix a typo, rewrite a sentence, paragraph or section. Either give old_text, an exact excerpt of the file that occurs only once (copy it from read_file output without line numbers), or give start_line and end_line to replace whole lines. Read the file first.',
+    parameters: {
+      type: 'object',
+      properties: {
+        filename: {
+          type: 'string',
+          description: 'The filename in the uploads directory (e.g., "document.tex")',
+        },
+        new_text: {
+          type: 'string',
+          description: 'The replacement text',
+        },
+        old_text: {
+          type: 'string',
+          description: 'Exact text to replace; must occur exactly once in the file',
+        },
+        start_line: {
+          type: 'number',
+          description: 'First line to replace (1-based), instead of old_text',
+        },
+        end_line: {
+          type: 'number',
+          description: 'Last line to replace (1-based, inclusive; defaults to start_line)',
+        },
+      },
+      required: ['filename', 'new_text'],
+    },
+  },
+};
@@ -0,0 +1,55 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Read a text file of the workspace for an edit tool
+ * @param {string} filename - Name in the uploads directory; directories are stripped (no path traversal)
+ * @param {string} uploadsDir
+ * @returns {{filename: string, content: string}}
+ */
+export function readWorkspaceFile(filename, uploadsDir) {
+  if (!filename) {
+    throw new Error('filename is required');
+  }
+  const safeName = path.basename(filename);
+  const filePath = path.join(uploadsDir, safeName);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${safeName}`);
+  }
+  return { filename: safeName, content: fs.readFileSync(filePath, 'utf8') };
+}
+
+/**
+ * Write an edited file, re-indexing it when an IndexSync is given so its chunks keep accurate line numbers
+ * @param {string} filename - As returned by readWorkspaceFile
+ * @param {string} content
+ * @param {object} context - { uploadsDir: string, indexSync?: IndexSync, change?: object }
+ * @param {object} edit - { operation: string, reason: string }, journaled with the context's change (actor, sessionId)
+ */
+export async function writeWorkspaceFile(filename, content, { uploadsDir, indexSync, change }, { operation, reason }) {
+  if (indexSync) {
+    await indexSync.writeFile(filename, content, { change: { actor: 'agent', ...change, operation, reason } });
+  } else {
+    fs.writeFileSync(path.join(uploadsDir, filename), content, 'utf8');
+  }
+}
+
+/**
+ * Check a 1-based, inclusive line range against a file's lines
+ * @param {Array<string>} lines
+ * @param {number} startLine
+ * @param {number} [endLine] - Defaults to startLine
+ * @returns {{start: number, end: number}}
+ */
+export function checkLineRange(lines, startLine, endLine = startLine) {
+  if (!Number.isInteger(startLine) || startLine < 1) {
+    throw new Error('start_line must be a positive integer');
+  }
+  if (!Number.isInteger(endLine) || endLine < startLine) {
+    throw new Error('end_line must be an integer no smaller than start_line');
+  }
+  if (endLine > lines.length) {
+    throw new Error(`Line ${endLine} is beyond the end of the file (file has ${lines.length} lines)`);
+  }
+  return { start: startLine, end: endLine };
+}
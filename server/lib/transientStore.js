@@ -0,0 +1,135 @@
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * In-memory, session-scoped store for documents attached inline to a chat message.
+ * They are searched only when a request restricts retrieval to them, never by the global
+ * search path, and are evicted once they go unused for the TTL or when their session is reset.
+ */
+
+const DEFAULT_TTL_MS = Number(process.env.TRANSIENT_TTL_MS) || 30 * 60 * 1000;
+
+export const TRANSIENT_ID_PREFIX = 'transient-';
+
+function normalize(vector) {
+  const out = Float32Array.from(vector);
+  let norm = 0;
+  for (const v of out) norm += v * v;
+  norm = Math.sqrt(norm) || 1;
+  for (let i = 0; i < out.length; i++) out[i] /= norm;
+  return out;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+export class TransientStore {
+  /**
+   * @param {object} options
+   * @param {(text: string) => Promise<number[]>} options.embed - Same embedder as the main index
+   * @param {number} [options.ttlMs] - Idle time before a document is evicted (TRANSIENT_TTL_MS, default 30 minutes)
+   * @param {() => number} [options.now] - Clock, for tests
+   */
+  constructor({ embed, ttlMs = DEFAULT_TTL_MS, now = Date.now }) {
+    this.embed = embed;
+    this.ttlMs = ttlMs;
+    this.now = now;
+    this.documents = new Map(); // docId -> { id, sessionKey, filename, contentHash, chunks, expiresAt }
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  has(docId) {
+    this.sweep();
+    return this.documents.has(docId);
+  }
+
+  /**
+   * Embed an attached document for a session. Attaching the same content again in the same
+   * session reuses the existing document instead of embedding it again.
+   * @param {string} sessionKey
+   * @param {object} doc
+   * @param {string} doc.filename
+   * @param {Array<object>} doc.segments - Chunks from the parser
+   * @param {string} doc.contentHash
+   * @returns {Promise<string>} the transient document id
+   */
+  async add(sessionKey, { filename, segments, contentHash }) {
+    this.sweep();
+    for (const doc of this.documents.values()) {
+      if (doc.sessionKey === sessionKey && doc.contentHash === contentHash && doc.filename === filename) {
+        doc.expiresAt = this.now() + this.ttlMs;
+        return doc.id;
+      }
+    }
+
+    const id = `${TRANSIENT_ID_PREFIX}${uuidv4()}`;
+    const chunks = [];
+    for (const seg of segments) {
+      chunks.push({
+        docId: id,
+        filename,
+        text: seg.text,
+        page: seg.page || null,
+        pageEnd: seg.pageEnd || null,
+        sheet: seg.sheet || null,
+        lineStart: seg.lineStart,
+        lineEnd: seg.lineEnd,
+        section: seg.section || null,
+        vector: normalize(await this.embed(seg.text))
+      });
+    }
+    this.documents.set(id, { id, sessionKey, filename, contentHash, chunks, expiresAt: this.now() + this.ttlMs });
+    return id;
+  }
+
+  /**
+   * Exact cosine search over the given transient documents
+   * @param {string} query
+   * @param {number} topK
+   * @param {string[]} docIds
+   */
+  async search(query, topK, docIds) {
+    this.sweep();
+    const docs = docIds.map(id => this.documents.get(id)).filter(Boolean);
+    if (docs.length === 0) return [];
+    const q = normalize(await this.embed(query));
+    const expiresAt = this.now() + this.ttlMs;
+    for (const doc of docs) doc.expiresAt = expiresAt;
+
+    return docs
+      .flatMap(doc => doc.chunks)
+      .map(({ vector, ...chunk }) => ({ ...chunk, score: dot(q, vector) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+
+  /**
+   * Drop every document of a session
+   * @returns {number} documents removed
+   */
+  clearSession(sessionKey) {
+    let removed = 0;
+    for (const [id, doc] of this.documents) {
+      if (doc.sessionKey === sessionKey) {
+        this.documents.delete(id);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Evict documents whose TTL has passed
+   */
+  sweep() {
+    const now = this.now();
+    for (const [id, doc] of this.documents) {
+      if (doc.expiresAt <= now) this.documents.delete(id);
+    }
+  }
+}
@@ -0,0 +1,158 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Token usage and estimated cost of every model request, appended to a JSON-lines file and
+ * aggregated per session and per day for GET /api/usage.
+ */
+
+// USD per million tokens [prompt, completion]; LLM_PRICES (JSON with the same shape) adds or overrides models
+const MODEL_PRICES = {
+  'llama-3.1-70b-versatile': [0.59, 0.79],
+  'llama-3.3-70b-versatile': [0.59, 0.79],
+  'llama-3.1-8b-instant': [0.05, 0.08],
+  'llama3-70b-8192': [0.59, 0.79],
+  'llama3-8b-8192': [0.05, 0.08],
+  'mixtral-8x7b-32768': [0.24, 0.24],
+  'gemma2-9b-it': [0.2, 0.2],
+  'gpt-4o': [2.5, 10],
+  'gpt-4o-mini': [0.15, 0.6]
+};
+
+function loadPrices() {
+  if (!process.env.LLM_PRICES) return MODEL_PRICES;
+  try {
+    return { ...MODEL_PRICES, ...JSON.parse(process.env.LLM_PRICES) };
+  } catch (err) {
+    console.warn('⚠️  Ignoring invalid LLM_PRICES:', err.message);
+    return MODEL_PRICES;
+  }
+}
+
+/**
+ * Estimated cost of a request in USD, or null when the model's price is unknown (local models, fakes)
+ */
+export function estimateCost(model, promptTokens, completionTokens, prices = loadPrices()) {
+  const price = prices[model];
+  if (!price) return null;
+  return (promptTokens * price[0] + completionTokens * price[1]) / 1e6;
+}
+
+function emptyTotals() {
+  return { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, toolCalls: 0, latencyMs: 0, costUsd: 0 };
+}
+
+function addTo(totals, entry) {
+  totals.requests += 1;
+  totals.promptTokens += entry.promptTokens;
+  totals.completionTokens += entry.completionTokens;
+  totals.totalTokens += entry.totalTokens;
+  totals.toolCalls += entry.toolCalls;
+  totals.latencyMs += entry.latencyMs;
+  totals.costUsd += entry.costUsd || 0;
+}
+
+// Sums are kept while aggregating; callers get the average latency instead
+function finish(totals) {
+  const { latencyMs, ...rest } = totals;
+  return { ...rest, avgLatencyMs: totals.requests ? Math.round(latencyMs / totals.requests) : 0 };
+}
+
+export class UsageLog {
+  /**
+   * @param {string} filePath - JSON-lines file, one request per line
+   * @param {object} [options]
+   * @param {() => number} [options.now] - Clock, for tests
+   */
+  constructor(filePath, { now = Date.now } = {}) {
+    this.filePath = filePath;
+    this.now = now;
+    this.prices = loadPrices();
+    this.entries = [];
+    if (fs.existsSync(filePath)) {
+      for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          this.entries.push(JSON.parse(line));
+        } catch {
+          // Partial line from an interrupted write
+        }
+      }
+    }
+  }
+
+  /**
+   * Record one request
+   * @param {object} request
+   * @param {string|null} request.sessionId
+   * @param {string} request.route - e.g. agent, rag, chat, summary
+   * @param {string} request.provider
+   * @param {string} request.model
+   * @param {{prompt_tokens?: number, completion_tokens?: number, total_tokens?: number}} [request.usage] - As reported by the provider
+   * @param {number} request.latencyMs
+   * @param {number} [request.toolCalls]
+   * @returns {object} the stored entry
+   */
+  record({ sessionId, route, provider, model, usage = {}, latencyMs, toolCalls = 0 }) {
+    const promptTokens = usage.prompt_tokens || 0;
+    const completionTokens = usage.completion_tokens || 0;
+    const entry = {
+      at: new Date(this.now()).toISOString(),
+      sessionId: sessionId || null,
+      route,
+      provider,
+      model,
+      promptTokens,
+      completionTokens,
+      totalTokens: usage.total_tokens || promptTokens + completionTokens,
+      toolCalls,
+      latencyMs: Math.round(latencyMs),
+      costUsd: estimateCost(model, promptTokens, completionTokens, this.prices)
+    };
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`, 'utf8');
+    } catch (err) {
+      // Accounting must never fail the request it describes
+      console.warn('⚠️  Failed to write usage entry:', err.message);
+    }
+    this.entries.push(entry);
+    return entry;
+  }
+
+  /**
+   * Totals overall, per session and per day (UTC), most recent first
+   * @param {object} [filter]
+   * @param {string} [filter.sessionId]
+   * @param {string} [filter.from] - First day included (YYYY-MM-DD)
+   * @param {string} [filter.to] - Last day included (YYYY-MM-DD)
+   * @param {number} [filter.limit] - Latest requests returned individually (default 20)
+   */
+  summary({ sessionId, from, to, limit = 20 } = {}) {
+    const entries = this.entries.filter(e => {
+      const day = e.at.slice(0, 10);
+      return (!sessionId || e.sessionId === sessionId) && (!from || day >= from) && (!to || day <= to);
+    });
+
+    const totals = emptyTotals();
+    const sessions = new Map();
+    const days = new Map();
+    for (const entry of entries) {
+      addTo(totals, entry);
+      const session = entry.sessionId || 'none';
+      if (!sessions.has(session)) sessions.set(session, { sessionId: entry.sessionId, lastAt: entry.at, ...emptyTotals() });
+      addTo(sessions.get(session), entry);
+      sessions.get(session).lastAt = entry.at;
+      const day = entry.at.slice(0, 10);
+      if (!days.has(day)) days.set(day, { day, ...emptyTotals() });
+      addTo(days.get(day), entry);
+    }
+
+    return {
+      totals: finish(totals),
+      sessions: [...sessions.values()].sort((a, b) => b.lastAt.localeCompare(a.lastAt)).map(finish),
+      days: [...days.values()].sort((a, b) => b.day.localeCompare(a.day)).map(finish),
+      requests: entries.slice(-limit).reverse()
+    };
+  }
+}
@@ -1,47 +1,228 @@
 import fs from 'fs';
 import path from 'path';
-import { pipeline } from '@xenova/transformers';
+import { HnswIndex } from './hnsw.js';
+import { Bm25Index } from './bm25.js';
+import { sha256 } from './hash.js';
 
-function cosineSimilarity(a, b) {
-  let dot = 0, na = 0, nb = 0;
-  for (let i = 0; i < a.length; i++) {
-    dot += a[i] * b[i];
-    na += a[i] * a[i];
-    nb += b[i] * b[i];
-  }
-  return dot / (Math.sqrt(na) * Math.sqrt(nb) + 1e-8);
+// Below this many candidate chunks an exact scan is both cheap and more accurate than the graph
+const EXACT_SEARCH_THRESHOLD = 512;
+// Rewrite the vector file once this share of its rows belongs to deleted chunks
+const COMPACTION_RATIO = 0.25;
+const STORE_FORMAT_VERSION = 2;
+// Reciprocal rank fusion constant (Cormack et al., 2009)
+const RRF_K = 60;
+export const SEARCH_MODES = ['semantic', 'lexical', 'hybrid'];
+
+function normalize(vector) {
+  const out = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < out.length; i++) norm += out[i] * out[i];
+  norm = Math.sqrt(norm) + 1e-8;
+  for (let i = 0; i < out.length; i++) out[i] /= norm;
+  return out;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
 }
 
+function writeFileAtomic(filePath, data) {
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, data);
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Chunk store with persisted embeddings and an HNSW index.
+ *
+ * On disk (next to the legacy index.json, in a directory of the same name):
+ * - meta.json    documents and chunk metadata; each chunk points at a row (`slot`) of the vector file
+ * - vectors.f32  append-only Float32 rows of L2-normalized embeddings
+ * - hnsw.bin     the serialized graph (rebuilt from the vectors if missing or stale)
+ *
+ * An existing index.json with inline embeddings is migrated on first load.
+ * A BM25 index over chunk text is kept in memory alongside (rebuilt from meta.json on load).
+ */
 export class VectorStore {
-  constructor(indexPath) {
+  /**
+   * @param {string} indexPath - Path of the (legacy) JSON index file; the store lives in a sibling directory
+   * @param {object} [options]
+   * @param {(text: string) => Promise<number[]>} [options.embed] - Custom embedding function
+   *   (defaults to Xenova/all-MiniLM-L6-v2, loaded on first use)
+   * @param {object} [options.hnsw] - HNSW parameters (M, efConstruction, efSearch, seed)
+   */
+  constructor(indexPath, { embed, hnsw } = {}) {
     this.indexPath = indexPath;
+    this.storeDir = indexPath.replace(/\.json$/i, '');
+    this.metaPath = path.join(this.storeDir, 'meta.json');
+    this.vectorsPath = path.join(this.storeDir, 'vectors.f32');
+    this.graphPath = path.join(this.storeDir, 'hnsw.bin');
+
     this.index = { documents: {}, chunks: [] };
+    this.dims = 0;
+    this.vectorCount = 0;
+    this.vectors = new Float32Array(0);
+    this.hnswOptions = hnsw || {};
+    this.graph = this._createGraph();
+    this.lexical = new Bm25Index();
+
     this.embedder = null;
+    this.embedFn = embed || null;
     this._load();
   }
 
+  _createGraph() {
+    return new HnswIndex({ ...this.hnswOptions, getVector: (slot) => this._vector(slot) });
+  }
+
   async _getEmbedder() {
     if (!this.embedder) {
+      // Imported lazily so the model runtime is only loaded when embeddings are actually needed
+      const { pipeline } = await import('@xenova/transformers');
       this.embedder = await pipeline('feature-extraction', 'Xenova/all-MiniLM-L6-v2');
     }
     return this.embedder;
   }
 
+  _vector(slot) {
+    return this.vectors.subarray(slot * this.dims, (slot + 1) * this.dims);
+  }
+
+  _ensureCapacity(rows) {
+    const needed = rows * this.dims;
+    if (needed <= this.vectors.length) return;
+    const grown = new Float32Array(Math.max(needed, this.vectors.length * 2, this.dims * 64));
+    grown.set(this.vectors.subarray(0, this.vectorCount * this.dims));
+    this.vectors = grown;
+  }
+
   _load() {
     try {
-      if (fs.existsSync(this.indexPath)) {
-        const raw = fs.readFileSync(this.indexPath, 'utf8');
-        this.index = JSON.parse(raw);
+      if (fs.existsSync(this.metaPath)) {
+        this._loadStore();
+      } else if (fs.existsSync(this.indexPath)) {
+        this._migrateLegacyIndex();
       }
+      this._rebuildLexical();
     } catch (e) {
-      console.warn('Failed to load index, starting fresh');
+      console.warn('Failed to load index, starting fresh:', e.message);
       this.index = { documents: {}, chunks: [] };
+      this.dims = 0;
+      this.vectorCount = 0;
+      this.vectors = new Float32Array(0);
+      this.graph = this._createGraph();
+      this.lexical.clear();
     }
   }
 
+  _loadStore() {
+    const meta = JSON.parse(fs.readFileSync(this.metaPath, 'utf8'));
+    this.index = { documents: meta.documents || {}, chunks: meta.chunks || [] };
+    this.dims = meta.dims || 0;
+    this.vectorCount = meta.vectorCount || 0;
+
+    if (this.dims > 0 && this.vectorCount > 0) {
+      const buffer = fs.readFileSync(this.vectorsPath);
+      const available = Math.floor(buffer.byteLength / (this.dims * 4));
+      if (available < this.vectorCount) {
+        throw new Error(`vector file has ${available} rows, metadata expects ${this.vectorCount}`);
+      }
+      // Rows appended after the last metadata write belong to an interrupted indexing run; drop them
+      this.vectors = new Float32Array(this.vectorCount * this.dims);
+      this.vectors.set(new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 4).subarray(0, this.vectorCount * this.dims));
+      if (available > this.vectorCount) {
+        fs.truncateSync(this.vectorsPath, this.vectorCount * this.dims * 4);
+      }
+    }
+
+    const graphData = fs.existsSync(this.graphPath) ? fs.readFileSync(this.graphPath) : null;
+    const loaded = graphData && this.graph.load(new Int32Array(graphData.buffer, graphData.byteOffset, graphData.byteLength / 4));
+    if (!loaded || this.graph.links.length !== this.vectorCount) {
+      this._rebuildGraph();
+      this._saveGraph();
+    }
+  }
+
+  /**
+   * Convert a pre-v2 index.json (chunks with inline embedding arrays) to the binary store.
+   * The old file is kept next to the new store as index.json.migrated.
+   */
+  _migrateLegacyIndex() {
+    const legacy = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+    const chunks = [];
+    for (const chunk of legacy.chunks || []) {
+      const { embedding, ...rest } = chunk;
+      if (!Array.isArray(embedding) || embedding.length === 0) continue;
+      if (!this.dims) this.dims = embedding.length;
+      if (embedding.length !== this.dims) continue;
+      const slot = this._appendVector(embedding);
+      chunks.push({ ...rest, slot });
+    }
+    this.index = { documents: legacy.documents || {}, chunks };
+    this._rebuildGraph();
+
+    fs.mkdirSync(this.storeDir, { recursive: true });
+    writeFileAtomic(this.vectorsPath, Buffer.from(this.vectors.buffer, 0, this.vectorCount * this.dims * 4));
+    this._saveMeta();
+    this._saveGraph();
+    fs.renameSync(this.indexPath, `${this.indexPath}.migrated`);
+    console.log(`📦 Migrated ${chunks.length} chunks from ${path.basename(this.indexPath)} to binary vector store`);
+  }
+
+  _appendVector(embedding) {
+    if (!this.dims) this.dims = embedding.length;
+    if (embedding.length !== this.dims) {
+      throw new Error(`Embedding has ${embedding.length} dimensions, index uses ${this.dims}`);
+    }
+    this._ensureCapacity(this.vectorCount + 1);
+    const slot = this.vectorCount;
+    this.vectors.set(normalize(embedding), slot * this.dims);
+    this.vectorCount += 1;
+    return slot;
+  }
+
+  _liveSlots() {
+    return new Set(this.index.chunks.map(ch => ch.slot));
+  }
+
+  _rebuildGraph() {
+    this.graph = this._createGraph();
+    for (const slot of [...this._liveSlots()].sort((a, b) => a - b)) {
+      this.graph.add(slot);
+    }
+    // Keep the graph's slot table aligned with the vector file
+    this.graph.links.length = this.vectorCount;
+  }
+
+  _rebuildLexical() {
+    this.lexical.clear();
+    for (const chunk of this.index.chunks) {
+      this.lexical.add(chunk.slot, chunk.text);
+    }
+  }
+
+  _saveMeta() {
+    fs.mkdirSync(this.storeDir, { recursive: true });
+    writeFileAtomic(this.metaPath, JSON.stringify({
+      version: STORE_FORMAT_VERSION,
+      dims: this.dims,
+      vectorCount: this.vectorCount,
+      documents: this.index.documents,
+      chunks: this.index.chunks
+    }));
+  }
+
+  _saveGraph() {
+    fs.mkdirSync(this.storeDir, { recursive: true });
+    const data = this.graph.serialize();
+    writeFileAtomic(this.graphPath, Buffer.from(data.buffer, data.byteOffset, data.byteLength));
+  }
+
   _save() {
-    fs.mkdirSync(path.dirname(this.indexPath), { recursive: true });
-    fs.writeFileSync(this.indexPath, JSON.stringify(this.index, null, 2), 'utf8');
+    this._saveMeta();
+    this._saveGraph();
   }
 
   countDocuments() {
@@ -49,43 +230,247 @@ export class VectorStore {
   }
 
   async _embed(text) {
+    if (this.embedFn) {
+      return Array.from(await this.embedFn(text));
+    }
     const extractor = await this._getEmbedder();
     const output = await extractor(text, { pooling: 'mean', normalize: true });
     // output.data is a Float32Array
     return Array.from(output.data);
   }
 
-  async indexDocument({ id, filename, segments }) {
-    this.index.documents[id] = { id, filename, createdAt: Date.now() };
-    for (const seg of segments) {
-      const embedding = await this._embed(seg.text);
-      this.index.chunks.push({
-        docId: id,
-        filename,
-        text: seg.text,
-        page: seg.page || null,
-        sheet: seg.sheet || null,
-        sheetIndex: typeof seg.sheetIndex === 'number' ? seg.sheetIndex : null,
-        lineStart: seg.lineStart,
-        lineEnd: seg.lineEnd,
-        embedding
-      });
+  /**
+   * Find the first document record matching a predicate
+   * @param {(doc: object) => boolean} predicate
+   * @returns {object|null}
+   */
+  findDocument(predicate) {
+    return Object.values(this.index.documents).find(predicate) || null;
+  }
+
+  /**
+   * Index a document. Indexing an id that already exists replaces its chunks: chunks whose
+   * text is unchanged keep their vectors, so only new or edited chunks are embedded.
+   * @param {object} doc
+   * @param {string} doc.id
+   * @param {string} doc.filename
+   * @param {Array<object>} doc.segments - Chunks from the parser
+   * @param {object} [doc.metadata] - Extra fields kept on the document record (e.g. `ocr`, `contentHash`)
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Checked between embeddings; aborting leaves the store untouched
+   * @param {(done: number, total: number) => void} [options.onProgress] - Called after each chunk
+   * @returns {Promise<{chunks: number, embedded: number, reused: number}>}
+   */
+  async indexDocument({ id, filename, segments, metadata }, { signal, onProgress } = {}) {
+    const hashes = segments.map(seg => sha256(seg.text));
+    const embeddings = new Map(); // text hash -> embedding
+    const embedMissing = async (slots, progress) => {
+      for (const [i, seg] of segments.entries()) {
+        if (slots[i] === null && !embeddings.has(hashes[i])) {
+          signal?.throwIfAborted();
+          embeddings.set(hashes[i], await this._embed(seg.text));
+        }
+        progress?.(i + 1, segments.length);
+      }
+      signal?.throwIfAborted();
+    };
+
+    // Embed everything first so a failure leaves the store untouched. Other mutations can run
+    // during the awaits, and compaction renumbers slots, so the reuse is planned again afterwards:
+    // from the last plan on nothing is awaited until the store is updated.
+    await embedMissing(this._planReuse(id, hashes).slots, onProgress);
+    let plan = this._planReuse(id, hashes);
+    while (plan.slots.some((slot, i) => slot === null && !embeddings.has(hashes[i]))) {
+      await embedMissing(plan.slots);
+      plan = this._planReuse(id, hashes);
+    }
+    const { previous, oldChunks, slots } = plan;
+
+    const firstNewSlot = this.vectorCount;
+    const newChunks = segments.map((seg, i) => ({
+      docId: id,
+      filename,
+      text: seg.text,
+      hash: hashes[i],
+      page: seg.page || null,
+      pageEnd: seg.pageEnd || null,
+      sheet: seg.sheet || null,
+      sheetIndex: typeof seg.sheetIndex === 'number' ? seg.sheetIndex : null,
+      lineStart: seg.lineStart,
+      lineEnd: seg.lineEnd,
+      section: seg.section || null,
+      slot: slots[i] ?? this._appendVector(embeddings.get(hashes[i]))
+    }));
+
+    if (this.vectorCount > firstNewSlot) {
+      fs.mkdirSync(this.storeDir, { recursive: true });
+      const rows = this.vectors.subarray(firstNewSlot * this.dims, this.vectorCount * this.dims);
+      fs.appendFileSync(this.vectorsPath, Buffer.from(rows.buffer, rows.byteOffset, rows.byteLength));
+    }
+
+    // Vectors of the previous version that were not reused become tombstones
+    const keptSlots = new Set(slots.filter(slot => slot !== null));
+    for (const chunk of oldChunks) {
+      if (!keptSlots.has(chunk.slot)) this.lexical.remove(chunk.slot);
+    }
+
+    const now = Date.now();
+    this.index.documents[id] = { ...metadata, id, filename, createdAt: previous?.createdAt ?? now, ...(previous && { updatedAt: now }) };
+    this.index.chunks = this.index.chunks.filter(ch => ch.docId !== id).concat(newChunks);
+    for (const chunk of newChunks) {
+      if (chunk.slot < firstNewSlot) continue;
+      this.graph.add(chunk.slot);
+      this.lexical.add(chunk.slot, chunk.text);
+    }
+    if (!this._compactIfSparse()) this._save();
+
+    const reused = keptSlots.size;
+    return { chunks: newChunks.length, embedded: newChunks.length - reused, reused };
+  }
+
+  /**
+   * Current chunks of a document and, for each new chunk hash, a slot of an unchanged old chunk
+   * to reuse (null when the text has to be embedded)
+   */
+  _planReuse(id, hashes) {
+    const previous = this.index.documents[id];
+    const oldChunks = previous ? this.index.chunks.filter(ch => ch.docId === id) : [];
+    const reusable = new Map(); // text hash -> slots of the previous version
+    for (const chunk of oldChunks) {
+      const hash = chunk.hash || sha256(chunk.text);
+      if (!reusable.has(hash)) reusable.set(hash, []);
+      reusable.get(hash).push(chunk.slot);
+    }
+    return { previous, oldChunks, slots: hashes.map(hash => reusable.get(hash)?.shift() ?? null) };
+  }
+
+  /**
+   * @param {string} query
+   * @param {number} [topK]
+   * @param {string[]} [restrictDocIds] - Only search chunks of these documents
+   * @param {object} [options]
+   * @param {'semantic'|'lexical'|'hybrid'} [options.mode] - Embedding similarity, BM25, or both fused
+   *   with reciprocal rank fusion. `score` is the cosine similarity for semantic and hybrid results
+   *   (hybrid results are ordered by `fusedScore`) and the BM25 score for lexical ones. Lexical and hybrid
+   *   results carry `lexicalScore` and `lexicalCoverage`, the weighted share of query terms a chunk contains.
+   */
+  async search(query, topK = 5, restrictDocIds = undefined, { mode = 'hybrid' } = {}) {
+    if (!SEARCH_MODES.includes(mode)) {
+      throw new Error(`Unknown search mode "${mode}" (expected ${SEARCH_MODES.join(', ')})`);
+    }
+    if (this.index.chunks.length === 0) return [];
+
+    const restrict = Array.isArray(restrictDocIds) && restrictDocIds.length > 0 ? new Set(restrictDocIds) : null;
+    const candidates = restrict ? this.index.chunks.filter(ch => restrict.has(ch.docId)) : this.index.chunks;
+    if (candidates.length === 0) return [];
+    const bySlot = new Map(candidates.map(ch => [ch.slot, ch]));
+
+    if (mode === 'lexical') {
+      return this.lexical.search(query, topK, (slot) => bySlot.has(slot))
+        .map(({ key, score, coverage }) => ({ ...bySlot.get(key), score, lexicalScore: score, lexicalCoverage: coverage }));
+    }
+
+    const q = normalize(await this._embed(query));
+    if (q.length !== this.dims) {
+      throw new Error(`Query embedding has ${q.length} dimensions, index uses ${this.dims}`);
+    }
+
+    if (mode === 'semantic') {
+      return this._semanticSearch(q, candidates, bySlot, topK, Boolean(restrict))
+        .map(({ slot, score }) => ({ ...bySlot.get(slot), score }));
+    }
+
+    // Fuse deeper lists than requested so a chunk ranked well by only one retriever can still surface
+    const depth = Math.max(topK * 4, 20);
+    const semantic = this._semanticSearch(q, candidates, bySlot, depth, Boolean(restrict));
+    const lexical = this.lexical.search(query, depth, (slot) => bySlot.has(slot));
+
+    const fused = new Map();
+    const entry = (slot) => {
+      if (!fused.has(slot)) fused.set(slot, { slot, fusedScore: 0, lexicalScore: 0, lexicalCoverage: 0 });
+      return fused.get(slot);
+    };
+    semantic.forEach(({ slot }, rank) => {
+      entry(slot).fusedScore += 1 / (RRF_K + rank + 1);
+    });
+    lexical.forEach(({ key, score, coverage }, rank) => {
+      const item = entry(key);
+      item.fusedScore += 1 / (RRF_K + rank + 1);
+      item.lexicalScore = score;
+      item.lexicalCoverage = coverage;
+    });
+
+    return [...fused.values()]
+      .sort((a, b) => b.fusedScore - a.fusedScore)
+      .slice(0, topK)
+      .map(({ slot, fusedScore, lexicalScore, lexicalCoverage }) => ({
+        ...bySlot.get(slot),
+        score: dot(q, this._vector(slot)),
+        lexicalScore,
+        lexicalCoverage,
+        fusedScore
+      }));
+  }
+
+  _semanticSearch(q, candidates, bySlot, k, restricted) {
+    if (candidates.length <= EXACT_SEARCH_THRESHOLD) {
+      return candidates
+        .map(ch => ({ slot: ch.slot, score: dot(q, this._vector(ch.slot)) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, k);
     }
+    return this.graph.search(q, k, {
+      // A restricted search keeps fewer hits, so widen the beam accordingly
+      ef: Math.max(this.graph.efSearch, k * 4) * (restricted ? 4 : 1),
+      filter: (slot) => bySlot.has(slot)
+    });
+  }
+
+  /**
+   * Remove every document and vector
+   */
+  clear() {
+    this.index = { documents: {}, chunks: [] };
+    this.dims = 0;
+    this.vectorCount = 0;
+    this.vectors = new Float32Array(0);
+    this.graph = this._createGraph();
+    this.lexical.clear();
+    fs.mkdirSync(this.storeDir, { recursive: true });
+    writeFileAtomic(this.vectorsPath, Buffer.alloc(0));
     this._save();
   }
 
-  async search(query, topK = 5, restrictDocIds = undefined) {
-    const q = await this._embed(query);
-    const scores = [];
-    for (const ch of this.index.chunks) {
-      if (Array.isArray(restrictDocIds) && restrictDocIds.length > 0 && !restrictDocIds.includes(ch.docId)) {
-        continue;
-      }
-      const score = cosineSimilarity(q, ch.embedding);
-      scores.push({ ...ch, score });
+  /**
+   * Drop vector rows that no live chunk references and rebuild the graph
+   */
+  compact() {
+    const live = [...this.index.chunks].sort((a, b) => a.slot - b.slot);
+    const vectors = new Float32Array(live.length * this.dims);
+    live.forEach((chunk, i) => {
+      vectors.set(this._vector(chunk.slot), i * this.dims);
+      chunk.slot = i;
+    });
+    this.vectors = vectors;
+    this.vectorCount = live.length;
+    if (this.vectorCount === 0) this.dims = 0;
+    this._rebuildGraph();
+    this._rebuildLexical();
+    writeFileAtomic(this.vectorsPath, Buffer.from(vectors.buffer, 0, vectors.byteLength));
+    this._save();
+  }
+
+  /**
+   * Compact once enough rows belong to deleted chunks
+   * @returns {boolean} whether the store was compacted (and saved)
+   */
+  _compactIfSparse() {
+    const deadRows = this.vectorCount - this.index.chunks.length;
+    if (deadRows > 0 && deadRows / this.vectorCount >= COMPACTION_RATIO) {
+      this.compact();
+      return true;
     }
-    scores.sort((a, b) => b.score - a.score);
-    return scores.slice(0, topK);
+    return false;
   }
 
   /**
@@ -114,11 +499,15 @@ export class VectorStore {
 
     // Remove document metadata
     delete this.index.documents[docId];
-    
-    // Remove all chunks for this document
+
+    // Remove all chunks for this document; their vectors stay in the graph as tombstones
+    // (still traversed, never returned) until the next compaction
+    for (const chunk of this.index.chunks) {
+      if (chunk.docId === docId) this.lexical.remove(chunk.slot);
+    }
     this.index.chunks = this.index.chunks.filter(ch => ch.docId !== docId);
-    
-    this._save();
+
+    if (!this._compactIfSparse()) this._saveMeta();
     console.log(`✅ Deleted document: ${docId} (${filename || docIdOrFilename})`);
     return true;
   }
@@ -130,5 +519,3 @@ export class VectorStore {
     return this.deleteDocument(savedFilename);
   }
 }
-
-
@@ -0,0 +1,338 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { runAgentLoop, resumeAgentLoop } from '../lib/agent.js';
+import { createFakeProvider } from '../lib/providers/fake.js';
+import { LLMError } from '../lib/providers/index.js';
+import { countTokens } from '../lib/tokens.js';
+import { createTempWorkspace, quietConsole } from './helpers.js';
+
+describe('runAgentLoop', () => {
+  let workspace;
+
+  beforeEach((t) => {
+    quietConsole(t);
+    workspace = createTempWorkspace();
+  });
+
+  afterEach(() => workspace.cleanup());
+
+  test('returns the final answer and sends system prompt, history and message', async () => {
+    const provider = createFakeProvider({ script: ['The answer is 42.'] });
+    const history = Array.from({ length: 8 }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: `turn ${i}` }));
+
+    const result = await runAgentLoop({ message: 'What is the answer?', history, provider, uploadsDir: workspace.uploadDir });
+
+    assert.equal(result.response, 'The answer is 42.');
+    assert.deepEqual(result.toolCalls, []);
+    assert.equal(result.createdFiles, undefined);
+
+    const [call] = provider.calls;
+    assert.equal(call.messages[0].role, 'system');
+    // The whole history is sent: it is kept within budget by summarizing older turns upstream
+    assert.deepEqual(call.messages.slice(1, -1).map(m => m.content), history.map(m => m.content));
+    assert.deepEqual(call.messages.at(-1), { role: 'user', content: 'What is the answer?' });
+  });
+
+  test('executes tool calls and feeds their output back to the model', async () => {
+    fs.writeFileSync(path.join(workspace.uploadDir, 'notes.txt'), 'hello');
+    const provider = createFakeProvider({
+      script: [
+        { toolCalls: [{ id: 'call_1', name: 'list_dir', args: { target_directory: '.' } }] },
+        'You have one file: notes.txt'
+      ]
+    });
+
+    const result = await runAgentLoop({ message: 'list my files', provider, uploadsDir: workspace.uploadDir });
+
+    assert.equal(result.response, 'You have one file: notes.txt');
+    assert.deepEqual(result.toolCalls, [{ name: 'list_dir', args: { target_directory: '.' } }]);
+    assert.ok(provider.calls[0].tools?.length > 0, 'tools are offered when nothing was retrieved');
+
+    const toolMessage = provider.calls[1].messages.find(m => m.role === 'tool');
+    assert.equal(toolMessage.tool_call_id, 'call_1');
+    assert.equal(toolMessage.name, 'list_dir');
+    assert.equal(toolMessage.content, 'notes.txt');
+  });
+
+  test('reports tool errors to the model instead of throwing', async () => {
+    const provider = createFakeProvider({
+      script: [
+        { toolCalls: [{ name: 'read_file', args: { file_path: 'missing.txt' } }] },
+        'That file does not exist.'
+      ]
+    });
+
+    const result = await runAgentLoop({ message: 'read missing.txt', provider, uploadsDir: workspace.uploadDir });
+
+    assert.equal(result.response, 'That file does not exist.');
+    const toolMessage = provider.calls[1].messages.find(m => m.role === 'tool');
+    assert.match(toolMessage.content, /^Error: /);
+  });
+
+  test('extracts createdFiles from create_latex_file and indexes the new file', async () => {
+    const vectorStore = workspace.createVectorStore();
+    const provider = createFakeProvider({
+      script: [
+        { toolCalls: [{ name: 'create_latex_file', args: { filename: 'quantum', topic: 'quantum computing' } }] },
+        'Created quantum.tex'
+      ]
+    });
+
+    const result = await runAgentLoop({
+      message: 'create an article about quantum computing',
+      provider,
+      uploadsDir: workspace.uploadDir,
+      vectorStore
+    });
+
+    assert.equal(result.createdFiles.length, 1);
+    const [created] = result.createdFiles;
+    assert.equal(created.filename, 'quantum.tex');
+    assert.equal(created.topic, 'quantum computing');
+    assert.ok(created.docId);
+    assert.ok(fs.existsSync(path.join(workspace.uploadDir, 'quantum.tex')));
+    assert.equal(vectorStore.index.documents[created.docId].filename, 'quantum.tex');
+
+    // The model gets the human-readable message, not the JSON payload
+    const toolMessage = provider.calls[1].messages.find(m => m.role === 'tool');
+    assert.match(toolMessage.content, /^Successfully created LaTeX file: quantum\.tex/);
+  });
+
+  test('re-indexes files edited by insert_text', async () => {
+    const vectorStore = workspace.createVectorStore();
+    fs.writeFileSync(path.join(workspace.uploadDir, 'notes.txt'), 'first line\nsecond line');
+    await vectorStore.indexDocument({ id: 'notes', filename: 'notes.txt', segments: [{ text: 'first line\nsecond line', lineStart: 1, lineEnd: 2 }] });
+    const provider = createFakeProvider({
+      script: [
+        { toolCalls: [{ name: 'insert_text', args: { filename: 'notes.txt', text: 'inserted line', line: 1 } }] },
+        'Done.'
+      ]
+    });
+
+    await runAgentLoop({ message: 'add a line', provider, uploadsDir: workspace.uploadDir, vectorStore });
+
+    const chunks = vectorStore.index.chunks.filter(ch => ch.docId === 'notes');
+    assert.deepEqual(chunks.map(ch => [ch.text, ch.lineStart, ch.lineEnd]), [['inserted line\nfirst line\nsecond line', 1, 3]]);
+  });
+
+  test('fixes text in place with replace_text', async () => {
+    fs.writeFileSync(path.join(workspace.uploadDir, 'paper.tex'), '\\begin{abstract}\nWe stdy dropout.\n\\end{abstract}');
+    const provider = createFakeProvider({
+      script: [
+        { toolCalls: [{ name: 'replace_text', args: { filename: 'paper.tex', old_text: 'stdy', new_text: 'study' } }] },
+        'Fixed the typo.'
+      ]
+    });
+
+    await runAgentLoop({ message: 'Fix the typo in the abstract', provider, uploadsDir: workspace.uploadDir });
+
+    assert.equal(fs.readFileSync(path.join(workspace.uploadDir, 'paper.tex'), 'utf8'), '\\begin{abstract}\nWe study dropout.\n\\end{abstract}');
+    assert.equal(provider.calls[1].messages.at(-1).content, 'Successfully replaced the text at line 2 of paper.tex.');
+  });
+
+  test('puts retrieved chunks with citations into the system prompt', async () => {
+    const provider = createFakeProvider({ script: ['Dropout regularizes networks [1].'] });
+    const retrieved = [{ filename: 'paper.txt', docId: 'doc-1', text: 'Dropout randomly disables units.', lineStart: 3, lineEnd: 5, score: 0.9 }];
+
+    await runAgentLoop({ message: 'What does dropout do?', retrieved, provider, uploadsDir: workspace.uploadDir, activeDocument: 'paper.txt' });
+
+    const systemPrompt = provider.calls[0].messages[0].content;
+    assert.match(systemPrompt, /SOURCE 1 \(paper\.txt lines 3-5\):\nDropout randomly disables units\./);
+    // Retrieved passages are cited by number only
+    assert.match(systemPrompt, /Cite the retrieved sources by their number/);
+    assert.doesNotMatch(systemPrompt, /\[filename lines/);
+    assert.equal(provider.calls[0].tools, undefined, 'tools are disabled when sources were retrieved');
+  });
+
+  test('emits streaming events in order when onEvent is set', async () => {
+    const provider = createFakeProvider({
+      script: [
+        { toolCalls: [{ id: 'call_1', name: 'create_latex_file', args: { filename: 'ml.tex', topic: 'machine learning' } }] },
+        'Your article is ready.'
+      ]
+    });
+    const events = [];
+
+    const result = await runAgentLoop({
+      message: 'create an article about machine learning',
+      provider,
+      uploadsDir: workspace.uploadDir,
+      vectorStore: workspace.createVectorStore(),
+      onEvent: (event) => events.push(event)
+    });
+
+    const types = events.map(e => e.type);
+    assert.deepEqual(types.filter(t => t !== 'token'), ['tool_start', 'tool_end', 'created_file']);
+    assert.ok(types.lastIndexOf('token') > types.indexOf('created_file'), 'answer tokens follow the tool events');
+    assert.equal(events.filter(e => e.type === 'token').map(e => e.delta).join(''), result.response);
+    assert.deepEqual(events.find(e => e.type === 'tool_start'), {
+      type: 'tool_start', id: 'call_1', name: 'create_latex_file', args: { filename: 'ml.tex', topic: 'machine learning' }
+    });
+    assert.equal(events.find(e => e.type === 'created_file').file.filename, 'ml.tex');
+  });
+
+  test('sums usage across iterations', async () => {
+    const provider = createFakeProvider({
+      script: [
+        { toolCalls: [{ name: 'list_dir', args: {} }], usage: { prompt_tokens: 100, completion_tokens: 5, total_tokens: 105 } },
+        { content: 'Done', usage: { prompt_tokens: 120, completion_tokens: 7, total_tokens: 127 } }
+      ]
+    });
+
+    const result = await runAgentLoop({ message: 'list files', provider, uploadsDir: workspace.uploadDir });
+
+    assert.deepEqual(result.usage, { prompt_tokens: 220, completion_tokens: 12, total_tokens: 232 });
+  });
+
+  test('truncates tool outputs too large for the model and keeps the prompt inside its context window', async () => {
+    const lines = Array.from({ length: 4000 }, (_, i) => `Line ${i} of the thesis discusses regularization.`);
+    fs.writeFileSync(path.join(workspace.uploadDir, 'thesis.txt'), lines.join('\n'));
+    const provider = createFakeProvider({
+      script: [
+        { toolCalls: [{ id: 'call_1', name: 'extract_document', args: { filename: 'thesis.txt' } }] },
+        'It is about regularization.'
+      ]
+    });
+
+    // 8k context window: a tool output may take at most a quarter of it
+    const result = await runAgentLoop({ message: 'Summarize thesis.txt', provider, model: 'llama3-70b-8192', uploadsDir: workspace.uploadDir });
+
+    assert.equal(result.response, 'It is about regularization.');
+    assert.deepEqual(result.toolCalls, [{ name: 'extract_document', args: { filename: 'thesis.txt' }, truncated: true }]);
+    const toolMessage = provider.calls[1].messages.find(m => m.role === 'tool');
+    assert.ok(countTokens(toolMessage.content, 'llama3-70b-8192') <= 2048);
+    assert.match(toolMessage.content, /^Document: thesis\.txt\n\nLine 0 /);
+    assert.match(toolMessage.content, /\[Truncated: "thesis\.txt" is about \d+ tokens/);
+    assert.match(toolMessage.content, /Line 3999 of the thesis discusses regularization\.$/);
+  });
+
+  test('names the document that did not fit when the model rejects the prompt', async () => {
+    fs.writeFileSync(path.join(workspace.uploadDir, 'notes.txt'), 'Dropout notes.');
+    const provider = createFakeProvider({
+      script: [
+        { toolCalls: [{ name: 'extract_document', args: { filename: 'notes.txt' } }] },
+        () => { throw new LLMError('fake request failed: context length exceeded', { provider: 'fake', code: 'context_length' }); }
+      ]
+    });
+
+    await assert.rejects(
+      runAgentLoop({ message: 'Summarize notes.txt', provider, model: 'llama3-70b-8192', uploadsDir: workspace.uploadDir }),
+      (err) => {
+        assert.equal(err.code, 'context_length');
+        assert.equal(err.document, 'notes.txt');
+        assert.match(err.message, /^The document "notes\.txt" is too large for llama3-70b-8192 .*context window is 8,192 tokens/);
+        return true;
+      }
+    );
+
+    // A message that cannot fit is refused before calling the model
+    const idle = createFakeProvider({ script: [] });
+    await assert.rejects(
+      runAgentLoop({ message: 'word '.repeat(40000), provider: idle, model: 'llama3-70b-8192', uploadsDir: workspace.uploadDir }),
+      { code: 'context_length', document: null, message: /^Your message is too large/ }
+    );
+    assert.equal(idle.calls.length, 0);
+  });
+
+  test('asks for a final answer without tools once the request token budget is spent', async () => {
+    const provider = createFakeProvider({
+      script: [
+        { toolCalls: [{ name: 'list_dir', args: {} }], usage: { prompt_tokens: 100, completion_tokens: 5, total_tokens: 105 } },
+        'Here is what I found.'
+      ]
+    });
+
+    const result = await runAgentLoop({ message: 'list files', provider, uploadsDir: workspace.uploadDir, tokenBudget: 100 });
+
+    assert.equal(result.response, 'Here is what I found.');
+    assert.equal(provider.calls[1].tools, undefined);
+    assert.match(provider.calls[1].messages.at(-1).content, /token budget for this request is used up/);
+  });
+
+  test('stops after the maximum number of iterations', async () => {
+    const provider = createFakeProvider({
+      script: Array.from({ length: 10 }, () => ({ toolCalls: [{ name: 'list_dir', args: {} }] }))
+    });
+
+    const result = await runAgentLoop({ message: 'loop forever', provider, uploadsDir: workspace.uploadDir });
+
+    assert.equal(result.response, 'Agent reached maximum iterations without completing the task.');
+    assert.equal(provider.calls.length, 10);
+    assert.equal(result.toolCalls.length, 10);
+  });
+
+  test('pauses file changes for approval and applies them once approved', async () => {
+    const file = path.join(workspace.uploadDir, 'notes.txt');
+    fs.writeFileSync(file, 'first line\nsecond line');
+    const provider = createFakeProvider({
+      script: [
+        { content: 'Adding the line.', toolCalls: [
+          { id: 'call_1', name: 'read_file', args: { file_path: 'notes.txt' } },
+          { id: 'call_2', name: 'insert_text', args: { filename: 'notes.txt', text: 'inserted line', line: 2 } }
+        ] },
+        'Done.'
+      ]
+    });
+
+    const paused = await runAgentLoop({ message: 'add a line', provider, uploadsDir: workspace.uploadDir, approval: true });
+
+    // Calls before the change ran; the change itself waits with a preview
+    assert.deepEqual(paused.toolCalls.map(tc => tc.name), ['read_file']);
+    assert.equal(paused.response, 'Adding the line.');
+    assert.deepEqual(
+      [paused.pendingAction.tool, paused.pendingAction.filename, paused.pendingAction.additions, paused.pendingAction.deletions],
+      ['insert_text', 'notes.txt', 1, 0]
+    );
+    assert.match(paused.pendingAction.diff, /^ first line\n\+inserted line\n second line$/m);
+    assert.equal(fs.readFileSync(file, 'utf8'), 'first line\nsecond line');
+    assert.match(provider.calls[0].messages[0].content, /the user approves or rejects each file change/);
+
+    const events = [];
+    const resumed = await resumeAgentLoop(paused.state, { approved: true }, { onEvent: (event) => events.push(event) });
+
+    assert.equal(resumed.response, 'Done.');
+    assert.equal(resumed.pendingAction, undefined);
+    assert.deepEqual(resumed.toolCalls.at(-1), { name: 'insert_text', args: { filename: 'notes.txt', text: 'inserted line', line: 2 }, approved: true });
+    assert.equal(fs.readFileSync(file, 'utf8'), 'first line\ninserted line\nsecond line');
+    assert.deepEqual(events.filter(e => e.type !== 'token').map(e => e.type), ['tool_start', 'tool_end']);
+    // Usage covers the resumed run only
+    assert.equal(resumed.usage.prompt_tokens, 10);
+  });
+
+  test('tells the model when the user rejects a change', async () => {
+    const provider = createFakeProvider({
+      script: [
+        { toolCalls: [{ name: 'create_latex_file', args: { filename: 'ml', topic: 'machine learning' } }] },
+        'Understood, no file was created.'
+      ]
+    });
+
+    const paused = await runAgentLoop({ message: 'create an article about machine learning', provider, uploadsDir: workspace.uploadDir, approval: true });
+    assert.equal(paused.pendingAction.create, true);
+    assert.match(paused.pendingAction.diff, /^--- \/dev\/null\n\+\+\+ b\/ml\.tex\n/);
+
+    const resumed = await resumeAgentLoop(paused.state, { approved: false, reason: 'Use a different name' });
+
+    assert.equal(resumed.response, 'Understood, no file was created.');
+    assert.equal(resumed.createdFiles, undefined);
+    assert.equal(fs.existsSync(path.join(workspace.uploadDir, 'ml.tex')), false);
+    const toolMessage = provider.calls[1].messages.find(m => m.role === 'tool');
+    assert.match(toolMessage.content, /^The user rejected this change.*Their reason: Use a different name/);
+  });
+
+  test('runs file changes that cannot be applied without asking', async () => {
+    const provider = createFakeProvider({
+      script: [
+        { toolCalls: [{ name: 'insert_text', args: { filename: 'missing.txt', text: 'x', line: 1 } }] },
+        'That file does not exist.'
+      ]
+    });
+
+    const result = await runAgentLoop({ message: 'add a line', provider, uploadsDir: workspace.uploadDir, approval: true });
+
+    assert.equal(result.pendingAction, undefined);
+    assert.match(provider.calls[1].messages.find(m => m.role === 'tool').content, /^Error: File not found/);
+  });
+});
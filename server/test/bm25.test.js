@@ -0,0 +1,49 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Bm25Index, tokenize } from '../lib/bm25.js';
+
+describe('tokenize', () => {
+  test('keeps identifiers whole and also yields their parts', () => {
+    assert.deepEqual(tokenize('See eq:energy in cell B12 by Smith_2020'), [
+      'see', 'eq:energy', 'eq', 'energy', 'cell', 'b12', 'smith_2020', 'smith', '2020'
+    ]);
+  });
+});
+
+describe('Bm25Index', () => {
+  test('ranks rare exact terms above common ones', () => {
+    const index = new Bm25Index();
+    index.add(1, 'Total revenue is in cell B12');
+    index.add(2, 'Revenue grew and revenue is reported yearly');
+    index.add(3, 'Costs are listed in cell C4');
+
+    const hits = index.search('revenue B12', 3);
+    assert.deepEqual(hits.map(h => h.key), [1, 2]);
+    assert.ok(hits[0].score > hits[1].score);
+  });
+
+  test('weights the share of query terms an entry contains by rarity', () => {
+    const index = new Bm25Index();
+    index.add(1, 'Total revenue is in cell B12');
+    index.add(2, 'Revenue grew and revenue is reported yearly');
+    index.add(3, 'Costs are listed in cell C4');
+    index.add(4, 'Revenue and costs by region');
+
+    const [b12, common] = index.search('revenue B12', 4);
+    assert.equal(b12.coverage, 1);
+    assert.ok(common.coverage > 0 && common.coverage < 0.5);
+    // Terms no entry contains still count towards the query
+    assert.ok(index.search('B12 margin', 1)[0].coverage < 0.5);
+  });
+
+  test('applies the filter and forgets removed entries', () => {
+    const index = new Bm25Index();
+    index.add('a', 'dropout regularization');
+    index.add('b', 'dropout layers');
+
+    assert.deepEqual(index.search('dropout', 5, key => key === 'b').map(h => h.key), ['b']);
+    index.remove('b');
+    assert.deepEqual(index.search('layers', 5), []);
+    assert.equal(index.size, 1);
+  });
+});
@@ -0,0 +1,101 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkText, chunkDocxHtml, chunkLines, chunkPages, formatForFilename } from '../lib/chunker.js';
+
+const LATEX = [
+  '\\documentclass{article}',
+  '\\begin{document}',
+  '\\section{Introduction}',
+  'We study regularization.',
+  '\\section{Methods}',
+  '\\subsection{Data \\label{sec:data}}',
+  'The data come from three hospitals.',
+  '\\begin{equation}',
+  '  E = mc^2',
+  '\\end{equation}',
+  '\\subsection*{Model}',
+  'A linear model. % not a \\section{Fake}',
+  '\\end{document}'
+];
+
+describe('chunkText', () => {
+  test('cuts LaTeX at sections and records the section path', () => {
+    const chunks = chunkText(LATEX.join('\n'), { format: 'latex' });
+
+    assert.deepEqual(chunks.map(c => [c.section, c.lineStart, c.lineEnd]), [
+      [null, 1, 2],
+      ['Introduction', 3, 4],
+      // \section{Methods} has no body of its own, so it travels with its first subsection
+      ['Methods > Data', 5, 10],
+      ['Methods > Model', 11, 13]
+    ]);
+    assert.match(chunks[2].text, /^\\section\{Methods\}/);
+  });
+
+  test('keeps an environment in one chunk instead of splitting it at the budget', () => {
+    const body = Array.from({ length: 6 }, (_, i) => `  x_${i} = ${'y'.repeat(20)} \\\\`);
+    const lines = ['\\section{Results}', 'Intro text that fills the chunk.', '\\begin{align}', ...body, '\\end{align}', 'After.'];
+    const chunks = chunkText(lines.join('\n'), { format: 'latex', maxChars: 220 });
+
+    const withAlign = chunks.find(c => c.text.includes('\\begin{align}'));
+    assert.ok(withAlign.text.includes('\\end{align}'));
+    assert.ok(chunks.every(c => c.section === 'Results'));
+  });
+
+  test('follows Markdown headings and ignores # inside code fences', () => {
+    const md = [
+      '# Guide',
+      'Intro.',
+      '## Install',
+      '```sh',
+      '# not a heading',
+      'npm i',
+      '```',
+      'Setup',
+      '-----',
+      'Run it.'
+    ].join('\n');
+    const chunks = chunkText(md, { format: 'markdown' });
+
+    assert.deepEqual(chunks.map(c => c.section), ['Guide', 'Guide > Install', 'Guide > Setup']);
+    assert.ok(chunks[1].text.includes('npm i'));
+  });
+
+  test('falls back to line packing for plain text', () => {
+    const chunks = chunkText('a\nb\nc', { format: 'text' });
+    assert.deepEqual(chunks, [{ text: 'a\nb\nc', lineStart: 1, lineEnd: 3 }]);
+    assert.deepEqual(chunkLines(['x'.repeat(10), 'y'], 5, 0, 10).map(c => [c.lineStart, c.lineEnd]), [[11, 11], [12, 12]]);
+  });
+
+  test('maps filenames to formats', () => {
+    assert.equal(formatForFilename('paper.TEX'), 'latex');
+    assert.equal(formatForFilename('notes.md'), 'markdown');
+    assert.equal(formatForFilename('data.txt'), 'text');
+  });
+});
+
+describe('chunkDocxHtml', () => {
+  test('uses Word heading styles as sections', () => {
+    const html = '<h1>Report</h1><p>Summary &amp; scope.</p><h2>Findings</h2><p>Growth was <strong>strong</strong>.</p>'
+      + '<table><tr><td><p>Q1</p></td><td><p>12%</p></td></tr></table>';
+    const { text, segments } = chunkDocxHtml(html);
+
+    assert.equal(text.split('\n')[2], 'Summary & scope.');
+    assert.deepEqual(segments.map(s => s.section), ['Report', 'Report > Findings']);
+    assert.match(segments[1].text, /Growth was strong\.\n\nQ1\n\n12%$/);
+  });
+});
+
+describe('chunkPages', () => {
+  test('records the first and last page of every chunk', () => {
+    const pages = ['a'.repeat(30) + '\n' + 'b'.repeat(30), 'c'.repeat(30), 'd'.repeat(30)];
+    const { text, segments } = chunkPages(pages, { maxChars: 70 });
+
+    assert.equal(text.split('\n').length, 6);
+    // Line 3 is the break between pages 1 and 2, line 5 the one between pages 2 and 3
+    assert.deepEqual(segments.map(s => [s.lineStart, s.lineEnd, s.page, s.pageEnd]), [
+      [1, 3, 1, 1],
+      [4, 6, 2, 3]
+    ]);
+  });
+});
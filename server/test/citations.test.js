@@ -0,0 +1,62 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveCitations, quoteFor } from '../lib/citations.js';
+
+const SOURCES = [
+  { docId: 'd1', filename: '1700000000000-report.pdf', page: 3, lineStart: 1, lineEnd: 8, text: 'Results overview. Revenue grew 12% in 2023. Costs were flat.' },
+  { docId: 'd2', filename: 'notes.txt', lineStart: 10, lineEnd: 14, text: 'Margins improved after the restructuring.' }
+];
+
+describe('citations', () => {
+  test('renumbers markers in order of use and resolves them to their sources', () => {
+    const { text, citations } = resolveCitations('Margins improved [2]. Revenue grew 12% [1, 2, 7].', SOURCES);
+
+    assert.equal(text, 'Margins improved [1]. Revenue grew 12% [2][1].');
+    assert.deepEqual(citations.map(c => [c.n, c.sourceIndex, c.docId]), [[1, 1, 'd2'], [2, 0, 'd1']]);
+    assert.deepEqual(citations[1], {
+      n: 2, sourceIndex: 0, docId: 'd1', filename: '1700000000000-report.pdf', page: 3, pageEnd: null,
+      sheet: null, section: null, lineStart: 1, lineEnd: 8, quote: 'Revenue grew 12% in 2023.'
+    });
+  });
+
+  test('leaves brackets without an existing source number as written', () => {
+    assert.deepEqual(resolveCitations('The first element x[0] is zero [1].', SOURCES).text, 'The first element x[0] is zero [1].');
+    assert.deepEqual(resolveCitations('See [3] for the proof [2].', SOURCES).text, 'See [3] for the proof [1].');
+
+    const { text, citations } = resolveCitations('Arrays start at [0] or [1] depending on the language.', []);
+    assert.equal(text, 'Arrays start at [0] or [1] depending on the language.');
+    assert.deepEqual(citations, []);
+  });
+
+  test('resolves free-text labels against the sources, then the indexed chunks', () => {
+    const chunks = [
+      { docId: 'd3', filename: 'data.xlsx', sheet: 'Q1', lineStart: 1, lineEnd: 20, text: 'Region North sold 40 units.' },
+      { docId: 'd3', filename: 'data.xlsx', sheet: 'Q2', lineStart: 1, lineEnd: 20, text: 'Region North sold 55 units.' }
+    ];
+    const { text, citations } = resolveCitations(
+      'Revenue rose [report.pdf p3 lines 2-4]. North sold 55 units [data.xlsx sheet:Q2 lines 3-3]. See [missing.md lines 1-2].',
+      SOURCES,
+      { chunks }
+    );
+
+    assert.equal(text, 'Revenue rose [1]. North sold 55 units [2]. See [missing.md lines 1-2].');
+    assert.equal(citations[0].sourceIndex, 0);
+    assert.deepEqual(
+      [citations[1].sourceIndex, citations[1].docId, citations[1].sheet, citations[1].lineStart, citations[1].lineEnd, citations[1].quote],
+      [null, 'd3', 'Q2', 3, 3, 'Region North sold 55 units.']
+    );
+  });
+
+  test('leaves code and markdown links alone', () => {
+    const answer = 'Use `items[1]` as in [the docs](https://example.com):\n```js\nconst x = list[2];\n```\nDone [1].';
+    const { text, citations } = resolveCitations(answer, SOURCES);
+    assert.equal(text, answer);
+    assert.equal(citations.length, 1);
+  });
+
+  test('quotes the sentence sharing the most words with the claim', () => {
+    assert.equal(quoteFor('costs stayed flat', SOURCES[0].text), 'Costs were flat.');
+    assert.equal(quoteFor('unrelated', SOURCES[0].text), 'Results overview.');
+    assert.equal(quoteFor('anything', ''), '');
+  });
+});
@@ -0,0 +1,67 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { ConversationStore } from '../lib/conversations.js';
+import { createTempWorkspace, quietConsole } from './helpers.js';
+
+describe('ConversationStore', () => {
+  let workspace;
+  let filePath;
+  let now;
+  const open = (options = {}) => new ConversationStore(filePath, { now: () => now, ...options });
+  const records = () => fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+  beforeEach((t) => {
+    quietConsole(t);
+    workspace = createTempWorkspace();
+    filePath = path.join(workspace.dataDir, 'conversations.jsonl');
+    now = Date.UTC(2024, 0, 1);
+  });
+
+  afterEach(() => workspace.cleanup());
+
+  test('keeps every message across restarts and leads the history with the summary', () => {
+    const store = open();
+    store.append('s1', { content: 'What is dropout?' }, { content: 'A regularizer [1].', sources: [{ docId: 'd1' }], citations: [{ n: 1, docId: 'd1' }] });
+    now += 1000;
+    store.append('s2', { content: 'Hello' }, { content: 'Hi!' });
+    now += 1000;
+    store.append('s1', { content: 'And weight decay?' }, { content: 'Another one.' });
+
+    store.setSummary('s1', 'Dropout regularizes.', { through: 2 });
+
+    const reopened = open();
+    assert.deepEqual(reopened.list().map(c => [c.id, c.title, c.messageCount]), [['s1', 'What is dropout?', 4], ['s2', 'Hello', 2]]);
+    assert.deepEqual(reopened.get('s1').messages[1], {
+      role: 'assistant', content: 'A regularizer [1].', createdAt: '2024-01-01T00:00:00.000Z', sources: [{ docId: 'd1' }], citations: [{ n: 1, docId: 'd1' }]
+    });
+    assert.deepEqual(reopened.getHistory('s1'), [
+      { role: 'system', content: 'Summary of the earlier conversation:\nDropout regularizes.' },
+      { role: 'user', content: 'And weight decay?' },
+      { role: 'assistant', content: 'Another one.' }
+    ]);
+    assert.deepEqual(reopened.unsummarized('s1').map(m => m.content), ['And weight decay?', 'Another one.']);
+    assert.deepEqual(reopened.getHistory('missing'), []);
+    assert.equal(reopened.get('missing'), null);
+  });
+
+  test('renames and deletes conversations and compacts stale records on load', () => {
+    const store = open();
+    store.append('s1', { content: 'first' }, { content: 'one' });
+    store.append('s2', { content: 'second' }, { content: 'two' });
+    assert.equal(store.rename('s1', 'Draft').title, 'Draft');
+    store.rename('s1', 'Final');
+    assert.equal(store.delete('s2'), true);
+    assert.equal(store.delete('s2'), false);
+    assert.equal(store.rename('s2', 'Gone'), null);
+    fs.appendFileSync(filePath, '{"type":"messages","id":"s3","mess');
+
+    const reopened = open();
+    assert.deepEqual(reopened.list().map(c => [c.id, c.title]), [['s1', 'Final']]);
+    assert.deepEqual(records().map(r => [r.type, r.id]), [['messages', 's1'], ['title', 's1']]);
+
+    reopened.append('s1', { content: 'third' }, { content: 'three' });
+    assert.equal(open().get('s1').messageCount, 4);
+  });
+});
@@ -0,0 +1,66 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffLines, unifiedDiff, applyUnifiedDiff } from '../lib/diff.js';
+
+const lines = (count) => Array.from({ length: count }, (_, i) => `line ${i + 1}`).join('\n');
+
+describe('diff', () => {
+  test('finds inserted, deleted and kept lines', () => {
+    assert.deepEqual(diffLines('a\nb\nc', 'a\nx\nc\nd'), [
+      { type: 'equal', line: 'a' },
+      { type: 'delete', line: 'b' },
+      { type: 'insert', line: 'x' },
+      { type: 'equal', line: 'c' },
+      { type: 'insert', line: 'd' }
+    ]);
+  });
+
+  test('writes hunks with context and splits distant changes', () => {
+    const before = lines(20);
+    const after = before.replace('line 2\n', 'line 2\nnew\n').replace('line 18', 'changed');
+
+    const { diff, additions, deletions } = unifiedDiff(before, after, { filename: 'notes.txt' });
+    assert.deepEqual([additions, deletions], [2, 1]);
+    assert.equal(diff, [
+      '--- a/notes.txt',
+      '+++ b/notes.txt',
+      '@@ -1,5 +1,6 @@',
+      ' line 1',
+      ' line 2',
+      '+new',
+      ' line 3',
+      ' line 4',
+      ' line 5',
+      '@@ -15,6 +16,6 @@',
+      ' line 15',
+      ' line 16',
+      ' line 17',
+      '-line 18',
+      '+changed',
+      ' line 19',
+      ' line 20'
+    ].join('\n'));
+  });
+
+  test('shows a new file against /dev/null and no diff when nothing changes', () => {
+    assert.equal(unifiedDiff('', 'a\nb', { filename: 'new.tex', create: true }).diff, '--- /dev/null\n+++ b/new.tex\n@@ -0,0 +1,2 @@\n+a\n+b');
+    assert.deepEqual(unifiedDiff('same', 'same'), { diff: '', additions: 0, deletions: 0 });
+  });
+
+  test('applies its own diffs, and hunks whose line numbers are off', () => {
+    const before = lines(20);
+    const after = before.replace('line 2\n', 'line 2\nnew\n').replace('line 18', 'changed');
+    const { diff } = unifiedDiff(before, after, { filename: 'notes.txt' });
+
+    assert.equal(applyUnifiedDiff(before, diff), after);
+    assert.equal(applyUnifiedDiff(before, diff.replace('@@ -15,6 +16,6 @@', '@@ -40,6 +41,6 @@')), after);
+    // An empty context line without its leading space
+    assert.equal(applyUnifiedDiff('a\n\nb', '@@ -1,3 +1,3 @@\n a\n\n-b\n+c'), 'a\n\nc');
+  });
+
+  test('rejects hunks that match nowhere or in several places', () => {
+    assert.throws(() => applyUnifiedDiff('a\nb', '@@ -1,1 +1,1 @@\n-x\n+y'), /Hunk 1 \(@@ -1,1 \+1,1 @@\) does not match the file/);
+    assert.throws(() => applyUnifiedDiff('x\na\nx', '@@ -9,1 +9,1 @@\n-x\n+y'), /matches 2 places \(lines 1, 3\)/);
+    assert.throws(() => applyUnifiedDiff('a', 'not a diff'), /no hunks/);
+  });
+});
@@ -0,0 +1,56 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkGrounding, supportScore } from '../lib/grounding.js';
+import { resolveCitations } from '../lib/citations.js';
+
+const SOURCES = [
+  { docId: 'd1', filename: 'report.pdf', page: 2, lineStart: 1, lineEnd: 6, text: 'Revenue grew 12% in 2023. Operating costs were flat.' },
+  { docId: 'd2', filename: 'notes.txt', lineStart: 10, lineEnd: 14, text: 'Margins improved after the restructuring of the sales team.' }
+];
+
+function ground(answer, options = {}) {
+  const { text, citations } = resolveCitations(answer, SOURCES, options);
+  return checkGrounding(text, citations, { sources: SOURCES, ...options });
+}
+
+describe('grounding', () => {
+  test('marks cited claims as supported, unsupported or mis-cited', () => {
+    const grounding = ground([
+      '## Findings',
+      'Revenue grew 12% in 2023 [1].',
+      'Revenue grew 15% [1].',
+      'Margins improved after restructuring the sales team [1]. That is all.'
+    ].join('\n'));
+
+    assert.deepEqual(grounding.claims.map(c => [c.sentence, c.status, c.markers]), [
+      ['Revenue grew 12% in 2023.', 'supported', [0]],
+      ['Revenue grew 15%.', 'unsupported', [1]],
+      ['Margins improved after restructuring the sales team.', 'miscited', [2]]
+    ]);
+    assert.deepEqual(grounding.claims[2].supportedBy, { sourceIndex: 1, filename: 'notes.txt', n: null });
+    assert.equal(grounding.score, 0.33);
+    assert.equal(grounding.uncitedSentences, 1);
+  });
+
+  test('attributes markers after the full stop to the sentence before', () => {
+    const grounding = ground('- Operating costs were flat. [1][2]');
+    assert.deepEqual(grounding.claims.map(c => [c.sentence, c.citations, c.status]), [['Operating costs were flat.', [1, 2], 'supported']]);
+    assert.equal(grounding.score, 1);
+  });
+
+  test('checks passages read with tools against the index', () => {
+    const chunks = [{ docId: 'd3', filename: 'plan.md', lineStart: 1, lineEnd: 9, text: 'The launch moves to March.' }];
+    const grounding = ground('The launch moves to March [plan.md lines 2-3].', { chunks });
+    assert.equal(grounding.claims[0].status, 'supported');
+  });
+
+  test('has no score when nothing is cited', () => {
+    assert.deepEqual(ground('Hello there.'), { score: null, claims: [], uncitedSentences: 1 });
+  });
+
+  test('requires every number of a claim to be in the passage', () => {
+    assert.equal(supportScore('Revenue grew 12%', SOURCES[0].text), 1);
+    assert.equal(supportScore('Revenue grew 12% in 2024', SOURCES[0].text), 0);
+    assert.equal(supportScore('Costs were flat', SOURCES[0].text), 1);
+  });
+});
@@ -0,0 +1,171 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { VectorStore } from '../lib/vectorStore.js';
+
+const EMBEDDING_DIMS = 64;
+
+/**
+ * Deterministic bag-of-words embedding: words are hashed into a fixed number of
+ * buckets and the vector is L2-normalized. Texts sharing words get high cosine scores.
+ */
+export async function hashEmbed(text) {
+  const vector = new Array(EMBEDDING_DIMS).fill(0);
+  for (const word of String(text).toLowerCase().match(/[a-z0-9]+/g) || []) {
+    let hash = 0;
+    for (let i = 0; i < word.length; i++) {
+      hash = (hash * 31 + word.charCodeAt(i)) >>> 0;
+    }
+    vector[hash % EMBEDDING_DIMS] += 1;
+  }
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map(v => v / norm);
+}
+
+/**
+ * Create a throwaway data directory with an uploads folder and an index path
+ */
+export function createTempWorkspace() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lmed-test-'));
+  const uploadDir = path.join(dataDir, 'uploads');
+  fs.mkdirSync(uploadDir, { recursive: true });
+  const indexPath = path.join(dataDir, 'index.json');
+  return {
+    dataDir,
+    uploadDir,
+    indexPath,
+    createVectorStore: () => new VectorStore(indexPath, { embed: hashEmbed }),
+    cleanup: () => fs.rmSync(dataDir, { recursive: true, force: true })
+  };
+}
+
+/**
+ * Listen on an ephemeral port and return its base URL
+ */
+export async function startServer(app) {
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  const { port } = server.address();
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Parse a text/event-stream body into [{ event, data }]
+ */
+export function parseEventStream(body) {
+  return body
+    .split('\n\n')
+    .filter(frame => frame.trim())
+    .map(frame => {
+      const event = frame.match(/^event: (.*)$/m)?.[1];
+      const data = frame.match(/^data: (.*)$/m)?.[1];
+      return { event, data: data ? JSON.parse(data) : null };
+    });
+}
+
+/**
+ * Silence console output from the code under test
+ */
+export function quietConsole(t) {
+  for (const method of ['log', 'warn', 'error']) {
+    t.mock.method(console, method, () => {});
+  }
+}
+
+/**
+ * Build a minimal PDF with one Helvetica text line per entry of each page
+ * @param {string[][]} pages - Lines of text per page
+ * @returns {Buffer}
+ */
+export function makePdf(pages) {
+  const escape = (s) => s.replace(/[\\()]/g, c => `\\${c}`);
+  const objects = [];
+  const pageIds = pages.map((_, i) => 4 + i * 2);
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>';
+  pages.forEach((lines, i) => {
+    const stream = lines.map((line, j) => `BT /F1 12 Tf 72 ${720 - j * 16} Td (${escape(line)}) Tj ET`).join('\n');
+    objects[pageIds[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+    objects[pageIds[i] + 1] = `<< /Length ${Buffer.byteLength(stream)} >>\nstream\n${stream}\nendstream`;
+  });
+  return serializePdf(objects);
+}
+
+/**
+ * Render lines of black text on a white background, as a scanner would produce
+ * @param {string[]} lines
+ * @param {string} [mime] - 'image/png' or 'image/jpeg'
+ * @returns {Promise<{data: Buffer, width: number, height: number}>}
+ */
+export async function renderTextImage(lines, mime = 'image/png') {
+  const { createCanvas } = await import('@napi-rs/canvas');
+  const width = 1200;
+  const height = 120 + lines.length * 60;
+  const canvas = createCanvas(width, height);
+  const context = canvas.getContext('2d');
+  context.fillStyle = 'white';
+  context.fillRect(0, 0, width, height);
+  context.fillStyle = 'black';
+  context.font = '36px sans-serif';
+  lines.forEach((line, i) => context.fillText(line, 60, 100 + i * 60));
+  return { data: canvas.toBuffer(mime), width, height };
+}
+
+/**
+ * Build a PDF whose pages are JPEG images of text, with no text layer (like a scan)
+ * @param {string[][]} pages - Lines of text per page
+ * @returns {Promise<Buffer>}
+ */
+export async function makeScannedPdf(pages) {
+  const objects = [];
+  const pageIds = pages.map((_, i) => 3 + i * 3);
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  for (const [i, lines] of pages.entries()) {
+    const id = pageIds[i];
+    const image = await renderTextImage(lines, 'image/jpeg');
+    // Half-scale so the page is 600pt wide
+    const [w, h] = [image.width / 2, image.height / 2];
+    const stream = `q ${w} 0 0 ${h} 0 0 cm /Im0 Do Q`;
+    objects[id] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${w} ${h}] /Resources << /XObject << /Im0 ${id + 2} 0 R >> >> /Contents ${id + 1} 0 R >>`;
+    objects[id + 1] = `<< /Length ${Buffer.byteLength(stream)} >>\nstream\n${stream}\nendstream`;
+    objects[id + 2] = Buffer.concat([
+      Buffer.from(`<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.data.length} >>\nstream\n`, 'latin1'),
+      image.data,
+      Buffer.from('\nendstream', 'latin1')
+    ]);
+  }
+  return serializePdf(objects);
+}
+
+/**
+ * Write numbered objects (strings or Buffers, index 0 unused) with an xref table
+ */
+function serializePdf(objects) {
+  const parts = [Buffer.from('%PDF-1.4\n', 'latin1')];
+  let length = parts[0].length;
+  const push = (chunk) => {
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'latin1');
+    parts.push(buffer);
+    length += buffer.length;
+  };
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = length;
+    push(`${id} 0 obj\n`);
+    push(objects[id]);
+    push('\nendobj\n');
+  }
+  const xrefOffset = length;
+  push(`xref\n0 ${objects.length}\n0000000000 65535 f \n`);
+  for (let id = 1; id < objects.length; id++) {
+    push(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+  }
+  push(`trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+  return Buffer.concat(parts);
+}
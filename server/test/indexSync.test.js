@@ -0,0 +1,64 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { IndexSync } from '../lib/indexSync.js';
+import { createTempWorkspace, quietConsole } from './helpers.js';
+
+const NOTES = '# Methods\nWe used dropout.\n\n# Results\nAccuracy rose.';
+
+describe('IndexSync', () => {
+  let workspace;
+  let vectorStore;
+  let sync;
+
+  const chunkLines = (docId) => vectorStore.index.chunks
+    .filter(ch => ch.docId === docId)
+    .map(ch => [ch.section, ch.lineStart, ch.lineEnd]);
+
+  beforeEach((t) => {
+    quietConsole(t);
+    workspace = createTempWorkspace();
+    vectorStore = workspace.createVectorStore();
+    sync = new IndexSync({ uploadDir: workspace.uploadDir, vectorStore });
+  });
+
+  afterEach(() => {
+    sync.close();
+    workspace.cleanup();
+  });
+
+  test('re-indexes written files so chunk line numbers follow the edit', async () => {
+    const { docId } = await sync.writeFile('notes.md', NOTES, { create: true });
+    assert.deepEqual(chunkLines(docId), [['Methods', 1, 2], ['Results', 4, 5]]);
+
+    const stats = await sync.writeFile('notes.md', `Preface line\n\n${NOTES}`);
+
+    assert.deepEqual(stats, { docId, chunks: 3, embedded: 1, reused: 2 });
+    assert.deepEqual(chunkLines(docId), [[null, 1, 1], ['Methods', 3, 4], ['Results', 6, 7]]);
+    assert.equal(vectorStore.countDocuments(), 1);
+  });
+
+  test('leaves files that are not indexed alone and drops indexed files that were removed', async () => {
+    assert.equal(await sync.writeFile('scratch.txt', 'not indexed'), null);
+    assert.equal(vectorStore.countDocuments(), 0);
+
+    const { docId } = await sync.writeFile('notes.md', NOTES, { create: true });
+    fs.rmSync(path.join(workspace.uploadDir, 'notes.md'));
+    assert.equal(await sync.reindex('notes.md'), null);
+    assert.equal(vectorStore.index.documents[docId], undefined);
+  });
+
+  test('picks up edits made outside the server while watching', async () => {
+    const { docId } = await sync.writeFile('notes.md', NOTES, { create: true });
+    sync.watch();
+
+    fs.writeFileSync(path.join(workspace.uploadDir, 'notes.md'), `Preface line\n\n${NOTES}`);
+
+    const deadline = Date.now() + 5000;
+    while (chunkLines(docId).length !== 3 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    assert.deepEqual(chunkLines(docId), [[null, 1, 1], ['Methods', 3, 4], ['Results', 6, 7]]);
+  });
+});
@@ -0,0 +1,62 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  INTENTS, classifyByRules, findMentionedDocuments, createIntentRouter, createEmbeddingRouter, createLLMRouter
+} from '../lib/intent.js';
+import { createFakeProvider } from '../lib/providers/fake.js';
+import { hashEmbed, quietConsole } from './helpers.js';
+
+const FILES = ['1700000000000-Thesis draft.pdf', '1700000000001-results.xlsx', 'main.tex'];
+
+describe('intent routing', () => {
+  beforeEach((t) => quietConsole(t));
+
+  test('classifies listings, authoring, editing, synthesis and questions', () => {
+    const type = (message) => classifyByRules(message, { workspaceFiles: FILES }).type;
+    assert.equal(type('What files do I have?'), INTENTS.WORKSPACE_LISTING);
+    assert.equal(type('Create an article about quantum computing'), INTENTS.AUTHORING);
+    assert.equal(type('Insert this paragraph into my article'), INTENTS.EDITING);
+    assert.equal(type('Fix the typo in the abstract'), INTENTS.EDITING);
+    assert.equal(type('Compare the results of the thesis and the survey'), INTENTS.CROSS_DOCUMENT);
+    assert.equal(type('What do main.tex and results.xlsx say about accuracy?'), INTENTS.CROSS_DOCUMENT);
+    assert.equal(type('What does dropout do?'), INTENTS.DOCUMENT_QA);
+  });
+
+  test('only counts names of files in the workspace as documents', () => {
+    // "file format" used to switch retrieval to all documents
+    assert.deepEqual(classifyByRules('Which file format does the thesis use?', { workspaceFiles: FILES }).documents, []);
+    assert.deepEqual(findMentionedDocuments('Summarize results.xlsx and the document "main"', FILES), ['1700000000001-results.xlsx', 'main.tex']);
+    // Without a workspace listing only names with an extension count
+    assert.deepEqual(findMentionedDocuments('Read notes.txt from the file server'), ['notes.txt']);
+  });
+
+  test('falls back to the rules when a classifier is unsure or fails', async () => {
+    const sure = createIntentRouter({ name: 'fixed', classify: async () => ({ type: INTENTS.EDITING, confidence: 0.8 }) });
+    const unsure = createIntentRouter({ name: 'fixed', classify: async () => ({ type: INTENTS.EDITING, confidence: 0.2 }) });
+    const failing = createIntentRouter({ name: 'fixed', classify: async () => { throw new Error('offline'); } });
+
+    const routed = await sure.route('What does main.tex say?', { workspaceFiles: FILES });
+    assert.deepEqual(routed, { type: INTENTS.EDITING, documents: ['main.tex'], confidence: 0.8, router: 'fixed' });
+    assert.equal((await unsure.route('What does main.tex say?')).router, 'rules');
+    assert.equal((await failing.route('List my files')).type, INTENTS.WORKSPACE_LISTING);
+  });
+
+  test('classifies by the closest example phrasing', async () => {
+    const router = createEmbeddingRouter({ embed: hashEmbed, minSimilarity: 0.5 });
+    const intent = await router.route('Write an article about climate change');
+    assert.deepEqual([intent.type, intent.router], [INTENTS.AUTHORING, 'embedding']);
+  });
+
+  test('asks the request model and reports the completion', async () => {
+    const provider = createFakeProvider({ script: ['{"intent": "cross_document", "confidence": 0.85}', 'not json'] });
+    const router = createLLMRouter();
+    const completions = [];
+    const onCompletion = (completion) => completions.push(completion);
+
+    const intent = await router.route('How do my papers differ?', { provider, onCompletion });
+    assert.deepEqual([intent.type, intent.confidence, intent.router], [INTENTS.CROSS_DOCUMENT, 0.85, 'llm']);
+    assert.equal(completions.length, 1);
+    assert.equal((await router.route('How do my papers differ?', { provider })).router, 'rules');
+    assert.equal((await router.route('How do my papers differ?')).router, 'rules');
+  });
+});
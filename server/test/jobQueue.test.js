@@ -0,0 +1,60 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { JobQueue, throwIfCancelled } from '../lib/jobQueue.js';
+
+// A job body that waits until the test releases it
+function deferredJob() {
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  return { release, run: async ({ signal }) => { await gate; throwIfCancelled(signal); return { ok: true }; } };
+}
+
+describe('JobQueue', () => {
+  test('runs jobs in order, one at a time, and records their results and progress', async () => {
+    const queue = new JobQueue();
+    const order = [];
+    const first = deferredJob();
+    const a = queue.enqueue({ type: 'ingest', docId: 'a' }, async (ctx) => {
+      order.push('a');
+      ctx.report('embedding', 1, 2);
+      return first.run(ctx);
+    });
+    const b = queue.enqueue({ type: 'ingest', docId: 'b' }, async () => {
+      order.push('b');
+      throw new Error('parse failed');
+    });
+
+    assert.equal(a.status, 'running');
+    assert.equal(b.status, 'queued');
+    assert.deepEqual(a.progress, { done: 1, total: 2 });
+    first.release();
+    await queue.onIdle();
+
+    assert.deepEqual(order, ['a', 'b']);
+    assert.equal(queue.get(a.id).status, 'completed');
+    assert.deepEqual(queue.get(a.id).result, { ok: true });
+    assert.equal(queue.get(b.id).status, 'failed');
+    assert.equal(queue.get(b.id).error, 'parse failed');
+    assert.deepEqual(queue.active(), []);
+  });
+
+  test('cancels queued and running jobs and runs their cleanup', async () => {
+    const queue = new JobQueue();
+    const cleaned = [];
+    const running = deferredJob();
+    const a = queue.enqueue({ docId: 'a' }, running.run, { onCancel: () => cleaned.push('a') });
+    const b = queue.enqueue({ docId: 'b' }, async () => assert.fail('cancelled job ran'), { onCancel: () => cleaned.push('b') });
+
+    assert.deepEqual(queue.active(job => job.docId === 'b').map(job => job.id), [b.id]);
+    assert.equal(queue.cancel(b.id), true);
+    assert.equal(b.status, 'cancelled');
+    assert.equal(queue.cancel(a.id), true);
+    running.release();
+    await queue.onIdle();
+
+    assert.equal(a.status, 'cancelled');
+    assert.deepEqual(cleaned.sort(), ['a', 'b']);
+    assert.equal(queue.cancel(a.id), false);
+    assert.equal(queue.cancel('missing'), false);
+  });
+});
@@ -0,0 +1,87 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { EditJournal } from '../lib/journal.js';
+import { IndexSync } from '../lib/indexSync.js';
+import { sha256 } from '../lib/hash.js';
+import { createTempWorkspace, quietConsole } from './helpers.js';
+
+describe('EditJournal', () => {
+  let workspace;
+  let dir;
+
+  beforeEach((t) => {
+    quietConsole(t);
+    workspace = createTempWorkspace();
+    dir = path.join(workspace.dataDir, 'history');
+  });
+
+  afterEach(() => workspace.cleanup());
+
+  test('numbers the changes of each file and keeps every version', () => {
+    const journal = new EditJournal(dir, { now: () => Date.UTC(2024, 0, 1) });
+
+    const first = journal.record('draft.tex', 'a\nb', 'a\nx\nb', { actor: 'agent', operation: 'insert_text', reason: 'AI insertion', sessionId: 's1' });
+    journal.record('draft.tex', 'a\nx\nb', 'a\nx', { operation: 'delete_range' });
+    journal.record('other.md', '', 'new');
+
+    assert.deepEqual(first, {
+      type: 'edit',
+      filename: 'draft.tex',
+      version: 1,
+      timestamp: '2024-01-01T00:00:00.000Z',
+      actor: 'agent',
+      operation: 'insert_text',
+      reason: 'AI insertion',
+      sessionId: 's1',
+      beforeHash: sha256('a\nb'),
+      afterHash: sha256('a\nx\nb'),
+      additions: 1,
+      deletions: 0
+    });
+    assert.deepEqual(journal.history('draft.tex').map(e => [e.version, e.actor, e.operation, e.additions, e.deletions]), [
+      [1, 'agent', 'insert_text', 1, 0],
+      [2, 'user', 'delete_range', 0, 1]
+    ]);
+    assert.deepEqual([0, 1, 2, 3].map(v => journal.content('draft.tex', v)), ['a\nb', 'a\nx\nb', 'a\nx', null]);
+    assert.equal(journal.currentVersion('other.md'), 1);
+    assert.equal(journal.record('other.md', 'same', 'same'), null);
+  });
+
+  test('reloads from disk and forgets deleted files with their contents', () => {
+    const journal = new EditJournal(dir);
+    journal.record('draft.tex', 'shared', 'draft v1');
+    journal.record('notes.md', 'shared', 'notes v1');
+    journal.forget('draft.tex');
+
+    const reloaded = new EditJournal(dir);
+    assert.deepEqual(reloaded.history('draft.tex'), []);
+    assert.equal(reloaded.content('notes.md', 0), 'shared');
+    assert.equal(fs.existsSync(path.join(dir, 'blobs', sha256('draft v1'))), false);
+  });
+
+  test('keeps the latest changes of a file and drops the contents only older ones used', () => {
+    const journal = new EditJournal(dir, { maxVersions: 2 });
+    for (const [before, after] of [['v0', 'v1'], ['v1', 'v2'], ['v2', 'v3']]) journal.record('draft.tex', before, after);
+
+    assert.deepEqual(journal.history('draft.tex').map(e => e.version), [2, 3]);
+    assert.deepEqual([0, 1, 2, 3].map(v => journal.content('draft.tex', v)), [null, 'v1', 'v2', 'v3']);
+    assert.equal(fs.existsSync(path.join(dir, 'blobs', sha256('v0'))), false);
+    assert.deepEqual(new EditJournal(dir).history('draft.tex').map(e => e.version), [2, 3]);
+  });
+
+  test('records the writes IndexSync makes', async () => {
+    const journal = new EditJournal(dir);
+    const sync = new IndexSync({ uploadDir: workspace.uploadDir, vectorStore: workspace.createVectorStore(), journal });
+
+    await sync.writeFile('notes.md', 'first', { create: true, change: { actor: 'agent', operation: 'create_latex_file' } });
+    await sync.writeFile('notes.md', 'second', { change: { actor: 'user', operation: 'revert', revertedTo: 0 } });
+
+    assert.deepEqual(journal.history('notes.md').map(e => [e.version, e.actor, e.operation, e.revertedTo]), [
+      [1, 'agent', 'create_latex_file', undefined],
+      [2, 'user', 'revert', 0]
+    ]);
+    assert.equal(journal.content('notes.md', 0), '');
+  });
+});
@@ -0,0 +1,110 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseLatexLog, findLatexEngine, createLatexCompiler } from '../lib/latex.js';
+
+// pdflatex -file-line-error output, trimmed
+const LOG = [
+  'This is pdfTeX, Version 3.141592653-2.6-1.40.25 (TeX Live 2023) (preloaded format=pdflatex)',
+  '(./main.tex',
+  'LaTeX2e <2023-11-01>',
+  './main.tex:7: Undefined control sequence.',
+  'l.7 \\foo',
+  '          {bar}',
+  '(/usr/share/texlive/texmf-dist/tex/latex/base/article.cls',
+  '/usr/share/texlive/texmf-dist/tex/latex/base/size10.clo:12: Missing number, treated as zero.',
+  'LaTeX Warning: Reference `sec:intro\' on page 1 undefined on input line 12.',
+  '',
+  'Package hyperref Warning: Token not allowed in a PDF string (Unicode):',
+  '(hyperref)                removing `\\\\\' on input line 3.',
+  '',
+  'Overfull \\hbox (12.3pt too wide) in paragraph at lines 20--22',
+  '[]\\OT1/cmr/m/n/10 A very long line',
+  'LaTeX Warning: There were undefined references.',
+  ')'
+].join('\n');
+
+describe('latex', () => {
+  test('maps errors, warnings and box messages of a log to source lines', () => {
+    assert.deepEqual(parseLatexLog(LOG), [
+      { severity: 'error', message: 'Undefined control sequence.', line: 7, file: null },
+      { severity: 'error', message: 'Missing number, treated as zero.', line: null, file: '/usr/share/texlive/texmf-dist/tex/latex/base/size10.clo' },
+      { severity: 'warning', message: 'LaTeX Warning: Reference `sec:intro\' on page 1 undefined', line: 12, file: null },
+      { severity: 'warning', message: 'Package hyperref Warning: Token not allowed in a PDF string (Unicode): removing `\\\\\'', line: 3, file: null },
+      { severity: 'info', message: 'Overfull \\hbox (12.3pt too wide)', line: 20, file: null },
+      { severity: 'warning', message: 'LaTeX Warning: There were undefined references.', line: null, file: null }
+    ]);
+  });
+
+  test('reads classic "!" errors with the line TeX stopped at', () => {
+    const log = '! LaTeX Error: Environment itemise undefined.\n\nSee the LaTeX manual.\n ...\n\nl.15 \\begin{itemise}\n';
+    assert.deepEqual(parseLatexLog(log), [
+      { severity: 'error', message: 'LaTeX Error: Environment itemise undefined.', line: 15, file: null }
+    ]);
+    // tectonic's stderr
+    assert.deepEqual(parseLatexLog('error: main.tex:4: Missing $ inserted'), [
+      { severity: 'error', message: 'Missing $ inserted', line: 4, file: null }
+    ]);
+  });
+
+  describe('compiling', () => {
+    let binDir;
+
+    // A stand-in for pdflatex: a node script that writes a log and a PDF like the real engine
+    const fakeEngine = (name, body) => {
+      const command = path.join(binDir, name);
+      fs.writeFileSync(command, `#!/usr/bin/env node\nconst fs = require('fs');\n${body}\n`, { mode: 0o755 });
+      return findLatexEngine(command);
+    };
+
+    beforeEach(() => {
+      binDir = fs.mkdtempSync(path.join(os.tmpdir(), 'latex-bin-'));
+    });
+
+    afterEach(() => fs.rmSync(binDir, { recursive: true, force: true }));
+
+    test('runs the engine sandboxed in a temp dir, reruns for references and returns the PDF', async () => {
+      const engine = fakeEngine('pdflatex', `
+        const runs = fs.existsSync('runs') ? Number(fs.readFileSync('runs', 'utf8')) + 1 : 1;
+        fs.writeFileSync('runs', String(runs));
+        fs.writeFileSync('args.json', JSON.stringify({ args: process.argv.slice(2), cwd: process.cwd(), shellEscape: process.env.shell_escape }));
+        fs.writeFileSync('main.log', runs === 1
+          ? "LaTeX Warning: Label(s) may have changed. Rerun to get cross-references right."
+          : "LaTeX Warning: Citation \`knuth' on page 1 undefined on input line 9.");
+        fs.writeFileSync('main.pdf', '%PDF-1.5 run ' + runs + ' ' + fs.readFileSync('main.tex', 'utf8'));
+        fs.copyFileSync('args.json', ${JSON.stringify(path.join(binDir, 'last-run.json'))});
+      `);
+      assert.equal(engine.kind, 'latex');
+
+      const result = await createLatexCompiler({ engine }).compile('\\documentclass{article}');
+
+      assert.equal(result.success, true);
+      assert.equal(result.pdf.toString(), '%PDF-1.5 run 2 \\documentclass{article}');
+      assert.deepEqual(result.diagnostics, [
+        { severity: 'warning', message: 'LaTeX Warning: Citation `knuth\' on page 1 undefined', line: 9, file: null }
+      ]);
+      const lastRun = JSON.parse(fs.readFileSync(path.join(binDir, 'last-run.json'), 'utf8'));
+      assert.ok(lastRun.args.includes('-no-shell-escape'));
+      assert.equal(lastRun.shellEscape, 'f');
+      assert.equal(fs.existsSync(lastRun.cwd), false);
+    });
+
+    test('stops an engine that runs too long', async () => {
+      const engine = fakeEngine('pdflatex', 'setTimeout(() => {}, 60000);');
+
+      const result = await createLatexCompiler({ engine, timeoutMs: 300 }).compile('\\loop\\iftrue\\repeat');
+
+      assert.equal(result.success, false);
+      assert.equal(result.pdf, null);
+      assert.match(result.diagnostics[0].message, /timed out/);
+    });
+
+    test('reports a missing engine', async () => {
+      assert.equal(findLatexEngine(path.join(binDir, 'no-such-tex')), null);
+      assert.equal(findLatexEngine('tectonic-does-not-exist'), null);
+      await assert.rejects(createLatexCompiler({ engine: null }).compile('x'), /No TeX engine found/);
+    });
+  });
+});
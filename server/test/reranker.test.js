@@ -0,0 +1,29 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createReranker } from '../lib/reranker.js';
+
+describe('createReranker', () => {
+  test('orders chunks by pair score, keeps their fields and cuts to topK', async () => {
+    const seen = [];
+    const reranker = createReranker({
+      name: 'length',
+      scorePairs: async (query, texts) => {
+        seen.push({ query, texts });
+        return texts.map(t => t.length / 100);
+      }
+    });
+
+    const chunks = [
+      { text: 'short', score: 0.9, docId: 'a' },
+      { text: 'a much longer passage', score: 0.5, docId: 'b' },
+      { text: 'medium text', score: 0.7, docId: 'c' }
+    ];
+    const ranked = await reranker.rerank('q', chunks, { topK: 2 });
+
+    assert.deepEqual(seen, [{ query: 'q', texts: ['short', 'a much longer passage', 'medium text'] }]);
+    assert.deepEqual(ranked.map(r => r.docId), ['b', 'c']);
+    assert.equal(ranked[0].score, 0.5);
+    assert.equal(ranked[0].rerankScore, 0.21);
+    assert.deepEqual(await reranker.rerank('q', []), []);
+  });
+});
@@ -0,0 +1,846 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createApp } from '../app.js';
+import { VectorStore } from '../lib/vectorStore.js';
+import { TransientStore } from '../lib/transientStore.js';
+import { ConversationStore } from '../lib/conversations.js';
+import { ConversationSummarizer } from '../lib/summarizer.js';
+import { createFakeProvider } from '../lib/providers/fake.js';
+import { LLMError } from '../lib/providers/index.js';
+import { createReranker } from '../lib/reranker.js';
+import { createTempWorkspace, hashEmbed, startServer, parseEventStream, quietConsole, makePdf, makeScannedPdf, renderTextImage } from './helpers.js';
+
+const PAPER = [
+  'Regularization in Neural Networks',
+  '',
+  'Dropout randomly disables units during training.',
+  'This prevents co-adaptation of neurons and reduces overfitting.',
+  '',
+  'Weight decay penalizes large weights.'
+].join('\n');
+
+describe('API routes', () => {
+  let workspace;
+  let provider;
+  let server;
+
+  async function boot(script, extra = {}) {
+    provider = createFakeProvider({ script });
+    const app = createApp({
+      dataDir: workspace.dataDir,
+      uploadDir: workspace.uploadDir,
+      vectorStore: workspace.createVectorStore(),
+      provider,
+      ...extra
+    });
+    server = await startServer(app);
+    return server.baseUrl;
+  }
+
+  async function waitForJob(baseUrl, jobId) {
+    for (;;) {
+      const job = await (await fetch(`${baseUrl}/api/jobs/${jobId}`)).json();
+      if (!['queued', 'running'].includes(job.status)) return job;
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  }
+
+  // Uploads are ingested in the background: returns the 202 response and the finished job
+  async function upload(baseUrl, filename, content, type = 'text/plain') {
+    const form = new FormData();
+    form.append('file', new Blob([content], { type }), filename);
+    const res = await fetch(`${baseUrl}/api/documents/upload`, { method: 'POST', body: form });
+    const body = await res.json();
+    const job = body.jobId ? await waitForJob(baseUrl, body.jobId) : null;
+    return { status: res.status, body, job };
+  }
+
+  function postJson(baseUrl, route, body, headers = {}) {
+    return fetch(`${baseUrl}${route}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    });
+  }
+
+  beforeEach((t) => {
+    quietConsole(t);
+    workspace = createTempWorkspace();
+  });
+
+  afterEach(async () => {
+    await server?.close();
+    server = null;
+    workspace.cleanup();
+  });
+
+  describe('POST /api/documents/upload', () => {
+    test('saves, parses and indexes the file', async () => {
+      const baseUrl = await boot([]);
+      const { status, body, job } = await upload(baseUrl, 'paper.txt', PAPER);
+
+      assert.equal(status, 202);
+      assert.equal(body.status, 'queued');
+      assert.equal(job.status, 'completed');
+      assert.equal(job.docId, body.id);
+      assert.deepEqual(job.result, { id: body.id, filename: body.filename, version: 1, chunks: 1, embedded: 1, reused: 0 });
+      assert.deepEqual(job.progress, { done: 1, total: 1 });
+      assert.match(body.filename, /^\d+-paper\.txt$/);
+      assert.equal(fs.readFileSync(path.join(workspace.uploadDir, body.filename), 'utf8'), PAPER);
+
+      const persisted = JSON.parse(fs.readFileSync(path.join(workspace.dataDir, 'index', 'meta.json'), 'utf8'));
+      assert.equal(persisted.documents[body.id].filename, body.filename);
+      const chunks = persisted.chunks.filter(c => c.docId === body.id);
+      assert.equal(chunks.length, 1);
+      assert.equal(chunks[0].lineStart, 1);
+      assert.equal(chunks[0].lineEnd, 6);
+    });
+
+    test('indexes PDFs page by page', async () => {
+      const baseUrl = await boot([]);
+      const pdf = makePdf([['Cover page'], ['Dropout rate was set to 0.5 in all runs.']]);
+      const { status, body } = await upload(baseUrl, 'report.pdf', pdf, 'application/pdf');
+
+      assert.equal(status, 202);
+      const { results } = await (await fetch(`${baseUrl}/api/documents/search?query=dropout&mode=lexical`)).json();
+      assert.equal(results[0].docId, body.id);
+      assert.equal(results[0].page, 1);
+      assert.equal(results[0].pageEnd, 2);
+      assert.equal(results[0].text, 'Cover page\n\nDropout rate was set to 0.5 in all runs.');
+    });
+
+    test('OCRs scanned PDF pages and records the confidence', async () => {
+      const baseUrl = await boot([]);
+      const pdf = await makeScannedPdf([['Quarterly revenue grew strongly'], ['Warehouse inventory was audited']]);
+      const { body, job } = await upload(baseUrl, 'scan.pdf', pdf, 'application/pdf');
+      const { ocr } = job.result;
+
+      assert.equal(ocr.engine, 'tesseract');
+      assert.deepEqual(ocr.pages.map(p => p.page), [1, 2]);
+      assert.ok(ocr.confidence > 60);
+      const { results } = await (await fetch(`${baseUrl}/api/documents/search?query=inventory&mode=lexical`)).json();
+      assert.equal(results[0].docId, body.id);
+      assert.equal(results[0].pageEnd, 2);
+      assert.match(results[0].text, /Warehouse inventory/);
+
+      const meta = JSON.parse(fs.readFileSync(path.join(workspace.dataDir, 'index', 'meta.json'), 'utf8'));
+      assert.equal(meta.documents[body.id].ocr.confidence, ocr.confidence);
+    });
+
+    test('OCRs uploaded images', async () => {
+      const baseUrl = await boot([]);
+      const { data } = await renderTextImage(['Meeting moved to Thursday']);
+      const { body, job } = await upload(baseUrl, 'note.png', data, 'image/png');
+
+      assert.ok(job.result.ocr.confidence > 60);
+      const { results } = await (await fetch(`${baseUrl}/api/documents/search?query=thursday&mode=lexical`)).json();
+      assert.equal(results[0].docId, body.id);
+      assert.equal(results[0].page, 1);
+    });
+
+    test('reports parse failures on the job', async () => {
+      const baseUrl = await boot([]);
+      const { status, job } = await upload(baseUrl, 'broken.pdf', 'not a pdf', 'application/pdf');
+
+      assert.equal(status, 202);
+      assert.equal(job.status, 'failed');
+      assert.match(job.error, /Failed to parse PDF/);
+    });
+
+    test('cancels an upload while it is being embedded', async () => {
+      let release;
+      const gate = new Promise(resolve => { release = resolve; });
+      const vectorStore = new VectorStore(workspace.indexPath, {
+        embed: async (text) => { await gate; return hashEmbed(text); }
+      });
+      const baseUrl = await boot([], { vectorStore });
+
+      const form = new FormData();
+      form.append('file', new Blob([PAPER], { type: 'text/plain' }), 'paper.txt');
+      const queued = await (await fetch(`${baseUrl}/api/documents/upload`, { method: 'POST', body: form })).json();
+      let job;
+      do {
+        job = await (await fetch(`${baseUrl}/api/jobs/${queued.jobId}`)).json();
+      } while (job.stage !== 'embedding');
+
+      const cancelled = await postJson(baseUrl, `/api/jobs/${queued.jobId}/cancel`, {});
+      assert.equal(cancelled.status, 200);
+      release();
+      job = await waitForJob(baseUrl, queued.jobId);
+
+      assert.equal(job.status, 'cancelled');
+      assert.equal(vectorStore.countDocuments(), 0);
+      assert.equal(fs.existsSync(path.join(workspace.uploadDir, queued.filename)), false);
+      const again = await postJson(baseUrl, `/api/jobs/${queued.jobId}/cancel`, {});
+      assert.equal(again.status, 409);
+      assert.equal((await fetch(`${baseUrl}/api/jobs/unknown`)).status, 404);
+    });
+
+    test('does not index identical contents twice', async () => {
+      const baseUrl = await boot([]);
+      const { body: first } = await upload(baseUrl, 'paper.txt', PAPER);
+      const { status, body } = await upload(baseUrl, 'copy-of-paper.txt', PAPER);
+
+      assert.equal(status, 200);
+      assert.deepEqual(body, { id: first.id, filename: first.filename, status: 'duplicate' });
+      assert.deepEqual(fs.readdirSync(workspace.uploadDir), [first.filename]);
+      const { results } = await (await fetch(`${baseUrl}/api/documents/search?query=dropout&mode=lexical`)).json();
+      assert.equal(results.length, 1);
+    });
+
+    test('indexes a re-uploaded file as a new version, re-embedding only changed chunks', async () => {
+      const baseUrl = await boot([]);
+      const v1 = '# Intro\nDropout disables units.\n\n# Results\nAccuracy was 91 percent.';
+      const v2 = '# Intro\nDropout disables units.\n\n# Results\nAccuracy was 94 percent.';
+      const { body: first } = await upload(baseUrl, 'notes.md', v1);
+      const { body: second, job } = await upload(baseUrl, 'notes.md', v2);
+
+      assert.equal(second.id, first.id);
+      assert.equal(job.result.version, 2);
+      assert.equal(job.result.reused, 1);
+      assert.equal(job.result.embedded, 1);
+      assert.deepEqual(fs.readdirSync(workspace.uploadDir), [second.filename]);
+      const { results } = await (await fetch(`${baseUrl}/api/documents/search?query=accuracy&mode=lexical`)).json();
+      assert.equal(results.length, 1);
+      assert.match(results[0].text, /94 percent/);
+      assert.equal(results[0].filename, second.filename);
+    });
+
+    test('rejects requests without a file', async () => {
+      const baseUrl = await boot([]);
+      const res = await fetch(`${baseUrl}/api/documents/upload`, { method: 'POST', body: new FormData() });
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('GET /api/documents/search', () => {
+    test('searches in the requested mode and rejects unknown modes', async () => {
+      const baseUrl = await boot([]);
+      const { body: uploaded } = await upload(baseUrl, 'paper.txt', PAPER);
+
+      const res = await fetch(`${baseUrl}/api/documents/search?query=${encodeURIComponent('weight decay')}&mode=lexical`);
+      const body = await res.json();
+      assert.equal(res.status, 200);
+      assert.equal(body.mode, 'lexical');
+      assert.equal(body.results[0].docId, uploaded.id);
+      assert.ok(body.results[0].lexicalScore > 0);
+
+      const hybrid = await (await fetch(`${baseUrl}/api/documents/search?query=dropout`)).json();
+      assert.equal(hybrid.mode, 'hybrid');
+      assert.equal(typeof hybrid.results[0].fusedScore, 'number');
+
+      const invalid = await fetch(`${baseUrl}/api/documents/search?query=dropout&mode=fuzzy`);
+      assert.equal(invalid.status, 400);
+    });
+  });
+
+  describe('POST /api/agent/chat', () => {
+    test('answers from retrieved chunks and returns citation payloads', async () => {
+      const baseUrl = await boot(['Dropout disables units during training [1, 4].']);
+      const { body: uploaded } = await upload(baseUrl, 'paper.txt', PAPER);
+
+      const res = await postJson(baseUrl, '/api/agent/chat', { message: 'What does dropout do during training?' }, { 'X-Session-Id': 's1' });
+      const body = await res.json();
+
+      assert.equal(res.status, 200);
+      // The number of a source that was never retrieved is dropped from its marker
+      assert.equal(body.response, 'Dropout disables units during training [1].');
+      assert.deepEqual(body.citations, [{
+        n: 1,
+        sourceIndex: 0,
+        docId: uploaded.id,
+        filename: uploaded.filename,
+        page: null,
+        pageEnd: null,
+        sheet: null,
+        section: null,
+        lineStart: 1,
+        lineEnd: 6,
+        quote: 'Dropout randomly disables units during training.'
+      }]);
+      assert.deepEqual(body.grounding, {
+        score: 1,
+        claims: [{ sentence: 'Dropout disables units during training.', citations: [1], markers: [0], status: 'supported', support: 1 }],
+        uncitedSentences: 0
+      });
+      assert.equal(body.usedGeneralKnowledge, false);
+      assert.equal(body.sources.length, 1);
+      const [source] = body.sources;
+      assert.equal(source.docId, uploaded.id);
+      assert.equal(source.filename, uploaded.filename);
+      assert.equal(source.lineStart, 1);
+      assert.equal(source.lineEnd, 6);
+      assert.equal(source.page, null);
+      assert.ok(source.text_preview.startsWith('Regularization in Neural Networks'));
+      assert.equal(typeof source.score, 'number');
+
+      assert.match(provider.calls[0].messages[0].content, new RegExp(`SOURCE 1 \\(${uploaded.filename} lines 1-6\\)`));
+    });
+
+    test('keeps inline attachments out of the main index and drops them with the session', async () => {
+      const transientStore = new TransientStore({ embed: hashEmbed });
+      const vectorStore = workspace.createVectorStore();
+      await vectorStore.indexDocument({ id: 'transient-stale', filename: 'old-draft.md', segments: [{ text: 'stale attachment', lineStart: 1, lineEnd: 1 }] });
+      const baseUrl = await boot(['Magnetic fields.', 'Magnetic fields.', 'Magnetic fields.'], { transientStore, vectorStore });
+      const document = { filename: 'draft.md', content: 'Tokamak plasma is confined by strong magnetic fields around the torus.' };
+      const ask = (headers = {}) => postJson(baseUrl, '/api/agent/chat', { message: 'How is the plasma confined?', document }, headers);
+
+      const first = await (await ask({ 'X-Session-Id': 's1' })).json();
+      assert.equal(first.sources[0].filename, 'draft.md');
+      assert.match(first.sources[0].docId, /^transient-/);
+      const second = await (await ask({ 'X-Session-Id': 's1' })).json();
+      assert.equal(second.sources[0].docId, first.sources[0].docId);
+      assert.equal(transientStore.size, 1);
+
+      // Never part of the global index; the stale entry from an older version is gone too
+      assert.equal(vectorStore.countDocuments(), 0);
+      const { results } = await (await fetch(`${baseUrl}/api/documents/search?query=tokamak`)).json();
+      assert.deepEqual(results, []);
+
+      await postJson(baseUrl, '/api/session/reset', { sessionId: 's1' });
+      assert.equal(transientStore.size, 0);
+
+      // Without a session the attachment only lives for the request
+      const anonymous = await (await ask()).json();
+      assert.equal(anonymous.sources[0].filename, 'draft.md');
+      assert.equal(transientStore.size, 0);
+    });
+
+    test('searches attachments and indexed documents together when a request names both', async () => {
+      const transientStore = new TransientStore({ embed: hashEmbed });
+      const baseUrl = await boot(['Magnetic fields.', 'Both.'], { transientStore });
+      const { body: uploaded } = await upload(baseUrl, 'paper.txt', PAPER);
+      const document = { filename: 'draft.md', content: 'Tokamak plasma is confined by strong magnetic fields around the torus.' };
+      const first = await (await postJson(baseUrl, '/api/agent/chat', { message: 'How is the plasma confined?', document }, { 'X-Session-Id': 's1' })).json();
+      const attachmentId = first.sources[0].docId;
+
+      const res = await postJson(baseUrl, '/api/rag/query', { query: 'plasma confinement and dropout', documentIds: [attachmentId, uploaded.id] }, { 'X-Session-Id': 's1' });
+      const { sources } = await res.json();
+
+      assert.equal(res.status, 200);
+      assert.deepEqual([...new Set(sources.map(s => s.docId))].sort(), [attachmentId, uploaded.id].sort());
+      assert.ok(sources.every((s, i) => i === 0 || sources[i - 1].score >= s.score));
+    });
+
+    test('cites the LaTeX section a chunk came from', async () => {
+      const baseUrl = await boot(['Three hospitals.']);
+      const tex = '\\section{Methods}\n\\subsection{Data}\nRecords come from three hospitals.\n\\section{Results}\nAccuracy improved.';
+      await upload(baseUrl, 'study.tex', tex);
+
+      const body = await (await postJson(baseUrl, '/api/agent/chat', { message: 'Where do the hospital records come from?' })).json();
+      const source = body.sources.find(s => s.section === 'Methods > Data');
+      assert.ok(source);
+      assert.equal(source.lineStart, 1);
+      assert.equal(source.lineEnd, 3);
+      assert.match(provider.calls[0].messages[0].content, /study\.tex §Methods > Data lines 1-3\)/);
+    });
+
+    test('searches the documents a message names instead of the open one', async () => {
+      const baseUrl = await boot(['Dropout.', 'Sunlight.']);
+      const { body: paper } = await upload(baseUrl, 'paper.txt', PAPER);
+      const { body: notes } = await upload(baseUrl, 'notes.txt', 'Field notes: the greenhouse plants need six hours of sunlight during training season.');
+      const ask = (message) => postJson(baseUrl, '/api/agent/chat', { message, documentIds: [paper.id] }).then(res => res.json());
+
+      const named = await ask('What does notes.txt say about training?');
+      assert.deepEqual([...new Set(named.sources.map(s => s.docId))], [notes.id]);
+      // "file format" is not a document name, so the open document stays the scope
+      const open = await ask('Which file format do units use during training?');
+      assert.deepEqual([...new Set(open.sources.map(s => s.docId))], [paper.id]);
+    });
+
+    test('reranks retrieved chunks and reports both scores unless the request opts out', async () => {
+      // Prefers passages about weight decay regardless of retrieval order
+      const reranker = createReranker({
+        name: 'keyword',
+        scorePairs: async (_query, texts) => texts.map(t => (t.includes('Weight decay') ? 0.9 : 0.1))
+      });
+      const baseUrl = await boot(['First.', 'Second.'], { reranker });
+      await upload(baseUrl, 'dropout.txt', 'Dropout randomly disables units during training.');
+      await upload(baseUrl, 'decay.txt', 'Weight decay penalizes large weights during training.');
+
+      const reranked = await (await postJson(baseUrl, '/api/agent/chat', { message: 'dropout units during training' })).json();
+      assert.match(reranked.sources[0].filename, /decay\.txt$/);
+      assert.equal(reranked.sources[0].rerankScore, 0.9);
+      assert.equal(typeof reranked.sources[0].score, 'number');
+
+      const plain = await (await postJson(baseUrl, '/api/agent/chat', { message: 'dropout units during training', rerank: false })).json();
+      assert.match(plain.sources[0].filename, /dropout\.txt$/);
+      assert.equal(plain.sources[0].rerankScore, null);
+    });
+
+    test('keeps the retrieval order when the reranker fails', async () => {
+      const reranker = createReranker({
+        name: 'broken',
+        scorePairs: async () => { throw new Error('model download failed'); }
+      });
+      const baseUrl = await boot(['First.', 'Second.'], { reranker });
+      await upload(baseUrl, 'dropout.txt', 'Dropout randomly disables units during training.');
+      await upload(baseUrl, 'decay.txt', 'Weight decay penalizes large weights during training.');
+
+      for (const answer of ['First.', 'Second.']) {
+        const res = await postJson(baseUrl, '/api/agent/chat', { message: 'dropout units during training' });
+        assert.equal(res.status, 200);
+        const body = await res.json();
+        assert.equal(body.response, answer);
+        assert.match(body.sources[0].filename, /dropout\.txt$/);
+        assert.equal(body.sources[0].rerankScore, null);
+      }
+      assert.equal(console.warn.mock.calls.filter(c => /Reranking failed/.test(c.arguments[0])).length, 1);
+    });
+
+    test('remembers the conversation per session', async () => {
+      const baseUrl = await boot(['First answer.', 'Second answer.']);
+
+      await postJson(baseUrl, '/api/agent/chat', { message: 'first question' }, { 'X-Session-Id': 's1' });
+      await postJson(baseUrl, '/api/agent/chat', { message: 'second question' }, { 'X-Session-Id': 's1' });
+
+      const contents = provider.calls[1].messages.map(m => m.content);
+      assert.deepEqual(contents.slice(1), ['first question', 'First answer.', 'second question']);
+    });
+
+    test('falls back to general knowledge when nothing is indexed', async () => {
+      const baseUrl = await boot(['Paris is the capital of France.']);
+
+      const res = await postJson(baseUrl, '/api/agent/chat', { message: 'What is the capital of France?' });
+      const body = await res.json();
+
+      assert.equal(body.usedGeneralKnowledge, true);
+      assert.deepEqual(body.sources, []);
+      assert.ok(provider.calls[0].tools?.length > 0);
+    });
+
+    test('answers workspace listings without calling the model', async () => {
+      const baseUrl = await boot([]);
+      await upload(baseUrl, 'paper.txt', PAPER);
+
+      const res = await postJson(baseUrl, '/api/agent/chat', { message: 'list my files' });
+      const body = await res.json();
+
+      assert.equal(provider.calls.length, 0);
+      assert.match(body.response, /• paper\.txt/);
+      assert.deepEqual(body.toolCalls, [{ name: 'list_dir', args: { target_directory: '.' } }]);
+      assert.deepEqual(body.sources, []);
+    });
+
+    test('returns files created by the agent', async () => {
+      const baseUrl = await boot([
+        { toolCalls: [{ name: 'create_latex_file', args: { filename: 'climate.tex', topic: 'climate change' } }] },
+        'I created climate.tex for you.'
+      ]);
+
+      const res = await postJson(baseUrl, '/api/agent/chat', { message: 'create an article about climate change' });
+      const body = await res.json();
+
+      assert.equal(body.createdFiles.length, 1);
+      assert.equal(body.createdFiles[0].filename, 'climate.tex');
+      assert.deepEqual(body.toolCalls.map(tc => tc.name), ['create_latex_file']);
+      assert.ok(fs.existsSync(path.join(workspace.uploadDir, 'climate.tex')));
+    });
+
+    test('answers 413 naming the document that did not fit the model', async () => {
+      const baseUrl = await boot([
+        { toolCalls: [{ name: 'extract_document', args: { filename: 'thesis.txt' } }] },
+        () => { throw new LLMError('fake request failed: maximum context length exceeded', { provider: 'fake', code: 'context_length' }); }
+      ]);
+      fs.writeFileSync(path.join(workspace.uploadDir, 'thesis.txt'), 'Chapter one.');
+
+      const res = await postJson(baseUrl, '/api/agent/chat', { message: 'Summarize thesis.txt' });
+      const body = await res.json();
+
+      assert.equal(res.status, 413);
+      assert.equal(body.code, 'context_length');
+      assert.equal(body.document, 'thesis.txt');
+      assert.match(body.error, /The document "thesis\.txt" is too large/);
+    });
+
+    test('requires a message', async () => {
+      const baseUrl = await boot([]);
+      const res = await postJson(baseUrl, '/api/agent/chat', {});
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('/api/conversations', () => {
+    test('lists, renames and deletes conversations that survive a restart', async () => {
+      let baseUrl = await boot(['Dropout disables units [1].', 'Hi!']);
+      await upload(baseUrl, 'paper.txt', PAPER);
+      await postJson(baseUrl, '/api/agent/chat', { message: 'What does dropout do?' }, { 'X-Session-Id': 's1' });
+      await postJson(baseUrl, '/api/agent/chat', { message: 'Hello' }, { 'X-Session-Id': 's2' });
+
+      await server.close();
+      baseUrl = await boot(['Still here.']);
+      await postJson(baseUrl, '/api/agent/chat', { message: 'Remember me?' }, { 'X-Session-Id': 's1' });
+      assert.deepEqual(provider.calls[0].messages.slice(1, 3).map(m => m.content), ['What does dropout do?', 'Dropout disables units [1].']);
+
+      const { conversations } = await (await fetch(`${baseUrl}/api/conversations`)).json();
+      assert.deepEqual(conversations.map(c => [c.id, c.title, c.messageCount]), [['s1', 'What does dropout do?', 4], ['s2', 'Hello', 2]]);
+
+      const conversation = await (await fetch(`${baseUrl}/api/conversations/s1`)).json();
+      assert.deepEqual(conversation.messages.map(m => m.role), ['user', 'assistant', 'user', 'assistant']);
+      assert.match(conversation.messages[1].sources[0].filename, /paper\.txt$/);
+      assert.equal(conversation.messages[1].citations[0].quote, 'Dropout randomly disables units during training.');
+
+      const rename = (id, title) => fetch(`${baseUrl}/api/conversations/${id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ title })
+      });
+      assert.equal((await (await rename('s1', ' Dropout notes ')).json()).title, 'Dropout notes');
+      assert.equal((await rename('s1', '  ')).status, 400);
+      assert.equal((await rename('missing', 'x')).status, 404);
+
+      assert.equal((await fetch(`${baseUrl}/api/conversations/s2`, { method: 'DELETE' })).status, 200);
+      assert.equal((await fetch(`${baseUrl}/api/conversations/s2`, { method: 'DELETE' })).status, 404);
+      assert.equal((await fetch(`${baseUrl}/api/conversations/s2`)).status, 404);
+      const after = await (await fetch(`${baseUrl}/api/conversations`)).json();
+      assert.deepEqual(after.conversations.map(c => [c.id, c.title]), [['s1', 'Dropout notes']]);
+    });
+
+    test('condenses long conversations into an editable summary sent in place of older turns', async () => {
+      const conversationStore = new ConversationStore(path.join(workspace.dataDir, 'conversations.jsonl'));
+      const summarizer = new ConversationSummarizer({ conversationStore, tokenBudget: 10, keepRecent: 2 });
+      const baseUrl = await boot(['We chose a 0.5 dropout rate.', 'Noted.', 'Decided: dropout 0.5.', 'Yes, 0.5.', 'Decided: dropout 0.3.', 'Still 0.3.'], { conversationStore, summarizer });
+      const ask = (message) => postJson(baseUrl, '/api/agent/chat', { message }, { 'X-Session-Id': 's1' });
+
+      await ask('Which dropout rate should the thesis use?');
+      await ask('Please remember that.');
+      const answer = await (await ask('What did we decide?')).json();
+      assert.equal(answer.response, 'Yes, 0.5.');
+      assert.equal(answer.summary.content, 'Decided: dropout 0.5.');
+
+      // The third request first folded the opening turn into the summary
+      const [summaryCall, answerCall] = provider.calls.slice(2);
+      assert.match(summaryCall.messages[1].content, /User: Which dropout rate should the thesis use\?/);
+      assert.deepEqual(answerCall.messages.slice(1, 4).map(m => [m.role, m.content]), [
+        ['system', 'Summary of the earlier conversation:\nDecided: dropout 0.5.'],
+        ['user', 'Please remember that.'],
+        ['assistant', 'Noted.']
+      ]);
+
+      const conversation = await (await fetch(`${baseUrl}/api/conversations/s1`)).json();
+      assert.deepEqual([conversation.summary.content, conversation.summary.through, conversation.messageCount], ['Decided: dropout 0.5.', 2, 6]);
+
+      const edit = (id, content) => fetch(`${baseUrl}/api/conversations/${id}/summary`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content })
+      });
+      const edited = await (await edit('s1', 'Decided: dropout 0.3 after review.')).json();
+      assert.deepEqual([edited.content, edited.through, edited.edited], ['Decided: dropout 0.3 after review.', 2, true]);
+      assert.equal((await edit('s1', ' ')).status, 400);
+      assert.equal((await edit('missing', 'x')).status, 404);
+
+      // Over budget again: the edited summary is the base of the next one
+      assert.equal((await (await ask('And now?')).json()).response, 'Still 0.3.');
+      assert.match(provider.calls.at(-2).messages[1].content, /Current summary:\nDecided: dropout 0\.3 after review\./);
+    });
+  });
+
+  describe('GET /api/usage', () => {
+    test('records tokens, model, latency and tool calls of each chat request', async () => {
+      const baseUrl = await boot([
+        { toolCalls: [{ name: 'list_dir', args: {} }], usage: { prompt_tokens: 100, completion_tokens: 5, total_tokens: 105 } },
+        { content: 'Nothing here yet.', usage: { prompt_tokens: 120, completion_tokens: 7, total_tokens: 127 } },
+        { content: 'Hi!', usage: { prompt_tokens: 50, completion_tokens: 2, total_tokens: 52 } }
+      ]);
+      await postJson(baseUrl, '/api/agent/chat', { message: 'What can you do?' }, { 'X-Session-Id': 's1' });
+      await postJson(baseUrl, '/api/agent/chat', { message: 'Hello' }, { 'X-Session-Id': 's2' });
+
+      const all = await (await fetch(`${baseUrl}/api/usage`)).json();
+      assert.deepEqual([all.totals.requests, all.totals.totalTokens, all.totals.toolCalls], [2, 284, 1]);
+      assert.deepEqual(all.sessions.map(s => [s.sessionId, s.totalTokens]), [['s2', 52], ['s1', 232]]);
+      assert.equal(all.days.length, 1);
+      const [latest] = all.requests;
+      assert.deepEqual([latest.route, latest.provider, latest.model, latest.costUsd], ['agent', 'fake', 'fake-model', null]);
+      assert.equal(typeof latest.latencyMs, 'number');
+
+      const s1 = await (await fetch(`${baseUrl}/api/usage?sessionId=s1`)).json();
+      assert.deepEqual([s1.totals.requests, s1.totals.promptTokens, s1.totals.completionTokens], [1, 220, 12]);
+      assert.equal((await fetch(`${baseUrl}/api/usage?from=yesterday`)).status, 400);
+    });
+  });
+
+  describe('POST /api/agent/chat/stream', () => {
+    test('streams tokens and tool events, then a done frame with sources', async () => {
+      const baseUrl = await boot([
+        { toolCalls: [{ id: 'call_1', name: 'list_dir', args: {} }] },
+        'Dropout disables units.'
+      ]);
+      await upload(baseUrl, 'paper.txt', PAPER);
+
+      const res = await postJson(baseUrl, '/api/agent/chat/stream', { message: 'Explain dropout training' });
+      assert.equal(res.headers.get('content-type'), 'text/event-stream');
+      const frames = parseEventStream(await res.text());
+
+      const names = frames.map(f => f.event);
+      assert.deepEqual(names.filter(n => n !== 'token'), ['tool_start', 'tool_end', 'done']);
+      assert.equal(frames.filter(f => f.event === 'token').map(f => f.data.delta).join(''), 'Dropout disables units.');
+
+      const done = frames.at(-1).data;
+      assert.equal(done.response, 'Dropout disables units.');
+      assert.equal(done.sources.length, 1);
+      assert.deepEqual(done.toolCalls, [{ name: 'list_dir', args: {} }]);
+    });
+
+    test('reports failures as an error frame', async () => {
+      const baseUrl = await boot([]); // exhausted script makes the provider throw
+
+      const res = await postJson(baseUrl, '/api/agent/chat/stream', { message: 'hello' });
+      const frames = parseEventStream(await res.text());
+
+      assert.equal(frames.at(-1).event, 'error');
+      assert.match(frames.at(-1).data.error, /script exhausted/);
+    });
+  });
+
+  describe('POST /api/agent/actions/:id', () => {
+    test('waits for approval of file changes and carries on with the decision', async () => {
+      const baseUrl = await boot([
+        { content: 'Creating the file.', toolCalls: [{ name: 'create_latex_file', args: { filename: 'climate.tex', topic: 'climate change' } }] },
+        'I created climate.tex for you.'
+      ]);
+      const headers = { 'X-Session-Id': 's1' };
+
+      const paused = await (await postJson(baseUrl, '/api/agent/chat', { message: 'create an article about climate change', approval: true }, headers)).json();
+      assert.equal(paused.response, 'Creating the file.');
+      assert.deepEqual([paused.pendingAction.tool, paused.pendingAction.filename, paused.pendingAction.create], ['create_latex_file', 'climate.tex', true]);
+      assert.match(paused.pendingAction.diff, /\+\\section\{Introduction\}/);
+      assert.equal(fs.existsSync(path.join(workspace.uploadDir, 'climate.tex')), false);
+
+      const route = `/api/agent/actions/${paused.pendingAction.id}`;
+      assert.equal((await postJson(baseUrl, route, { approved: 'yes' })).status, 400);
+      // Only the session the agent ran in can decide
+      assert.equal((await postJson(baseUrl, route, { approved: true }, { 'X-Session-Id': 's2' })).status, 404);
+      assert.equal((await postJson(baseUrl, route, { approved: true })).status, 404);
+      const frames = parseEventStream(await (await postJson(baseUrl, `${route}/stream`, { approved: true }, headers)).text());
+      assert.deepEqual(frames.map(f => f.event).filter(n => n !== 'token'), ['tool_start', 'tool_end', 'created_file', 'done']);
+      const done = frames.at(-1).data;
+      assert.equal(done.response, 'I created climate.tex for you.');
+      assert.equal(done.pendingAction, undefined);
+      assert.equal(done.createdFiles[0].filename, 'climate.tex');
+      assert.ok(fs.existsSync(path.join(workspace.uploadDir, 'climate.tex')));
+
+      // Decided once; the exchange is saved when the agent answers
+      assert.equal((await postJson(baseUrl, route, { approved: true })).status, 404);
+      const conversation = await (await fetch(`${baseUrl}/api/conversations/s1`)).json();
+      assert.deepEqual(conversation.messages.map(m => m.content), ['create an article about climate change', 'I created climate.tex for you.']);
+    });
+
+    test('saves the turn of a change nobody decided on once it expires', async (t) => {
+      const baseUrl = await boot([
+        { content: 'Creating the file.', toolCalls: [{ name: 'create_latex_file', args: { filename: 'climate.tex', topic: 'climate change' } }] }
+      ]);
+      const headers = { 'X-Session-Id': 's1' };
+      const paused = await (await postJson(baseUrl, '/api/agent/chat', { message: 'create an article about climate change', approval: true }, headers)).json();
+
+      const later = Date.now() + 2 * 60 * 60 * 1000;
+      t.mock.method(Date, 'now', () => later);
+      const res = await postJson(baseUrl, `/api/agent/actions/${paused.pendingAction.id}`, { approved: true }, headers);
+
+      assert.equal(res.status, 404);
+      assert.equal(fs.existsSync(path.join(workspace.uploadDir, 'climate.tex')), false);
+      const conversation = await (await fetch(`${baseUrl}/api/conversations/s1`)).json();
+      assert.equal(conversation.messages[0].content, 'create an article about climate change');
+      assert.match(conversation.messages[1].content, /^Creating the file\.\n\n\(The proposed create_latex_file change to climate\.tex was not decided on and expired/);
+    });
+  });
+
+  describe('POST /api/documents/insert-text', () => {
+    test('inserts a line before the given line', async () => {
+      const baseUrl = await boot([]);
+      fs.writeFileSync(path.join(workspace.uploadDir, 'draft.tex'), 'line one\nline two');
+
+      const res = await postJson(baseUrl, '/api/documents/insert-text', { filename: 'draft.tex', text: 'inserted', line: 2 });
+
+      assert.equal(res.status, 200);
+      assert.equal(fs.readFileSync(path.join(workspace.uploadDir, 'draft.tex'), 'utf8'), 'line one\ninserted\nline two');
+    });
+
+    test('inserts at a column within a line', async () => {
+      const baseUrl = await boot([]);
+      fs.writeFileSync(path.join(workspace.uploadDir, 'draft.tex'), 'hello world');
+
+      await postJson(baseUrl, '/api/documents/insert-text', { filename: 'draft.tex', text: 'big ', line: 1, column: 7 });
+
+      assert.equal(fs.readFileSync(path.join(workspace.uploadDir, 'draft.tex'), 'utf8'), 'hello big world');
+    });
+
+    test('re-indexes an indexed file after the edit', async () => {
+      const baseUrl = await boot([]);
+      const { body } = await upload(baseUrl, 'paper.txt', PAPER);
+
+      const res = await postJson(baseUrl, '/api/documents/insert-text', { filename: body.filename, text: 'Batch normalization was disabled.', line: 1 });
+      const { reindexed } = await res.json();
+
+      assert.deepEqual(reindexed, { docId: body.id, chunks: 1, embedded: 1, reused: 0 });
+      const { results } = await (await fetch(`${baseUrl}/api/documents/search?query=normalization&mode=lexical`)).json();
+      assert.equal(results[0].docId, body.id);
+    });
+
+    test('validates the target file and line', async () => {
+      const baseUrl = await boot([]);
+      fs.writeFileSync(path.join(workspace.uploadDir, 'draft.tex'), 'only line');
+
+      const missing = await postJson(baseUrl, '/api/documents/insert-text', { filename: 'nope.tex', text: 'x', line: 1 });
+      assert.equal(missing.status, 404);
+
+      const beyond = await postJson(baseUrl, '/api/documents/insert-text', { filename: 'draft.tex', text: 'x', line: 5 });
+      assert.equal(beyond.status, 400);
+
+      const traversal = await postJson(baseUrl, '/api/documents/insert-text', { filename: '../index.json', text: 'x', line: 1 });
+      assert.equal(traversal.status, 404);
+    });
+  });
+
+  describe('POST /api/documents/replace-text, apply-patch and delete-range', () => {
+    const DRAFT = 'Title\nThe resutls are good.\nThe results are good.\nDuplicate paragraph.\nDuplicate paragraph.\nEnd';
+    const read = () => fs.readFileSync(path.join(workspace.uploadDir, 'draft.tex'), 'utf8');
+
+    test('replaces a unique excerpt or a line range', async () => {
+      const baseUrl = await boot([]);
+      fs.writeFileSync(path.join(workspace.uploadDir, 'draft.tex'), DRAFT);
+
+      const fixed = await (await postJson(baseUrl, '/api/documents/replace-text', { filename: 'draft.tex', old_text: 'resutls', new_text: 'results' })).json();
+      assert.deepEqual([fixed.success, fixed.additions, fixed.deletions], [true, 1, 1]);
+      assert.equal(read().split('\n')[1], 'The results are good.');
+
+      // Now ambiguous: both lines read the same
+      const ambiguous = await postJson(baseUrl, '/api/documents/replace-text', { filename: 'draft.tex', old_text: 'The results are good.', new_text: 'x' });
+      assert.equal(ambiguous.status, 400);
+      assert.match((await ambiguous.json()).error, /occurs 2 times in draft\.tex \(lines 2, 3\)/);
+      const untargeted = await postJson(baseUrl, '/api/documents/replace-text', { filename: 'draft.tex', new_text: 'x' });
+      assert.equal(untargeted.status, 400);
+      assert.match((await untargeted.json()).error, /^Say what to replace/);
+
+      await postJson(baseUrl, '/api/documents/replace-text', { filename: 'draft.tex', start_line: 2, end_line: 3, new_text: 'Results improved.' });
+      assert.equal(read(), 'Title\nResults improved.\nDuplicate paragraph.\nDuplicate paragraph.\nEnd');
+    });
+
+    test('applies a patch whose context matches and rejects one that does not', async () => {
+      const baseUrl = await boot([]);
+      fs.writeFileSync(path.join(workspace.uploadDir, 'draft.tex'), DRAFT);
+      const patch = '--- a/draft.tex\n+++ b/draft.tex\n@@ -1,3 +1,3 @@\n Title\n-The resutls are good.\n+The results are great.\n The results are good.';
+
+      const res = await postJson(baseUrl, '/api/documents/apply-patch', { filename: 'draft.tex', patch });
+      assert.equal(res.status, 200);
+      assert.equal(read().split('\n')[1], 'The results are great.');
+
+      // Applying it again fails: the removed line is gone
+      const stale = await postJson(baseUrl, '/api/documents/apply-patch', { filename: 'draft.tex', patch });
+      assert.equal(stale.status, 400);
+      assert.match((await stale.json()).error, /Hunk 1 .* does not match the file/);
+    });
+
+    test('deletes a line range and re-indexes the file', async () => {
+      const baseUrl = await boot([]);
+      const { body } = await upload(baseUrl, 'paper.txt', PAPER);
+
+      const res = await postJson(baseUrl, '/api/documents/delete-range', { filename: body.filename, start_line: 3, end_line: 4 });
+      const { reindexed, deletions } = await res.json();
+
+      assert.equal(deletions, 2);
+      assert.equal(reindexed.docId, body.id);
+      const { results } = await (await fetch(`${baseUrl}/api/documents/search?query=dropout&mode=lexical`)).json();
+      assert.deepEqual(results, []);
+      assert.equal((await postJson(baseUrl, '/api/documents/delete-range', { filename: body.filename, start_line: 9 })).status, 400);
+      assert.equal((await postJson(baseUrl, '/api/documents/delete-range', { filename: 'nope.txt', start_line: 1 })).status, 404);
+    });
+  });
+
+  describe('/api/documents/:id/history', () => {
+    test('lists the edits made by the endpoints and the agent, and reverts to a version', async () => {
+      const baseUrl = await boot([
+        { content: '', toolCalls: [{ name: 'replace_text', args: { filename: 'draft.tex', old_text: 'draft', new_text: 'final' } }] },
+        'Done.'
+      ]);
+      const filePath = path.join(workspace.uploadDir, 'draft.tex');
+      fs.writeFileSync(filePath, 'A draft.');
+
+      await postJson(baseUrl, '/api/documents/insert-text', { filename: 'draft.tex', text: 'Intro', line: 1, reason: 'AI insertion' });
+      await postJson(baseUrl, '/api/agent/chat', { message: 'replace draft with final in draft.tex' }, { 'X-Session-Id': 's1' });
+      assert.equal(fs.readFileSync(filePath, 'utf8'), 'Intro\nA final.');
+
+      const history = await (await fetch(`${baseUrl}/api/documents/draft.tex/history`)).json();
+      assert.equal(history.currentVersion, 2);
+      assert.deepEqual(history.versions.map(v => [v.version, v.actor, v.operation, v.reason, v.sessionId]), [
+        [1, 'user', 'insert_text', 'AI insertion', undefined],
+        [2, 'agent', 'replace_text', 'AI replacement', 's1']
+      ]);
+      const original = await (await fetch(`${baseUrl}/api/documents/draft.tex/history/0`)).json();
+      assert.equal(original.content, 'A draft.');
+
+      const reverted = await (await postJson(baseUrl, '/api/documents/draft.tex/revert/1', {})).json();
+      assert.deepEqual([reverted.version, reverted.content], [3, 'Intro\nA draft.']);
+      assert.equal(fs.readFileSync(filePath, 'utf8'), 'Intro\nA draft.');
+      const latest = (await (await fetch(`${baseUrl}/api/documents/draft.tex/history`)).json()).versions.at(-1);
+      assert.deepEqual([latest.operation, latest.revertedTo, latest.reason], ['revert', 1, 'Reverted to version 1']);
+
+      assert.equal((await postJson(baseUrl, '/api/documents/draft.tex/revert/9', {})).status, 404);
+      assert.equal((await fetch(`${baseUrl}/api/documents/nope.tex/history`)).status, 404);
+    });
+
+    test('finds indexed documents by id and forgets the history of deleted ones', async () => {
+      const baseUrl = await boot([]);
+      const { body } = await upload(baseUrl, 'paper.txt', PAPER);
+      await postJson(baseUrl, '/api/documents/delete-range', { filename: body.filename, start_line: 1 });
+
+      const history = await (await fetch(`${baseUrl}/api/documents/${body.id}/history`)).json();
+      assert.deepEqual([history.filename, history.docId, history.versions.length], [body.filename, body.id, 1]);
+
+      await fetch(`${baseUrl}/api/documents/${body.id}`, { method: 'DELETE' });
+      assert.equal((await fetch(`${baseUrl}/api/documents/${body.filename}/history`)).status, 404);
+    });
+
+    test('forgets the history of a file replaced by a new upload', async () => {
+      const baseUrl = await boot([]);
+      const { body: first } = await upload(baseUrl, 'notes.md', '# Notes\nFirst draft.');
+      await postJson(baseUrl, '/api/documents/delete-range', { filename: first.filename, start_line: 2 });
+      assert.equal((await fetch(`${baseUrl}/api/documents/${first.filename}/history`)).status, 200);
+
+      const { body: second } = await upload(baseUrl, 'notes.md', '# Notes\nSecond draft.');
+      assert.notEqual(second.filename, first.filename);
+      assert.equal((await fetch(`${baseUrl}/api/documents/${first.filename}/history`)).status, 404);
+      assert.deepEqual(fs.readdirSync(path.join(workspace.dataDir, 'history', 'blobs')), []);
+    });
+  });
+
+  describe('POST /api/latex/compile', () => {
+    test('returns the PDF, log and diagnostics of a compile', async () => {
+      const sources = [];
+      const baseUrl = await boot([], {
+        latexCompiler: {
+          engine: { command: '/usr/bin/pdflatex', kind: 'latex' },
+          compile: async (source) => {
+            sources.push(source);
+            return {
+              success: false,
+              pdf: Buffer.from('%PDF-1.5'),
+              log: './main.tex:3: Undefined control sequence.',
+              diagnostics: [{ severity: 'error', message: 'Undefined control sequence.', line: 3, file: null }],
+              engine: 'pdflatex',
+              durationMs: 5
+            };
+          }
+        }
+      });
+
+      const result = await (await postJson(baseUrl, '/api/latex/compile', { source: '\\documentclass{article}' })).json();
+
+      assert.deepEqual(sources, ['\\documentclass{article}']);
+      assert.equal(Buffer.from(result.pdf, 'base64').toString(), '%PDF-1.5');
+      assert.deepEqual(result.diagnostics, [{ severity: 'error', message: 'Undefined control sequence.', line: 3, file: null }]);
+      assert.equal((await postJson(baseUrl, '/api/latex/compile', {})).status, 400);
+    });
+
+    test('answers 503 when no TeX engine is installed', async () => {
+      const baseUrl = await boot([], { latexCompiler: { engine: null, compile: async () => assert.fail('not compiled') } });
+
+      const res = await postJson(baseUrl, '/api/latex/compile', { source: 'x' });
+
+      assert.equal(res.status, 503);
+      assert.match((await res.json()).error, /No TeX engine found/);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { ConversationStore } from '../lib/conversations.js';
+import { ConversationSummarizer } from '../lib/summarizer.js';
+import { createFakeProvider } from '../lib/providers/fake.js';
+import { createTempWorkspace, quietConsole } from './helpers.js';
+
+describe('ConversationSummarizer', () => {
+  let workspace;
+  let store;
+
+  // Each turn is 20 tokens: two 40-character messages
+  const addTurns = (id, count) => {
+    const start = (store.get(id)?.messageCount || 0) / 2;
+    for (let i = start; i < start + count; i++) {
+      store.append(id, { content: `question ${i}`.padEnd(40, '.') }, { content: `answer ${i}`.padEnd(40, '.') });
+    }
+  };
+
+  beforeEach((t) => {
+    quietConsole(t);
+    workspace = createTempWorkspace();
+    store = new ConversationStore(path.join(workspace.dataDir, 'conversations.jsonl'));
+  });
+
+  afterEach(() => workspace.cleanup());
+
+  test('folds older turns into a running summary once the history is over budget', async () => {
+    const summarizer = new ConversationSummarizer({ conversationStore: store, tokenBudget: 50, keepRecent: 2 });
+    const provider = createFakeProvider({ script: ['Discussed questions 0-1.', 'Discussed questions 0-3.'] });
+
+    addTurns('s1', 2);
+    assert.equal(summarizer.needsSummary('s1'), false);
+    addTurns('s1', 1);
+    assert.equal(summarizer.needsSummary('s1'), true);
+
+    const [first, second] = await Promise.all([summarizer.summarize('s1', { provider }), summarizer.summarize('s1', { provider })]);
+    assert.equal(first, second);
+    assert.equal(provider.calls.length, 1);
+    assert.deepEqual([first.content, first.through, first.edited], ['Discussed questions 0-1.', 4, false]);
+    assert.deepEqual(store.getHistory('s1').map(m => m.role), ['system', 'user', 'assistant']);
+    assert.match(store.getHistory('s1')[0].content, /Discussed questions 0-1\./);
+
+    addTurns('s1', 2);
+    await summarizer.summarize('s1', { provider });
+    assert.match(provider.calls[1].messages[1].content, /Current summary:\nDiscussed questions 0-1\.\n\nNew messages:\nUser: question 2/);
+    assert.equal(store.get('s1').summary.through, 8);
+    assert.equal(new ConversationStore(store.filePath).get('s1').summary.content, 'Discussed questions 0-3.');
+  });
+
+  test('keeps a summary the user edited while it was being regenerated', async () => {
+    const summarizer = new ConversationSummarizer({ conversationStore: store, tokenBudget: 10, keepRecent: 2 });
+    const provider = createFakeProvider({
+      script: [() => {
+        store.setSummary('s1', 'Edited by the user.', { edited: true });
+        return 'Generated.';
+      }]
+    });
+    addTurns('s1', 3);
+
+    assert.equal(await summarizer.summarize('s1', { provider }), null);
+    assert.equal(store.get('s1').summary.content, 'Edited by the user.');
+  });
+});
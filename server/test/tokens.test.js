@@ -0,0 +1,40 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { modelProfile, countTokens, countMessageTokens, truncateToTokens } from '../lib/tokens.js';
+
+describe('tokens', () => {
+  afterEach(() => {
+    delete process.env.LLM_CONTEXT_TOKENS;
+  });
+
+  test('knows the context window of each model family', () => {
+    assert.equal(modelProfile('llama3-70b-8192').contextTokens, 8192);
+    assert.equal(modelProfile('llama-3.1-70b-versatile').contextTokens, 131072);
+    assert.equal(modelProfile('mixtral-8x7b-32768').contextTokens, 32768);
+    assert.equal(modelProfile('some-local-model').contextTokens, 8192);
+
+    process.env.LLM_CONTEXT_TOKENS = '4096';
+    assert.equal(modelProfile('llama-3.1-70b-versatile').contextTokens, 4096);
+  });
+
+  test('counts message content, tool calls and per-message overhead', () => {
+    assert.equal(countTokens('x'.repeat(40)), 10);
+    assert.equal(countTokens(''), 0);
+    const toolCalls = [{ id: 'c1', type: 'function', function: { name: 'list_dir', arguments: '{}' } }];
+    assert.equal(
+      countMessageTokens([{ role: 'user', content: 'x'.repeat(40) }, { role: 'assistant', content: null, tool_calls: toolCalls }]),
+      4 + 10 + 4 + countTokens(JSON.stringify(toolCalls))
+    );
+  });
+
+  test('keeps the beginning and end of truncated text', () => {
+    const text = `${'a'.repeat(400)}${'b'.repeat(400)}`;
+    assert.deepEqual(truncateToTokens(text, 500), { text, tokens: 200, truncated: false });
+
+    const result = truncateToTokens(text, 50, undefined, '[cut]');
+    assert.equal(result.truncated, true);
+    assert.equal(result.tokens, 200);
+    assert.match(result.text, /^a+\n\[cut\]\nb+$/);
+    assert.ok(countTokens(result.text) <= 50);
+  });
+});
@@ -0,0 +1,41 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { TransientStore } from '../lib/transientStore.js';
+import { hashEmbed } from './helpers.js';
+
+const segment = (text, lineStart = 1) => ({ text, lineStart, lineEnd: lineStart });
+
+describe('TransientStore', () => {
+  test('searches only the requested documents and reuses a document attached twice', async () => {
+    const store = new TransientStore({ embed: hashEmbed });
+    const a = await store.add('s1', { filename: 'a.md', contentHash: 'h1', segments: [segment('graphene conductivity'), segment('protein folding', 2)] });
+    const b = await store.add('s1', { filename: 'b.md', contentHash: 'h2', segments: [segment('graphene sheets')] });
+
+    assert.equal(await store.add('s1', { filename: 'a.md', contentHash: 'h1', segments: [] }), a);
+    assert.notEqual(await store.add('s2', { filename: 'a.md', contentHash: 'h1', segments: [segment('graphene conductivity')] }), a);
+
+    const hits = await store.search('protein folding', 5, [a]);
+    assert.deepEqual(hits.map(h => [h.docId, h.lineStart]), [[a, 2], [a, 1]]);
+    assert.ok(hits[0].score > 0.99);
+    assert.equal('vector' in hits[0], false);
+    assert.deepEqual((await store.search('graphene', 5, [b])).map(h => h.filename), ['b.md']);
+  });
+
+  test('evicts documents left unused for the TTL and clears whole sessions', async () => {
+    let now = 0;
+    const store = new TransientStore({ embed: hashEmbed, ttlMs: 1000, now: () => now });
+    const a = await store.add('s1', { filename: 'a.md', contentHash: 'h1', segments: [segment('alpha')] });
+    const b = await store.add('s1', { filename: 'b.md', contentHash: 'h2', segments: [segment('beta')] });
+
+    now = 800;
+    await store.search('alpha', 1, [a]); // using a document extends its lifetime
+    await store.add('s2', { filename: 'c.md', contentHash: 'h3', segments: [segment('gamma')] });
+    now = 1500;
+    assert.equal(store.has(a), true);
+    assert.equal(store.has(b), false);
+
+    assert.equal(store.clearSession('s1'), 1);
+    assert.equal(store.has(a), false);
+    assert.equal(store.size, 1);
+  });
+});
@@ -0,0 +1,47 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { UsageLog, estimateCost } from '../lib/usage.js';
+import { createTempWorkspace } from './helpers.js';
+
+describe('UsageLog', () => {
+  let workspace;
+  let filePath;
+  let now;
+
+  beforeEach(() => {
+    workspace = createTempWorkspace();
+    filePath = path.join(workspace.dataDir, 'usage.jsonl');
+    now = Date.UTC(2024, 4, 1, 23, 0);
+  });
+
+  afterEach(() => workspace.cleanup());
+
+  test('prices known models and leaves unknown ones unpriced', () => {
+    assert.equal(estimateCost('llama-3.1-70b-versatile', 1e6, 1e6), 0.59 + 0.79);
+    assert.equal(estimateCost('llama3.1', 1000, 1000), null);
+  });
+
+  test('aggregates requests per session and per day and survives a restart', () => {
+    const log = new UsageLog(filePath, { now: () => now });
+    const usage = { prompt_tokens: 1000, completion_tokens: 200, total_tokens: 1200 };
+    log.record({ sessionId: 's1', route: 'agent', provider: 'groq', model: 'llama-3.1-70b-versatile', usage, latencyMs: 300, toolCalls: 2 });
+    now += 2 * 60 * 60 * 1000; // next day
+    log.record({ sessionId: 's2', route: 'rag', provider: 'local', model: 'llama3.1', usage, latencyMs: 100 });
+    log.record({ sessionId: 's1', route: 'summary', provider: 'groq', model: 'llama-3.1-70b-versatile', usage: { prompt_tokens: 500, completion_tokens: 100 }, latencyMs: 200 });
+
+    const summary = new UsageLog(filePath).summary();
+    assert.deepEqual(summary.totals, {
+      requests: 3, promptTokens: 2500, completionTokens: 500, totalTokens: 3000, toolCalls: 2, avgLatencyMs: 200,
+      costUsd: (1500 * 0.59 + 300 * 0.79) / 1e6
+    });
+    assert.deepEqual(summary.sessions.map(s => [s.sessionId, s.requests, s.totalTokens]), [['s1', 2, 1800], ['s2', 1, 1200]]);
+    assert.deepEqual(summary.days.map(d => [d.day, d.requests]), [['2024-05-02', 2], ['2024-05-01', 1]]);
+    assert.deepEqual(summary.requests.map(r => r.route), ['summary', 'rag', 'agent']);
+    assert.equal(summary.requests[1].costUsd, null);
+
+    const s1 = log.summary({ sessionId: 's1', from: '2024-05-02', limit: 5 });
+    assert.deepEqual([s1.totals.requests, s1.totals.totalTokens], [1, 600]);
+    assert.equal(log.summary({ to: '2024-04-30' }).totals.requests, 0);
+  });
+});
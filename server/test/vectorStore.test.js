@@ -0,0 +1,233 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { VectorStore } from '../lib/vectorStore.js';
+import { HnswIndex } from '../lib/hnsw.js';
+import { createTempWorkspace, hashEmbed, quietConsole } from './helpers.js';
+
+const storeFiles = (workspace) => {
+  const dir = path.join(workspace.dataDir, 'index');
+  return {
+    meta: path.join(dir, 'meta.json'),
+    vectors: path.join(dir, 'vectors.f32'),
+    graph: path.join(dir, 'hnsw.bin')
+  };
+};
+
+const segment = (text, lineStart = 1) => ({ text, lineStart, lineEnd: lineStart });
+
+describe('VectorStore', () => {
+  let workspace;
+
+  beforeEach((t) => {
+    quietConsole(t);
+    workspace = createTempWorkspace();
+  });
+
+  afterEach(() => workspace.cleanup());
+
+  test('persists chunks as metadata plus a Float32 vector file and reloads them', async () => {
+    const store = workspace.createVectorStore();
+    await store.indexDocument({ id: 'a', filename: 'a.txt', segments: [segment('graphene conductivity'), segment('protein folding', 2)] });
+    await store.indexDocument({ id: 'b', filename: 'b.txt', segments: [segment('ocean currents')] });
+
+    const files = storeFiles(workspace);
+    assert.equal(fs.statSync(files.vectors).size, 3 * 64 * 4);
+    const meta = JSON.parse(fs.readFileSync(files.meta, 'utf8'));
+    assert.equal(meta.dims, 64);
+    assert.deepEqual(meta.chunks.map(c => c.slot), [0, 1, 2]);
+    assert.ok(meta.chunks.every(c => !('embedding' in c)));
+    assert.ok(fs.existsSync(files.graph));
+
+    const reloaded = workspace.createVectorStore();
+    assert.equal(reloaded.countDocuments(), 2);
+    const [hit] = await reloaded.search('protein folding', 1);
+    assert.equal(hit.docId, 'a');
+    assert.equal(hit.lineStart, 2);
+    assert.ok(hit.score > 0.99);
+  });
+
+  test('restricts search to the given documents', async () => {
+    const store = workspace.createVectorStore();
+    await store.indexDocument({ id: 'a', filename: 'a.txt', segments: [segment('graphene conductivity')] });
+    await store.indexDocument({ id: 'b', filename: 'b.txt', segments: [segment('graphene sheets')] });
+
+    const hits = await store.search('graphene conductivity', 5, ['b']);
+    assert.deepEqual(hits.map(h => h.docId), ['b']);
+  });
+
+  test('finds exact identifiers lexically that the embedding misses and fuses both rankings', async () => {
+    // An embedder that ignores anything containing a digit, like a model that has no feel for cell references
+    const embed = (text) => hashEmbed(String(text).replace(/\S*\d\S*/g, ''));
+    const store = new VectorStore(workspace.indexPath, { embed });
+    await store.indexDocument({ id: 'sheet', filename: 'sheet.xlsx', segments: [
+      segment('Total revenue is in cell B12'),
+      segment('Revenue grew and revenue is reported yearly', 2),
+      segment('Costs are listed in cell C4', 3)
+    ] });
+
+    const lexical = await store.search('B12', 3, undefined, { mode: 'lexical' });
+    assert.deepEqual(lexical.map(h => h.lineStart), [1]);
+
+    const semantic = await store.search('revenue B12', 1, undefined, { mode: 'semantic' });
+    assert.equal(semantic[0].lineStart, 2);
+
+    const hybrid = await store.search('revenue B12', 2);
+    assert.deepEqual(hybrid.map(h => h.lineStart).sort(), [1, 2]);
+    const cell = hybrid.find(h => h.lineStart === 1);
+    assert.ok(cell.lexicalScore > 0);
+    assert.ok(cell.lexicalCoverage > 0.5);
+    assert.ok(cell.fusedScore > 0);
+    assert.equal(typeof cell.score, 'number');
+
+    await assert.rejects(store.search('revenue', 1, undefined, { mode: 'fuzzy' }), /Unknown search mode/);
+  });
+
+  test('deletes documents and compacts the vector file once enough rows are dead', async () => {
+    const store = workspace.createVectorStore();
+    await store.indexDocument({ id: 'a', filename: '1-a.txt', segments: [segment('alpha')] });
+    await store.indexDocument({ id: 'b', filename: '2-b.txt', segments: [segment('beta'), segment('gamma', 2), segment('delta', 3)] });
+
+    assert.equal(await store.deleteDocument('a'), true);
+    // One dead row out of four is exactly the compaction threshold
+    assert.equal(store.vectorCount, 3);
+    assert.deepEqual(store.index.chunks.map(c => c.slot), [0, 1, 2]);
+    assert.equal(fs.statSync(storeFiles(workspace).vectors).size, 3 * 64 * 4);
+
+    assert.equal(await store.deleteByFilename('2-b.txt'), true);
+    assert.equal(await store.deleteDocument('missing'), false);
+    assert.deepEqual(await store.search('beta', 3), []);
+    assert.deepEqual(await store.search('beta', 3, undefined, { mode: 'lexical' }), []);
+
+    const reloaded = workspace.createVectorStore();
+    assert.equal(reloaded.countDocuments(), 0);
+  });
+
+  test('clear() empties the store on disk', async () => {
+    const store = workspace.createVectorStore();
+    await store.indexDocument({ id: 'a', filename: 'a.txt', segments: [segment('alpha')] });
+    store.clear();
+
+    assert.equal(fs.statSync(storeFiles(workspace).vectors).size, 0);
+    assert.equal(workspace.createVectorStore().countDocuments(), 0);
+  });
+
+  test('migrates a legacy index.json with inline embeddings', async () => {
+    const embedding = await hashEmbed('legacy paper about lasers');
+    fs.writeFileSync(workspace.indexPath, JSON.stringify({
+      documents: { old: { id: 'old', filename: '1-old.txt', createdAt: 1 } },
+      chunks: [{ docId: 'old', filename: '1-old.txt', text: 'legacy paper about lasers', page: null, lineStart: 1, lineEnd: 4, embedding }]
+    }, null, 2));
+
+    const store = workspace.createVectorStore();
+    assert.equal(fs.existsSync(workspace.indexPath), false);
+    assert.ok(fs.existsSync(`${workspace.indexPath}.migrated`));
+    assert.equal(fs.statSync(storeFiles(workspace).vectors).size, 64 * 4);
+
+    const [hit] = await store.search('legacy paper about lasers', 1);
+    assert.equal(hit.docId, 'old');
+    assert.equal(hit.lineEnd, 4);
+    assert.equal('embedding' in hit, false);
+  });
+
+  test('re-indexing a document embeds only chunks whose text changed', async () => {
+    const embedded = [];
+    const store = new VectorStore(workspace.indexPath, { embed: (text) => { embedded.push(text); return hashEmbed(text); } });
+    await store.indexDocument({ id: 'a', filename: 'a-v1.txt', segments: [segment('alpha intro'), segment('beta methods', 2), segment('gamma results', 3)] });
+    const createdAt = store.index.documents.a.createdAt;
+    embedded.length = 0;
+
+    const stats = await store.indexDocument({
+      id: 'a',
+      filename: 'a-v2.txt',
+      segments: [segment('alpha intro'), segment('beta methods revised', 2), segment('gamma results', 3)],
+      metadata: { version: 2 }
+    });
+
+    assert.deepEqual(stats, { chunks: 3, embedded: 1, reused: 2 });
+    assert.deepEqual(embedded, ['beta methods revised']);
+    assert.equal(store.index.chunks.length, 3);
+    assert.ok(store.index.chunks.every(c => c.filename === 'a-v2.txt' && c.hash));
+    assert.equal(store.index.documents.a.createdAt, createdAt);
+    assert.equal(store.index.documents.a.version, 2);
+    assert.deepEqual((await store.search('beta methods', 5, undefined, { mode: 'lexical' })).map(h => h.text), ['beta methods revised']);
+
+    const reloaded = workspace.createVectorStore();
+    const [hit] = await reloaded.search('gamma results', 1);
+    assert.equal(hit.filename, 'a-v2.txt');
+    assert.ok(hit.score > 0.99);
+  });
+
+  test('re-indexing stays consistent when a compaction runs while it embeds', async () => {
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const store = new VectorStore(workspace.indexPath, {
+      embed: async (text) => {
+        if (text === 'epsilon') await gate;
+        return hashEmbed(text);
+      }
+    });
+    await store.indexDocument({ id: 'a', filename: 'a.txt', segments: [segment('alpha'), segment('alpha two', 2)] });
+    await store.indexDocument({ id: 'b', filename: 'b.txt', segments: [segment('beta'), segment('gamma', 2)] });
+
+    // b keeps "beta" (slot 2) and waits on "epsilon"; replacing a meanwhile leaves two dead rows
+    // out of five, so the store compacts and "beta" moves to slot 0
+    const reindexB = store.indexDocument({ id: 'b', filename: 'b.txt', segments: [segment('beta'), segment('epsilon', 2)] });
+    await store.indexDocument({ id: 'a', filename: 'a.txt', segments: [segment('zeta')] });
+    assert.equal(store.vectorCount, 3);
+    release();
+    assert.deepEqual(await reindexB, { chunks: 2, embedded: 1, reused: 1 });
+
+    for (const text of ['beta', 'epsilon', 'zeta']) {
+      const [hit] = await store.search(text, 1, undefined, { mode: 'semantic' });
+      assert.equal(hit.text, text);
+      assert.ok(hit.score > 0.99);
+      assert.deepEqual((await store.search(text, 5, undefined, { mode: 'lexical' })).map(h => h.text), [text]);
+    }
+    assert.deepEqual(await store.search('gamma', 5, undefined, { mode: 'lexical' }), []);
+  });
+
+  test('rebuilds a missing graph file from the vectors', async () => {
+    const store = workspace.createVectorStore();
+    await store.indexDocument({ id: 'a', filename: 'a.txt', segments: [segment('alpha'), segment('beta', 2)] });
+    fs.rmSync(storeFiles(workspace).graph);
+
+    const reloaded = workspace.createVectorStore();
+    assert.equal(reloaded.graph.size, 2);
+    assert.ok(fs.existsSync(storeFiles(workspace).graph));
+  });
+
+  test('uses the HNSW graph for large collections with results close to an exact scan', async () => {
+    const words = Array.from({ length: 40 }, (_, i) => `term${i}`);
+    const segments = Array.from({ length: 600 }, (_, i) =>
+      segment(`${words[i % 40]} ${words[(i * 7) % 40]} ${words[(i * 13) % 40]} doc${i}`, i + 1));
+    const store = new VectorStore(workspace.indexPath, { embed: hashEmbed, hnsw: { efConstruction: 64 } });
+    await store.indexDocument({ id: 'big', filename: 'big.txt', segments });
+
+    let overlap = 0;
+    for (const query of ['term3 term21', 'term7 term9 term30', 'term12']) {
+      const approximate = await store.search(query, 10);
+      const q = await hashEmbed(query);
+      const exact = store.index.chunks
+        .map(ch => q.reduce((sum, v, i) => sum + v * store._vector(ch.slot)[i], 0))
+        .sort((a, b) => b - a);
+      // Many chunks tie on score, so count hits that are as good as the exact tenth best
+      overlap += approximate.filter(h => h.score >= exact[9] - 1e-6).length;
+    }
+    assert.ok(overlap / 30 >= 0.8, `recall ${overlap / 30}`);
+  });
+});
+
+describe('HnswIndex', () => {
+  test('serializes and reloads its graph', () => {
+    const vectors = [[1, 0], [0, 1], [Math.SQRT1_2, Math.SQRT1_2]].map(v => Float32Array.from(v));
+    const graph = new HnswIndex({ getVector: (slot) => vectors[slot] });
+    vectors.forEach((_, slot) => graph.add(slot));
+
+    const copy = new HnswIndex({ getVector: (slot) => vectors[slot] });
+    assert.equal(copy.load(graph.serialize()), true);
+    assert.deepEqual(copy.search(Float32Array.from([1, 0]), 1), [{ slot: 0, score: 1 }]);
+    assert.equal(copy.search(Float32Array.from([1, 0]), 3, { filter: (slot) => slot !== 0 })[0].slot, 2);
+  });
+});
@@ -1,10 +1,35 @@
-import { FileText, ZoomIn, ZoomOut } from 'lucide-react';
+import { FileText, ZoomIn, ZoomOut, Gauge } from 'lucide-react';
 import { useFileSystemStore } from '../stores/fileSystemStore';
-import { useState } from 'react';
+import { useChatStore } from '../stores/chatStore';
+import { getUsage, UsageTotals } from '../services/api';
+import { useEffect, useState } from 'react';
+
+const formatTokens = (tokens: number) =>
+  tokens >= 1000 ? `${(tokens / 1000).toFixed(tokens >= 10000 ? 0 : 1)}k` : String(tokens);
+
+const formatCost = (usd: number) => (usd > 0 && usd < 0.01 ? '<$0.01' : `$${usd.toFixed(2)}`);
 
 export const BottomBar = () => {
   const { activeFileId, getFileById, getFilePath } = useFileSystemStore();
   const [zoom, setZoom] = useState(100);
+  const { isTyping, conversationId } = useChatStore(state => ({
+    isTyping: state.isTyping,
+    conversationId: state.conversationId,
+  }));
+  const [usage, setUsage] = useState<{ chat: UsageTotals; today: UsageTotals } | null>(null);
+
+  // Refresh once each answer has finished and when switching conversations
+  useEffect(() => {
+    if (isTyping) return;
+    let cancelled = false;
+    const today = new Date().toISOString().slice(0, 10);
+    Promise.all([getUsage({ sessionId: conversationId }), getUsage({ from: today })])
+      .then(([chat, day]) => {
+        if (!cancelled) setUsage({ chat: chat.totals, today: day.totals });
+      })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [isTyping, conversationId]);
   
   const activeFile = activeFileId ? getFileById(activeFileId) : null;
   const filePath = activeFileId ? getFilePath(activeFileId) : '';
@@ -39,6 +64,24 @@ export const BottomBar = () => {
       </div>
 
       <div className="flex items-center gap-3">
+        {usage && usage.today.requests > 0 && (
+          <>
+            <div
+              className="flex items-center gap-1"
+              title={[
+                `This chat: ${usage.chat.requests} requests, ${usage.chat.promptTokens} prompt + ${usage.chat.completionTokens} completion tokens, ${formatCost(usage.chat.costUsd)}`,
+                `Today (UTC): ${usage.today.requests} requests, ${usage.today.totalTokens} tokens, ${formatCost(usage.today.costUsd)}, ${usage.today.avgLatencyMs} ms average`,
+              ].join('\n')}
+            >
+              <Gauge size={14} />
+              <span>{formatTokens(usage.chat.totalTokens)} tokens this chat</span>
+              <span>•</span>
+              <span>{formatTokens(usage.today.totalTokens)} today ({formatCost(usage.today.costUsd)})</span>
+            </div>
+            <span>•</span>
+          </>
+        )}
+
         <div className="flex items-center gap-2">
           <button
             onClick={handleZoomOut}
@@ -1,13 +1,179 @@
 import { useState, useRef, useEffect } from 'react';
-import { Send, Paperclip, X, Bot, User, Loader2, FileText, Plus } from 'lucide-react';
+import { Send, Paperclip, X, Bot, User, Loader2, FileText, Plus, Wrench, Check, AlertCircle, MessageSquare, Pencil, Trash2, PanelLeft, ScrollText, ChevronDown, ChevronRight, ShieldCheck, ShieldAlert, FileDiff } from 'lucide-react';
 import { useChatStore } from '../stores/chatStore';
-import { newSession, resetSession } from '../services/api';
+import { ConversationSummary } from '../services/api';
 import { useFileSystemStore } from '../stores/fileSystemStore';
+import { useViewerStore } from '../stores/viewerStore';
 import ReactMarkdown from 'react-markdown';
 import { formatDate } from '../lib/fileUtils';
-import { ChatMessage } from '../types';
+import { ChatMessage, ToolActivity, Citation, Grounding, GroundedClaim, PendingAction } from '../types';
 import { InsertSuggestion } from './InsertSuggestion';
 
+const summarizeToolArgs = (args?: Record<string, unknown>) => {
+  if (!args) return '';
+  const primary = args.filename ?? args.file_path ?? args.pattern ?? args.target_directory ?? args.topic;
+  return typeof primary === 'string' ? primary : '';
+};
+
+const ToolActivityList = ({ activity }: { activity: ToolActivity[] }) => (
+  <div className="mb-2 space-y-1">
+    {activity.map((tool) => (
+      <details key={tool.id} className="text-xs rounded-md bg-gray-100 dark:bg-gray-800 border border-gray-200 dark:border-gray-700">
+        <summary className="flex items-center gap-2 px-2 py-1 cursor-pointer select-none text-gray-700 dark:text-gray-300">
+          {tool.status === 'running' && <Loader2 size={12} className="animate-spin text-primary" />}
+          {tool.status === 'done' && <Check size={12} className="text-green-600 dark:text-green-400" />}
+          {tool.status === 'error' && <AlertCircle size={12} className="text-red-600 dark:text-red-400" />}
+          <Wrench size={12} className="text-gray-500" />
+          <span className="font-mono">{tool.name}</span>
+          {summarizeToolArgs(tool.args) && (
+            <span className="truncate text-gray-500 dark:text-gray-400">{summarizeToolArgs(tool.args)}</span>
+          )}
+          {tool.truncated && (
+            <span
+              className="ml-auto flex-shrink-0 text-amber-700 dark:text-amber-300"
+              title="Too large for the model: only the beginning and end were read"
+            >
+              truncated
+            </span>
+          )}
+        </summary>
+        {tool.output && (
+          <pre className="px-2 pb-2 whitespace-pre-wrap break-words text-[10px] text-gray-600 dark:text-gray-400 max-h-40 overflow-y-auto">
+            {tool.output}
+          </pre>
+        )}
+      </details>
+    ))}
+  </div>
+);
+
+const diffLineClass = (line: string) => {
+  if (line.startsWith('+++') || line.startsWith('---')) return 'text-gray-500 dark:text-gray-400';
+  if (line.startsWith('@@')) return 'text-blue-600 dark:text-blue-400';
+  if (line.startsWith('+')) return 'bg-green-100 dark:bg-green-900/40 text-green-800 dark:text-green-300';
+  if (line.startsWith('-')) return 'bg-red-100 dark:bg-red-900/40 text-red-800 dark:text-red-300';
+  return 'text-gray-600 dark:text-gray-400';
+};
+
+// File change the agent paused for, with its diff; the agent carries on once the user decides
+const PendingActionCard = ({ messageId, action }: { messageId: string; action: PendingAction }) => {
+  const { decideAction, isTyping } = useChatStore(state => ({ decideAction: state.decideAction, isTyping: state.isTyping }));
+  const filename = action.filename.replace(/^\d{10,}-/, '');
+
+  return (
+    <div className="mb-2 rounded-md border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-900 text-xs">
+      <div className="flex items-center gap-2 px-2 py-1 border-b border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300">
+        <FileDiff size={12} className="text-primary flex-shrink-0" />
+        <span className="truncate">{action.create ? 'Create' : 'Change'} <span className="font-mono">{filename}</span></span>
+        <span className="ml-auto flex-shrink-0 font-mono">
+          <span className="text-green-700 dark:text-green-400">+{action.additions}</span>{' '}
+          <span className="text-red-700 dark:text-red-400">-{action.deletions}</span>
+        </span>
+      </div>
+      <pre className="px-2 py-1 max-h-60 overflow-auto text-[10px] leading-4 font-mono">
+        {action.diff.split('\n').map((line, i) => (
+          <div key={i} className={`whitespace-pre ${diffLineClass(line)}`}>{line || ' '}</div>
+        ))}
+      </pre>
+      <div className="flex items-center gap-2 px-2 py-1 border-t border-gray-200 dark:border-gray-700">
+        {action.decision === 'expired' ? (
+          <span className="text-amber-700 dark:text-amber-400">Not applied: {action.error || 'the change is no longer waiting for a decision'}</span>
+        ) : action.decision ? (
+          <span className={action.decision === 'approved' ? 'text-green-700 dark:text-green-400' : 'text-gray-500 dark:text-gray-400'}>
+            {action.decision === 'approved' ? 'Approved' : 'Rejected'}
+          </span>
+        ) : (
+          <>
+            <button
+              onClick={() => decideAction(messageId, true)}
+              disabled={isTyping}
+              className="flex items-center gap-1 px-2 py-0.5 rounded bg-primary text-white hover:bg-primary-dark disabled:opacity-50"
+            >
+              <Check size={12} />
+              Approve
+            </button>
+            <button
+              onClick={() => decideAction(messageId, false)}
+              disabled={isTyping}
+              className="flex items-center gap-1 px-2 py-0.5 rounded bg-gray-100 dark:bg-gray-800 hover:bg-gray-200 dark:hover:bg-gray-700 disabled:opacity-50"
+            >
+              <X size={12} />
+              Reject
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Turn the "[n]" markers of resolved citations into links that render as superscripts; code is left alone.
+// Links also carry the marker's position, which the grounding check uses to flag claims.
+const linkCitations = (content: string, citations?: Citation[]) => {
+  if (!citations?.length) return content;
+  let position = 0;
+  return content
+    .split(/(```[\s\S]*?```|`[^`\n]*`)/)
+    .map((part, i) => (i % 2 === 1 ? part : part.replace(/\[(\d+)\](?!\()/g, (marker, n) => {
+      const index = position++;
+      return citations.some(c => c.n === Number(n)) ? `[${n}](#cite-${n}-${index})` : marker;
+    })))
+    .join('');
+};
+
+const describeCitation = (citation: Citation) => [
+  citation.filename.replace(/^\d{10,}-/, ''),
+  citation.page && `p. ${citation.page}${citation.pageEnd && citation.pageEnd !== citation.page ? `–${citation.pageEnd}` : ''}`,
+  citation.sheet && `sheet ${citation.sheet}`,
+  citation.lineStart && `lines ${citation.lineStart}-${citation.lineEnd ?? citation.lineStart}`,
+].filter(Boolean).join(', ');
+
+const GROUNDING_LABELS: Record<GroundedClaim['status'], string> = {
+  supported: 'Found in the cited passage',
+  unsupported: 'Not found in the cited passage',
+  miscited: 'Supported by a different source',
+};
+
+const GroundingSummary = ({ grounding }: { grounding: Grounding }) => {
+  const flagged = grounding.claims.filter(c => c.status !== 'supported');
+  const percent = Math.round((grounding.score ?? 0) * 100);
+  const tone = percent >= 80
+    ? 'text-green-700 dark:text-green-400'
+    : percent >= 50 ? 'text-amber-700 dark:text-amber-300' : 'text-red-700 dark:text-red-400';
+
+  return (
+    <details className="mt-2 text-xs">
+      <summary
+        className={`inline-flex items-center gap-1 cursor-pointer select-none ${tone}`}
+        title="Share of cited claims whose wording was found in the passages they cite"
+      >
+        {flagged.length ? <ShieldAlert size={12} /> : <ShieldCheck size={12} />}
+        Grounding {percent}% · {grounding.claims.length - flagged.length}/{grounding.claims.length} cited claims supported
+      </summary>
+      {flagged.length > 0 ? (
+        <ul className="mt-1 space-y-1">
+          {flagged.map((claim) => (
+            <li key={claim.markers.join('-')} className="rounded-md bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 px-2 py-1">
+              <p className="font-medium text-amber-800 dark:text-amber-200">
+                {GROUNDING_LABELS[claim.status]}
+                {claim.supportedBy && ` (${claim.supportedBy.n ? `[${claim.supportedBy.n}] ` : ''}${claim.supportedBy.filename.replace(/^\d{10,}-/, '')})`}
+              </p>
+              <p className="text-gray-700 dark:text-gray-300">{claim.sentence} [{claim.citations.join('][')}]</p>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="mt-1 text-gray-600 dark:text-gray-400">Every cited claim was found in its sources.</p>
+      )}
+      {grounding.uncitedSentences > 0 && (
+        <p className="mt-1 text-gray-500 dark:text-gray-400">
+          {grounding.uncitedSentences} sentence{grounding.uncitedSentences === 1 ? '' : 's'} without a citation
+        </p>
+      )}
+    </details>
+  );
+};
+
 const MessageBubble = ({ message }: { message: ChatMessage }) => {
   const isUser = message.role === 'user';
   const { 
@@ -23,12 +189,13 @@ const MessageBubble = ({ message }: { message: ChatMessage }) => {
     setActiveFile: state.setActiveFile,
     activeFileId: state.activeFileId,
   }));
+  const showInViewer = useViewerStore(state => state.showInViewer);
   
   const attachedFile = message.attachedFile ? getFileById(message.attachedFile) : null;
   const activeFile = activeFileId ? getFileById(activeFileId) : null;
 
   // Helper function to resolve source file - must be defined before detectInsertionSuggestions
-  const resolveSourceFile = (source: NonNullable<ChatMessage['sources']>[number]) => {
+  const resolveSourceFile = (source: { docId?: string | null; filename: string }) => {
     if (source.docId) {
       const byDoc = findFileByDocId(source.docId);
       if (byDoc) return byDoc;
@@ -138,11 +305,37 @@ const MessageBubble = ({ message }: { message: ChatMessage }) => {
     const file = resolveSourceFile(source);
     if (file) {
       setActiveFile(file.id);
+      showInViewer({
+        fileId: file.id,
+        page: source.page,
+        text: source.text_preview.replace(/…$/, ''),
+        lineStart: source.lineStart,
+        lineEnd: source.lineEnd,
+        sheet: source.sheet,
+      });
     } else {
       console.warn(`Referenced document not found locally for`, source);
     }
   };
 
+  // Open the cited passage, highlighting the quoted sentence
+  const handleCitationClick = (citation: Citation) => {
+    const file = resolveSourceFile(citation);
+    if (file) {
+      setActiveFile(file.id);
+      showInViewer({
+        fileId: file.id,
+        page: citation.page,
+        text: citation.quote.replace(/…$/, ''),
+        lineStart: citation.lineStart,
+        lineEnd: citation.lineEnd,
+        sheet: citation.sheet,
+      });
+    } else {
+      console.warn(`Cited document not found locally for`, citation);
+    }
+  };
+
   return (
     <div className={`flex gap-3 mb-4 ${isUser ? 'flex-row-reverse' : 'flex-row'}`}>
       <div className={`
@@ -166,10 +359,56 @@ const MessageBubble = ({ message }: { message: ChatMessage }) => {
             </div>
           )}
           
+          {message.toolActivity && message.toolActivity.length > 0 && (
+            <ToolActivityList activity={message.toolActivity} />
+          )}
+
+          {message.pendingAction && (
+            <PendingActionCard messageId={message.id} action={message.pendingAction} />
+          )}
+
           <div className="prose prose-sm dark:prose-invert max-w-none break-words" style={{ wordBreak: 'break-word', overflowWrap: 'break-word' }}>
-            <ReactMarkdown>{message.content}</ReactMarkdown>
+            <ReactMarkdown
+              components={{
+                a: ({ node: _node, href, children, ...props }) => {
+                  const [, n, position] = href?.match(/^#cite-(\d+)-(\d+)$/) || [];
+                  const citation = n ? message.citations?.find(c => c.n === Number(n)) : undefined;
+                  if (!citation) return <a href={href} {...props}>{children}</a>;
+                  const flagged = message.grounding?.claims.find(
+                    c => c.status !== 'supported' && c.markers.includes(Number(position))
+                  );
+                  return (
+                    <sup>
+                      <button
+                        type="button"
+                        onClick={() => handleCitationClick(citation)}
+                        className={`px-0.5 font-semibold hover:underline ${flagged
+                          ? 'text-amber-600 dark:text-amber-400 underline decoration-dotted'
+                          : 'text-blue-600 dark:text-blue-400'}`}
+                        title={[
+                          describeCitation(citation),
+                          `“${citation.quote}”`,
+                          flagged && `⚠ ${GROUNDING_LABELS[flagged.status]}`,
+                        ].filter(Boolean).join('\n')}
+                      >
+                        {citation.n}
+                      </button>
+                    </sup>
+                  );
+                },
+              }}
+            >
+              {linkCitations(message.content, message.citations)}
+            </ReactMarkdown>
+            {message.isStreaming && message.content && (
+              <span className="inline-block w-1.5 h-3 ml-0.5 bg-gray-400 animate-pulse align-middle" />
+            )}
           </div>
 
+          {message.grounding && message.grounding.score !== null && (
+            <GroundingSummary grounding={message.grounding} />
+          )}
+
           {/* General Knowledge Indicator */}
           {message.usedGeneralKnowledge && (
             <div className="mt-3 pt-3 border-t border-gray-300 dark:border-gray-600">
@@ -222,15 +461,31 @@ const MessageBubble = ({ message }: { message: ChatMessage }) => {
                 >
                   <div className="flex items-center justify-between mb-1">
                     <span className="font-medium text-blue-700 dark:text-blue-300 flex items-center gap-1">
+                      {message.citations?.filter(c => c.sourceIndex === idx).map(c => (
+                        <sup key={c.n} className="font-semibold">[{c.n}]</sup>
+                      ))}
                       <FileText size={10} />
                       {resolveSourceFile(source)?.name || source.filename}
-                      {source.page && <span className="text-[9px]">(p. {source.page})</span>}
+                      {source.page && (
+                        <span className="text-[9px]">
+                          (p. {source.page}{source.pageEnd && source.pageEnd !== source.page ? `–${source.pageEnd}` : ''})
+                        </span>
+                      )}
                       {source.sheet && <span className="text-[9px]">(sheet: {source.sheet})</span>}
                     </span>
-                    <span className="text-gray-600 dark:text-gray-400 text-[10px]">
+                    <span
+                      className="text-gray-600 dark:text-gray-400 text-[10px]"
+                      title={typeof source.rerankScore === 'number' ? 'Retrieval similarity · cross-encoder rerank score' : 'Retrieval similarity'}
+                    >
                       {Math.round(source.score * 100)}% match
+                      {typeof source.rerankScore === 'number' && ` · ${Math.round(source.rerankScore * 100)}% rerank`}
                     </span>
                   </div>
+                  {source.section && (
+                    <p className="text-[9px] text-gray-600 dark:text-gray-300 mb-0.5 truncate" title={source.section}>
+                      § {source.section}
+                    </p>
+                  )}
                   {(source.lineStart || source.lineEnd) && (
                     <p className="text-[9px] text-gray-500 dark:text-gray-400 mb-1">
                       Lines {source.lineStart}-{source.lineEnd}
@@ -271,23 +526,230 @@ const TypingIndicator = () => {
   );
 };
 
+const ConversationItem = ({ conversation, isActive }: { conversation: ConversationSummary; isActive: boolean }) => {
+  const { selectConversation, renameConversation, deleteConversation } = useChatStore();
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [title, setTitle] = useState(conversation.title);
+
+  const handleRenameSubmit = async () => {
+    setIsRenaming(false);
+    if (!title.trim() || title === conversation.title) return;
+    try {
+      await renameConversation(conversation.id, title.trim());
+    } catch (error) {
+      console.error('Rename conversation error:', error);
+      setTitle(conversation.title);
+    }
+  };
+
+  const handleDelete = async (e: React.MouseEvent) => {
+    e.stopPropagation();
+    if (!confirm(`Delete the conversation "${conversation.title}"?`)) return;
+    try {
+      await deleteConversation(conversation.id);
+    } catch (error) {
+      console.error('Delete conversation error:', error);
+    }
+  };
+
+  return (
+    <div
+      onClick={() => selectConversation(conversation.id).catch(error => console.error('Load conversation error:', error))}
+      className={`
+        group flex items-center gap-2 px-2 py-1.5 rounded-md cursor-pointer text-xs transition-colors
+        ${isActive ? 'bg-primary/10 text-primary' : 'text-text-primary-light dark:text-text-primary-dark hover:bg-gray-100 dark:hover:bg-gray-800'}
+      `}
+      title={`${conversation.title}\n${formatDate(new Date(conversation.updatedAt))}`}
+    >
+      <MessageSquare size={12} className="flex-shrink-0" />
+      {isRenaming ? (
+        <input
+          type="text"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          onBlur={handleRenameSubmit}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') handleRenameSubmit();
+            if (e.key === 'Escape') {
+              setTitle(conversation.title);
+              setIsRenaming(false);
+            }
+          }}
+          className="flex-1 min-w-0 bg-white dark:bg-gray-800 border border-primary rounded px-1 py-0.5 outline-none"
+          autoFocus
+          onClick={(e) => e.stopPropagation()}
+        />
+      ) : (
+        <span className="flex-1 truncate">{conversation.title}</span>
+      )}
+      {!isRenaming && (
+        <span className="hidden group-hover:flex items-center gap-1">
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              setTitle(conversation.title);
+              setIsRenaming(true);
+            }}
+            className="p-0.5 rounded hover:bg-gray-200 dark:hover:bg-gray-700"
+            title="Rename"
+          >
+            <Pencil size={11} />
+          </button>
+          <button
+            onClick={handleDelete}
+            className="p-0.5 rounded hover:bg-gray-200 dark:hover:bg-gray-700 text-red-600 dark:text-red-400"
+            title="Delete"
+          >
+            <Trash2 size={11} />
+          </button>
+        </span>
+      )}
+    </div>
+  );
+};
+
+const ConversationList = () => {
+  const { conversations, conversationId } = useChatStore(state => ({
+    conversations: state.conversations,
+    conversationId: state.conversationId,
+  }));
+
+  return (
+    <div className="w-48 flex-shrink-0 border-r border-border-light dark:border-border-dark overflow-y-auto p-2 space-y-0.5">
+      {conversations.length === 0 ? (
+        <p className="text-xs text-text-muted-light dark:text-text-muted-dark px-2 py-1">
+          No saved conversations yet
+        </p>
+      ) : (
+        conversations.map(conversation => (
+          <ConversationItem
+            key={conversation.id}
+            conversation={conversation}
+            isActive={conversation.id === conversationId}
+          />
+        ))
+      )}
+    </div>
+  );
+};
+
+/**
+ * The summary the model gets in place of the conversation's older messages, shown above them so
+ * users can check and correct what the assistant remembers
+ */
+const ContextSummaryPanel = () => {
+  const { contextSummary, saveContextSummary } = useChatStore(state => ({
+    contextSummary: state.contextSummary,
+    saveContextSummary: state.saveContextSummary,
+  }));
+  const [expanded, setExpanded] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [error, setError] = useState<string | null>(null);
+
+  if (!contextSummary) return null;
+
+  const handleSave = async () => {
+    if (!draft.trim()) return;
+    try {
+      await saveContextSummary(draft.trim());
+      setIsEditing(false);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to save summary');
+    }
+  };
+
+  return (
+    <div className="mb-4 rounded-lg border border-amber-200 dark:border-amber-800 bg-amber-50 dark:bg-amber-900/20 text-xs">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center gap-2 px-3 py-2 text-amber-800 dark:text-amber-300"
+      >
+        {expanded ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+        <ScrollText size={12} />
+        <span className="font-medium">
+          Summary of the first {contextSummary.through} messages{contextSummary.edited ? ' (edited)' : ''}
+        </span>
+      </button>
+      {expanded && (
+        <div className="px-3 pb-3">
+          {isEditing ? (
+            <>
+              <textarea
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                rows={6}
+                className="w-full resize-y bg-white dark:bg-gray-800 border border-amber-300 dark:border-amber-800 rounded p-2 outline-none focus:ring-2 focus:ring-primary text-text-primary-light dark:text-text-primary-dark"
+                autoFocus
+              />
+              {error && <p className="mt-1 text-red-600 dark:text-red-400">{error}</p>}
+              <div className="mt-2 flex justify-end gap-2">
+                <button
+                  onClick={() => setIsEditing(false)}
+                  className="px-2 py-1 rounded-md hover:bg-amber-100 dark:hover:bg-amber-900/40"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSave}
+                  disabled={!draft.trim()}
+                  className="px-2 py-1 rounded-md bg-primary text-white hover:bg-primary-dark disabled:opacity-50"
+                >
+                  Save
+                </button>
+              </div>
+            </>
+          ) : (
+            <>
+              <p className="whitespace-pre-wrap text-text-primary-light dark:text-text-primary-dark">{contextSummary.content}</p>
+              <button
+                onClick={() => {
+                  setDraft(contextSummary.content);
+                  setIsEditing(true);
+                }}
+                className="mt-2 flex items-center gap-1 text-amber-800 dark:text-amber-300 hover:underline"
+              >
+                <Pencil size={11} />
+                Edit summary
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
 export const ChatPanel = () => {
-  const { messages, isTyping, attachedFileId, setAttachedFile, sendMessage } = useChatStore();
+  const { messages, isTyping, attachedFileId, setAttachedFile, sendMessage, loadConversations, loadContextSummary, startConversation, approvalMode, setApprovalMode } = useChatStore();
   const { getFileById } = useFileSystemStore();
   const activeFileId = useFileSystemStore(state => state.activeFileId);
   
   const [inputValue, setInputValue] = useState('');
   const [dragOver, setDragOver] = useState(false);
+  const [showConversations, setShowConversations] = useState(false);
   const messagesEndRef = useRef<HTMLDivElement>(null);
   const inputRef = useRef<HTMLTextAreaElement>(null);
 
   const attachedFile = attachedFileId ? getFileById(attachedFileId) : null;
   const activeFile = activeFileId ? getFileById(activeFileId) : null;
 
+  // A streaming bubble stays hidden (and the typing indicator shown) until it has something to display
+  const hasVisibleContent = (message: ChatMessage) =>
+    !message.isStreaming || Boolean(message.content) || Boolean(message.toolActivity?.length);
+  const visibleMessages = messages.filter(hasVisibleContent);
+  const isWaitingForFirstEvent = isTyping && visibleMessages.length < messages.length;
+
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages, isTyping]);
 
+  useEffect(() => {
+    loadConversations();
+    loadContextSummary();
+  }, [loadConversations, loadContextSummary]);
+
   const handleSend = async () => {
     if (!inputValue.trim()) return;
 
@@ -345,110 +807,130 @@ export const ChatPanel = () => {
               Ask questions about your documents
             </p>
           </div>
-          <button
-            onClick={async () => {
-              // Clear server-side memory and start a new session id
-              try { await resetSession(); } catch {}
-              newSession();
-              useChatStore.getState().clearMessages();
-            }}
-            className="flex items-center gap-1 text-xs px-2 py-1 rounded-md bg-gray-100 dark:bg-gray-800 hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors"
-            title="Start a new chat"
-          >
-            <Plus size={14} />
-            New Chat
-          </button>
+          <div className="flex items-center gap-1">
+            <button
+              onClick={() => setShowConversations(!showConversations)}
+              className={`p-1 rounded-md transition-colors ${showConversations ? 'bg-primary/10 text-primary' : 'hover:bg-gray-100 dark:hover:bg-gray-800'}`}
+              title={showConversations ? 'Hide conversations' : 'Show conversations'}
+            >
+              <PanelLeft size={14} />
+            </button>
+            <button
+              onClick={() => setApprovalMode(!approvalMode)}
+              className={`p-1 rounded-md transition-colors ${approvalMode ? 'bg-primary/10 text-primary' : 'hover:bg-gray-100 dark:hover:bg-gray-800'}`}
+              title={approvalMode ? 'File changes wait for your approval' : 'Review file changes before the assistant applies them'}
+            >
+              <FileDiff size={14} />
+            </button>
+            <button
+              // The previous conversation stays on the server and in the list
+              onClick={startConversation}
+              disabled={isTyping}
+              className="flex items-center gap-1 text-xs px-2 py-1 rounded-md bg-gray-100 dark:bg-gray-800 hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors disabled:opacity-50"
+              title="Start a new chat"
+            >
+              <Plus size={14} />
+              New Chat
+            </button>
+          </div>
         </div>
       </div>
 
-      {/* Messages */}
-      <div
-        className={`
-          flex-1 overflow-y-auto p-4
-          ${dragOver ? 'bg-primary/5 border-2 border-primary border-dashed' : ''}
-        `}
-        onDragOver={handleDragOver}
-        onDragLeave={handleDragLeave}
-        onDrop={handleDrop}
-      >
-        {dragOver && (
-          <div className="flex items-center justify-center h-full">
-            <div className="text-center text-primary">
-              <Paperclip size={48} className="mx-auto mb-2" />
-              <p className="font-medium">Drop document to attach</p>
-            </div>
-          </div>
-        )}
+      <div className="flex-1 flex min-h-0">
+        {showConversations && <ConversationList />}
+        <div className="flex-1 flex flex-col min-w-0">
+
+          {/* Messages */}
+          <div
+            className={`
+              flex-1 overflow-y-auto p-4
+              ${dragOver ? 'bg-primary/5 border-2 border-primary border-dashed' : ''}
+            `}
+            onDragOver={handleDragOver}
+            onDragLeave={handleDragLeave}
+            onDrop={handleDrop}
+          >
+            {dragOver && (
+              <div className="flex items-center justify-center h-full">
+                <div className="text-center text-primary">
+                  <Paperclip size={48} className="mx-auto mb-2" />
+                  <p className="font-medium">Drop document to attach</p>
+                </div>
+              </div>
+            )}
 
-        {!dragOver && (
-          <>
-            {messages.map((message) => (
-              <MessageBubble key={message.id} message={message} />
-            ))}
+            {!dragOver && (
+              <>
+                <ContextSummaryPanel />
+                {visibleMessages.map((message) => (
+                  <MessageBubble key={message.id} message={message} />
+                ))}
             
-            {isTyping && <TypingIndicator />}
+                {isWaitingForFirstEvent && <TypingIndicator />}
             
-            <div ref={messagesEndRef} />
-          </>
-        )}
-      </div>
-
-      {/* Input Area */}
-      <div className="border-t border-border-light dark:border-border-dark p-4">
-        {attachedFile && (
-          <div className="mb-2 bg-primary/10 rounded-lg p-2 flex items-center justify-between">
-            <div className="flex items-center gap-2 text-sm">
-              <Paperclip size={14} className="text-primary" />
-              <span className="font-medium text-text-primary-light dark:text-text-primary-dark">
-                {attachedFile.name}
-              </span>
-            </div>
-            <button
-              onClick={() => setAttachedFile(null)}
-              className="p-1 rounded hover:bg-primary/20 transition-colors"
-            >
-              <X size={14} className="text-text-muted-light dark:text-text-muted-dark" />
-            </button>
+                <div ref={messagesEndRef} />
+              </>
+            )}
           </div>
-        )}
 
-        <div className="flex gap-2">
-          <button
-            onClick={handleFileAttach}
-            className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors flex-shrink-0"
-            title="Attach document (drag from sidebar)"
-          >
-            <Paperclip size={18} className="text-text-muted-light dark:text-text-muted-dark" />
-          </button>
+          {/* Input Area */}
+          <div className="border-t border-border-light dark:border-border-dark p-4">
+            {attachedFile && (
+              <div className="mb-2 bg-primary/10 rounded-lg p-2 flex items-center justify-between">
+                <div className="flex items-center gap-2 text-sm">
+                  <Paperclip size={14} className="text-primary" />
+                  <span className="font-medium text-text-primary-light dark:text-text-primary-dark">
+                    {attachedFile.name}
+                  </span>
+                </div>
+                <button
+                  onClick={() => setAttachedFile(null)}
+                  className="p-1 rounded hover:bg-primary/20 transition-colors"
+                >
+                  <X size={14} className="text-text-muted-light dark:text-text-muted-dark" />
+                </button>
+              </div>
+            )}
 
-          <textarea
-            ref={inputRef}
-            value={inputValue}
-            onChange={(e) => setInputValue(e.target.value)}
-            onKeyDown={handleKeyDown}
-            placeholder="Ask me anything..."
-            className="flex-1 resize-none bg-gray-100 dark:bg-gray-800 rounded-lg px-4 py-2 outline-none focus:ring-2 focus:ring-primary text-sm text-text-primary-light dark:text-text-primary-dark placeholder-text-muted-light dark:placeholder-text-muted-dark"
-            rows={3}
-            disabled={isTyping}
-          />
+            <div className="flex gap-2">
+              <button
+                onClick={handleFileAttach}
+                className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-800 transition-colors flex-shrink-0"
+                title="Attach document (drag from sidebar)"
+              >
+                <Paperclip size={18} className="text-text-muted-light dark:text-text-muted-dark" />
+              </button>
+
+              <textarea
+                ref={inputRef}
+                value={inputValue}
+                onChange={(e) => setInputValue(e.target.value)}
+                onKeyDown={handleKeyDown}
+                placeholder="Ask me anything..."
+                className="flex-1 resize-none bg-gray-100 dark:bg-gray-800 rounded-lg px-4 py-2 outline-none focus:ring-2 focus:ring-primary text-sm text-text-primary-light dark:text-text-primary-dark placeholder-text-muted-light dark:placeholder-text-muted-dark"
+                rows={3}
+                disabled={isTyping}
+              />
+
+              <button
+                onClick={handleSend}
+                disabled={!inputValue.trim() || isTyping}
+                className="p-2 rounded-lg bg-primary text-white hover:bg-primary-dark transition-colors flex-shrink-0 disabled:opacity-50 disabled:cursor-not-allowed"
+                title="Send message (Enter)"
+              >
+                {isTyping ? (
+                  <Loader2 size={18} className="animate-spin" />
+                ) : (
+                  <Send size={18} />
+                )}
+              </button>
+            </div>
 
-          <button
-            onClick={handleSend}
-            disabled={!inputValue.trim() || isTyping}
-            className="p-2 rounded-lg bg-primary text-white hover:bg-primary-dark transition-colors flex-shrink-0 disabled:opacity-50 disabled:cursor-not-allowed"
-            title="Send message (Enter)"
-          >
-            {isTyping ? (
-              <Loader2 size={18} className="animate-spin" />
-            ) : (
-              <Send size={18} />
-            )}
-          </button>
+            <p className="text-xs text-text-muted-light dark:text-text-muted-dark mt-2">
+              Press Enter to send, Shift+Enter for new line
+            </p>
+          </div>
         </div>
-
-        <p className="text-xs text-text-muted-light dark:text-text-muted-dark mt-2">
-          Press Enter to send, Shift+Enter for new line
-        </p>
       </div>
     </div>
   );
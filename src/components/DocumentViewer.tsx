@@ -1,6 +1,7 @@
 import { useEffect, useState, useRef, useMemo, useCallback } from 'react';
 import { useFileSystemStore } from '../stores/fileSystemStore';
-import { FileText, AlertCircle, ChevronLeft, ChevronRight, ZoomIn, ZoomOut, Download, Save } from 'lucide-react';
+import { useViewerStore } from '../stores/viewerStore';
+import { FileText, AlertCircle, ChevronLeft, ChevronRight, ZoomIn, ZoomOut, Download, Save, History } from 'lucide-react';
 import SimpleMDE from 'react-simplemde-editor';
 import 'easymde/dist/easymde.min.css';
 import { Document, Page } from 'react-pdf';
@@ -12,6 +13,8 @@ import ReactQuill from 'react-quill';
 import 'react-quill/dist/quill.snow.css';
 import { saveAs } from 'file-saver';
 import { LaTeXEditor } from './LaTeXEditor';
+import { VersionHistoryPanel } from './VersionHistoryPanel';
+import { type Editor as CodeMirrorEditor } from 'codemirror';
 
 type SpreadsheetCell = CellBase<string>;
 type SpreadsheetMatrix = Matrix<SpreadsheetCell>;
@@ -103,13 +106,37 @@ const buildSnapshotFromSheets = (source: Record<string, SpreadsheetMatrix>, orde
   };
 };
 
-const MarkdownEditor = ({ content, onChange }: { content: string; onChange: (value: string) => void }) => {
+// Character offsets of a 1-based, inclusive line range
+const lineOffsets = (text: string, lineStart: number, lineEnd: number) => {
+  const lines = text.split('\n');
+  const first = Math.min(Math.max(lineStart, 1), lines.length);
+  const last = Math.min(Math.max(lineEnd, first), lines.length);
+  const start = lines.slice(0, first - 1).reduce((sum, line) => sum + line.length + 1, 0);
+  const end = start + lines.slice(first - 1, last).join('\n').length;
+  return { start, end };
+};
+
+const MarkdownEditor = ({ content, onChange, fileId }: { content: string; onChange: (value: string) => void; fileId?: string }) => {
   const [value, setValue] = useState(content);
+  const [codemirror, setCodemirror] = useState<CodeMirrorEditor | null>(null);
+  const target = useViewerStore(state => state.target);
+  const clearTarget = useViewerStore(state => state.clearTarget);
 
   useEffect(() => {
     setValue(content);
   }, [content]);
-  
+
+  // Select the lines of a cited passage
+  useEffect(() => {
+    if (!codemirror || !target || target.fileId !== fileId || !target.lineStart) return;
+    const last = codemirror.lineCount() - 1;
+    const from = Math.min(target.lineStart - 1, last);
+    const to = Math.min(Math.max((target.lineEnd || target.lineStart) - 1, from), last);
+    codemirror.setSelection({ line: from, ch: 0 }, { line: to, ch: codemirror.getLine(to).length });
+    codemirror.scrollIntoView({ from: { line: from, ch: 0 }, to: { line: to, ch: 0 } }, 80);
+    clearTarget();
+  }, [codemirror, target, fileId, clearTarget]);
+
 
   const handleChange = (newValue: string) => {
     setValue(newValue);
@@ -121,6 +148,7 @@ const MarkdownEditor = ({ content, onChange }: { content: string; onChange: (val
       <SimpleMDE
         value={value}
         onChange={handleChange}
+        getCodemirrorInstance={setCodemirror}
         options={{
           spellChecker: false,
           autosave: {
@@ -154,13 +182,28 @@ const MarkdownEditor = ({ content, onChange }: { content: string; onChange: (val
   );
 };
 
-const TextEditor = ({ content, onChange }: { content: string; onChange: (value: string) => void }) => {
+const TextEditor = ({ content, onChange, fileId }: { content: string; onChange: (value: string) => void; fileId?: string }) => {
   const [value, setValue] = useState(content);
+  const textareaRef = useRef<HTMLTextAreaElement>(null);
+  const target = useViewerStore(state => state.target);
+  const clearTarget = useViewerStore(state => state.clearTarget);
 
   useEffect(() => {
     setValue(content);
   }, [content]);
 
+  // Select the lines of a cited passage and scroll them near the top
+  useEffect(() => {
+    const textarea = textareaRef.current;
+    if (!textarea || !target || target.fileId !== fileId || !target.lineStart) return;
+    const { start, end } = lineOffsets(textarea.value, target.lineStart, target.lineEnd || target.lineStart);
+    textarea.focus();
+    textarea.setSelectionRange(start, end);
+    const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 20;
+    textarea.scrollTop = Math.max(0, (target.lineStart - 3) * lineHeight);
+    clearTarget();
+  }, [target, fileId, clearTarget]);
+
   const handleChange = (e: React.ChangeEvent<HTMLTextAreaElement>) => {
     setValue(e.target.value);
     onChange(e.target.value);
@@ -168,6 +211,7 @@ const TextEditor = ({ content, onChange }: { content: string; onChange: (value:
 
   return (
     <textarea
+      ref={textareaRef}
       value={value}
       onChange={handleChange}
       className="w-full h-full p-6 resize-none outline-none bg-transparent text-text-primary-light dark:text-text-primary-dark font-mono text-sm"
@@ -176,11 +220,66 @@ const TextEditor = ({ content, onChange }: { content: string; onChange: (value:
   );
 };
 
-const PDFViewer = ({ filePath }: { filePath?: string }) => {
+// Browsers cannot display TIFF, so those are only indexed (via OCR), not previewed
+const ImageViewer = ({ filePath, fileName }: { filePath?: string; fileName: string }) => {
+  const [error, setError] = useState(false);
+  const isTiff = /\.tiff?$/i.test(fileName);
+
+  if (!filePath || isTiff || error) {
+    return (
+      <div className="flex items-center justify-center h-full">
+        <div className="text-center text-text-muted-light dark:text-text-muted-dark">
+          <AlertCircle size={48} className="mx-auto mb-4 opacity-50" />
+          <p className="text-sm">
+            {isTiff ? 'TIFF preview is not supported; the recognized text is still searchable' : 'Image could not be loaded'}
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="h-full overflow-auto flex items-start justify-center p-6">
+      <img src={filePath} alt={fileName} className="max-w-full shadow-lg" onError={() => setError(true)} />
+    </div>
+  );
+};
+
+// Whitespace-insensitive form used to find a cited passage among the PDF's text items
+const normalizeForMatch = (text: string) => text.replace(/\s+/g, ' ').trim().toLowerCase();
+
+const escapeHtml = (text: string) =>
+  text.replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c] as string));
+
+const PDFViewer = ({ filePath, fileId }: { filePath?: string; fileId?: string }) => {
   const [numPages, setNumPages] = useState<number>(0);
   const [pageNumber, setPageNumber] = useState(1);
   const [scale, setScale] = useState(1.0);
   const [error, setError] = useState<string | null>(null);
+  const [highlight, setHighlight] = useState<{ page: number; text: string } | null>(null);
+  const contentRef = useRef<HTMLDivElement>(null);
+  const target = useViewerStore(state => state.target);
+  const clearTarget = useViewerStore(state => state.clearTarget);
+
+  // Open at the page of a cited source and remember the passage to highlight
+  useEffect(() => {
+    if (!target || target.fileId !== fileId || !target.page) return;
+    setPageNumber(numPages ? Math.min(target.page, numPages) : target.page);
+    setHighlight(target.text ? { page: target.page, text: normalizeForMatch(target.text) } : null);
+    clearTarget();
+  }, [target, fileId, numPages, clearTarget]);
+
+  const renderText = useCallback(({ str, pageNumber: itemPage }: { str: string; pageNumber: number }) => {
+    const normalized = normalizeForMatch(str);
+    if (highlight && itemPage === highlight.page && normalized.length >= 4 && highlight.text.includes(normalized)) {
+      return `<mark class="pdf-citation-highlight">${escapeHtml(str)}</mark>`;
+    }
+    return escapeHtml(str);
+  }, [highlight]);
+
+  const scrollToHighlight = () => {
+    contentRef.current?.querySelector('.pdf-citation-highlight')?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  };
 
   const pdfOptions = useMemo(() => ({
     cMapUrl: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/cmaps/',
@@ -190,6 +289,7 @@ const PDFViewer = ({ filePath }: { filePath?: string }) => {
 
   const onDocumentLoadSuccess = ({ numPages }: { numPages: number }) => {
     setNumPages(numPages);
+    setPageNumber(prev => Math.min(prev, numPages));
     setError(null);
   };
 
@@ -262,7 +362,7 @@ const PDFViewer = ({ filePath }: { filePath?: string }) => {
       </div>
 
       {/* PDF Content */}
-      <div className="flex-1 overflow-auto p-6 flex justify-center">
+      <div ref={contentRef} className="flex-1 overflow-auto p-6 flex justify-center">
         {error ? (
           <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-4 max-w-2xl">
             <div className="flex gap-3">
@@ -293,6 +393,8 @@ const PDFViewer = ({ filePath }: { filePath?: string }) => {
               scale={scale}
               renderTextLayer={true}
               renderAnnotationLayer={true}
+              customTextRenderer={renderText}
+              onRenderTextLayerSuccess={scrollToHighlight}
               className="shadow-lg"
             />
           </Document>
@@ -545,11 +647,13 @@ const XlsxViewer = ({
   filePath,
   initialContent,
   fileName,
+  fileId,
   onChange,
 }: {
   filePath?: string;
   initialContent?: string;
   fileName?: string;
+  fileId?: string;
   onChange?: (data: WorkbookSnapshot) => void;
 }) => {
   const [sheetOrder, setSheetOrder] = useState<string[]>([DEFAULT_SHEET_NAME]);
@@ -562,6 +666,8 @@ const XlsxViewer = ({
   const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
   const [statusMessage, setStatusMessage] = useState<string | null>(null);
   const hasPersistedRemote = useRef(false);
+  const target = useViewerStore(state => state.target);
+  const clearTarget = useViewerStore(state => state.clearTarget);
 
   const hydrateFromSnapshot = useCallback((snapshot: WorkbookSnapshot) => {
     const normalizedOrder = snapshot?.order?.length ? snapshot.order : Object.keys(snapshot?.sheets || {});
@@ -581,6 +687,13 @@ const XlsxViewer = ({
     setStatusMessage(null);
   }, []);
 
+  // Show the sheet of a cited passage once the workbook is loaded
+  useEffect(() => {
+    if (!target || target.fileId !== fileId || !target.sheet || !sheetOrder.includes(target.sheet)) return;
+    setActiveSheet(target.sheet);
+    clearTarget();
+  }, [target, fileId, sheetOrder, clearTarget]);
+
   useEffect(() => {
     let cancelled = false;
 
@@ -878,6 +991,12 @@ const EmptyState = () => {
 export const DocumentViewer = () => {
   const { activeFileId, getFileById, updateFileContent } = useFileSystemStore();
   const activeFile = activeFileId ? getFileById(activeFileId) : null;
+  const [showHistory, setShowHistory] = useState(false);
+
+  // The history belongs to the file it was opened for
+  useEffect(() => {
+    setShowHistory(false);
+  }, [activeFileId]);
 
   const handleContentChange = (newContent: string | any) => {
     if (activeFileId) {
@@ -942,13 +1061,27 @@ export const DocumentViewer = () => {
   }
 
   const fileUrl = getFileUrl();
+  // Text files saved on the server have an edit history; the LaTeX editor has its own button for it
+  const hasHistory = Boolean(activeFile.savedFilename || activeFile.docId) && ['md', 'txt', 'tex'].includes(activeFile.type);
 
   return (
-    <div className="h-full overflow-hidden bg-editor-light dark:bg-editor-dark">
+    <div className="relative h-full overflow-hidden bg-editor-light dark:bg-editor-dark">
+      {hasHistory && activeFile.type !== 'tex' && !showHistory && (
+        <button
+          onClick={() => setShowHistory(true)}
+          className="absolute top-2 right-2 z-10 flex items-center gap-1 px-2 py-1 rounded text-xs bg-white/90 dark:bg-gray-800/90 border border-gray-200 dark:border-gray-700 text-text-primary-light dark:text-text-primary-dark hover:bg-gray-100 dark:hover:bg-gray-700"
+          title="Version history"
+        >
+          <History size={14} />
+          History
+        </button>
+      )}
+
       {activeFile.type === 'md' && (
         <MarkdownEditor 
           content={activeFile.content || ''} 
           onChange={handleContentChange}
+          fileId={activeFile.id}
         />
       )}
       
@@ -956,11 +1089,16 @@ export const DocumentViewer = () => {
         <TextEditor 
           content={activeFile.content || ''} 
           onChange={handleContentChange}
+          fileId={activeFile.id}
         />
       )}
       
       {activeFile.type === 'pdf' && (
-        <PDFViewer filePath={fileUrl} />
+        <PDFViewer key={activeFile.id} filePath={fileUrl} fileId={activeFile.id} />
+      )}
+      
+      {activeFile.type === 'image' && (
+        <ImageViewer filePath={fileUrl} fileName={activeFile.name} />
       )}
       
       {activeFile.type === 'docx' && (
@@ -977,6 +1115,7 @@ export const DocumentViewer = () => {
           filePath={fileUrl}
           initialContent={activeFile.content}
           fileName={activeFile.name}
+          fileId={activeFile.id}
           onChange={handleContentChange}
         />
       )}
@@ -985,9 +1124,15 @@ export const DocumentViewer = () => {
         <LaTeXEditor 
           content={activeFile.content || ''}
           fileName={activeFile.name}
+          fileId={activeFile.id}
           onChange={handleContentChange}
+          onShowHistory={hasHistory ? () => setShowHistory(true) : undefined}
         />
       )}
+
+      {showHistory && (
+        <VersionHistoryPanel fileId={activeFile.id} onClose={() => setShowHistory(false)} />
+      )}
     </div>
   );
 };
@@ -7,13 +7,18 @@ import {
   FileText, 
   File, 
   FileCode,
+  Image,
   MoreVertical,
   Edit2,
   Trash2,
   Download,
   Plus,
   X,
-  Trash
+  Trash,
+  Clock,
+  Loader2,
+  AlertCircle,
+  Ban
 } from 'lucide-react';
 import { useFileSystemStore } from '../stores/fileSystemStore';
 import { FileNode, FileType } from '../types';
@@ -43,11 +48,46 @@ const FileIcon = ({ type }: { type: FileType }) => {
       return <FileCode size={16} className="text-purple-500" />;
     case 'txt':
       return <File size={16} className="text-gray-500" />;
+    case 'image':
+      return <Image size={16} className="text-green-500" />;
     default:
       return <File size={16} />;
   }
 };
 
+// Server-side indexing state of uploaded files; ready files only show their OCR confidence
+const IndexBadge = ({ file }: { file: FileNode }) => {
+  switch (file.indexState) {
+    case 'queued':
+      return (
+        <span title="Queued for indexing" className="text-text-muted-light dark:text-text-muted-dark">
+          <Clock size={12} />
+        </span>
+      );
+    case 'indexing':
+      return (
+        <span title="Indexing" className="flex items-center gap-1 text-xs text-primary">
+          <Loader2 size={12} className="animate-spin" />
+          {file.indexProgress !== undefined && `${Math.round(file.indexProgress * 100)}%`}
+        </span>
+      );
+    case 'failed':
+      return (
+        <span title={file.indexError || 'Indexing failed'} className="text-red-500">
+          <AlertCircle size={12} />
+        </span>
+      );
+    case 'ready':
+      return file.ocrConfidence !== undefined ? (
+        <span title="Text recognized with OCR" className="text-xs text-text-muted-light dark:text-text-muted-dark">
+          OCR {file.ocrConfidence}%
+        </span>
+      ) : null;
+    default:
+      return null;
+  }
+};
+
 const ContextMenu = ({ 
   x, 
   y, 
@@ -58,7 +98,8 @@ const ContextMenu = ({
   onExport,
   onNewFile,
   onNewFolder,
-  onClearSelection
+  onClearSelection,
+  onCancelIndexing
 }: { 
   x: number; 
   y: number; 
@@ -70,6 +111,7 @@ const ContextMenu = ({
   onNewFile?: () => void;
   onNewFolder?: () => void;
   onClearSelection?: () => void;
+  onCancelIndexing?: () => void;
 }) => {
   const menuRef = useRef<HTMLDivElement>(null);
 
@@ -113,6 +155,12 @@ const ContextMenu = ({
           Export
         </div>
       )}
+      {onCancelIndexing && (
+        <div className="context-menu-item" onClick={onCancelIndexing}>
+          <Ban size={14} />
+          Cancel Indexing
+        </div>
+      )}
       {onClearSelection && (
         <>
           <div className="context-menu-divider" />
@@ -139,7 +187,8 @@ const FileItem = ({ file, level }: FileItemProps) => {
     toggleFolder,
     renameFile,
     deleteFile,
-    addFile
+    addFile,
+    cancelIndexJob
   } = useFileSystemStore();
   
   const [isRenaming, setIsRenaming] = useState(false);
@@ -150,6 +199,7 @@ const FileItem = ({ file, level }: FileItemProps) => {
   const isActive = activeFileId === file.id;
   const isExpanded = expandedFolders.has(file.id);
   const isFolder = file.type === 'folder';
+  const isIndexing = file.indexState === 'queued' || file.indexState === 'indexing';
 
   const handleClick = (e: React.MouseEvent) => {
     e.stopPropagation(); // Prevent bubbling to parent div
@@ -207,6 +257,11 @@ const FileItem = ({ file, level }: FileItemProps) => {
     setContextMenu(null);
   };
 
+  const handleCancelIndexing = () => {
+    cancelIndexJob(file.id);
+    setContextMenu(null);
+  };
+
   const handleClearSelection = () => {
     setActiveFile(null);
     setContextMenu(null);
@@ -310,6 +365,8 @@ const FileItem = ({ file, level }: FileItemProps) => {
           </span>
         )}
 
+        {!isRenaming && <IndexBadge file={file} />}
+
         <button
           onClick={(e) => {
             e.stopPropagation();
@@ -337,6 +394,7 @@ const FileItem = ({ file, level }: FileItemProps) => {
           onNewFile={isFolder ? handleNewFile : undefined}
           onNewFolder={isFolder ? handleNewFolder : undefined}
           onClearSelection={isActive ? handleClearSelection : undefined}
+          onCancelIndexing={isIndexing ? handleCancelIndexing : undefined}
         />
       )}
     </>
@@ -344,9 +402,20 @@ const FileItem = ({ file, level }: FileItemProps) => {
 };
 
 export const FileExplorer = () => {
-  const { files, addFile } = useFileSystemStore();
+  const { files, addFile, trackIndexJob } = useFileSystemStore();
   const [dragOver, setDragOver] = useState(false);
 
+  // Resume following uploads that were still being indexed when the page was closed
+  useEffect(() => {
+    const resume = (nodes: FileNode[]) => {
+      for (const node of nodes) {
+        if (node.indexState === 'queued' || node.indexState === 'indexing') trackIndexJob(node.id);
+        if (node.children) resume(node.children);
+      }
+    };
+    resume(useFileSystemStore.getState().files);
+  }, [trackIndexJob]);
+
   useEffect(() => {
     const handleImportFiles = async (e: Event) => {
       const customEvent = e as CustomEvent;
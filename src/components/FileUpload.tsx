@@ -8,6 +8,7 @@ interface UploadStatus {
   success: boolean;
   error: string | null;
   filename: string | null;
+  message?: string;
 }
 
 export function FileUpload() {
@@ -21,6 +22,9 @@ export function FileUpload() {
 
   const addFile = useFileSystemStore(state => state.addFile);
   const setFileMeta = useFileSystemStore(state => state.setFileMeta);
+  const trackIndexJob = useFileSystemStore(state => state.trackIndexJob);
+  const findFileByDocId = useFileSystemStore(state => state.findFileByDocId);
+  const setActiveFile = useFileSystemStore(state => state.setActiveFile);
 
   const handleFileSelect = async (event: React.ChangeEvent<HTMLInputElement>) => {
     const file = event.target.files?.[0];
@@ -36,27 +40,46 @@ export function FileUpload() {
     try {
       console.log(`📤 Uploading: ${file.name}`);
       
-      // Upload to backend for RAG indexing
+      // Upload to backend; RAG indexing continues in the background
       const result = await uploadDocument(file);
       
       console.log(`✅ Upload successful:`, result);
       
-      // Add to file system (for display purposes)
       // Store the actual saved filename from backend (with timestamp)
       const savedFilename = result?.filename || file.name;
-      const newId = addFile(file.name, getFileType(file.name), undefined, `[Uploaded file: ${file.name}]`);
-      if (result?.id) {
-        setFileMeta(newId, { docId: result.id, savedFilename });
+      const isDuplicate = result.status === 'duplicate';
+      // Duplicates and new versions keep the server's docId, so they may already be in the tree
+      const existing = result?.id ? findFileByDocId(result.id) : null;
+      let message: string;
+
+      if (existing && isDuplicate) {
+        setActiveFile(existing.id);
+        message = `${file.name} is already indexed as ${existing.name}`;
+      } else if (existing) {
+        setFileMeta(existing.id, { savedFilename, jobId: result.jobId, indexState: 'queued', indexError: undefined, ocrConfidence: undefined });
+        trackIndexJob(existing.id);
+        message = `New version of ${existing.name}, re-indexing changed parts`;
+      } else {
+        // Add to file system (for display purposes)
+        const newId = addFile(file.name, getFileType(file.name), undefined, `[Uploaded file: ${file.name}]`);
+        if (result?.id) {
+          setFileMeta(newId, {
+            docId: result.id,
+            savedFilename,
+            jobId: result.jobId,
+            indexState: isDuplicate && !result.jobId ? 'ready' : 'queued',
+          });
+          trackIndexJob(newId);
+        }
+        message = isDuplicate ? `${file.name} was already indexed` : `${file.name} uploaded, indexing in the background`;
       }
       
-      // Show warning if parsing failed but upload succeeded
-      const warningMessage = (result as any)?.warning;
-      
       setUploadStatus({
         loading: false,
         success: true,
-        error: warningMessage || null,
+        error: null,
         filename: file.name,
+        message,
       });
 
       // Reset after 3 seconds
@@ -96,13 +119,14 @@ export function FileUpload() {
     }
   };
 
-  const getFileType = (filename: string): 'txt' | 'md' | 'pdf' | 'docx' | 'xlsx' | 'tex' | 'folder' => {
+  const getFileType = (filename: string): 'txt' | 'md' | 'pdf' | 'docx' | 'xlsx' | 'tex' | 'image' | 'folder' => {
     const ext = filename.toLowerCase().split('.').pop();
     if (ext === 'pdf') return 'pdf';
     if (ext === 'docx' || ext === 'doc') return 'docx';
     if (ext === 'xlsx' || ext === 'xls') return 'xlsx';
     if (ext === 'md') return 'md';
     if (ext === 'tex') return 'tex';
+    if (ext && ['png', 'jpg', 'jpeg', 'tif', 'tiff'].includes(ext)) return 'image';
     return 'txt';
   };
 
@@ -115,7 +139,7 @@ export function FileUpload() {
       <input
         ref={fileInputRef}
         type="file"
-        accept=".pdf,.docx,.doc,.txt,.md,.xlsx,.xls,.pptx,.ppt,.csv,.json,.tex"
+        accept=".pdf,.docx,.doc,.txt,.md,.xlsx,.xls,.pptx,.ppt,.csv,.json,.tex,.png,.jpg,.jpeg,.tif,.tiff"
         onChange={handleFileSelect}
         className="hidden"
       />
@@ -127,7 +151,7 @@ export function FileUpload() {
                    bg-blue-500 hover:bg-blue-600 text-white
                    disabled:opacity-50 disabled:cursor-not-allowed
                    transition-colors duration-200"
-        title="Upload PDF, DOCX, Excel, PowerPoint, or text files"
+        title="Upload PDF, DOCX, Excel, PowerPoint, text or image files"
       >
         {uploadStatus.loading ? (
           <>
@@ -167,11 +191,8 @@ export function FileUpload() {
             {uploadStatus.loading && (
               <p>Uploading {uploadStatus.filename}...</p>
             )}
-            {uploadStatus.success && !uploadStatus.error && (
-              <p>✅ {uploadStatus.filename} uploaded and indexed!</p>
-            )}
-            {uploadStatus.success && uploadStatus.error && (
-              <p>⚠️ {uploadStatus.filename} uploaded but: {uploadStatus.error}</p>
+            {uploadStatus.success && (
+              <p>✅ {uploadStatus.message}</p>
             )}
             {!uploadStatus.success && uploadStatus.error && (
               <p>❌ {uploadStatus.error}</p>
@@ -66,7 +66,7 @@ export const InsertSuggestion = ({
       const insertLine = line || 1;
 
       // Insert via API
-      await insertTextIntoFile(filename, suggestedText, insertLine, column);
+      await insertTextIntoFile(filename, suggestedText, insertLine, column, 'AI insertion');
 
           // Update local file content if it's the active file
       if (activeFileId) {
@@ -84,7 +84,8 @@ export const InsertSuggestion = ({
             lines.splice(insertLine - 1, 0, suggestedText);
             newContent = lines.join('\n');
           }
-          updateFileContent(activeFileId, newContent, 'AI insertion');
+          // The server made the same insertion, so the copies still match unless the file had unsaved edits
+          updateFileContent(activeFileId, newContent, { reason: 'AI insertion', saved: !file.unsavedChanges });
         }
       }
 
@@ -1,8 +1,10 @@
 import { useEffect, useRef, useState } from 'react';
 import Editor, { OnMount } from '@monaco-editor/react';
-import { Save, Download } from 'lucide-react';
+import { Save, Download, History, Play, Loader2, X, AlertCircle, AlertTriangle, Info } from 'lucide-react';
 import { saveAs } from 'file-saver';
 import * as monaco from 'monaco-editor';
+import { useViewerStore } from '../stores/viewerStore';
+import { compileLatex, LatexCompileResult, LatexDiagnostic } from '../services/api';
 
 // Configure Monaco for LaTeX syntax highlighting
 const configureMonacoForLaTeX = () => {
@@ -56,18 +58,71 @@ const configureMonacoForLaTeX = () => {
   }
 };
 
+const MARKER_SEVERITY: Record<LatexDiagnostic['severity'], monaco.MarkerSeverity> = {
+  error: monaco.MarkerSeverity.Error,
+  warning: monaco.MarkerSeverity.Warning,
+  info: monaco.MarkerSeverity.Info,
+};
+
+const DIAGNOSTIC_ICONS = {
+  error: <AlertCircle size={12} className="flex-shrink-0 text-red-600 dark:text-red-400" />,
+  warning: <AlertTriangle size={12} className="flex-shrink-0 text-amber-600 dark:text-amber-400" />,
+  info: <Info size={12} className="flex-shrink-0 text-blue-600 dark:text-blue-400" />,
+};
+
+const pdfUrlFrom = (base64: string) => {
+  const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+  return URL.createObjectURL(new Blob([bytes], { type: 'application/pdf' }));
+};
+
 interface LaTeXEditorProps {
   content: string;
   fileName?: string;
+  fileId?: string;
   onChange: (value: string) => void;
   onInsertText?: (text: string, position: { line: number; column: number }) => void;
+  onShowHistory?: () => void;
 }
 
-export const LaTeXEditor = ({ content, fileName, onChange, onInsertText }: LaTeXEditorProps) => {
+export const LaTeXEditor = ({ content, fileName, fileId, onChange, onInsertText, onShowHistory }: LaTeXEditorProps) => {
   const [value, setValue] = useState(content);
   const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
   const [statusMessage, setStatusMessage] = useState<string | null>(null);
   const editorRef = useRef<monaco.editor.IStandaloneCodeEditor | null>(null);
+  const [editorReady, setEditorReady] = useState(false);
+  const target = useViewerStore(state => state.target);
+  const clearTarget = useViewerStore(state => state.clearTarget);
+  // Split view with the compiled PDF and the log's errors and warnings
+  const [showPreview, setShowPreview] = useState(false);
+  const [compiling, setCompiling] = useState(false);
+  const [compileResult, setCompileResult] = useState<LatexCompileResult | null>(null);
+  const [compileError, setCompileError] = useState<string | null>(null);
+  const [pdfUrl, setPdfUrl] = useState<string | null>(null);
+
+  // Blob URLs of earlier previews are released as soon as they are replaced
+  useEffect(() => () => {
+    if (pdfUrl) URL.revokeObjectURL(pdfUrl);
+  }, [pdfUrl]);
+
+  // Underline the lines the log points at
+  useEffect(() => {
+    const model = editorRef.current?.getModel();
+    if (!editorReady || !model) return;
+    const last = model.getLineCount();
+    monaco.editor.setModelMarkers(model, 'latex', (compileResult?.diagnostics ?? [])
+      .filter(d => d.line !== null)
+      .map(d => {
+        const line = Math.min(d.line as number, last);
+        return {
+          severity: MARKER_SEVERITY[d.severity],
+          message: d.message,
+          startLineNumber: line,
+          startColumn: model.getLineFirstNonWhitespaceColumn(line) || 1,
+          endLineNumber: line,
+          endColumn: model.getLineMaxColumn(line),
+        };
+      }));
+  }, [editorReady, compileResult]);
 
   useEffect(() => {
     setValue(content);
@@ -80,6 +135,7 @@ export const LaTeXEditor = ({ content, fileName, onChange, onInsertText }: LaTeX
 
   const handleEditorDidMount: OnMount = (editor) => {
     editorRef.current = editor;
+    setEditorReady(true);
     
     try {
       // Set LaTeX theme
@@ -101,6 +157,18 @@ export const LaTeXEditor = ({ content, fileName, onChange, onInsertText }: LaTeX
     });
   };
 
+  // Select the lines of a cited passage
+  useEffect(() => {
+    const model = editorRef.current?.getModel();
+    if (!editorReady || !model || !target || target.fileId !== fileId || !target.lineStart) return;
+    const last = model.getLineCount();
+    const from = Math.min(target.lineStart, last);
+    const to = Math.min(Math.max(target.lineEnd || target.lineStart, from), last);
+    editorRef.current?.setSelection(new monaco.Selection(from, 1, to, model.getLineMaxColumn(to)));
+    editorRef.current?.revealLinesInCenter(from, to);
+    clearTarget();
+  }, [editorReady, target, fileId, clearTarget]);
+
   const handleChange = (newValue: string | undefined) => {
     const updatedValue = newValue || '';
     setValue(updatedValue);
@@ -116,6 +184,28 @@ export const LaTeXEditor = ({ content, fileName, onChange, onInsertText }: LaTeX
     setTimeout(() => setStatusMessage(null), 2500);
   };
 
+  const handleCompile = async () => {
+    setShowPreview(true);
+    setCompiling(true);
+    setCompileError(null);
+    try {
+      const result = await compileLatex(value);
+      setCompileResult(result);
+      // A failed compile keeps the last good PDF on screen
+      if (result.pdf) setPdfUrl(pdfUrlFrom(result.pdf));
+    } catch (err) {
+      setCompileError(err instanceof Error ? err.message : 'Failed to compile');
+    } finally {
+      setCompiling(false);
+    }
+  };
+
+  const revealLine = (line: number) => {
+    editorRef.current?.revealLineInCenter(line);
+    editorRef.current?.setPosition({ lineNumber: line, column: 1 });
+    editorRef.current?.focus();
+  };
+
   const handleExport = () => {
     try {
       const blob = new Blob([value], { type: 'text/plain;charset=utf-8' });
@@ -183,6 +273,25 @@ export const LaTeXEditor = ({ content, fileName, onChange, onInsertText }: LaTeX
             <Download size={16} />
             Export .tex
           </button>
+          <button
+            onClick={handleCompile}
+            disabled={compiling}
+            className="flex items-center gap-2 px-3 py-1 rounded text-sm bg-purple-500 text-white disabled:opacity-50 disabled:cursor-not-allowed hover:bg-purple-600"
+            title="Compile to PDF and show it next to the source"
+          >
+            {compiling ? <Loader2 size={16} className="animate-spin" /> : <Play size={16} />}
+            Compile
+          </button>
+          {onShowHistory && (
+            <button
+              onClick={onShowHistory}
+              className="flex items-center gap-2 px-3 py-1 rounded text-sm bg-gray-200 dark:bg-gray-700 text-text-primary-light dark:text-text-primary-dark hover:bg-gray-300 dark:hover:bg-gray-600"
+              title="Version history"
+            >
+              <History size={16} />
+              History
+            </button>
+          )}
         </div>
         {statusMessage && (
           <span className="text-xs font-medium text-blue-600 dark:text-blue-300">
@@ -191,29 +300,85 @@ export const LaTeXEditor = ({ content, fileName, onChange, onInsertText }: LaTeX
         )}
       </div>
 
-      {/* Editor */}
-      <div className="flex-1 overflow-hidden">
-        <Editor
-          height="100%"
-          language="latex"
-          value={value}
-          onChange={handleChange}
-          onMount={handleEditorDidMount}
-          theme="latex-theme"
-          options={{
-            fontSize: 14,
-            lineNumbers: 'on',
-            minimap: { enabled: true },
-            wordWrap: 'on',
-            automaticLayout: true,
-            scrollBeyondLastLine: false,
-            tabSize: 2,
-            insertSpaces: true,
-            renderWhitespace: 'selection',
-            formatOnPaste: true,
-            formatOnType: true,
-          }}
-        />
+      {/* Editor, with the PDF preview beside it once compiled */}
+      <div className="flex-1 flex overflow-hidden">
+        <div className={showPreview ? 'w-1/2 min-w-0' : 'flex-1 min-w-0'}>
+          <Editor
+            height="100%"
+            language="latex"
+            value={value}
+            onChange={handleChange}
+            onMount={handleEditorDidMount}
+            theme="latex-theme"
+            options={{
+              fontSize: 14,
+              lineNumbers: 'on',
+              minimap: { enabled: true },
+              wordWrap: 'on',
+              automaticLayout: true,
+              scrollBeyondLastLine: false,
+              tabSize: 2,
+              insertSpaces: true,
+              renderWhitespace: 'selection',
+              formatOnPaste: true,
+              formatOnType: true,
+            }}
+          />
+        </div>
+
+        {showPreview && (
+          <div className="w-1/2 min-w-0 flex flex-col border-l border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800">
+            <div className="flex items-center gap-2 px-3 py-1 border-b border-gray-200 dark:border-gray-700 text-xs text-text-muted-light dark:text-text-muted-dark">
+              <span className="font-medium text-text-primary-light dark:text-text-primary-dark">PDF preview</span>
+              {compileResult && (
+                <span>
+                  {compileResult.success ? 'Compiled' : 'Compiled with errors'} with {compileResult.engine} in {(compileResult.durationMs / 1000).toFixed(1)}s
+                </span>
+              )}
+              <button
+                onClick={() => setShowPreview(false)}
+                className="ml-auto p-0.5 rounded hover:bg-gray-100 dark:hover:bg-gray-700"
+                title="Close preview"
+              >
+                <X size={14} />
+              </button>
+            </div>
+            <div className="flex-1 min-h-0">
+              {pdfUrl ? (
+                <iframe src={pdfUrl} title="PDF preview" className="w-full h-full border-0" />
+              ) : (
+                <div className="h-full flex items-center justify-center text-sm text-text-muted-light dark:text-text-muted-dark">
+                  {compiling ? 'Compiling…' : 'No PDF was produced'}
+                </div>
+              )}
+            </div>
+            {(compileError || (compileResult && compileResult.diagnostics.length > 0)) && (
+              <ul className="max-h-40 overflow-y-auto border-t border-gray-200 dark:border-gray-700 text-xs">
+                {compileError && (
+                  <li className="flex items-start gap-2 px-3 py-1 text-red-600 dark:text-red-400">
+                    {DIAGNOSTIC_ICONS.error}
+                    <span>{compileError}</span>
+                  </li>
+                )}
+                {compileResult?.diagnostics.map((d, i) => (
+                  <li key={i}>
+                    <button
+                      onClick={() => d.line !== null && revealLine(d.line)}
+                      disabled={d.line === null}
+                      className="w-full flex items-start gap-2 px-3 py-1 text-left text-text-primary-light dark:text-text-primary-dark enabled:hover:bg-gray-100 dark:enabled:hover:bg-gray-700"
+                    >
+                      {DIAGNOSTIC_ICONS[d.severity]}
+                      <span className="flex-shrink-0 font-mono text-text-muted-light dark:text-text-muted-dark">
+                        {d.line !== null ? `l.${d.line}` : d.file ?? '—'}
+                      </span>
+                      <span className="break-words">{d.message}</span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
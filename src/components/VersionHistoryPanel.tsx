@@ -0,0 +1,270 @@
+import { useEffect, useState } from 'react';
+import { DiffEditor } from '@monaco-editor/react';
+import { History, RotateCcw, X, Bot, User } from 'lucide-react';
+import { useFileSystemStore } from '../stores/fileSystemStore';
+import { useAppStore } from '../stores/appStore';
+import { getDocumentVersion } from '../services/api';
+import { FileType, FileVersion, LocalVersion } from '../types';
+
+// What the selected version is compared with: the version before it, the workspace copy, or another version
+type Comparison = 'previous' | 'current' | number;
+
+const LANGUAGES: Partial<Record<FileType, string>> = { tex: 'latex', md: 'markdown' };
+
+const describeVersion = (version: FileVersion) => version.reason || version.operation.replace(/_/g, ' ');
+
+const latestVersion = (versions: FileVersion[]) => (versions.length > 0 ? versions[versions.length - 1].version : 0);
+
+interface VersionHistoryPanelProps {
+  fileId: string;
+  onClose: () => void;
+}
+
+/**
+ * Versions of a server-side file from its edit journal, newest first, with a side-by-side diff of the
+ * selected one and a way to restore it. Contents replaced by edits in the browser, which the server
+ * has not seen, are listed above them.
+ */
+export const VersionHistoryPanel = ({ fileId, onClose }: VersionHistoryPanelProps) => {
+  const file = useFileSystemStore(state => state.getFileById(fileId));
+  const { loadVersions, revertToVersion, restoreLocalVersion } = useFileSystemStore(state => ({
+    loadVersions: state.loadVersions,
+    revertToVersion: state.revertToVersion,
+    restoreLocalVersion: state.restoreLocalVersion,
+  }));
+  const theme = useAppStore(state => state.theme);
+  const [versions, setVersions] = useState<FileVersion[] | null>(null);
+  const [selected, setSelected] = useState(0);
+  // Index of a selected local copy (file.localVersions), compared with the workspace copy
+  const [selectedLocal, setSelectedLocal] = useState<number | null>(null);
+  const [comparison, setComparison] = useState<Comparison>('previous');
+  const [contents, setContents] = useState<Record<number, string>>({});
+  const [error, setError] = useState<string | null>(null);
+  const [restoring, setRestoring] = useState(false);
+
+  const key = file?.savedFilename || file?.docId;
+
+  useEffect(() => {
+    if (!key) return;
+    setVersions(null);
+    setSelectedLocal(null);
+    setContents({});
+    setError(null);
+    loadVersions(fileId)
+      .then(loaded => {
+        setVersions(loaded);
+        setSelected(latestVersion(loaded));
+      })
+      .catch(err => setError(err instanceof Error ? err.message : 'Failed to load the history'));
+  }, [fileId, key, loadVersions]);
+
+  // The server keeps a limited number of changes: the oldest version left is the one before the first of them
+  const oldest = versions && versions.length > 0 ? versions[0].version - 1 : 0;
+  // Versions on each side of the diff; null stands for the workspace copy
+  const previous = selected > oldest ? selected - 1 : null;
+  const other = comparison === 'current' || (comparison === 'previous' && previous === null)
+    ? null
+    : comparison === 'previous' ? previous : comparison;
+  const [original, modified] = other === null ? [selected, null] : [Math.min(other, selected), Math.max(other, selected)];
+
+  useEffect(() => {
+    if (!key || !versions) return;
+    const missing = [original, modified].filter((v): v is number => v !== null && contents[v] === undefined);
+    if (missing.length === 0) return;
+    Promise.all(missing.map(async v => [v, await getDocumentVersion(key, v)] as const))
+      .then(loaded => setContents(current => ({ ...current, ...Object.fromEntries(loaded) })))
+      .catch(err => setError(err instanceof Error ? err.message : 'Failed to load the version'));
+  }, [key, versions, original, modified, contents]);
+
+  const select = (version: number) => {
+    setSelected(version);
+    setSelectedLocal(null);
+    if (comparison === version) setComparison('previous');
+  };
+
+  const localVersions = file?.localVersions ?? [];
+  const local = selectedLocal !== null ? localVersions[selectedLocal] : undefined;
+  const localLabel = (version: LocalVersion) => `Local copy from ${new Date(version.timestamp).toLocaleString()}`;
+
+  const handleRestore = async () => {
+    if (local) {
+      if (!confirm(`Restore the ${localLabel(local).toLowerCase()} of "${file?.name}"? The current text is kept in the local history.`)) return;
+      restoreLocalVersion(fileId, selectedLocal as number);
+      setSelectedLocal(null);
+      return;
+    }
+    const question = file?.unsavedChanges
+      ? `"${file.name}" has unsaved edits. Replace them with version ${selected}? The edited text is kept in the local history.`
+      : `Restore version ${selected} of "${file?.name}"? The restore can be undone from this history.`;
+    if (!confirm(question)) return;
+    setRestoring(true);
+    setError(null);
+    try {
+      await revertToVersion(fileId, selected, { discardUnsaved: true });
+      const loaded = useFileSystemStore.getState().getFileById(fileId)?.versions ?? [];
+      setVersions(loaded);
+      setSelected(latestVersion(loaded));
+      setComparison('previous');
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to restore the version');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const label = (version: number | null) => (version === null ? 'Workspace copy' : version === 0 ? 'Original' : `Version ${version}`);
+  const ready = Boolean(local) || [original, modified].every(v => v === null || contents[v] !== undefined);
+  const newestFirst = versions ? [...versions].reverse() : [];
+  const latest = versions ? latestVersion(versions) : 0;
+
+  return (
+    <div className="absolute inset-0 z-20 flex flex-col bg-white dark:bg-gray-900">
+      <div className="flex items-center gap-2 px-4 py-2 border-b border-gray-200 dark:border-gray-700">
+        <History size={16} className="text-primary" />
+        <span className="text-sm font-medium text-text-primary-light dark:text-text-primary-dark">Version history</span>
+        <span className="text-xs text-text-muted-light dark:text-text-muted-dark truncate">{file?.name}</span>
+        <button
+          onClick={onClose}
+          className="ml-auto p-1 rounded hover:bg-gray-100 dark:hover:bg-gray-800 text-gray-600 dark:text-gray-300"
+          title="Close history"
+        >
+          <X size={16} />
+        </button>
+      </div>
+
+      {!key ? (
+        <div className="flex-1 flex items-center justify-center text-sm text-text-muted-light dark:text-text-muted-dark">
+          Only files saved on the server have a version history.
+        </div>
+      ) : (
+        <div className="flex-1 flex min-h-0">
+          <ul className="w-64 flex-shrink-0 overflow-y-auto border-r border-gray-200 dark:border-gray-700 text-xs">
+            {localVersions.length > 0 && (
+              <li className="px-3 py-1 bg-gray-50 dark:bg-gray-800 text-text-muted-light dark:text-text-muted-dark">
+                {file?.unsavedChanges ? 'Unsaved edits in this browser' : 'Edits in this browser'}
+              </li>
+            )}
+            {localVersions.map((version, index) => (
+              <li key={`local-${index}`}>
+                <button
+                  onClick={() => setSelectedLocal(index)}
+                  className={`w-full text-left px-3 py-2 border-b border-gray-100 dark:border-gray-800 ${selectedLocal === index
+                    ? 'bg-blue-50 dark:bg-blue-900/30'
+                    : 'hover:bg-gray-50 dark:hover:bg-gray-800'}`}
+                >
+                  <div className="font-medium truncate text-text-primary-light dark:text-text-primary-dark">Before: {version.reason}</div>
+                  <div className="text-text-muted-light dark:text-text-muted-dark">{new Date(version.timestamp).toLocaleString()}</div>
+                </button>
+              </li>
+            ))}
+            {localVersions.length > 0 && (
+              <li className="px-3 py-1 bg-gray-50 dark:bg-gray-800 text-text-muted-light dark:text-text-muted-dark">Saved on the server</li>
+            )}
+            {versions === null && !error && (
+              <li className="px-3 py-2 text-text-muted-light dark:text-text-muted-dark">Loading…</li>
+            )}
+            {versions?.length === 0 && (
+              <li className="px-3 py-2 text-text-muted-light dark:text-text-muted-dark">No changes have been recorded for this file yet.</li>
+            )}
+            {newestFirst.map(version => (
+              <li key={version.version}>
+                <button
+                  onClick={() => select(version.version)}
+                  className={`w-full text-left px-3 py-2 border-b border-gray-100 dark:border-gray-800 ${!local && selected === version.version
+                    ? 'bg-blue-50 dark:bg-blue-900/30'
+                    : 'hover:bg-gray-50 dark:hover:bg-gray-800'}`}
+                >
+                  <div className="flex items-center gap-1 text-text-primary-light dark:text-text-primary-dark">
+                    {version.actor === 'agent' ? <Bot size={12} className="flex-shrink-0" /> : <User size={12} className="flex-shrink-0" />}
+                    <span className="font-medium truncate">{describeVersion(version)}</span>
+                    <span className="ml-auto flex-shrink-0 font-mono">
+                      <span className="text-green-700 dark:text-green-400">+{version.additions}</span>{' '}
+                      <span className="text-red-700 dark:text-red-400">-{version.deletions}</span>
+                    </span>
+                  </div>
+                  <div className="text-text-muted-light dark:text-text-muted-dark">
+                    v{version.version} · {new Date(version.timestamp).toLocaleString()}
+                  </div>
+                </button>
+              </li>
+            ))}
+            {versions && versions.length > 0 && (
+              <li>
+                <button
+                  onClick={() => select(oldest)}
+                  className={`w-full text-left px-3 py-2 ${!local && selected === oldest ? 'bg-blue-50 dark:bg-blue-900/30' : 'hover:bg-gray-50 dark:hover:bg-gray-800'}`}
+                >
+                  <div className="font-medium text-text-primary-light dark:text-text-primary-dark">{label(oldest)}</div>
+                  <div className="text-text-muted-light dark:text-text-muted-dark">
+                    v{oldest} · {oldest === 0 ? 'before the first recorded change' : 'oldest version kept'}
+                  </div>
+                </button>
+              </li>
+            )}
+          </ul>
+
+          <div className="flex-1 flex flex-col min-w-0">
+            <div className="flex items-center gap-2 px-3 py-2 border-b border-gray-200 dark:border-gray-700 text-xs">
+              {!local && <span className="text-text-muted-light dark:text-text-muted-dark">Compare with</span>}
+              {!local && <select
+                value={String(comparison)}
+                onChange={e => {
+                  const { value } = e.target;
+                  setComparison(value === 'previous' || value === 'current' ? value : Number(value));
+                }}
+                className="px-1 py-0.5 rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-text-primary-light dark:text-text-primary-dark"
+              >
+                <option value="previous">Previous version</option>
+                <option value="current">Workspace copy</option>
+                {versions && [oldest, ...versions.map(v => v.version)]
+                  .filter(v => v !== selected)
+                  .map(v => <option key={v} value={v}>{label(v)}</option>)}
+              </select>}
+              <span className="text-text-muted-light dark:text-text-muted-dark truncate">
+                {local ? `${localLabel(local)} → ${label(null)}` : `${label(original)} → ${label(modified)}`}
+              </span>
+              <button
+                onClick={handleRestore}
+                disabled={!local && (!versions?.length || restoring || selected === latest)}
+                className="ml-auto flex items-center gap-1 px-2 py-1 rounded bg-primary text-white hover:bg-primary-dark disabled:opacity-50 disabled:cursor-not-allowed"
+                title={local
+                  ? `Restore the ${localLabel(local).toLowerCase()}`
+                  : selected === latest ? 'This is the latest version' : `Restore ${label(selected).toLowerCase()}`}
+              >
+                <RotateCcw size={12} />
+                Restore
+              </button>
+            </div>
+            {file?.unsavedChanges && !local && (
+              <div className="px-3 py-2 text-xs text-amber-700 dark:text-amber-400 border-b border-gray-200 dark:border-gray-700">
+                This file has edits the server does not have. Restoring a version replaces them; the edited text is kept under "Unsaved edits in this browser".
+              </div>
+            )}
+            {error && (
+              <div className="px-3 py-2 text-xs text-red-600 dark:text-red-400">{error}</div>
+            )}
+            <div className="flex-1 min-h-0">
+              {(local || (versions && versions.length > 0)) && ready && (
+                <DiffEditor
+                  height="100%"
+                  language={(file && LANGUAGES[file.type]) || 'plaintext'}
+                  original={local ? local.content : contents[original] ?? ''}
+                  modified={local || modified === null ? file?.content ?? '' : contents[modified] ?? ''}
+                  theme={theme === 'dark' ? 'vs-dark' : 'light'}
+                  options={{
+                    readOnly: true,
+                    renderSideBySide: true,
+                    wordWrap: 'on',
+                    automaticLayout: true,
+                    scrollBeyondLastLine: false,
+                    minimap: { enabled: false },
+                  }}
+                />
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
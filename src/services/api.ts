@@ -1,9 +1,11 @@
 // API Service Layer
 // Replace these with your actual backend endpoints
 
+import { ChatMessage, FileVersion, PendingAction } from '../types';
+
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
 
-function getSessionId(): string {
+export function getSessionId(): string {
   const key = 'chat-session-id';
   if (typeof localStorage !== 'undefined') {
     let sid = localStorage.getItem(key);
@@ -25,6 +27,15 @@ export function newSession(): string {
   return sid;
 }
 
+/**
+ * Make an existing conversation the current session
+ */
+export function setSessionId(sid: string): void {
+  if (typeof localStorage !== 'undefined') {
+    localStorage.setItem('chat-session-id', sid);
+  }
+}
+
 export async function resetSession(): Promise<void> {
   await fetch(`${API_BASE_URL}/session/reset`, {
     method: 'POST',
@@ -35,6 +46,141 @@ export async function resetSession(): Promise<void> {
   }).catch(() => {});
 }
 
+export interface ConversationSummary {
+  id: string;
+  title: string;
+  createdAt: string;
+  updatedAt: string;
+  messageCount: number;
+}
+
+export interface ConversationMessage {
+  role: 'user' | 'assistant';
+  content: string;
+  createdAt: string;
+  sources?: ChatMessage['sources'];
+  citations?: ChatMessage['citations'];
+  grounding?: ChatMessage['grounding'];
+}
+
+/**
+ * Running summary the model is given in place of a conversation's older messages
+ */
+export interface ContextSummary {
+  content: string;
+  through: number; // messages covered
+  edited: boolean;
+  updatedAt: string;
+}
+
+export interface Conversation extends ConversationSummary {
+  summary: ContextSummary | null;
+  messages: ConversationMessage[];
+}
+
+/**
+ * Conversations stored on the server, most recently active first
+ */
+export async function listConversations(): Promise<ConversationSummary[]> {
+  const response = await fetch(`${API_BASE_URL}/conversations`);
+  if (!response.ok) {
+    throw new Error(`Conversations error: ${response.statusText}`);
+  }
+  const data = await response.json();
+  return data.conversations;
+}
+
+/**
+ * A conversation with all of its messages; null if the server does not know it
+ */
+export async function getConversation(id: string): Promise<Conversation | null> {
+  const response = await fetch(`${API_BASE_URL}/conversations/${encodeURIComponent(id)}`);
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`Conversation error: ${response.statusText}`);
+  }
+  return await response.json();
+}
+
+export async function renameConversation(id: string, title: string): Promise<ConversationSummary> {
+  const response = await fetch(`${API_BASE_URL}/conversations/${encodeURIComponent(id)}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ title }),
+  });
+  const data = await response.json().catch(() => ({ error: response.statusText }));
+  if (!response.ok) {
+    throw new Error(data.error || `Rename error: ${response.statusText}`);
+  }
+  return data;
+}
+
+export async function saveConversationSummary(id: string, content: string): Promise<ContextSummary> {
+  const response = await fetch(`${API_BASE_URL}/conversations/${encodeURIComponent(id)}/summary`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ content }),
+  });
+  const data = await response.json().catch(() => ({ error: response.statusText }));
+  if (!response.ok) {
+    throw new Error(data.error || `Summary error: ${response.statusText}`);
+  }
+  return data;
+}
+
+export async function deleteConversation(id: string): Promise<void> {
+  const response = await fetch(`${API_BASE_URL}/conversations/${encodeURIComponent(id)}`, { method: 'DELETE' });
+  // Conversations that never got a reply only exist in the browser
+  if (!response.ok && response.status !== 404) {
+    const data = await response.json().catch(() => ({ error: response.statusText }));
+    throw new Error(data.error || `Delete error: ${response.statusText}`);
+  }
+}
+
+export interface UsageTotals {
+  requests: number;
+  promptTokens: number;
+  completionTokens: number;
+  totalTokens: number;
+  toolCalls: number;
+  avgLatencyMs: number;
+  costUsd: number; // models without a known price count as 0
+}
+
+export interface UsageSummary {
+  totals: UsageTotals;
+  sessions: (UsageTotals & { sessionId: string | null; lastAt: string })[];
+  days: (UsageTotals & { day: string })[];
+  requests: {
+    at: string;
+    sessionId: string | null;
+    route: string;
+    provider: string;
+    model: string;
+    promptTokens: number;
+    completionTokens: number;
+    totalTokens: number;
+    toolCalls: number;
+    latencyMs: number;
+    costUsd: number | null;
+  }[];
+}
+
+/**
+ * Token usage and estimated cost, optionally for one session and/or a range of days (YYYY-MM-DD, UTC)
+ */
+export async function getUsage(filter: { sessionId?: string; from?: string; to?: string } = {}): Promise<UsageSummary> {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(filter)) {
+    if (value) params.set(key, value);
+  }
+  const response = await fetch(`${API_BASE_URL}/usage?${params}`);
+  if (!response.ok) {
+    throw new Error(`Usage error: ${response.statusText}`);
+  }
+  return await response.json();
+}
+
 // Debug logging
 console.log('🔧 API Configuration:');
 console.log('  VITE_API_URL:', import.meta.env.VITE_API_URL);
@@ -55,20 +201,45 @@ export interface ChatResponse {
     filename: string;
     docId?: string;
     score: number;
+    rerankScore?: number | null;
     text_preview: string;
     page?: number | null;
+    pageEnd?: number | null;
     sheet?: string | null;
+    section?: string | null;
     lineStart?: number;
     lineEnd?: number;
   }[];
-  createdFiles?: {
-    filename: string;
-    docId: string;
-    topic?: string;
-    title?: string;
-  }[];
+  citations?: ChatMessage['citations'];
+  grounding?: ChatMessage['grounding'];
+  createdFiles?: CreatedFile[];
+  toolCalls?: { name: string; args: Record<string, unknown>; approved?: boolean }[];
+  pendingAction?: PendingAction; // the agent paused for approval of a file change
+  usedGeneralKnowledge?: boolean;
+  summary?: ContextSummary | null; // the conversation's running summary after this request
+  usage?: {
+    prompt_tokens: number;
+    completion_tokens: number;
+    total_tokens: number;
+  };
+}
+
+export interface CreatedFile {
+  filename: string;
+  docId: string;
+  topic?: string;
+  title?: string;
 }
 
+/**
+ * Events emitted by /agent/chat/stream, in the order the agent produces them
+ */
+export type AgentStreamEvent =
+  | { type: 'token'; delta: string }
+  | { type: 'tool_start'; id: string; name: string; args: Record<string, unknown> }
+  | { type: 'tool_end'; id: string; name: string; output: string; error: boolean; truncated?: boolean }
+  | { type: 'created_file'; file: CreatedFile };
+
 /**
  * Send a chat message to the AI backend
  * This is a placeholder - replace with your actual API implementation
@@ -112,11 +283,127 @@ export async function sendAgentMessage(
   return await response.json();
 }
 
+/**
+ * Stream a message to the agent over Server-Sent Events.
+ * Progress events are passed to `onEvent`; resolves with the final `done` payload.
+ * With `approval`, a file change the agent wants to make comes back as `pendingAction`; answer it with
+ * streamActionDecision.
+ */
+export async function streamAgentMessage(
+  message: string,
+  opts: { document?: { filename: string; content: string }; documentIds?: string[]; approval?: boolean } | undefined,
+  onEvent: (event: AgentStreamEvent) => void
+): Promise<ChatResponse> {
+  const response = await fetch(`${API_BASE_URL}/agent/chat/stream`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'text/event-stream',
+      'X-Session-Id': getSessionId(),
+    },
+    body: JSON.stringify({ message, document: opts?.document, documentIds: opts?.documentIds, approval: opts?.approval }),
+  });
+  return readAgentStream(response, onEvent);
+}
+
+/**
+ * Approve or reject the file change an agent paused for, and stream the rest of its answer
+ */
+export async function streamActionDecision(
+  actionId: string,
+  decision: { approved: boolean; reason?: string },
+  onEvent: (event: AgentStreamEvent) => void
+): Promise<ChatResponse> {
+  const response = await fetch(`${API_BASE_URL}/agent/actions/${encodeURIComponent(actionId)}/stream`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'text/event-stream',
+      'X-Session-Id': getSessionId(),
+    },
+    body: JSON.stringify(decision),
+  });
+  return readAgentStream(response, onEvent);
+}
+
+async function readAgentStream(response: Response, onEvent: (event: AgentStreamEvent) => void): Promise<ChatResponse> {
+  if (!response.ok || !response.body) {
+    const errorData = await response.json().catch(() => ({ error: response.statusText }));
+    throw new Error(errorData.error || `API error: ${response.statusText}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // SSE frames are separated by a blank line
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      const frame = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+
+      let eventName = 'message';
+      const dataLines: string[] = [];
+      for (const line of frame.split('\n')) {
+        if (line.startsWith('event:')) eventName = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+      }
+      if (dataLines.length === 0) continue;
+      const data = JSON.parse(dataLines.join('\n'));
+
+      if (eventName === 'done') {
+        reader.cancel().catch(() => {});
+        return data as ChatResponse;
+      }
+      if (eventName === 'error') {
+        throw new Error(data.error || 'Agent stream failed');
+      }
+      onEvent(data as AgentStreamEvent);
+    }
+  }
+
+  throw new Error('Agent stream ended before a response was received');
+}
+
+export interface OcrSummary {
+  engine: string;
+  /** Mean recognition confidence, 0-100 */
+  confidence: number;
+  pages: Array<{ page: number; confidence: number; chars: number }>;
+}
+
+export type IngestJobStatus = 'queued' | 'running' | 'completed' | 'failed' | 'cancelled';
+
+export interface IngestJob {
+  id: string;
+  type: string;
+  docId: string;
+  filename: string;
+  originalName: string;
+  status: IngestJobStatus;
+  /** 'parsing' or 'embedding' while running */
+  stage: string | null;
+  progress: { done: number; total: number };
+  error: string | null;
+  result: { id: string; filename: string; version: number; chunks: number; embedded: number; reused: number; ocr?: OcrSummary } | null;
+  createdAt: number;
+  startedAt: number | null;
+  finishedAt: number | null;
+}
+
 /**
  * Upload a document to the backend for processing
- * Useful for RAG implementations
+ * Indexing runs in the background; follow it with getJob(jobId). Contents the server has
+ * already indexed come back as `duplicate` with the existing document's id (and its jobId
+ * while that is still being indexed); a file named like an indexed one keeps that id as its new version.
  */
-export async function uploadDocument(file: File): Promise<{ id: string; status: string; filename?: string }> {
+export async function uploadDocument(file: File): Promise<{ jobId?: string; id: string; status: 'queued' | 'duplicate'; filename: string }> {
   const formData = new FormData();
   formData.append('file', file);
 
@@ -137,6 +424,30 @@ export async function uploadDocument(file: File): Promise<{ id: string; status:
   }
 }
 
+/**
+ * Get the status and progress of a background ingestion job; null if the server no longer knows it
+ */
+export async function getJob(jobId: string): Promise<IngestJob | null> {
+  const response = await fetch(`${API_BASE_URL}/jobs/${encodeURIComponent(jobId)}`);
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`Job status error: ${response.statusText}`);
+  }
+  return await response.json();
+}
+
+/**
+ * Cancel a queued or running ingestion job
+ */
+export async function cancelJob(jobId: string): Promise<IngestJob> {
+  const response = await fetch(`${API_BASE_URL}/jobs/${encodeURIComponent(jobId)}/cancel`, { method: 'POST' });
+  const data = await response.json().catch(() => ({ error: response.statusText }));
+  if (!response.ok) {
+    throw new Error(data.error || `Cancel error: ${response.statusText}`);
+  }
+  return data;
+}
+
 /**
  * Clear all documents and index
  */
@@ -179,6 +490,82 @@ export async function deleteDocument(docIdOrFilename: string): Promise<{ success
   }
 }
 
+export interface DocumentHistory {
+  filename: string;
+  docId: string | null;
+  currentVersion: number; // 0 until the server first changes the file
+  versions: FileVersion[];
+}
+
+/**
+ * Edit history of a server-side file; null if the server does not know it
+ */
+export async function getDocumentHistory(docIdOrFilename: string): Promise<DocumentHistory | null> {
+  const response = await fetch(`${API_BASE_URL}/documents/${encodeURIComponent(docIdOrFilename)}/history`);
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`History error: ${response.statusText}`);
+  }
+  return await response.json();
+}
+
+/**
+ * Content of a file at a version of its history (0: before the first change)
+ */
+export async function getDocumentVersion(docIdOrFilename: string, version: number): Promise<string> {
+  const response = await fetch(`${API_BASE_URL}/documents/${encodeURIComponent(docIdOrFilename)}/history/${version}`);
+  const data = await response.json().catch(() => ({ error: response.statusText }));
+  if (!response.ok) {
+    throw new Error(data.error || `History error: ${response.statusText}`);
+  }
+  return data.content;
+}
+
+/**
+ * Restore a version of a file; the revert is recorded as a new version
+ */
+export async function revertDocument(docIdOrFilename: string, version: number): Promise<{ filename: string; version: number; content: string }> {
+  const response = await fetch(`${API_BASE_URL}/documents/${encodeURIComponent(docIdOrFilename)}/revert/${version}`, { method: 'POST' });
+  const data = await response.json().catch(() => ({ error: response.statusText }));
+  if (!response.ok) {
+    throw new Error(data.error || `Revert error: ${response.statusText}`);
+  }
+  return data;
+}
+
+/** A message of the TeX log, located in the compiled source when possible */
+export interface LatexDiagnostic {
+  severity: 'error' | 'warning' | 'info'; // overfull/underfull boxes are 'info'
+  message: string;
+  line: number | null; // 1-based; null when unknown or in another file
+  file: string | null; // another file the log names (a package, say)
+}
+
+export interface LatexCompileResult {
+  success: boolean;
+  pdf: string | null; // base64
+  log: string;
+  diagnostics: LatexDiagnostic[];
+  engine: string;
+  durationMs: number;
+}
+
+/**
+ * Compile a LaTeX document to PDF on the server
+ */
+export async function compileLatex(source: string): Promise<LatexCompileResult> {
+  const response = await fetch(`${API_BASE_URL}/latex/compile`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ source }),
+  });
+  const data = await response.json().catch(() => ({ error: response.statusText }));
+  if (!response.ok) {
+    throw new Error(data.error || `Compile error: ${response.statusText}`);
+  }
+  return data;
+}
+
 /**
  * Query the RAG system with a document context
  */
@@ -211,15 +598,16 @@ export async function insertTextIntoFile(
   filename: string,
   text: string,
   line: number,
-  column: number = 1
-): Promise<{ success: boolean; message: string; filename: string }> {
+  column: number = 1,
+  reason?: string // recorded in the file's edit history
+): Promise<{ success: boolean; message: string; filename: string; version: number }> {
   try {
     const response = await fetch(`${API_BASE_URL}/documents/insert-text`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
-      body: JSON.stringify({ filename, text, line, column }),
+      body: JSON.stringify({ filename, text, line, column, reason }),
     });
 
     if (!response.ok) {
@@ -1,23 +1,189 @@
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
 import { nanoid } from 'nanoid';
-import { ChatMessage } from '../types';
-import { sendAgentMessage } from '../services/api';
+import { ChatMessage, ToolActivity } from '../types';
+import {
+  streamAgentMessage,
+  streamActionDecision,
+  AgentStreamEvent,
+  ChatResponse,
+  CreatedFile,
+  ConversationSummary,
+  ContextSummary,
+  getSessionId,
+  setSessionId,
+  newSession,
+  listConversations,
+  getConversation,
+  renameConversation as renameConversationApi,
+  deleteConversation as deleteConversationApi,
+  saveConversationSummary,
+} from '../services/api';
 import { useFileSystemStore } from './fileSystemStore';
 
 interface ChatState {
   messages: ChatMessage[];
   isTyping: boolean;
   attachedFileId: string | null;
+  // Conversations are stored on the server, keyed by the session id sent with each message
+  conversationId: string;
+  conversations: ConversationSummary[];
+  // Summary of the current conversation's older messages, once it has grown long enough to need one
+  contextSummary: ContextSummary | null;
+  // The agent pauses before changing files until the user approves or rejects the change
+  approvalMode: boolean;
   
   // Actions
-  addMessage: (role: 'user' | 'assistant', content: string, attachedFile?: string, sources?: any[], usedGeneralKnowledge?: boolean) => void;
+  addMessage: (role: 'user' | 'assistant', content: string, attachedFile?: string, sources?: any[], usedGeneralKnowledge?: boolean) => string;
+  updateMessage: (id: string, updates: Partial<ChatMessage> | ((message: ChatMessage) => Partial<ChatMessage>)) => void;
   setIsTyping: (isTyping: boolean) => void;
   setAttachedFile: (fileId: string | null) => void;
   clearMessages: () => void;
   sendMessage: (message: string, context?: string, docId?: string) => Promise<void>;
+  setApprovalMode: (approvalMode: boolean) => void;
+  decideAction: (messageId: string, approved: boolean) => Promise<void>;
+  loadConversations: () => Promise<void>;
+  selectConversation: (id: string) => Promise<void>;
+  startConversation: () => void;
+  loadContextSummary: () => Promise<void>;
+  saveContextSummary: (content: string) => Promise<void>;
+  renameConversation: (id: string, title: string) => Promise<void>;
+  deleteConversation: (id: string) => Promise<void>;
 }
 
+/**
+ * Add a file created by the agent to the workspace and load its content from the server.
+ * Returns the new file id, or null if the file is already in the workspace.
+ */
+const addCreatedFileToWorkspace = (createdFile: CreatedFile): string | null => {
+  const { addFile, setFileMeta, updateFileContent, findFileBySavedFilename } = useFileSystemStore.getState();
+
+  // Check if file already exists
+  if (findFileBySavedFilename(createdFile.filename)) return null;
+
+  // Extract display name (remove timestamp prefix if present)
+  const displayName = createdFile.filename.replace(/^\d+-/, '');
+  const fileType = displayName.toLowerCase().endsWith('.tex') ? 'tex' : 'txt';
+
+  // Add file to file system
+  const newFileId = addFile(displayName, fileType, undefined, `[Created file: ${displayName}]`);
+
+  // Set metadata
+  setFileMeta(newFileId, {
+    docId: createdFile.docId,
+    savedFilename: createdFile.filename
+  });
+
+  // Fetch file content from server
+  (async () => {
+    try {
+      let baseUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+      if (baseUrl.endsWith('/api')) {
+        baseUrl = baseUrl.slice(0, -4);
+      }
+      const encodedFilename = encodeURIComponent(createdFile.filename);
+      const fileUrl = `${baseUrl}/uploads/${encodedFilename}`;
+
+      const response = await fetch(fileUrl);
+      if (response.ok) {
+        const content = await response.text();
+        updateFileContent(newFileId, content, { reason: 'Loaded from the server', saved: true });
+        console.log(`✅ Loaded content for created file: ${displayName}`);
+      }
+    } catch (err) {
+      console.warn(`Failed to load content for ${displayName}:`, err);
+    }
+  })();
+
+  console.log(`✅ Added created file to workspace: ${displayName} (${createdFile.docId})`);
+  return newFileId;
+};
+
+/**
+ * Fill an assistant message from a streamed agent run: tool activity and tokens as they arrive, then the
+ * final payload. Runs that resume after the user decided on a file change continue the same message.
+ * A failed run replaces the message with the error, unless `onError` handles it.
+ */
+const streamIntoMessage = async (
+  assistantId: string,
+  run: (onEvent: (event: AgentStreamEvent) => void) => Promise<ChatResponse>,
+  onError?: (message: string) => void
+) => {
+  const { updateMessage, setIsTyping, loadConversations } = useChatStore.getState();
+
+  const setToolActivity = (id: string, updates: Partial<ToolActivity>) => {
+    updateMessage(assistantId, (m) => {
+      const activity = m.toolActivity || [];
+      const exists = activity.some(a => a.id === id);
+      return {
+        toolActivity: exists
+          ? activity.map(a => (a.id === id ? { ...a, ...updates } : a))
+          : [...activity, { id, name: updates.name || 'tool', status: 'running', ...updates }],
+      };
+    });
+  };
+
+  let firstCreatedFileId: string | null = null;
+  const handleCreatedFile = (createdFile: CreatedFile) => {
+    const newFileId = addCreatedFileToWorkspace(createdFile);
+    // Automatically set the first created file as active so insertions work immediately
+    if (newFileId && !firstCreatedFileId) {
+      firstCreatedFileId = newFileId;
+      useFileSystemStore.getState().setActiveFile(newFileId);
+      console.log(`✅ Set created file as active: ${newFileId}`);
+    }
+  };
+
+  try {
+    const data = await run((event) => {
+      switch (event.type) {
+        case 'token':
+          updateMessage(assistantId, (m) => ({ content: m.content + event.delta }));
+          break;
+        case 'tool_start':
+          setToolActivity(event.id, { name: event.name, args: event.args, status: 'running' });
+          break;
+        case 'tool_end':
+          setToolActivity(event.id, { name: event.name, output: event.output, status: event.error ? 'error' : 'done', truncated: event.truncated });
+          break;
+        case 'created_file':
+          handleCreatedFile(event.file);
+          break;
+      }
+    });
+    
+    // Handle created files the stream did not report (e.g. older servers)
+    for (const createdFile of data.createdFiles || []) {
+      handleCreatedFile(createdFile);
+    }
+    
+    // The final payload is authoritative: it replaces any intermediate text streamed before tool calls.
+    // A change that was decided stays on the message until the agent asks for another one.
+    updateMessage(assistantId, (m) => ({
+      content: data.response,
+      sources: data.sources,
+      citations: data.citations,
+      grounding: data.grounding,
+      usedGeneralKnowledge: data.usedGeneralKnowledge,
+      pendingAction: data.pendingAction ?? m.pendingAction,
+    }));
+    // Requests may fold older turns into the summary first; older servers do not send it
+    if (data.summary !== undefined) useChatStore.setState({ contextSummary: data.summary });
+  } catch (error) {
+    console.error('Chat error:', error);
+    const msg = error instanceof Error ? error.message : 'Unknown error';
+    if (onError) {
+      onError(msg);
+    } else {
+      updateMessage(assistantId, { content: `Sorry, I encountered an error: ${msg}` });
+    }
+  } finally {
+    updateMessage(assistantId, { isStreaming: false });
+    setIsTyping(false);
+    loadConversations();
+  }
+};
+
 export const useChatStore = create<ChatState>()(
   persist(
     (set, get) => ({
@@ -31,6 +197,10 @@ export const useChatStore = create<ChatState>()(
       ],
       isTyping: false,
       attachedFileId: null,
+      conversationId: getSessionId(),
+      conversations: [],
+      contextSummary: null,
+      approvalMode: false,
 
       addMessage: (role, content, attachedFile, sources, usedGeneralKnowledge) => {
         const message: ChatMessage = {
@@ -46,6 +216,17 @@ export const useChatStore = create<ChatState>()(
         set(state => ({
           messages: [...state.messages, message],
         }));
+        return message.id;
+      },
+
+      updateMessage: (id, updates) => {
+        set(state => ({
+          messages: state.messages.map(m => {
+            if (m.id !== id) return m;
+            const patch = typeof updates === 'function' ? updates(m) : updates;
+            return { ...m, ...patch };
+          }),
+        }));
       },
 
       setIsTyping: (isTyping) => {
@@ -68,7 +249,7 @@ export const useChatStore = create<ChatState>()(
       },
 
       sendMessage: async (message, context, docId) => {
-        const { addMessage, setIsTyping } = get();
+        const { addMessage, updateMessage, setIsTyping } = get();
         
         const attachedFileId = get().attachedFileId;
         const attachedFile = attachedFileId ? useFileSystemStore.getState().getFileById(attachedFileId) : null;
@@ -79,90 +260,122 @@ export const useChatStore = create<ChatState>()(
         // Clear attached file
         set({ attachedFileId: null });
         
-        // Show typing indicator
+        // Show typing indicator until the first streamed token or tool event arrives
         setIsTyping(true);
 
-        try {
-          // Use the Agent (Groq + Codex tools); attach document content if present
-          const data = await sendAgentMessage(message, {
+        // Assistant bubble that is filled progressively as the agent streams
+        const assistantId = addMessage('assistant', '');
+        updateMessage(assistantId, { isStreaming: true, toolActivity: [] });
+
+        // Use the Agent (Groq + Codex tools); attach document content if present
+        await streamIntoMessage(assistantId, (onEvent) => streamAgentMessage(
+          message,
+          {
             document: context && attachedFile ? { filename: attachedFile.name, content: context } : undefined,
             documentIds: docId ? [docId] : undefined,
-          });
-          
-          // Handle created files (e.g., LaTeX files created by agent)
-          if (data.createdFiles && data.createdFiles.length > 0) {
-            const { addFile, setFileMeta, updateFileContent, setActiveFile } = useFileSystemStore.getState();
-            let firstCreatedFileId: string | null = null;
-            
-            for (const createdFile of data.createdFiles) {
-              // Check if file already exists
-              const existingFile = useFileSystemStore.getState().findFileBySavedFilename(createdFile.filename);
-              if (!existingFile) {
-                // Extract display name (remove timestamp prefix if present)
-                const displayName = createdFile.filename.replace(/^\d+-/, '');
-                const fileType = displayName.toLowerCase().endsWith('.tex') ? 'tex' : 'txt';
-                
-                // Add file to file system
-                const newFileId = addFile(displayName, fileType, undefined, `[Created file: ${displayName}]`);
-                
-                // Remember the first created file to set as active
-                if (!firstCreatedFileId) {
-                  firstCreatedFileId = newFileId;
-                }
-                
-                // Set metadata
-                setFileMeta(newFileId, {
-                  docId: createdFile.docId,
-                  savedFilename: createdFile.filename
-                });
-                
-                // Fetch file content from server
-                (async () => {
-                  try {
-                    let baseUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001';
-                    if (baseUrl.endsWith('/api')) {
-                      baseUrl = baseUrl.slice(0, -4);
-                    }
-                    const encodedFilename = encodeURIComponent(createdFile.filename);
-                    const fileUrl = `${baseUrl}/uploads/${encodedFilename}`;
-                    
-                    const response = await fetch(fileUrl);
-                    if (response.ok) {
-                      const content = await response.text();
-                      updateFileContent(newFileId, content);
-                      console.log(`✅ Loaded content for created file: ${displayName}`);
-                    }
-                  } catch (err) {
-                    console.warn(`Failed to load content for ${displayName}:`, err);
-                  }
-                })();
-                
-                console.log(`✅ Added created file to workspace: ${displayName} (${createdFile.docId})`);
-              }
-            }
-            
-            // Automatically set the first created file as active so insertions work immediately
-            if (firstCreatedFileId) {
-              setActiveFile(firstCreatedFileId);
-              console.log(`✅ Set created file as active: ${firstCreatedFileId}`);
-            }
-          }
-          
-          // Add message with sources and general knowledge flag
-          addMessage('assistant', data.response, undefined, data.sources, (data as any).usedGeneralKnowledge);
+            approval: get().approvalMode,
+          },
+          onEvent
+        ));
+      },
+
+      setApprovalMode: (approvalMode) => {
+        set({ approvalMode });
+      },
+
+      decideAction: async (messageId, approved) => {
+        const message = get().messages.find(m => m.id === messageId);
+        const action = message?.pendingAction;
+        if (!message || !action || action.decision || get().isTyping) return;
+
+        get().updateMessage(messageId, {
+          pendingAction: { ...action, decision: approved ? 'approved' : 'rejected' },
+          isStreaming: true,
+        });
+        get().setIsTyping(true);
+        // The server keeps paused changes in memory for an hour: after that, or a restart, the decision fails.
+        // The agent's explanation stays and the change is shown as expired, since it can no longer be decided.
+        await streamIntoMessage(
+          messageId,
+          (onEvent) => streamActionDecision(action.id, { approved }, onEvent),
+          (error) => get().updateMessage(messageId, {
+            content: message.content,
+            pendingAction: { ...action, decision: 'expired', error },
+          })
+        );
+      },
+
+      loadConversations: async () => {
+        try {
+          set({ conversations: await listConversations() });
         } catch (error) {
-          console.error('Chat error:', error);
-          const msg = error instanceof Error ? error.message : 'Unknown error';
-          addMessage('assistant', `Sorry, I encountered an error: ${msg}`);
-        } finally {
-          setIsTyping(false);
+          console.warn('Failed to load conversations:', error);
         }
       },
+
+      selectConversation: async (id) => {
+        if (id === get().conversationId || get().isTyping) return;
+        const conversation = await getConversation(id);
+        if (!conversation) {
+          set(state => ({ conversations: state.conversations.filter(c => c.id !== id) }));
+          return;
+        }
+        setSessionId(id);
+        set({
+          conversationId: id,
+          attachedFileId: null,
+          contextSummary: conversation.summary,
+          messages: conversation.messages.map(m => ({
+            id: nanoid(),
+            role: m.role,
+            content: m.content,
+            timestamp: new Date(m.createdAt),
+            sources: m.sources,
+            citations: m.citations,
+            grounding: m.grounding,
+          })),
+        });
+      },
+
+      startConversation: () => {
+        set({ conversationId: newSession(), attachedFileId: null, contextSummary: null });
+        get().clearMessages();
+      },
+
+      loadContextSummary: async () => {
+        const id = get().conversationId;
+        try {
+          const conversation = await getConversation(id);
+          // Ignore the answer if the user switched conversations meanwhile
+          if (get().conversationId === id) set({ contextSummary: conversation?.summary ?? null });
+        } catch (error) {
+          console.warn('Failed to load conversation summary:', error);
+        }
+      },
+
+      saveContextSummary: async (content) => {
+        const contextSummary = await saveConversationSummary(get().conversationId, content);
+        set({ contextSummary });
+      },
+
+      renameConversation: async (id, title) => {
+        const updated = await renameConversationApi(id, title);
+        set(state => ({
+          conversations: state.conversations.map(c => (c.id === id ? updated : c)),
+        }));
+      },
+
+      deleteConversation: async (id) => {
+        await deleteConversationApi(id);
+        set(state => ({ conversations: state.conversations.filter(c => c.id !== id) }));
+        if (id === get().conversationId) get().startConversation();
+      },
     }),
     {
       name: 'chat-storage',
       partialize: (state) => ({
         messages: state.messages,
+        approvalMode: state.approvalMode,
       }),
     }
   )
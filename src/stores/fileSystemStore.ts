@@ -2,8 +2,14 @@ import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
 import { nanoid } from 'nanoid';
 import { FileNode, FileType, FileVersion } from '../types';
+import { cancelJob, deleteDocument, getDocumentHistory, getJob, revertDocument } from '../services/api';
 // RAG disabled: no auto-indexing
 
+interface ContentUpdateOptions {
+  reason?: string; // The edit, kept with the replaced content in the local history (default "User edit")
+  saved?: boolean; // The new content is what the server has, e.g. loaded from or written by it
+}
+
 interface FileSystemState {
   files: FileNode[];
   activeFileId: string | null;
@@ -13,8 +19,13 @@ interface FileSystemState {
   addFile: (name: string, type: FileType, parentId?: string, content?: string) => string;
   deleteFile: (id: string) => void;
   renameFile: (id: string, newName: string) => void;
-  updateFileContent: (id: string, content: string) => void;
+  updateFileContent: (id: string, content: string, options?: ContentUpdateOptions) => void;
+  loadVersions: (id: string) => Promise<FileVersion[]>;
+  revertToVersion: (id: string, version: number, options?: { discardUnsaved?: boolean }) => Promise<void>;
+  restoreLocalVersion: (id: string, index: number) => void;
   setFileMeta: (id: string, updates: Partial<FileNode>) => void;
+  trackIndexJob: (id: string) => void;
+  cancelIndexJob: (id: string) => Promise<void>;
   setActiveFile: (id: string | null) => void;
   toggleFolder: (id: string) => void;
   moveFile: (fileId: string, newParentId?: string) => void;
@@ -58,6 +69,11 @@ const removeFileById = (files: FileNode[], id: string): FileNode[] => {
   });
 };
 
+// Edit histories come from the server on demand and are not worth keeping in localStorage
+const withoutVersions = (files: FileNode[]): FileNode[] => files.map(({ versions: _versions, ...file }) => (
+  file.children ? { ...file, children: withoutVersions(file.children) } : file
+));
+
 const updateFileById = (files: FileNode[], id: string, updates: Partial<FileNode>): FileNode[] => {
   return files.map(file => {
     if (file.id === id) {
@@ -70,6 +86,15 @@ const updateFileById = (files: FileNode[], id: string, updates: Partial<FileNode
   });
 };
 
+const MAX_LOCAL_VERSIONS = 10;
+// Editors report every keystroke: edits within this time of the last local version belong to it
+const LOCAL_VERSION_INTERVAL_MS = 60 * 1000;
+
+// How often the server is asked about a running ingestion job
+const INDEX_POLL_MS = 1000;
+// Jobs with a poller running, so resuming never polls the same job twice
+const trackedJobs = new Set<string>();
+
 export const useFileSystemStore = create<FileSystemState>()(
   persist(
     (set, get) => ({
@@ -132,15 +157,10 @@ export const useFileSystemStore = create<FileSystemState>()(
         
         // Delete from backend vector store if it has docId or savedFilename
         if (file) {
-          try {
-            const { deleteDocument } = await import('../services/api');
-            if (file.docId) {
-              await deleteDocument(file.docId).catch(err => console.warn('Failed to delete from backend:', err));
-            } else if (file.savedFilename) {
-              await deleteDocument(file.savedFilename).catch(err => console.warn('Failed to delete from backend:', err));
-            }
-          } catch (err) {
-            console.warn('Error importing deleteDocument:', err);
+          if (file.docId) {
+            await deleteDocument(file.docId).catch(err => console.warn('Failed to delete from backend:', err));
+          } else if (file.savedFilename) {
+            await deleteDocument(file.savedFilename).catch(err => console.warn('Failed to delete from backend:', err));
           }
         }
         
@@ -156,36 +176,126 @@ export const useFileSystemStore = create<FileSystemState>()(
         }));
       },
 
-      updateFileContent: (id, content, reason?: string) => {
+      // Browser edits are not sent to the server, so each one keeps the replaced content in a local
+      // history and marks a server-side file as having unsaved changes
+      updateFileContent: (id, content, { reason = 'User edit', saved = false } = {}) => {
         set(state => {
           const file = findFileById(state.files, id);
           if (!file) return state;
 
-          // Create version history (keep last 10 versions)
-          const versions = file.versions || [];
-          const newVersion: FileVersion = {
-            content: file.content || '',
-            timestamp: new Date(),
-            reason: reason || 'User edit',
-          };
-          
-          const updatedVersions = [newVersion, ...versions].slice(0, 10);
+          const changed = (file.content ?? '') !== content;
+          const localVersions = file.localVersions || [];
+          const [last] = localVersions;
+          const continuesLast = last && last.reason === reason
+            && Date.now() - new Date(last.timestamp).getTime() < LOCAL_VERSION_INTERVAL_MS;
+          const onServer = Boolean(file.savedFilename || file.docId);
 
           return {
-            files: updateFileById(state.files, id, { 
+            files: updateFileById(state.files, id, {
               content,
-              versions: updatedVersions,
+              localVersions: changed && !continuesLast
+                ? [{ content: file.content || '', timestamp: new Date(), reason }, ...localVersions].slice(0, MAX_LOCAL_VERSIONS)
+                : localVersions,
+              unsavedChanges: onServer && !saved && (changed || Boolean(file.unsavedChanges)),
             }),
           };
         });
       },
 
+      // Only files saved on the server have a history: the server journals every change it makes to them
+      loadVersions: async (id) => {
+        const file = findFileById(get().files, id);
+        const key = file?.savedFilename || file?.docId;
+        if (!key) return [];
+        const history = await getDocumentHistory(key);
+        const versions = history?.versions ?? [];
+        get().setFileMeta(id, { versions });
+        return versions;
+      },
+
+      // Restoring replaces the workspace copy, so unsaved browser edits have to be given up explicitly;
+      // they stay in the local history
+      revertToVersion: async (id, version, { discardUnsaved = false } = {}) => {
+        const file = findFileById(get().files, id);
+        const key = file?.savedFilename || file?.docId;
+        if (!key) throw new Error('Only files saved on the server have a version history');
+        if (file?.unsavedChanges && !discardUnsaved) {
+          throw new Error(`"${file.name}" has unsaved edits; restoring version ${version} would replace them`);
+        }
+        const { content } = await revertDocument(key, version);
+        get().updateFileContent(id, content, { reason: `Restored version ${version}`, saved: true });
+        await get().loadVersions(id);
+      },
+
+      restoreLocalVersion: (id, index) => {
+        const local = findFileById(get().files, id)?.localVersions?.[index];
+        if (!local) return;
+        get().updateFileContent(id, local.content, { reason: 'Restored a local copy' });
+      },
+
       setFileMeta: (id, updates) => {
         set(state => ({
           files: updateFileById(state.files, id, updates),
         }));
       },
 
+      trackIndexJob: (id) => {
+        const file = findFileById(get().files, id);
+        if (!file?.jobId || trackedJobs.has(file.jobId)) return;
+        const jobId = file.jobId;
+        trackedJobs.add(jobId);
+
+        const update = (updates: Partial<FileNode>) => {
+          const current = findFileById(get().files, id);
+          const changed = current && (Object.keys(updates) as (keyof FileNode)[]).some(key => current[key] !== updates[key]);
+          if (changed) get().setFileMeta(id, updates);
+        };
+        const stop = (updates: Partial<FileNode>) => {
+          trackedJobs.delete(jobId);
+          update({ indexProgress: undefined, ...updates });
+        };
+
+        const poll = async () => {
+          // The file was deleted or re-uploaded meanwhile
+          if (findFileById(get().files, id)?.jobId !== jobId) {
+            trackedJobs.delete(jobId);
+            return;
+          }
+          try {
+            const job = await getJob(jobId);
+            if (!job) {
+              stop({ indexState: 'failed', indexError: 'Indexing was interrupted (the server restarted)' });
+            } else if (job.status === 'completed') {
+              stop({ indexState: 'ready', indexError: undefined, ocrConfidence: job.result?.ocr?.confidence });
+            } else if (job.status === 'failed' || job.status === 'cancelled') {
+              stop({ indexState: 'failed', indexError: job.status === 'cancelled' ? 'Indexing cancelled' : job.error || 'Indexing failed' });
+            } else {
+              const { done, total } = job.progress;
+              update({
+                indexState: job.status === 'queued' ? 'queued' : 'indexing',
+                indexProgress: total > 0 ? done / total : undefined,
+              });
+              setTimeout(poll, INDEX_POLL_MS);
+            }
+          } catch (err) {
+            // Server unreachable: keep the current state and try again later
+            console.warn('Failed to fetch indexing status:', err);
+            setTimeout(poll, INDEX_POLL_MS * 5);
+          }
+        };
+        poll();
+      },
+
+      cancelIndexJob: async (id) => {
+        const file = findFileById(get().files, id);
+        if (!file?.jobId) return;
+        try {
+          await cancelJob(file.jobId);
+        } catch (err) {
+          console.warn('Failed to cancel indexing:', err);
+        }
+      },
+
       setActiveFile: (id) => {
         set({ activeFileId: id });
       },
@@ -267,7 +377,7 @@ export const useFileSystemStore = create<FileSystemState>()(
     {
       name: 'file-system-storage',
       partialize: (state) => ({
-        files: state.files,
+        files: withoutVersions(state.files),
         activeFileId: state.activeFileId,
       }),
     }
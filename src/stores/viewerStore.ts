@@ -0,0 +1,38 @@
+import { create } from 'zustand';
+
+/**
+ * Where a viewer should scroll to when a file is opened from a citation
+ */
+export interface ViewerTarget {
+  fileId: string;
+  page?: number | null;
+  /** Passage to highlight on the page */
+  text?: string;
+  /** Lines to select in text files, 1-based and inclusive */
+  lineStart?: number | null;
+  lineEnd?: number | null;
+  /** Sheet to show in spreadsheets */
+  sheet?: string | null;
+  /** Changes on every request so clicking the same source twice jumps again */
+  requestId: number;
+}
+
+interface ViewerState {
+  target: ViewerTarget | null;
+
+  // Actions
+  showInViewer: (target: Omit<ViewerTarget, 'requestId'>) => void;
+  clearTarget: () => void;
+}
+
+export const useViewerStore = create<ViewerState>()((set) => ({
+  target: null,
+
+  showInViewer: (target) => {
+    set({ target: { ...target, requestId: Date.now() } });
+  },
+
+  clearTarget: () => {
+    set({ target: null });
+  },
+}));
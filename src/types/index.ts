@@ -1,9 +1,28 @@
-export type FileType = 'pdf' | 'docx' | 'md' | 'txt' | 'xlsx' | 'tex' | 'folder';
+export type FileType = 'pdf' | 'docx' | 'md' | 'txt' | 'xlsx' | 'tex' | 'image' | 'folder';
 
+/** Server-side indexing state of an uploaded file */
+export type IndexState = 'queued' | 'indexing' | 'ready' | 'failed';
+
+/** One change of a server-side file, from its edit journal; version n is the file after the n-th change */
 export interface FileVersion {
+  version: number;
+  timestamp: string;
+  actor: 'user' | 'agent';
+  operation: string; // insert_text, replace_text, revert, ...
+  reason: string | null; // e.g., "AI insertion"
+  sessionId?: string; // chat session of an agent change
+  beforeHash: string;
+  afterHash: string;
+  additions: number;
+  deletions: number;
+  revertedTo?: number;
+}
+
+/** Content of a file before an edit made in the browser, kept locally until the server has the file's changes */
+export interface LocalVersion {
   content: string;
   timestamp: Date;
-  reason?: string; // e.g., "User edit", "AI insertion", etc.
+  reason: string; // The edit that replaced it, e.g., "User edit", "AI insertion"
 }
 
 export interface FileNode {
@@ -13,11 +32,72 @@ export interface FileNode {
   content?: string;
   docId?: string;
   savedFilename?: string; // Actual filename on server (with timestamp)
+  jobId?: string; // Background ingestion job on the server
+  indexState?: IndexState;
+  indexProgress?: number; // 0-1 while chunks are being embedded
+  indexError?: string;
+  ocrConfidence?: number; // Mean OCR confidence (0-100) when the text was recognized from images
   children?: FileNode[];
   parentId?: string;
   createdAt: Date;
   updatedAt: Date;
-  versions?: FileVersion[]; // History of file versions (last 10)
+  versions?: FileVersion[]; // Edit history from the server, oldest first (not persisted)
+  localVersions?: LocalVersion[]; // Contents before browser edits, newest first (last 10)
+  unsavedChanges?: boolean; // A server-side file was edited in the browser; the server copy differs
+}
+
+export interface ToolActivity {
+  id: string;
+  name: string;
+  args?: Record<string, unknown>;
+  status: 'running' | 'done' | 'error';
+  output?: string;
+  truncated?: boolean; // output was cut down to fit the model's context window
+}
+
+/** Passage an inline "[n]" marker of an assistant message refers to */
+export interface Citation {
+  n: number;
+  sourceIndex: number | null; // index into the message's sources, null for passages read with tools
+  docId: string | null;
+  filename: string;
+  page: number | null;
+  pageEnd: number | null;
+  sheet: string | null;
+  section: string | null;
+  lineStart: number | null;
+  lineEnd: number | null;
+  quote: string; // sentence of the passage that supports the claim
+}
+
+/** A sentence of an assistant message checked against the passages it cites */
+export interface GroundedClaim {
+  sentence: string;
+  citations: number[];
+  markers: number[]; // positions of its markers among all "[n]" markers of the message
+  status: 'supported' | 'unsupported' | 'miscited';
+  support: number; // share of the claim's words found in the cited passages, 0-1
+  supportedBy?: { sourceIndex: number; filename: string; n: number | null }; // for mis-cited claims
+}
+
+export interface Grounding {
+  score: number | null; // share of supported claims, null when nothing is cited
+  claims: GroundedClaim[];
+  uncitedSentences: number;
+}
+
+/** File change the agent paused for, waiting for the user to approve or reject it */
+export interface PendingAction {
+  id: string;
+  tool: string;
+  args: Record<string, unknown>;
+  filename: string;
+  create: boolean; // the file does not exist yet
+  diff: string; // unified diff of the change
+  additions: number;
+  deletions: number;
+  decision?: 'approved' | 'rejected' | 'expired'; // set in the client once the user decided; 'expired' when the server no longer had the change
+  error?: string; // why a decision could not be applied
 }
 
 export interface ChatMessage {
@@ -30,13 +110,21 @@ export interface ChatMessage {
     filename: string;
     docId?: string;
     score: number;
+    rerankScore?: number | null;
     text_preview: string;
     page?: number | null;
+    pageEnd?: number | null;
     sheet?: string | null;
+    section?: string | null;
     lineStart?: number;
     lineEnd?: number;
   }[];
+  citations?: Citation[];
+  grounding?: Grounding | null;
   usedGeneralKnowledge?: boolean;
+  toolActivity?: ToolActivity[];
+  pendingAction?: PendingAction;
+  isStreaming?: boolean;
 }
 
 export interface AppState {